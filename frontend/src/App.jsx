@@ -5,12 +5,15 @@ import ChatInput from "./components/ChatInput";
 import ChatMessage from "./components/ChatMessage";
 import RecommendedAgencies from "./components/RecommendedAgencies";
 import BlankPage from "./components/BlankPage";
+import { streamChat } from "./streamChat";
 
 export default function App() {
   const [message, setMessage] = useState("");
   const [chatHistory, setChatHistory] = useState([]);
   const [loading, setLoading] = useState(false);
   const [typingPrompt, setTypingPrompt] = useState("");
+  // Each chat gets its own server-side session so tabs don't share context
+  const [sessionId, setSessionId] = useState(() => crypto.randomUUID());
 
   // Mock data
   const agencies = [
@@ -46,39 +49,62 @@ export default function App() {
     setTypingPrompt(prompt);
   };
 
-  const handleSubmit = async () => {
-    if (!message.trim()) return;
+  // Update the AI message that's currently being streamed in
+  const updateLastMessage = (update) => {
+    setChatHistory(prev => {
+      const next = [...prev];
+      next[next.length - 1] = { ...next[next.length - 1], ...update(next[next.length - 1]) };
+      return next;
+    });
+  };
 
-    // Add user message to chat
-    const userMessage = { message, isUser: true };
-    setChatHistory(prev => [...prev, userMessage]);
-    setMessage("");
+  // Send free text, or one of the last response's actions as a structured reply;
+  // attachments are files already uploaded, [{ id, name }]
+  const sendMessage = async (text, action = null, attachments = []) => {
+    // Add user message and an empty AI message that fills in as the answer streams
+    const attachedNames = attachments.map(attachment => attachment.name).join(', ');
+    const userMessage = { message: [text, attachedNames && `📎 ${attachedNames}`].filter(Boolean).join('\n'), isUser: true };
+    setChatHistory(prev => [...prev, userMessage, { message: "", isUser: false, streaming: true }]);
     setLoading(true);
 
     try {
-      const response = await fetch('http://localhost:3000/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ message }),
+      const result = await streamChat({
+        message: text,
+        sessionId,
+        action,
+        uploads: attachments.map(attachment => attachment.id),
+        onProgress: (progress) => updateLastMessage(() => ({ progress })),
+        onToken: (chunk) => updateLastMessage(last => ({ message: last.message + chunk, progress: null })),
       });
 
-      const data = await response.json();
-      
-      // Add AI response to chat
-      setChatHistory(prev => [...prev, {
-        message: data.response,
-        isUser: false
-      }]);
+      updateLastMessage(() => ({
+        message: result.response,
+        type: result.type,
+        data: result.data,
+        actions: result.actions,
+        progress: null,
+        streaming: false
+      }));
     } catch (error) {
       console.error('Error:', error);
-      // Handle error appropriately
+      updateLastMessage(last => ({
+        message: last.message || "Sorry, something went wrong. Please try again.",
+        progress: null,
+        streaming: false
+      }));
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSubmit = (attachments = []) => {
+    if (!message.trim() && attachments.length === 0) return;
+    sendMessage(message, null, attachments);
+    setMessage("");
+  };
+
+  const handleAction = (action) => sendMessage(action.label, action);
+
   return (
     <div className="flex h-screen bg-white">
       {/* Sidebar */}
@@ -88,7 +114,10 @@ export default function App() {
           avatar: null
         }}
         chats={mockChats}
-        onNewChat={() => setChatHistory([])}
+        onNewChat={() => {
+          setChatHistory([]);
+          setSessionId(crypto.randomUUID());
+        }}
       />
 
       {/* Main Content */}
@@ -115,9 +144,16 @@ export default function App() {
                   key={index}
                   message={chat.message}
                   isUser={chat.isUser}
+                  progress={chat.progress}
+                  streaming={chat.streaming}
+                  type={chat.type}
+                  data={chat.data}
+                  actions={chat.actions}
+                  // Only the latest answer can still be acted on
+                  onAction={!loading && index === chatHistory.length - 1 ? handleAction : null}
                 />
               ))}
-              {loading && (
+              {loading && !chatHistory[chatHistory.length - 1]?.streaming && (
                 <div className="py-8 bg-gray-50">
                   <div className="max-w-3xl mx-auto px-4">
                     <div className="animate-pulse flex gap-4">
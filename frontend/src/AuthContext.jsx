@@ -1,6 +1,7 @@
 import { createContext, useState, useEffect, useContext } from 'react';
 import axios from 'axios';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { refreshSession, getCsrfToken } from './streamChat';
 
 // Create a context to hold authentication state
 const AuthContext = createContext(null);
@@ -8,6 +9,31 @@ const AuthContext = createContext(null);
 // Set axios defaults
 axios.defaults.withCredentials = true;
 
+// State-changing requests carry the CSRF token
+axios.interceptors.request.use(async (request) => {
+  if (!['get', 'head', 'options'].includes((request.method || 'get').toLowerCase())) {
+    request.headers['X-CSRF-Token'] = await getCsrfToken(request._csrfRetried);
+  }
+  return request;
+});
+
+// Access tokens are short-lived: on a 401, refresh the session once and retry.
+// A rejected CSRF token is fetched again once.
+axios.interceptors.response.use(null, async (error) => {
+  const request = error.config;
+  if (error.response?.status === 403 && error.response.data?.code === 'csrf_token' && request && !request._csrfRetried) {
+    request._csrfRetried = true;
+    return axios(request);
+  }
+  if (error.response?.status === 401 && request && !request._retried) {
+    request._retried = true;
+    if (await refreshSession()) {
+      return axios(request);
+    }
+  }
+  return Promise.reject(error);
+});
+
 // Auth token storage key
 const AUTH_TOKEN_KEY = 'twinAI_auth_token';
 
@@ -16,6 +42,8 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [authError, setAuthError] = useState(null);
   const [authServices, setAuthServices] = useState({});
+  const [reconnectRequired, setReconnectRequired] = useState(false);
+  const [googleAccounts, setGoogleAccounts] = useState([]);
   
   const location = useLocation();
   const navigate = useNavigate();
@@ -57,15 +85,24 @@ export const AuthProvider = ({ children }) => {
       }
       
       // Add auth token to request header
-      const response = await axios.get('http://localhost:3000/auth/status', {
+      const fetchStatus = () => axios.get('http://localhost:3000/auth/status', {
         headers: {
           'Authorization': `Bearer ${token}`
         }
       });
       
+      let response = await fetchStatus();
+      
+      // The access token may just have expired; the refresh cookie can renew it
+      if (!response.data.authenticated && ['no_token', 'invalid_jwt'].includes(response.data.reason) && await refreshSession()) {
+        response = await fetchStatus();
+      }
+      
       if (response.data.authenticated) {
         setIsAuthenticated(true);
         setAuthServices(response.data.services || {});
+        setReconnectRequired(Boolean(response.data.reconnectRequired));
+        setGoogleAccounts(response.data.googleAccounts || []);
       } else {
         // If server says not authenticated, remove token
         localStorage.removeItem(AUTH_TOKEN_KEY);
@@ -88,14 +125,88 @@ export const AuthProvider = ({ children }) => {
     window.location.href = 'http://localhost:3000/auth/google';
   };
 
+  // Local accounts: resolve to an error message, or null once signed in
+  const startLocalSession = async (path, body) => {
+    try {
+      await axios.post(`http://localhost:3000${path}`, body);
+      localStorage.setItem(AUTH_TOKEN_KEY, 'authenticated');
+      await checkAuthStatus();
+      return null;
+    } catch (error) {
+      return error.response?.data?.error || 'Something went wrong. Please try again.';
+    }
+  };
+
+  const loginWithPassword = (email, password) => startLocalSession('/auth/local/login', { email, password });
+
+  const signup = (name, email, password) => startLocalSession('/auth/local/signup', { name, email, password });
+
+  // The link signs the user in from their inbox; resolves to an error message or null
+  const requestMagicLink = async (email) => {
+    try {
+      await axios.post('http://localhost:3000/auth/magic-link', { email });
+      return null;
+    } catch (error) {
+      return error.response?.data?.error || 'Could not send the sign-in link. Please try again.';
+    }
+  };
+
+  // Ask Google for one more feature (scope group), e.g. 'email' or 'calendar'.
+  // For an account without Google this links the Google account too.
+  const connectService = (group) => {
+    window.location.href = `http://localhost:3000/auth/google?scopes=${group}`;
+  };
+
+  // Google revokes whole grants only, so the user re-consents to the features they keep
+  const revokeService = async (group) => {
+    try {
+      const response = await axios.delete(`http://localhost:3000/auth/google/scopes/${group}`);
+      window.location.href = response.data.reauthUrl;
+    } catch (error) {
+      console.error('Error revoking access:', error);
+      setAuthError('Failed to revoke access. Please try again.');
+    }
+  };
+
+  // Link one more Google account, e.g. a work account next to a personal one
+  const addGoogleAccount = () => {
+    window.location.href = 'http://localhost:3000/auth/google?add=1';
+  };
+
+  const makePrimaryGoogleAccount = async (id) => {
+    try {
+      const response = await axios.post(`http://localhost:3000/auth/google/accounts/${encodeURIComponent(id)}/primary`);
+      setGoogleAccounts(response.data.accounts);
+    } catch (error) {
+      console.error('Error updating Google account:', error);
+      setAuthError('Failed to update the Google account. Please try again.');
+    }
+  };
+
+  const unlinkGoogleAccount = async (id) => {
+    try {
+      await axios.delete(`http://localhost:3000/auth/google/accounts/${encodeURIComponent(id)}`);
+      await checkAuthStatus();
+    } catch (error) {
+      console.error('Error unlinking Google account:', error);
+      setAuthError('Failed to unlink the Google account. Please try again.');
+    }
+  };
+
   const logout = async () => {
     try {
       // Remove token from localStorage first
       localStorage.removeItem(AUTH_TOKEN_KEY);
       setIsAuthenticated(false);
       
-      // Then call the server to delete the token file
-      window.location.href = 'http://localhost:3000/auth/logout';
+      // Revoke the Google grant server-side, then clear the session
+      try {
+        await axios.post('http://localhost:3000/auth/revoke');
+      } catch (error) {
+        console.error('Error revoking Google access:', error);
+      }
+      await axios.post('http://localhost:3000/auth/logout');
+      navigate('/logout');
     } catch (error) {
       console.error('Logout error:', error);
       // Even if there's an error, clear the local state
@@ -103,6 +214,18 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // End every session of this user, on all devices
+  const logoutAll = async () => {
+    try {
+      await axios.post('http://localhost:3000/auth/logout-all');
+    } catch (error) {
+      console.error('Error logging out of all devices:', error);
+    }
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    setIsAuthenticated(false);
+    navigate('/');
+  };
+
   return (
     <AuthContext.Provider 
       value={{ 
@@ -110,8 +233,19 @@ export const AuthProvider = ({ children }) => {
         loading, 
         authError, 
         authServices,
+        reconnectRequired,
+        googleAccounts,
+        connectService,
+        revokeService,
+        addGoogleAccount,
+        makePrimaryGoogleAccount,
+        unlinkGoogleAccount,
         login, 
+        loginWithPassword,
+        signup,
+        requestMagicLink,
         logout, 
+        logoutAll,
         checkAuthStatus 
       }}
     >
@@ -1,9 +1,44 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { FcGoogle } from 'react-icons/fc';
 import { useAuth } from './AuthContext';
 
+const inputClass = "w-full bg-gray-800 border border-gray-700 rounded-xl py-2 px-4 text-gray-200 placeholder-gray-500 focus:outline-none focus:border-gray-500";
+
 const Login = () => {
-    const { login } = useAuth();
+    const { login, loginWithPassword, signup, requestMagicLink } = useAuth();
+    // 'login', 'signup' or 'magic' (email me a sign-in link)
+    const [mode, setMode] = useState('login');
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [linkSent, setLinkSent] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+
+    const switchMode = (next) => {
+        setMode(next);
+        setError(null);
+        setLinkSent(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+        
+        let problem;
+        if (mode === 'magic') {
+            problem = await requestMagicLink(email);
+            setLinkSent(!problem);
+        } else if (mode === 'signup') {
+            problem = await signup(name, email, password);
+        } else {
+            problem = await loginWithPassword(email, password);
+        }
+        
+        setError(problem);
+        setSubmitting(false);
+    };
 
     return (
         <div className="min-h-screen flex items-center justify-center bg-black p-4">
@@ -27,6 +62,62 @@ const Login = () => {
                         <span>Sign in with Google</span>
                     </button>
 
+                    <div className="flex items-center gap-3 my-6 text-gray-500 text-xs">
+                        <div className="flex-1 border-t border-gray-700"></div>
+                        <span>or use your email</span>
+                        <div className="flex-1 border-t border-gray-700"></div>
+                    </div>
+
+                    <form onSubmit={handleSubmit} className="space-y-3">
+                        {mode === 'signup' && (
+                            <input
+                                type="text"
+                                placeholder="Name"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                className={inputClass}
+                            />
+                        )}
+                        <input
+                            type="email"
+                            placeholder="Email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            required
+                            className={inputClass}
+                        />
+                        {mode !== 'magic' && (
+                            <input
+                                type="password"
+                                placeholder="Password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                required
+                                minLength={mode === 'signup' ? 8 : undefined}
+                                className={inputClass}
+                            />
+                        )}
+                        
+                        {error && <p className="text-sm text-red-400">{error}</p>}
+                        {linkSent && <p className="text-sm text-green-400">Check your inbox for a sign-in link.</p>}
+                        
+                        <button
+                            type="submit"
+                            disabled={submitting}
+                            className="w-full bg-gray-200 rounded-xl py-2 px-4 text-gray-900 font-medium hover:bg-white transition disabled:opacity-50"
+                        >
+                            {mode === 'signup' ? 'Create account' : mode === 'magic' ? 'Email me a sign-in link' : 'Sign in'}
+                        </button>
+                    </form>
+
+                    <div className="mt-4 flex justify-between text-sm text-gray-400">
+                        <button onClick={() => switchMode(mode === 'signup' ? 'login' : 'signup')} className="hover:text-gray-200">
+                            {mode === 'signup' ? 'Have an account? Sign in' : 'Create an account'}
+                        </button>
+                        <button onClick={() => switchMode(mode === 'magic' ? 'login' : 'magic')} className="hover:text-gray-200">
+                            {mode === 'magic' ? 'Use a password' : 'Email me a link'}
+                        </button>
+                    </div>
                     
                     <div className="mt-8 text-center text-gray-400 text-sm">
                         <p>Join the fun and connect today!</p>
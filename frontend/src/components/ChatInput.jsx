@@ -1,31 +1,55 @@
 import { useState, useEffect, useRef } from 'react';
 import { ArrowRight, Mic, Paperclip, Image, X, Sparkles } from 'lucide-react';
+import { uploadFile } from '../streamChat';
 
 const ChatInput = ({ value, onChange, onSubmit, typingPrompt }) => {
   const [isRecording, setIsRecording] = useState(false);
   const [attachments, setAttachments] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
   const [typingIndex, setTypingIndex] = useState(0);
+  const [uploadError, setUploadError] = useState(null);
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
 
+  // Open the file picker; the image button only offers images
   const handleAttachment = (type) => {
-    // Simulate adding an attachment
-    const newAttachment = { 
-      id: Date.now(), 
-      type, 
-      name: type === 'image' ? 'image.jpg' : 'document.pdf'
-    };
-    setAttachments([...attachments, newAttachment]);
+    fileInputRef.current.accept = type === 'image' ? 'image/*' : '';
+    fileInputRef.current.click();
+  };
+
+  // Upload the picked files right away so sending the message only carries their ids
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    setUploadError(null);
+
+    for (const file of files) {
+      try {
+        const upload = await uploadFile(file);
+        setAttachments(prev => [...prev, {
+          id: upload.id,
+          type: upload.contentType.startsWith('image/') ? 'image' : 'file',
+          name: upload.filename
+        }]);
+      } catch (error) {
+        setUploadError(`${file.name}: ${error.message}`);
+      }
+    }
   };
 
   const removeAttachment = (id) => {
     setAttachments(attachments.filter(attachment => attachment.id !== id));
   };
 
+  const submit = () => {
+    onSubmit(attachments);
+    setAttachments([]);
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
-      onSubmit();
+      submit();
     }
   };
 
@@ -86,14 +110,26 @@ const ChatInput = ({ value, onChange, onSubmit, typingPrompt }) => {
         </div>
       )}
 
+      {uploadError && (
+        <p className="mb-2 text-sm text-red-600">{uploadError}</p>
+      )}
+
       {/* Input form with enhanced styling */}
       <form 
         onSubmit={(e) => {
           e.preventDefault();
-          onSubmit();
+          submit();
         }}
         className="relative"
       >
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          className="hidden"
+          onChange={handleFiles}
+        />
+
         <input
           ref={inputRef}
           type="text"
@@ -1,4 +1,7 @@
-const ChatMessage = ({ message, isUser }) => {
+import EmailDraft from './EmailDraft';
+import { API_URL } from '../streamChat';
+
+const ChatMessage = ({ message, isUser, progress, streaming, type, data, actions = [], onAction }) => {
   return (
     <div className={`py-8 ${isUser ? 'bg-white' : 'bg-gray-50'}`}>
       <div className="max-w-3xl mx-auto px-4">
@@ -11,12 +14,68 @@ const ChatMessage = ({ message, isUser }) => {
               <span className="text-sm text-gray-500">AI</span>
             )}
           </div>
-          
+
           {/* Message Content */}
           <div className="flex-1">
-            <div className="prose prose-gray max-w-none">
-              {message}
-            </div>
+            {progress && (
+              <div className="text-sm text-gray-400 italic animate-pulse mb-2">
+                {progress}
+              </div>
+            )}
+            {type === 'email_draft' ? (
+              // The draft form replaces the plain-text rendering
+              <EmailDraft draft={data} actions={actions} onAction={onAction} />
+            ) : (
+              <div className="prose prose-gray max-w-none whitespace-pre-wrap">
+                {message}
+                {streaming && !progress && (
+                  <span className="inline-block w-2 h-4 ml-0.5 bg-gray-400 animate-pulse align-middle"></span>
+                )}
+              </div>
+            )}
+
+            {/* Research sources */}
+            {type === 'research_report' && data?.sources?.length > 0 && (
+              <div className="mt-3 text-sm text-gray-500">
+                Sources:{' '}
+                {data.sources.map((source, i) => (
+                  <a
+                    key={source.link}
+                    href={source.link}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="underline hover:text-gray-700"
+                  >
+                    {source.name}{i < data.sources.length - 1 ? ', ' : ''}
+                  </a>
+                ))}
+              </div>
+            )}
+
+            {/* Google access expired or missing: send the user through the consent screen */}
+            {type === 'reconnect_google' && (
+              <a
+                href={`${API_URL}${data?.url || '/auth/google'}`}
+                className="mt-4 inline-block px-3 py-1.5 rounded border border-gray-200 bg-white text-sm text-gray-700 hover:bg-gray-100"
+              >
+                {data?.reason === 'reconsent_required' ? 'Reconnect Google' : 'Connect Google'}
+              </a>
+            )}
+
+            {/* Quick replies: time slots, plan approval, confirmations */}
+            {type !== 'email_draft' && onAction && actions.length > 0 && (
+              <div className="mt-4 flex flex-wrap gap-2">
+                {actions.map((action, i) => (
+                  <button
+                    key={i}
+                    onClick={() => onAction(action)}
+                    className="px-3 py-1.5 rounded border border-gray-200 bg-white text-sm text-gray-700 hover:bg-gray-100"
+                  >
+                    {action.label}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -24,4 +83,4 @@ const ChatMessage = ({ message, isUser }) => {
   );
 };
 
-export default ChatMessage; 
\ No newline at end of file
+export default ChatMessage;
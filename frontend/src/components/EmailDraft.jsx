@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { Paperclip, X } from 'lucide-react';
+
+// Editable email draft; Send, Save as draft and Save changes reply with the edited fields.
+// Drafts opened from the mailbox (draft.draftId) keep their attachments as they are.
+// A new email can be given a send time; otherwise it goes out after the undo window.
+const EmailDraft = ({ draft, actions, onAction }) => {
+  const [fields, setFields] = useState({
+    from: draft.from || '',
+    to: draft.to || '',
+    cc: draft.cc || '',
+    bcc: draft.bcc || '',
+    subject: draft.subject || '',
+    body: draft.body || ''
+  });
+  const [attachments, setAttachments] = useState(draft.attachments || []);
+  const [showCopies, setShowCopies] = useState(Boolean(draft.cc || draft.bcc));
+  const [sendAt, setSendAt] = useState('');
+
+  const update = (name) => (e) => setFields({ ...fields, [name]: e.target.value });
+
+  const removeAttachment = (uploadId) =>
+    setAttachments(attachments.filter(attachment => attachment.uploadId !== uploadId));
+
+  const handleClick = (action) => {
+    if (action.params && 'body' in action.params) {
+      // Only the attachments still listed are sent
+      const kept = draft.draftId ? {} : { attachments: attachments.map(attachment => attachment.uploadId) };
+      const later = action.action === 'send_email' && sendAt ? { sendAt: new Date(sendAt).toISOString() } : {};
+      onAction({ ...action, params: { ...action.params, ...fields, ...kept, ...later } });
+    } else {
+      onAction(action);
+    }
+  };
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-lg bg-white p-4 space-y-3">
+      {draft.replyTo && (
+        <p className="text-sm text-gray-500">
+          In reply to {draft.replyTo.from}: <span className="text-gray-700">{draft.replyTo.subject}</span>
+        </p>
+      )}
+      {/* Users with several linked accounts pick which one sends */}
+      {draft.fromOptions?.length > 1 && (
+        <label className="block text-sm text-gray-500">
+          From
+          <select
+            value={fields.from}
+            onChange={update('from')}
+            disabled={!onAction}
+            className="mt-1 w-full border border-gray-200 rounded px-2 py-1 text-gray-900"
+          >
+            {draft.fromOptions.map(address => (
+              <option key={address} value={address}>{address}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label className="block text-sm text-gray-500">
+        <span className="flex justify-between">
+          To
+          {onAction && !showCopies && (
+            <button type="button" onClick={() => setShowCopies(true)} className="text-gray-500 hover:text-gray-700">
+              Cc/Bcc
+            </button>
+          )}
+        </span>
+        <input
+          type="email"
+          multiple
+          value={fields.to}
+          onChange={update('to')}
+          disabled={!onAction}
+          className="mt-1 w-full border border-gray-200 rounded px-2 py-1 text-gray-900"
+        />
+      </label>
+      {showCopies && ['cc', 'bcc'].map(name => (
+        <label key={name} className="block text-sm text-gray-500">
+          {name === 'cc' ? 'Cc' : 'Bcc'}
+          <input
+            type="email"
+            multiple
+            value={fields[name]}
+            onChange={update(name)}
+            disabled={!onAction}
+            className="mt-1 w-full border border-gray-200 rounded px-2 py-1 text-gray-900"
+          />
+        </label>
+      ))}
+      <label className="block text-sm text-gray-500">
+        Subject
+        <input
+          type="text"
+          value={fields.subject}
+          onChange={update('subject')}
+          disabled={!onAction}
+          className="mt-1 w-full border border-gray-200 rounded px-2 py-1 text-gray-900"
+        />
+      </label>
+      <textarea
+        value={fields.body}
+        onChange={update('body')}
+        disabled={!onAction}
+        rows={8}
+        className="w-full border border-gray-200 rounded px-2 py-1 text-gray-900"
+      />
+      {attachments.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {attachments.map(attachment => (
+            <span
+              key={attachment.uploadId || attachment.filename}
+              className="flex items-center gap-1 border border-gray-200 rounded px-2 py-1 text-sm text-gray-700"
+            >
+              <Paperclip size={14} className="text-gray-500" />
+              {attachment.filename}{attachment.inline ? ' (inline)' : ''}
+              {onAction && !draft.draftId && (
+                <button
+                  onClick={() => removeAttachment(attachment.uploadId)}
+                  className="p-0.5 hover:bg-gray-100 rounded-full"
+                  aria-label={`Remove ${attachment.filename}`}
+                >
+                  <X size={12} className="text-gray-500" />
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+      {onAction && !draft.draftId && (
+        <label className="block text-sm text-gray-500">
+          Send at (optional)
+          <input
+            type="datetime-local"
+            value={sendAt}
+            onChange={(e) => setSendAt(e.target.value)}
+            className="mt-1 w-full border border-gray-200 rounded px-2 py-1 text-gray-900"
+          />
+        </label>
+      )}
+      {onAction && (
+        <div className="flex gap-2">
+          {actions.map(action => (
+            <button
+              key={action.action}
+              onClick={() => handleClick(action)}
+              className={`px-3 py-1.5 rounded text-sm ${
+                action.action === 'send_email' || action.action === 'send_draft'
+                  ? 'bg-gray-900 text-white hover:bg-gray-700'
+                  : 'border border-gray-200 text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {action.action === 'send_email' && sendAt ? 'Schedule' : action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailDraft;
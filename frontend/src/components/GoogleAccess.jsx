@@ -0,0 +1,74 @@
+import { useAuth } from '../AuthContext';
+
+// Google features and the auth status flag that says whether each is granted
+const SERVICES = [
+  { group: 'email', service: 'gmail', label: 'Gmail' },
+  { group: 'calendar', service: 'calendar', label: 'Google Calendar' }
+];
+
+const GoogleAccess = () => {
+  const {
+    isAuthenticated,
+    authServices,
+    googleAccounts,
+    connectService,
+    revokeService,
+    addGoogleAccount,
+    makePrimaryGoogleAccount,
+    unlinkGoogleAccount
+  } = useAuth();
+
+  if (!isAuthenticated) return null;
+
+  return (
+    <div className="border-t border-gray-100 px-3 py-2">
+      <div className="text-xs font-medium text-gray-400 mb-2">GOOGLE ACCESS</div>
+      {SERVICES.map(({ group, service, label }) => (
+        <div key={group} className="flex items-center justify-between px-3 py-1 text-sm text-gray-600">
+          <span>{label}</span>
+          {authServices[service] ? (
+            <button
+              onClick={() => revokeService(group)}
+              className="text-xs text-gray-400 hover:text-red-500"
+            >
+              Revoke
+            </button>
+          ) : (
+            <button
+              onClick={() => connectService(group)}
+              className="text-xs text-orange-500 hover:text-orange-600"
+            >
+              Connect
+            </button>
+          )}
+        </div>
+      ))}
+      {/* Linked accounts; the primary one sends mail and gets new events */}
+      {googleAccounts.map(account => (
+        <div key={account.id} className="flex items-center justify-between px-3 py-1 text-xs text-gray-500">
+          <span className="truncate" title={account.email}>{account.email}</span>
+          <span className="flex gap-2 shrink-0 ml-2">
+            {account.primary ? (
+              <span className="text-gray-400">Primary</span>
+            ) : (
+              <button onClick={() => makePrimaryGoogleAccount(account.id)} className="hover:text-gray-900">
+                Make primary
+              </button>
+            )}
+            <button onClick={() => unlinkGoogleAccount(account.id)} className="hover:text-red-500">
+              Unlink
+            </button>
+          </span>
+        </div>
+      ))}
+      <button
+        onClick={addGoogleAccount}
+        className="px-3 py-1 text-xs text-orange-500 hover:text-orange-600"
+      >
+        Add another Google account
+      </button>
+    </div>
+  );
+};
+
+export default GoogleAccess;
@@ -1,6 +1,10 @@
 import { Plus } from 'lucide-react';
+import GoogleAccess from './GoogleAccess';
+import { useAuth } from '../AuthContext';
 
 const Sidebar = ({ currentUser, chats, onNewChat }) => {
+  const { isAuthenticated, logoutAll } = useAuth();
+
   return (
     <div className="w-[260px] bg-white border-r border-gray-100 flex flex-col h-screen">
       {/* User Profile */}
@@ -53,6 +57,9 @@ const Sidebar = ({ currentUser, chats, onNewChat }) => {
         </div>
       </div>
 
+      {/* Google features the assistant may use */}
+      <GoogleAccess />
+
       {/* Settings */}
       <div className="border-t border-gray-100 p-2">
         <button className="w-full text-left px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-50 rounded-md">
@@ -64,6 +71,14 @@ const Sidebar = ({ currentUser, chats, onNewChat }) => {
         <button className="w-full text-left px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-50 rounded-md">
           AI Policy
         </button>
+        {isAuthenticated && (
+          <button
+            onClick={logoutAll}
+            className="w-full text-left px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-50 rounded-md"
+          >
+            Log out of all devices
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,163 @@
+export const API_URL = 'http://localhost:3000';
+
+// Parse one "event: x\ndata: {...}" block from the SSE stream
+const parseEvent = (block) => {
+  let event = 'message';
+  let data = '';
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data += line.slice(5).trim();
+  }
+
+  return { event, data: data ? JSON.parse(data) : {} };
+};
+
+let csrfToken = null;
+
+/**
+ * CSRF token the server expects in X-CSRF-Token on state-changing requests.
+ * Fetched once and cached; pass refresh to get a new one after a rejection.
+ */
+export async function getCsrfToken(refresh = false) {
+  if (!csrfToken || refresh) {
+    csrfToken = fetch(`${API_URL}/auth/csrf`, { credentials: 'include' })
+      .then((response) => response.json())
+      .then((data) => data.csrfToken)
+      .catch((error) => {
+        csrfToken = null;
+        throw error;
+      });
+  }
+  return csrfToken;
+}
+
+// Whether a response is the server rejecting a missing or stale CSRF token
+export const isCsrfRejection = async (response) =>
+  response.status === 403 && (await response.clone().json().catch(() => ({}))).code === 'csrf_token';
+
+let refreshing = null;
+
+/**
+ * Trade the refresh cookie for a new short-lived access token.
+ * Resolves true if the session is still valid. Calls made while a refresh is
+ * under way share it, since the server rotates the refresh token on each one.
+ */
+export function refreshSession() {
+  if (!refreshing) {
+    const send = async (renewCsrf) => fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'X-CSRF-Token': await getCsrfToken(renewCsrf) },
+      credentials: 'include',
+    });
+
+    refreshing = (async () => {
+      try {
+        let response = await send(false);
+        if (await isCsrfRejection(response)) {
+          response = await send(true);
+        }
+        return response.ok;
+      } catch {
+        return false;
+      } finally {
+        refreshing = null;
+      }
+    })();
+  }
+  return refreshing;
+}
+
+/**
+ * Upload a file to attach to an email; its id goes with the next chat message.
+ * Resolves with { id, filename, contentType, size }.
+ */
+export async function uploadFile(file) {
+  const send = async (renewCsrf = false) => fetch(`${API_URL}/uploads?filename=${encodeURIComponent(file.name)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-CSRF-Token': await getCsrfToken(renewCsrf),
+    },
+    credentials: 'include',
+    body: file,
+  });
+
+  let response = await send();
+  if (await isCsrfRejection(response)) {
+    response = await send(true);
+  }
+  if (response.status === 401 && await refreshSession()) {
+    response = await send();
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.message || `Upload failed with status ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Send a chat message and consume the server's event stream.
+ * EventSource only supports GET, so the stream is read from a fetch body.
+ * Passing one of a previous response's actions sends it as a structured reply;
+ * uploads are the ids of files sent with the message. The browser's time zone goes
+ * along so times like "tomorrow at 8am" mean the user's 8am.
+ * Resolves with the typed response: { response, type, data, actions }.
+ */
+export async function streamChat({ message, sessionId, action, uploads = [], onProgress, onToken }) {
+  const body = action
+    ? { message, sessionId, action: action.action, ...action.params }
+    : { message, sessionId };
+  if (uploads.length > 0) body.uploads = uploads;
+  body.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const send = async (renewCsrf = false) => fetch(`${API_URL}/chat/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': await getCsrfToken(renewCsrf),
+    },
+    credentials: 'include',
+    body: JSON.stringify(body),
+  });
+
+  // Access tokens are short-lived and the CSRF cookie may have expired; retry once for each
+  let response = await send();
+  if (await isCsrfRejection(response)) {
+    response = await send(true);
+  }
+  if (response.status === 401 && await refreshSession()) {
+    response = await send();
+  }
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Chat request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffered += decoder.decode(value, { stream: true });
+    const blocks = buffered.split('\n\n');
+    buffered = blocks.pop();
+
+    for (const block of blocks) {
+      if (!block.trim()) continue;
+      const { event, data } = parseEvent(block);
+
+      if (event === 'progress') onProgress?.(data.message);
+      else if (event === 'token') onToken?.(data.text);
+      else if (event === 'done') return data;
+      else if (event === 'error') throw new Error(data.error);
+    }
+  }
+
+  throw new Error('Chat stream ended unexpectedly');
+}
@@ -21,16 +21,27 @@ const ChatSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Null for anonymous sessions, which only keep a summary here
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
   },
   title: {
     type: String,
     default: 'New Chat'
   },
   messages: [MessageSchema],
+  // Running summary of turns that have dropped out of the context window
+  summary: {
+    type: String,
+    default: ''
+  },
+  // Timestamp of the newest session message folded into the summary
+  summarizedUntil: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
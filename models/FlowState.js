@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// State of one multi-turn dialog (email drafting, scheduling...) in one chat session
+const FlowStateSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  flow: {
+    type: String,
+    required: true
+  },
+  stage: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// One active instance of each flow per session
+FlowStateSchema.index({ sessionId: 1, userId: 1, flow: 1 }, { unique: true });
+
+// Let MongoDB clean up abandoned flows some time after they expire
+FlowStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.models.FlowState || mongoose.model('FlowState', FlowStateSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A magic sign-in link sent by email. Only a hash of the token is stored, and a link works once.
+const LoginLinkSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for limiting how many links are sent to one address
+LoginLinkSchema.index({ email: 1, createdAt: -1 });
+
+// Let MongoDB remove links once they can no longer be used
+LoginLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.LoginLink || mongoose.model('LoginLink', LoginLinkSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A durable fact or preference about a user, shared across all their sessions
+const MemorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['preference', 'fact', 'person', 'other'],
+    default: 'fact'
+  },
+  // explicit: the user asked to remember it; extracted: picked up from conversation
+  source: {
+    type: String,
+    enum: ['explicit', 'extracted'],
+    default: 'explicit'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's memories in order
+MemorySchema.index({ userId: 1, createdAt: 1 });
+
+module.exports = mongoose.models.Memory || mongoose.model('Memory', MemorySchema);
@@ -5,6 +5,11 @@ const MessageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   role: {
     type: String,
     enum: ['user', 'assistant', 'system'],
@@ -24,6 +29,7 @@ const MessageSchema = new mongoose.Schema({
 
 // Create index for faster querying
 MessageSchema.index({ sessionId: 1, timestamp: -1 });
+MessageSchema.index({ sessionId: 1, userId: 1, timestamp: -1 });
 
 // Fixed model registration syntax
 module.exports = mongoose.models.Message || mongoose.model('Message', MessageSchema);
\ No newline at end of file
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// An email waiting to be sent: during the undo window after the user confirms it, or
+// until the time they scheduled it for. See services/outbox.js.
+const OutboxMessageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sending address, for users with several linked accounts
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: [String],
+    default: []
+  },
+  cc: {
+    type: [String],
+    default: []
+  },
+  bcc: {
+    type: [String],
+    default: []
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  formatted: {
+    type: Boolean,
+    default: false
+  },
+  // [{ uploadId, filename, contentType, inline }], see services/uploads.js
+  attachments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // { threadId, messageId, references, ... } of the email being answered
+  replyTo: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Id of a draft in the sending mailbox; the draft itself is sent, and leaves Drafts
+  // only once it has gone out
+  draftId: {
+    type: String,
+    default: null
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'canceled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // When a dispatcher claimed the message for sending
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the message is sent, failed or canceled
+  purgeAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Index for the dispatcher's search for due messages
+OutboxMessageSchema.index({ status: 1, sendAt: 1 });
+
+// Index for listing a user's outbox
+OutboxMessageSchema.index({ userId: 1, sendAt: 1 });
+
+// Let MongoDB remove finished messages after a while; queued ones have no purgeAt
+OutboxMessageSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.OutboxMessage || mongoose.model('OutboxMessage', OutboxMessageSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A file uploaded in the chat, kept for a day so it can be attached to an email
+const UploadSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true,
+    select: false // Loaded only when the file is sent
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for looking up a user's uploads
+UploadSchema.index({ userId: 1, createdAt: -1 });
+
+// Let MongoDB remove uploads once they expire
+UploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Upload || mongoose.model('Upload', UploadSchema);
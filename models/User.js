@@ -1,15 +1,57 @@
 const mongoose = require('mongoose');
 
+// One linked Google account. A user can link several, e.g. work and personal.
+const GoogleAccountSchema = new mongoose.Schema({
+  googleId: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Encrypted OAuth tokens; see services/auth/tokenCrypto.js
+  tokenData: Object,
+  // OAuth scopes granted for this account, as reported by Google with the tokens
+  scopes: {
+    type: [String],
+    default: []
+  },
+  // Set when Google rejects the stored refresh token; cleared when the account is linked again
+  reconsentRequired: {
+    type: Boolean,
+    default: false
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
+  // Google account of records made before several could be linked; see googleAccounts
   googleId: {
     type: String,
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
   },
   email: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // scrypt hash for local sign-in; see services/auth/localAuth.js
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  // True once the user proved they own the address (magic link or Google sign-in)
+  emailVerified: {
+    type: Boolean,
+    default: false
   },
   name: {
     type: String,
@@ -18,9 +60,32 @@ const UserSchema = new mongoose.Schema({
   firstName: String,
   lastName: String,
   profilePhoto: String,
+  // Linked Google accounts, each with its own tokens and scopes
+  googleAccounts: {
+    type: [GoogleAccountSchema],
+    default: [],
+    select: false // Won't be included in query results unless explicitly requested
+  },
+  // Account used for mail and new events unless the user picks another
+  primaryGoogleId: String,
+  // Single-account fields of older records, moved into googleAccounts on first use
   tokenData: {
     type: Object,
-    select: false // Won't be included in query results unless explicitly requested
+    select: false
+  },
+  googleScopes: [String],
+  googleReconsentRequired: Boolean,
+  // Own IMAP/SMTP mailbox used instead of Gmail: { provider, address, settings },
+  // where settings (servers and passwords) are encrypted like Google tokens
+  mailAccount: {
+    type: Object,
+    select: false
+  },
+  // Own CalDAV calendar used instead of the default one: { provider, settings },
+  // where settings (URL and password) are encrypted like Google tokens
+  calendarAccount: {
+    type: Object,
+    select: false
   },
   lastLogin: {
     type: Date,
@@ -34,5 +99,11 @@ const UserSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A Google account can only be linked to one user
+UserSchema.index(
+  { 'googleAccounts.googleId': 1 },
+  { unique: true, partialFilterExpression: { 'googleAccounts.googleId': { $exists: true } } }
+);
+
 // Fixed model registration syntax
 module.exports = mongoose.models.User || mongoose.model('User', UserSchema);
\ No newline at end of file
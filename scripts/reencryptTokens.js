@@ -0,0 +1,100 @@
+/**
+ * Re-encrypt every user's stored Google tokens, mailbox and calendar settings with the current encryption key.
+ * Run it after adding a key to ENCRYPTION_KEYS and making it ENCRYPTION_CURRENT_KID;
+ * the old key can be removed once no envelope uses it.
+ *
+ *   npm run reencrypt-tokens                      # migrate
+ *   npm run reencrypt-tokens -- --dry-run         # only count what would change
+ *   npm run reencrypt-tokens -- --allow-plaintext # also encrypt tokens stored unencrypted
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../db/connection');
+const User = require('../models/User');
+const { loadEncryptionKeys, needsReencryption, reencryptData } = require('../services/auth/tokenCrypto');
+
+// Envelopes of one user: each linked Google account's tokens, the single top-level
+// one of records that haven't been moved to googleAccounts yet, and the settings
+// of their own IMAP/SMTP mailbox and CalDAV/ICS calendar
+function tokenStores(user) {
+  const stores = (user.googleAccounts || [])
+    .filter(account => account.tokenData)
+    .map(account => ({
+      tokenData: account.tokenData,
+      filter: { googleAccounts: { $elemMatch: { googleId: account.googleId, tokenData: account.tokenData } } },
+      update: tokenData => ({ $set: { 'googleAccounts.$.tokenData': tokenData } })
+    }));
+  if (user.tokenData) {
+    stores.push({
+      tokenData: user.tokenData,
+      filter: { tokenData: user.tokenData },
+      update: tokenData => ({ tokenData })
+    });
+  }
+  if (user.mailAccount?.settings) {
+    stores.push({
+      tokenData: user.mailAccount.settings,
+      filter: { 'mailAccount.settings': user.mailAccount.settings },
+      update: settings => ({ $set: { 'mailAccount.settings': settings } })
+    });
+  }
+  if (user.calendarAccount?.settings) {
+    stores.push({
+      tokenData: user.calendarAccount.settings,
+      filter: { 'calendarAccount.settings': user.calendarAccount.settings },
+      update: settings => ({ $set: { 'calendarAccount.settings': settings } })
+    });
+  }
+  return stores;
+}
+
+async function reencryptTokens({ dryRun = false, allowPlaintext = false } = {}) {
+  const { current } = loadEncryptionKeys();
+  const counts = { checked: 0, migrated: 0, failed: 0 };
+
+  const cursor = User.find({
+    $or: [
+      { tokenData: { $exists: true } },
+      { 'googleAccounts.tokenData': { $exists: true } },
+      { 'mailAccount.settings': { $exists: true } },
+      { 'calendarAccount.settings': { $exists: true } }
+    ]
+  }).select('+tokenData +googleAccounts +mailAccount +calendarAccount').cursor();
+  for await (const user of cursor) {
+    for (const store of tokenStores(user)) {
+      counts.checked++;
+      if (!needsReencryption(store.tokenData)) continue;
+
+      try {
+        const tokenData = reencryptData(store.tokenData, { allowPlaintext });
+        if (!dryRun) {
+          // Skip tokens refreshed since they were read; they already use the current key
+          await User.updateOne({ _id: user._id, ...store.filter }, store.update(tokenData));
+        }
+        counts.migrated++;
+      } catch (error) {
+        counts.failed++;
+        console.error(`Could not re-encrypt tokens for user ${user._id}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${counts.migrated} of ${counts.checked} token sets with key "${current}"; ${counts.failed} failed`);
+  return counts;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  connectDB()
+    .then(() => reencryptTokens({ dryRun: args.includes('--dry-run'), allowPlaintext: args.includes('--allow-plaintext') }))
+    .then(counts => {
+      process.exitCode = counts.failed > 0 ? 1 : 0;
+    })
+    .catch(error => {
+      console.error('Re-encryption failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { reencryptTokens };
@@ -4,14 +4,27 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const chatService = require('./services/chat');
 const connectDB = require('./db/connection');
-const User = require('./models/User');
+const sessions = require('./services/auth/sessions');
+const localAuth = require('./services/auth/localAuth');
+const uploads = require('./services/uploads');
+const { loadEncryptionKeys } = require('./services/auth/tokenCrypto');
+const { getTransport } = require('./services/auth/linkTransport');
+
+// Fail at startup rather than sign tokens with a guessable secret,
+// store Google tokens unencrypted or print sign-in links to the log
+sessions.loadSigningKeys();
+loadEncryptionKeys();
+getTransport();
 
 // Connect to MongoDB
 connectDB();
 
+// Send queued and scheduled email, including anything queued before a restart
+require('./services/outbox').startDispatcher();
+
 const app = express();
 
 // Use Helmet for better security
@@ -19,77 +32,257 @@ app.use(helmet());
 
 // Use environment variables for production support
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
-const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret-key-here';
-const JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
 
 app.use(cors({
   origin: FRONTEND_URL,
   credentials: true
 }));
-app.use(express.json());
+// POST /uploads stores the body byte for byte with its own raw parser, whatever its type
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/uploads' ? next() : jsonParser(req, res, next)));
 app.use(cookieParser());
 
+// Access tokens live in the jwt cookie (or a Bearer header); the refresh token
+// cookie is only sent to /auth routes
+const REFRESH_COOKIE = 'refresh_token';
+
+const cookieOptions = (extra = {}) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  ...extra
+});
+
+const accessTokenFromRequest = (req) => req.cookies.jwt || req.headers.authorization?.split(' ')[1];
+
+// The access cookie outlives the token inside it, so an expired token reaches
+// the server and the client knows to refresh instead of silently signing out
+const setSessionCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('jwt', accessToken, cookieOptions({ maxAge: sessions.REFRESH_TOKEN_MAX_AGE }));
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions({ maxAge: sessions.REFRESH_TOKEN_MAX_AGE, path: '/auth' }));
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie('jwt', cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, cookieOptions({ path: '/auth' }));
+};
+
+const sessionMeta = (req) => ({ userAgent: req.get('user-agent') || '', ip: req.ip });
+
+const publicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  profilePhoto: user.profilePhoto
+});
+
+// Ties Google's redirect back to the browser that started sign-in. It has to be
+// sent on that cross-site redirect, hence lax rather than strict.
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const oauthStateCookieOptions = (extra = {}) => cookieOptions({ sameSite: 'lax', path: '/auth/google', ...extra });
+
 // Authentication middleware
 const authenticateJWT = async (req, res, next) => {
   try {
-    const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
+    const token = accessTokenFromRequest(req);
     
     if (!token) {
       return res.status(401).json({ message: 'Authentication required' });
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
-    
+    const { user, session } = await sessions.verifyAccessToken(token);
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    console.error('Auth middleware error:', error.message);
     return res.status(401).json({ message: 'Invalid or expired token' });
   }
 };
 
-// Optional auth middleware (doesn't require auth but attaches user if available)
+// Optional auth middleware (doesn't require auth but attaches user if available).
+// A token that is present but expired is still rejected so the client can refresh it.
 const optionalAuth = async (req, res, next) => {
+  const token = accessTokenFromRequest(req);
+  if (!token) {
+    return next();
+  }
+  
   try {
-    const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
-    
-    if (token) {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await User.findById(decoded.userId);
-      if (user) {
-        req.user = user;
-      }
-    }
-    
-    next();
+    const { user, session } = await sessions.verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
   } catch (error) {
-    // Just continue if token invalid
-    next();
+    return res.status(401).json({ message: 'Invalid or expired token' });
   }
+  next();
 };
 
+// CSRF defence for cookie-authenticated requests: state-changing requests must come
+// from a trusted origin and echo the csrf_token cookie in an X-CSRF-Token header
+// (double submit). Clients that authenticate with a Bearer header and send no
+// session cookies are not exposed to CSRF and skip the token check.
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const TRUSTED_ORIGINS = [FRONTEND_URL, ...(process.env.CSRF_TRUSTED_ORIGINS || '').split(',')]
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+const requestOrigin = (req) => {
+  if (req.get('origin')) return req.get('origin');
+  try {
+    return req.get('referer') ? new URL(req.get('referer')).origin : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const tokensMatch = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+  
+  // The server's own pages (public/) count as trusted too
+  const origin = requestOrigin(req);
+  const ownOrigin = `${req.protocol}://${req.get('host')}`;
+  if (origin && origin !== ownOrigin && !TRUSTED_ORIGINS.includes(origin)) {
+    return res.status(403).json({ message: 'Request origin not allowed', code: 'csrf_origin' });
+  }
+  
+  // The sign-in link's confirm page is a plain form on this server and can't send the
+  // header; the secret token in the form stands in for it, but only from this origin
+  if (req.path === '/auth/magic-link/verify') {
+    if (origin !== ownOrigin) {
+      return res.status(403).json({ message: 'Request origin not allowed', code: 'csrf_origin' });
+    }
+    return next();
+  }
+  
+  const usesCookies = req.cookies.jwt || req.cookies[REFRESH_COOKIE];
+  if (usesCookies && !tokensMatch(req.cookies[CSRF_COOKIE], req.get(CSRF_HEADER))) {
+    return res.status(403).json({ message: 'Missing or invalid CSRF token', code: 'csrf_token' });
+  }
+  
+  next();
+};
+
+app.use(csrfProtection);
+
+// Hand out the CSRF token; the cookie can't be read cross-origin, so it is also returned
+app.get('/auth/csrf', (req, res) => {
+    let token = req.cookies[CSRF_COOKIE];
+    if (!token) {
+        token = crypto.randomBytes(32).toString('hex');
+        res.cookie(CSRF_COOKIE, token, cookieOptions({ maxAge: sessions.REFRESH_TOKEN_MAX_AGE }));
+    }
+    res.json({ csrfToken: token });
+});
+
 // Serve static files
 app.use(express.static('public'));
 
+/**
+ * Read a chat request body. Besides free text, clients can send a structured
+ * reply to one of the previous response's actions, e.g.
+ *   { sessionId, action: 'select_slot', index: 2 }
+ * Any fields other than message/sessionId/action/uploads/timeZone are the action's params.
+ * uploads are the ids of files sent with the message (see POST /uploads), and timeZone
+ * the client's IANA time zone, used for times the user names ("tomorrow at 8am").
+ * @param {Object} body - Request body
+ * @returns {Object} { message, sessionId, action, uploads, timeZone }
+ */
+function parseChatBody(body = {}) {
+    const { message, sessionId, action, uploads: uploadIds, timeZone, ...params } = body;
+    return {
+        message,
+        sessionId: sessionId || 'default',
+        action: typeof action === 'string' && action ? { name: action, params } : null,
+        uploads: Array.isArray(uploadIds) ? uploadIds : [],
+        timeZone: typeof timeZone === 'string' && timeZone ? timeZone : null
+    };
+}
+
+// Upload a file to attach to an email. The body is the file itself; the name comes
+// in ?filename= and the type in Content-Type. Uploads expire after a day.
+app.post('/uploads', authenticateJWT, express.raw({ type: () => true, limit: uploads.UPLOAD_MAX_BYTES }), async (req, res, next) => {
+    try {
+        const result = await uploads.saveUpload({
+            userId: req.user._id,
+            filename: req.query.filename,
+            contentType: req.get('Content-Type'),
+            data: req.body
+        });
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Chat endpoint with authentication
 app.post('/chat', optionalAuth, async (req, res, next) => {
     try {
-        const userInput = req.body.message;
-        const sessionId = req.body.sessionId || 'default';
+        const { message: userInput, sessionId, action, uploads: uploadIds, timeZone } = parseChatBody(req.body);
         const userId = req.user?._id;
         
-        const response = await chatService.processInput(userInput, sessionId, userId);
-        res.json({ response });
+        const { text, type, data, actions } = await chatService.processInput(userInput, sessionId, userId, { action, uploads: uploadIds, timeZone });
+        res.json({ response: text, type, data, actions });
     } catch (error) {
         next(error);
     }
 });
 
+// Streaming chat endpoint: progress and answer chunks as Server-Sent Events
+//   event: progress  data: { message }
+//   event: token     data: { text }
+//   event: done      data: { response, type, data, actions }
+//   event: error     data: { error }
+app.post('/chat/stream', optionalAuth, async (req, res) => {
+    const { message: userInput, sessionId, action, uploads: uploadIds, timeZone } = parseChatBody(req.body);
+    const userId = req.user?._id;
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // Keep processing if the client goes away so the turn is still recorded
+    let clientGone = false;
+    req.on('close', () => { clientGone = true; });
+    
+    const send = (event, data) => {
+        if (clientGone) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    try {
+        const { text, type, data, actions } = await chatService.processInput(userInput, sessionId, userId, {
+            action,
+            uploads: uploadIds,
+            timeZone,
+            onProgress: (message) => send('progress', { message }),
+            onToken: (text) => send('token', { text })
+        });
+        send('done', { response: text, type, data, actions });
+    } catch (error) {
+        console.error('Streaming chat error:', error);
+        send('error', { error: "Internal Server Error" });
+    }
+    
+    res.end();
+});
+
 // Add endpoint to retrieve conversation history (requires auth)
 app.get('/history/:sessionId', authenticateJWT, async (req, res, next) => {
     try {
@@ -126,34 +319,26 @@ app.get('/auth/google/callback', async (req, res) => {
             return res.status(400).send('No authorization code provided');
         }
         
-        const { exchangeCodeForTokens } = require('./services/auth/googleAuth');
-        const { userInfo } = await exchangeCodeForTokens(code);
-        
-        // Find user in database
-        const user = await User.findOne({ googleId: userInfo.googleId });
-        if (!user) {
-            return res.status(404).redirect(`${FRONTEND_URL}/auth-error?error=user_not_found`);
+        const state = sessions.verifyOAuthState(req.query.state);
+        if (!state || !tokensMatch(state.nonce, req.cookies[OAUTH_STATE_COOKIE])) {
+            return res.redirect(`${FRONTEND_URL}/auth-error?error=invalid_state`);
         }
+        res.clearCookie(OAUTH_STATE_COOKIE, oauthStateCookieOptions());
         
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id, email: user.email },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRY }
-        );
+        const { exchangeCodeForTokens } = require('./services/auth/googleAuth');
+        const { user } = await exchangeCodeForTokens(code, { linkUserId: state.linkUserId });
         
-        // Set cookie with JWT token
-        res.cookie('jwt', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 604800000 // 7 days
-        });
+        // Linking Google to a signed-in account keeps that browser's session;
+        // otherwise start one: short-lived access token plus a rotating refresh token
+        if (!state.linkUserId) {
+            setSessionCookies(res, await sessions.createSession(user, sessionMeta(req)));
+        }
         
         res.redirect(`${FRONTEND_URL}/auth-success`);
     } catch (error) {
         console.error('Error in auth callback:', error);
-        res.redirect(`${FRONTEND_URL}/auth-error?error=server_error`);
+        const reason = ['google_account_in_use', 'account_exists'].includes(error.code) ? error.code : 'server_error';
+        res.redirect(`${FRONTEND_URL}/auth-error?error=${reason}`);
     }
 });
 
@@ -161,66 +346,266 @@ app.get('/auth/google/callback', async (req, res) => {
 app.get('/user/me', authenticateJWT, async (req, res) => {
     try {
         // Return user info without sensitive data
-        const userData = {
-            id: req.user._id,
-            name: req.user.name,
-            email: req.user.email,
-            profilePhoto: req.user.profilePhoto
-        };
-        
-        res.json(userData);
+        res.json(publicUser(req.user));
     } catch (error) {
         console.error('Error getting user info:', error);
         res.status(500).json({ error: "Error retrieving user data" });
     }
 });
 
+// The user's own IMAP/SMTP mailbox, used instead of Gmail when set
+app.get('/mail/account', authenticateJWT, async (req, res) => {
+    try {
+        const { loadMailAccount } = require('./services/mail');
+        const account = await loadMailAccount(req.user._id);
+        res.json(account
+            ? { provider: account.provider, address: account.address }
+            : { provider: 'gmail', address: null });
+    } catch (error) {
+        console.error('Error reading mail account:', error);
+        res.status(500).json({ error: "Error reading mail account" });
+    }
+});
+
+// Body: { provider: 'imap', address, imap: { host, port, secure, user, pass }, smtp: { host, port, secure, user, pass } }
+app.put('/mail/account', authenticateJWT, async (req, res) => {
+    try {
+        const { saveMailAccount } = require('./services/mail');
+        const result = await saveMailAccount(req.user._id, req.body || {});
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ provider: req.body.provider || 'imap', address: result.address });
+    } catch (error) {
+        console.error('Error saving mail account:', error);
+        res.status(500).json({ error: "Error saving mail account" });
+    }
+});
+
+app.delete('/mail/account', authenticateJWT, async (req, res) => {
+    try {
+        const { removeMailAccount } = require('./services/mail');
+        await removeMailAccount(req.user._id);
+        res.json({ provider: 'gmail' });
+    } catch (error) {
+        console.error('Error removing mail account:', error);
+        res.status(500).json({ error: "Error removing mail account" });
+    }
+});
+
+// Drafts in the user's mailboxes. account is the address of the mailbox holding a
+// draft, as listed by GET /drafts; without it the default mailbox is used.
+app.get('/drafts', authenticateJWT, async (req, res) => {
+    try {
+        const { listDrafts } = require('./services/drafts');
+        const maxResults = Math.min(Number(req.query.limit) || 10, 50);
+        res.json({ drafts: await listDrafts(req.user._id, { maxResults }) });
+    } catch (error) {
+        console.error('Error listing drafts:', error);
+        res.status(500).json({ error: "Error listing drafts" });
+    }
+});
+
+app.get('/drafts/:id', authenticateJWT, async (req, res) => {
+    try {
+        const { openDraft } = require('./services/drafts');
+        const draft = await openDraft(req.user._id, req.params.id, req.query.account || null);
+        if (!draft) {
+            return res.status(404).json({ error: "Draft not found" });
+        }
+        res.json({ draft });
+    } catch (error) {
+        console.error('Error opening draft:', error);
+        res.status(500).json({ error: "Error opening draft" });
+    }
+});
+
+// Body: { to, cc, bcc, subject, body, instructions }, all optional; instructions asks for a
+// rewrite of the body, e.g. "make it shorter". The draft's id may change.
+app.patch('/drafts/:id', authenticateJWT, async (req, res) => {
+    try {
+        const { reviseDraft } = require('./services/drafts');
+        const { to, cc, bcc, subject, body, instructions } = req.body || {};
+        const draft = await reviseDraft(req.user._id, req.params.id, req.query.account || null, { to, cc, bcc, subject, body, instructions });
+        if (!draft) {
+            return res.status(404).json({ error: "Draft not found" });
+        }
+        res.json({ draft });
+    } catch (error) {
+        console.error('Error updating draft:', error);
+        res.status(500).json({ error: "Error updating draft" });
+    }
+});
+
+app.post('/drafts/:id/send', authenticateJWT, async (req, res) => {
+    try {
+        const { sendDraft } = require('./services/drafts');
+        const result = await sendDraft(req.user._id, req.params.id, req.query.account || null);
+        if (!result) {
+            return res.status(404).json({ error: "Draft not found" });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        // Queued in the outbox; DELETE /outbox/:id undoes the send
+        res.json({ message: result });
+    } catch (error) {
+        console.error('Error sending draft:', error);
+        res.status(500).json({ error: "Error sending draft" });
+    }
+});
+
+app.delete('/drafts/:id', authenticateJWT, async (req, res) => {
+    try {
+        const { deleteDraft } = require('./services/drafts');
+        if (!await deleteDraft(req.user._id, req.params.id, req.query.account || null)) {
+            return res.status(404).json({ error: "Draft not found" });
+        }
+        res.json({ deleted: true });
+    } catch (error) {
+        console.error('Error deleting draft:', error);
+        res.status(500).json({ error: "Error deleting draft" });
+    }
+});
+
+// Email waiting to be sent: confirmed emails during the undo window, and scheduled ones.
+// ?status=queued,failed picks which to list (default: queued and sending).
+app.get('/outbox', authenticateJWT, async (req, res) => {
+    try {
+        const { listOutbox } = require('./services/outbox');
+        const statuses = String(req.query.status || 'queued,sending').split(',').map(status => status.trim()).filter(Boolean);
+        res.json({ messages: await listOutbox(req.user._id, { statuses }) });
+    } catch (error) {
+        console.error('Error listing outbox:', error);
+        res.status(500).json({ error: "Error listing outbox" });
+    }
+});
+
+// Body: { sendAt } as an ISO date in the future
+app.patch('/outbox/:id', authenticateJWT, async (req, res) => {
+    try {
+        const { rescheduleOutbox } = require('./services/outbox');
+        const result = await rescheduleOutbox(req.user._id, req.params.id, req.body?.sendAt);
+        if (!result) {
+            return res.status(404).json({ error: "No queued email with that id" });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ message: result });
+    } catch (error) {
+        console.error('Error rescheduling email:', error);
+        res.status(500).json({ error: "Error rescheduling email" });
+    }
+});
+
+// Cancel a queued email, e.g. to undo a send
+app.delete('/outbox/:id', authenticateJWT, async (req, res) => {
+    try {
+        const { cancelOutbox } = require('./services/outbox');
+        const message = await cancelOutbox(req.user._id, req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: "No queued email with that id" });
+        }
+        res.json({ message });
+    } catch (error) {
+        console.error('Error canceling email:', error);
+        res.status(500).json({ error: "Error canceling email" });
+    }
+});
+
+// The user's own CalDAV calendar, used instead of the default calendar when set
+app.get('/calendar/account', authenticateJWT, async (req, res) => {
+    try {
+        const { loadCalendarAccount, DEFAULT_PROVIDER } = require('./services/calendar/providers');
+        const account = await loadCalendarAccount(req.user._id);
+        res.json(account
+            ? { provider: account.provider, url: account.settings.url }
+            : { provider: DEFAULT_PROVIDER, url: null });
+    } catch (error) {
+        console.error('Error reading calendar account:', error);
+        res.status(500).json({ error: "Error reading calendar account" });
+    }
+});
+
+// Body: { provider: 'caldav', url, username, password } where url is the calendar collection
+app.put('/calendar/account', authenticateJWT, async (req, res) => {
+    try {
+        const { saveCalendarAccount } = require('./services/calendar/providers');
+        const result = await saveCalendarAccount(req.user._id, req.body || {});
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({ provider: result.provider, url: req.body.url });
+    } catch (error) {
+        console.error('Error saving calendar account:', error);
+        res.status(500).json({ error: "Error saving calendar account" });
+    }
+});
+
+app.delete('/calendar/account', authenticateJWT, async (req, res) => {
+    try {
+        const { removeCalendarAccount, DEFAULT_PROVIDER } = require('./services/calendar/providers');
+        await removeCalendarAccount(req.user._id);
+        res.json({ provider: DEFAULT_PROVIDER });
+    } catch (error) {
+        console.error('Error removing calendar account:', error);
+        res.status(500).json({ error: "Error removing calendar account" });
+    }
+});
+
 app.get('/auth/status', async (req, res) => {
     try {
-        const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
+        const token = accessTokenFromRequest(req);
         
         if (!token) {
             return res.json({ authenticated: false, reason: "no_token" });
         }
         
         try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            const user = await User.findById(decoded.userId);
+            const { user } = await sessions.verifyAccessToken(token);
             
-            if (!user) {
-                return res.json({ authenticated: false, reason: "user_not_found" });
-            }
+            const { getGoogleStatus, getAuthClient, listGoogleAccounts } = require('./services/auth/googleAuth');
             
-            const { getAuthClient, tokenExists } = require('./services/auth/googleAuth');
-            const hasToken = await tokenExists();
+            const userData = publicUser(user);
             
-            if (!hasToken) {
-                return res.json({ authenticated: false, reason: "no_token_file" });
+            // Accounts made with a password or magic link work without Google
+            if (await getGoogleStatus(user._id) === 'not_connected') {
+                return res.json({
+                    authenticated: true,
+                    googleConnected: false,
+                    user: userData,
+                    services: {
+                        gmail: false,
+                        calendar: false
+                    }
+                });
             }
             
             try {
-                const authClient = await getAuthClient(true);
-                if (authClient) {
-                    const { getCalendarClient } = require('./services/auth/googleAuth');
-                    const calendar = await getCalendarClient(true);
-                    await calendar.calendarList.list({ maxResults: 1 });
-                    
-                    res.json({ 
-                        authenticated: true,
-                        user: {
-                            id: user._id,
-                            name: user.name,
-                            email: user.email,
-                            profilePhoto: user.profilePhoto
-                        },
-                        services: {
-                            gmail: true,
-                            calendar: true
-                        }
-                    });
-                } else {
-                    res.json({ authenticated: false, reason: "invalid_token" });
-                }
+                // Refreshes each account's access token; flags it for re-consent if Google rejects it
+                const linked = await listGoogleAccounts(user._id);
+                await Promise.all(linked
+                    .filter(account => account.connected && !account.reconnectRequired)
+                    .map(account => getAuthClient(user._id, account.id)));
+                
+                const googleAccounts = await listGoogleAccounts(user._id);
+                const usable = googleAccounts.filter(account => account.connected && !account.reconnectRequired);
+                const groups = usable.flatMap(account => account.scopeGroups);
+                const reconnect = googleAccounts.find(account => account.connected && account.reconnectRequired);
+                
+                res.json({
+                    authenticated: true,
+                    googleConnected: true,
+                    // Still signed in to the app, but a Google account has to be reconnected
+                    ...(reconnect ? { reconnectRequired: true, reason: "google_reconsent_required", reconnectAccount: reconnect.email } : {}),
+                    user: userData,
+                    googleAccounts,
+                    services: {
+                        gmail: groups.includes('email'),
+                        calendar: groups.includes('calendar')
+                    }
+                });
             } catch (error) {
                 res.json({ 
                     authenticated: false,
@@ -238,10 +623,36 @@ app.get('/auth/status', async (req, res) => {
     }
 });
 
+// Sign in with Google; ?scopes=email,calendar also asks for those features.
+// A user who is already signed in links the Google account to their account instead:
+// ?add=1 lets them pick another Google account, ?account=<email> preselects one.
 app.get('/auth/google', async (req, res) => {
     try {
-        const { getAuthUrl } = require('./services/auth/googleAuth');
-        const authUrl = await getAuthUrl();
+        const { getAuthUrl, OPTIONAL_SCOPE_GROUPS } = require('./services/auth/googleAuth');
+        const groups = String(req.query.scopes || '').split(',').map(group => group.trim()).filter(Boolean);
+        const unknown = groups.filter(group => !OPTIONAL_SCOPE_GROUPS.includes(group));
+        if (unknown.length > 0) {
+            return res.status(400).send(`Unknown scope group: ${unknown.join(', ')}`);
+        }
+        
+        let linkUserId;
+        const token = accessTokenFromRequest(req);
+        if (token) {
+            try {
+                const { user } = await sessions.verifyAccessToken(token);
+                linkUserId = String(user._id);
+            } catch (error) {
+                // Expired or revoked; treat it as a fresh sign-in
+            }
+        }
+        
+        const nonce = crypto.randomBytes(16).toString('hex');
+        res.cookie(OAUTH_STATE_COOKIE, nonce, oauthStateCookieOptions({ maxAge: 10 * 60 * 1000 }));
+        
+        const authUrl = await getAuthUrl(groups, sessions.signOAuthState({ nonce, linkUserId }), {
+            loginHint: req.query.account ? String(req.query.account) : undefined,
+            selectAccount: Boolean(linkUserId && req.query.add)
+        });
         res.redirect(authUrl);
     } catch (error) {
         console.error('Auth error:', error);
@@ -249,31 +660,290 @@ app.get('/auth/google', async (req, res) => {
     }
 });
 
-app.get('/auth/logout', async (req, res) => {
+// Revoke one feature's Google access (of ?account=<email>, or the account used for it);
+// the client follows reauthUrl to keep the others
+app.delete('/auth/google/scopes/:group', authenticateJWT, async (req, res) => {
+    try {
+        const { revokeScopeGroup, OPTIONAL_SCOPE_GROUPS } = require('./services/auth/googleAuth');
+        if (!OPTIONAL_SCOPE_GROUPS.includes(req.params.group)) {
+            return res.status(404).json({ error: "Unknown scope group" });
+        }
+        
+        const { remaining, email } = await revokeScopeGroup(req.user._id, req.params.group, req.query.account || null);
+        const query = new URLSearchParams();
+        if (remaining.length > 0) query.set('scopes', remaining.join(','));
+        if (email) query.set('account', email);
+        const search = query.toString() ? `?${query}` : '';
+        res.json({ revoked: req.params.group, reauthUrl: `${req.protocol}://${req.get('host')}/auth/google${search}` });
+    } catch (error) {
+        console.error('Error revoking scope group:', error);
+        res.status(500).json({ error: "Error revoking access" });
+    }
+});
+
+// Google accounts linked to the signed-in user, e.g. work and personal
+app.get('/auth/google/accounts', authenticateJWT, async (req, res) => {
     try {
-        // Clear JWT cookie
-        res.clearCookie('jwt');
+        const { listGoogleAccounts } = require('./services/auth/googleAuth');
+        res.json({ accounts: await listGoogleAccounts(req.user._id) });
+    } catch (error) {
+        console.error('Error listing Google accounts:', error);
+        res.status(500).json({ error: "Error listing Google accounts" });
+    }
+});
+
+// Use this account for mail and new events unless the user picks another
+app.post('/auth/google/accounts/:id/primary', authenticateJWT, async (req, res) => {
+    try {
+        const { setPrimaryGoogleAccount, listGoogleAccounts } = require('./services/auth/googleAuth');
+        if (!await setPrimaryGoogleAccount(req.user._id, req.params.id)) {
+            return res.status(404).json({ error: "Google account not found" });
+        }
+        res.json({ accounts: await listGoogleAccounts(req.user._id) });
+    } catch (error) {
+        console.error('Error setting primary Google account:', error);
+        res.status(500).json({ error: "Error updating Google account" });
+    }
+});
+
+// Revoke a Google account's access and unlink it
+app.delete('/auth/google/accounts/:id', authenticateJWT, async (req, res) => {
+    try {
+        const { unlinkGoogleAccount, listGoogleAccounts } = require('./services/auth/googleAuth');
+        if (!await unlinkGoogleAccount(req.user._id, req.params.id)) {
+            return res.status(404).json({ error: "Google account not found" });
+        }
+        res.json({ accounts: await listGoogleAccounts(req.user._id) });
+    } catch (error) {
+        console.error('Error unlinking Google account:', error);
+        res.status(500).json({ error: "Error unlinking Google account" });
+    }
+});
+
+// Local accounts: email and password
+app.post('/auth/local/signup', async (req, res) => {
+    try {
+        const { email, password, name } = req.body || {};
+        const result = await localAuth.signup({ email, password, name });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
         
-        const fs = require('fs').promises;
-        const path = require('path');
-        const TOKEN_PATH = process.env.GOOGLE_TOKEN_PATH || path.join(process.cwd(), 'google_token.json');
+        setSessionCookies(res, await sessions.createSession(result.user, sessionMeta(req)));
+        res.status(201).json({ user: publicUser(result.user) });
+    } catch (error) {
+        console.error('Error signing up:', error);
+        res.status(500).json({ error: "Error creating account" });
+    }
+});
+
+app.post('/auth/local/login', async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+        const result = await localAuth.login({ email, password });
+        if (result.error) {
+            return res.status(401).json({ error: result.error });
+        }
         
-        try {
-            await fs.unlink(TOKEN_PATH);
-            console.log('Token file deleted successfully');
-        } catch (error) {
-            console.log('No token file found to delete');
+        setSessionCookies(res, await sessions.createSession(result.user, sessionMeta(req)));
+        res.json({ user: publicUser(result.user) });
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ error: "Error signing in" });
+    }
+});
+
+// Set or change the password, e.g. after signing up with a magic link or Google
+app.post('/auth/local/password', authenticateJWT, async (req, res) => {
+    try {
+        const result = await localAuth.setPassword(req.user._id, req.body?.password);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error setting password:', error);
+        res.status(500).json({ error: "Error setting password" });
+    }
+});
+
+// Email a one-time sign-in link. The answer is the same whether or not the
+// address has an account, so it can't be used to look accounts up.
+app.post('/auth/magic-link', async (req, res) => {
+    try {
+        await localAuth.requestMagicLink(req.body?.email);
+        res.json({ sent: true });
+    } catch (error) {
+        console.error('Error sending sign-in link:', error);
+        res.status(500).json({ error: "Error sending sign-in link" });
+    }
+});
+
+// Mail scanners and link previews open links too, so opening one only shows a
+// confirm page; the token is used when the user presses the button
+const MAGIC_LINK_VERIFY_PATH = '/auth/magic-link/verify';
+const MAGIC_LINK_TOKEN = /^[A-Za-z0-9_-]{20,100}$/;
+
+const magicLinkConfirmPage = (token) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Sign in</title>
+</head>
+<body>
+    <form method="POST" action="${MAGIC_LINK_VERIFY_PATH}">
+        <input type="hidden" name="token" value="${token}">
+        <p>Press the button to finish signing in.</p>
+        <button type="submit">Sign in</button>
+    </form>
+</body>
+</html>`;
+
+app.get(MAGIC_LINK_VERIFY_PATH, (req, res) => {
+    const token = req.query.token;
+    // Only base64url tokens are issued, so nothing else needs escaping on the page
+    if (typeof token !== 'string' || !MAGIC_LINK_TOKEN.test(token)) {
+        return res.redirect(`${FRONTEND_URL}/auth-error?error=invalid_link`);
+    }
+    // Helmet's no-referrer policy would make the browser send "Origin: null" with the form
+    res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'same-origin' });
+    res.type('html').send(magicLinkConfirmPage(token));
+});
+
+app.post(MAGIC_LINK_VERIFY_PATH, express.urlencoded({ extended: false }), async (req, res) => {
+    try {
+        const user = await localAuth.consumeMagicLink(req.body?.token);
+        if (!user) {
+            return res.redirect(303, `${FRONTEND_URL}/auth-error?error=invalid_link`);
+        }
+        
+        setSessionCookies(res, await sessions.createSession(user, sessionMeta(req)));
+        res.redirect(303, `${FRONTEND_URL}/auth-success`);
+    } catch (error) {
+        console.error('Error verifying sign-in link:', error);
+        res.redirect(303, `${FRONTEND_URL}/auth-error?error=server_error`);
+    }
+});
+
+// Swap the refresh token for a new access token and a new refresh token
+app.post('/auth/refresh', async (req, res) => {
+    try {
+        const tokens = await sessions.refreshSession(req.cookies[REFRESH_COOKIE], sessionMeta(req));
+        if (!tokens) {
+            clearSessionCookies(res);
+            return res.status(401).json({ message: 'Session expired' });
+        }
+        // Another request refreshed the session a moment ago; keep the cookies it set
+        if (tokens.superseded) {
+            return res.json({ refreshed: false, superseded: true });
+        }
+        
+        setSessionCookies(res, tokens);
+        res.json({ refreshed: true });
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        res.status(500).json({ error: "Error refreshing session" });
+    }
+});
+
+// Active sessions for the signed-in user
+app.get('/auth/sessions', authenticateJWT, async (req, res) => {
+    try {
+        const list = await sessions.listSessions(req.user._id);
+        res.json({
+            sessions: list.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: String(session._id) === String(req.authSession._id)
+            }))
+        });
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({ error: "Error listing sessions" });
+    }
+});
+
+// Sign out one device
+app.delete('/auth/sessions/:id', authenticateJWT, async (req, res) => {
+    try {
+        const revoked = await sessions.revokeSession(req.user._id, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        if (req.params.id === String(req.authSession._id)) {
+            clearSessionCookies(res);
+        }
+        res.json({ revoked: true });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: "Error revoking session" });
+    }
+});
+
+// Log out of all devices
+app.post('/auth/logout-all', authenticateJWT, async (req, res) => {
+    try {
+        const count = await sessions.revokeAllSessions(req.user._id);
+        clearSessionCookies(res);
+        res.json({ revoked: count });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ error: "Error logging out of all devices" });
+    }
+});
+
+// Revoke the user's Google grant server-side and sign them out
+app.post('/auth/revoke', authenticateJWT, async (req, res) => {
+    try {
+        const { revokeGoogleAccess } = require('./services/auth/googleAuth');
+        const revoked = await revokeGoogleAccess(req.user._id);
+        
+        await sessions.revokeSession(req.user._id, req.authSession._id);
+        clearSessionCookies(res);
+        res.json({ revoked });
+    } catch (error) {
+        console.error('Error revoking Google access:', error);
+        res.status(500).json({ error: "Error revoking Google access" });
+    }
+});
+
+app.post('/auth/logout', async (req, res) => {
+    try {
+        // Other users' Google connections are untouched; only this user's cached client goes
+        const token = accessTokenFromRequest(req);
+        if (token) {
+            try {
+                const { user } = await sessions.verifyAccessToken(token);
+                const { clearAuthClient } = require('./services/auth/googleAuth');
+                clearAuthClient(user._id);
+            } catch (error) {
+                // Expired access token; the refresh token below still ends the session
+            }
         }
         
-        res.redirect(`${FRONTEND_URL}/logout`);
+        // End this device's session, even if its access token already expired
+        if (req.cookies[REFRESH_COOKIE]) {
+            await sessions.revokeRefreshToken(req.cookies[REFRESH_COOKIE]);
+        }
+        
+        clearSessionCookies(res);
+        
+        res.json({ loggedOut: true });
     } catch (error) {
         console.error('Logout error:', error);
-        res.status(500).send('Error during logout');
+        res.status(500).json({ error: "Error during logout" });
     }
 });
 
 // Global error handler (for scalability)
 app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ message: "Request too large" });
+    }
     console.error('Unhandled error:', err);
     res.status(500).json({ error: "Internal Server Error" });
 });
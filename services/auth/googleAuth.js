@@ -1,116 +1,344 @@
 const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
-const { authenticate } = require('@google-cloud/local-auth');
 const User = require('../../models/User');
-const crypto = require('crypto');
-
-const SCOPES = [
-  'https://www.googleapis.com/auth/gmail.readonly',
-  'https://www.googleapis.com/auth/gmail.send',
-  'https://www.googleapis.com/auth/calendar',
-  'https://www.googleapis.com/auth/calendar.events',
-  'https://www.googleapis.com/auth/userinfo.email',
-  'https://www.googleapis.com/auth/userinfo.profile'
-];
-
-// Use environment variable for token storage when available.  
-const TOKEN_PATH = process.env.GOOGLE_TOKEN_PATH || path.join(process.cwd(), 'google_token.json');
+const { encryptData, decryptData } = require('./tokenCrypto');
+
+// Scopes are requested per feature: sign-in only asks for the profile, and the
+// email and calendar groups are added the first time those skills are used
+const SCOPE_GROUPS = {
+  profile: {
+    label: 'Google profile',
+    scopes: [
+      'https://www.googleapis.com/auth/userinfo.email',
+      'https://www.googleapis.com/auth/userinfo.profile'
+    ]
+  },
+  email: {
+    label: 'Gmail',
+    scopes: [
+      'https://www.googleapis.com/auth/gmail.readonly',
+      'https://www.googleapis.com/auth/gmail.send'
+    ]
+  },
+  calendar: {
+    label: 'Google Calendar',
+    scopes: [
+      'https://www.googleapis.com/auth/calendar',
+      'https://www.googleapis.com/auth/calendar.events'
+    ]
+  }
+};
+
+// Groups a user can grant and revoke on their own; the profile comes with sign-in
+const OPTIONAL_SCOPE_GROUPS = ['email', 'calendar'];
+
 const CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH || path.join(process.cwd(), 'credentials.json');
 const REDIRECT_URL = process.env.GOOGLE_REDIRECT_URL || 'http://localhost:3000/auth/google/callback';
 
-let authClient = null;
-let gmailClient = null;
-let calendarClient = null;
-let lastClientRefresh = 0;
+// OAuth clients per user and Google account, rebuilt from the stored tokens now and then
+const userClients = new Map();
 const CLIENT_REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
 
-// Encrypt tokens before storing in DB
-function encryptData(data, key = process.env.ENCRYPTION_KEY) {
-  if (!key) {
-    console.warn('No encryption key found. Using less secure storage.');
-    return JSON.stringify(data);
+async function loadClientKeys() {
+  const content = await fs.readFile(CREDENTIALS_PATH);
+  const keys = JSON.parse(content);
+  return keys.installed || keys.web;
+}
+
+async function createOAuthClient() {
+  const key = await loadClientKeys();
+  return new google.auth.OAuth2(
+    key.client_id,
+    key.client_secret,
+    REDIRECT_URL
+  );
+}
+
+/**
+ * Load a user's linked Google accounts. Records made before several accounts could
+ * be linked keep their one account in top-level fields; it is moved into
+ * googleAccounts here, the first time it's needed.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { user, accounts }, or null if there is no such user
+ */
+async function loadGoogleAccounts(userId) {
+  const user = await User.findById(userId).select('+googleAccounts +tokenData');
+  if (!user) return null;
+
+  if (user.googleAccounts.length === 0 && user.tokenData) {
+    const account = {
+      googleId: user.googleId,
+      email: user.email,
+      tokenData: user.tokenData,
+      scopes: user.googleScopes || [],
+      reconsentRequired: Boolean(user.googleReconsentRequired),
+      linkedAt: user.createdAt
+    };
+    await User.updateOne(
+      { _id: user._id, 'googleAccounts.0': { $exists: false } },
+      {
+        $set: { googleAccounts: [account], primaryGoogleId: user.googleId },
+        $unset: { tokenData: 1, googleScopes: 1, googleReconsentRequired: 1 }
+      }
+    );
+    return { user, accounts: [account] };
+  }
+
+  return { user, accounts: user.googleAccounts.map(account => account.toObject()) };
+}
+
+/**
+ * Pick one of a user's Google accounts
+ * @param {Object} loaded - Result of loadGoogleAccounts
+ * @param {string} accountId - Google account ID or email address; if omitted, the
+ *                             primary account, or the first usable one with `group`
+ *                             when the primary account lacks it
+ * @param {string} group - Optional scope group the caller needs, e.g. 'calendar'
+ * @returns {Object|null} Account, or null if there is no such account
+ */
+function pickAccount({ user, accounts }, accountId = null, group = null) {
+  if (accountId) {
+    const wanted = String(accountId).toLowerCase();
+    return accounts.find(account => account.googleId === String(accountId) || account.email === wanted) || null;
   }
-  
+
+  const isPrimary = account => account.googleId === user.primaryGoogleId;
+  const candidates = group
+    ? accounts.filter(account => !account.reconsentRequired && groupsForScopes(grantedScopes(account)).includes(group))
+    : accounts;
+  return candidates.find(isPrimary) || candidates[0] || accounts.find(isPrimary) || accounts[0] || null;
+}
+
+/**
+ * Read the decrypted tokens of one of a user's Google accounts
+ * @param {string} userId - User ID
+ * @param {string} accountId - Google account ID or email; the primary account if omitted
+ * @returns {Promise<Object|null>} Tokens, or null if that account isn't connected
+ */
+async function loadUserTokens(userId, accountId = null) {
+  const loaded = await loadGoogleAccounts(userId);
+  const account = loaded && pickAccount(loaded, accountId);
+  if (!account || !account.tokenData) return null;
+  return decryptData(account.tokenData);
+}
+
+// Google only sends a refresh token on consent, so keep the stored one otherwise
+function mergeTokens(previous, tokens) {
+  const merged = { ...previous, ...tokens };
+  if (!tokens.refresh_token && previous.refresh_token) {
+    merged.refresh_token = previous.refresh_token;
+  }
+  return merged;
+}
+
+// Set fields of one linked account without touching the others
+async function updateAccount(userId, googleId, fields) {
+  const $set = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    $set[`googleAccounts.$.${key}`] = value;
+  });
+  await User.updateOne({ _id: userId, 'googleAccounts.googleId': googleId }, { $set });
+}
+
+/**
+ * Store refreshed tokens for one of a user's Google accounts
+ * @param {string} userId - User ID
+ * @param {string} googleId - Google account ID
+ * @param {Object} tokens - Tokens from Google
+ * @param {Object} previous - Tokens stored before
+ * @returns {Promise<Object>} The merged tokens
+ */
+async function saveUserTokens(userId, googleId, tokens, previous = {}) {
+  const merged = mergeTokens(previous, tokens);
+  const fields = { tokenData: encryptData(merged) };
+  if (tokens.scope) {
+    fields.scopes = parseScopes(tokens.scope);
+  }
+  await updateAccount(userId, googleId, fields);
+  return merged;
+}
+
+// Google reports granted scopes as one space-separated string
+function parseScopes(scope) {
+  return (scope || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Scope groups fully covered by a set of granted scopes
+ * @param {Array} scopes - Granted scopes
+ * @returns {Array} Group names
+ */
+function groupsForScopes(scopes) {
+  return Object.keys(SCOPE_GROUPS).filter(group =>
+    SCOPE_GROUPS[group].scopes.every(scope => scopes.includes(scope))
+  );
+}
+
+/**
+ * Scopes granted for an account; older records only have them inside the tokens
+ * @param {Object} account - Linked Google account
+ * @returns {Array} Granted scopes
+ */
+function grantedScopes(account) {
+  if (account.scopes && account.scopes.length > 0) {
+    return account.scopes;
+  }
+  return account.tokenData ? parseScopes(decryptData(account.tokenData).scope) : [];
+}
+
+/**
+ * List the scope groups a user has granted
+ * @param {string} userId - User ID
+ * @param {string} accountId - Google account ID or email; any linked account if omitted
+ * @returns {Promise<Array>} Group names, e.g. ['profile', 'email']
+ */
+async function getGrantedScopeGroups(userId, accountId = null) {
+  if (!userId) return [];
   try {
-    // Fix: Create a proper 32-byte key by hashing the provided key
-    const hash = crypto.createHash('sha256');
-    hash.update(key);
-    const keyBuffer = hash.digest();
-    
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-gcm', keyBuffer, iv);
-    let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    
-    return JSON.stringify({
-      iv: iv.toString('hex'),
-      encryptedData: encrypted,
-      authTag: authTag.toString('hex')
-    });
+    const loaded = await loadGoogleAccounts(userId);
+    if (!loaded) return [];
+    const accounts = accountId ? [pickAccount(loaded, accountId)].filter(Boolean) : loaded.accounts;
+    return [...new Set(accounts
+      .filter(account => account.tokenData)
+      .flatMap(account => groupsForScopes(grantedScopes(account))))];
   } catch (error) {
-    console.error('Encryption error:', error);
-    return JSON.stringify(data);
+    console.error('Error reading granted scopes:', error);
+    return [];
   }
 }
 
-// Decrypt tokens when retrieving from DB
-function decryptData(encryptedJson, key = process.env.ENCRYPTION_KEY) {
-  if (!key) {
-    console.warn('No encryption key found. Using less secure storage.');
-    return JSON.parse(encryptedJson);
-  }
-  
+/**
+ * Describe a user's linked Google accounts
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} [{ id, email, primary, connected, scopeGroups, reconnectRequired }]
+ */
+async function listGoogleAccounts(userId) {
+  if (!userId) return [];
   try {
-    // Fix: Create a proper 32-byte key by hashing the provided key (same as in encryptData)
-    const hash = crypto.createHash('sha256');
-    hash.update(key);
-    const keyBuffer = hash.digest();
-    
-    const { iv, encryptedData, authTag } = JSON.parse(encryptedJson);
-    const decipher = crypto.createDecipheriv(
-      'aes-256-gcm', 
-      keyBuffer, 
-      Buffer.from(iv, 'hex')
-    );
-    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
-    
-    let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return JSON.parse(decrypted);
+    const loaded = await loadGoogleAccounts(userId);
+    if (!loaded) return [];
+    const primary = pickAccount(loaded);
+    return loaded.accounts.map(account => ({
+      id: account.googleId,
+      email: account.email,
+      primary: account === primary,
+      connected: Boolean(account.tokenData),
+      scopeGroups: account.tokenData ? groupsForScopes(grantedScopes(account)) : [],
+      reconnectRequired: Boolean(account.reconsentRequired)
+    }));
   } catch (error) {
-    console.error('Decryption error:', error);
-    return JSON.parse(encryptedJson);
+    console.error('Error listing Google accounts:', error);
+    return [];
   }
 }
 
-async function tokenExists() {
+/**
+ * Make one of a user's Google accounts the one used for mail and new events by default
+ * @param {string} userId - User ID
+ * @param {string} accountId - Google account ID or email
+ * @returns {Promise<boolean>} False if the user has no such account
+ */
+async function setPrimaryGoogleAccount(userId, accountId) {
   try {
-    await fs.access(TOKEN_PATH);
+    const loaded = await loadGoogleAccounts(userId);
+    const account = loaded && pickAccount(loaded, accountId);
+    if (!account) return false;
+    await User.updateOne({ _id: userId }, { primaryGoogleId: account.googleId });
     return true;
   } catch (error) {
+    console.error('Error setting primary Google account:', error);
+    throw error;
+  }
+}
+
+// Google answers invalid_grant when a refresh token was revoked or has expired
+function isInvalidGrant(error) {
+  return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+}
+
+/**
+ * Remember that a Google account has to be granted again before it can be used
+ * @param {string} userId - User ID
+ * @param {string} googleId - Google account ID
+ */
+async function markReconsentRequired(userId, googleId) {
+  console.warn(`Google rejected the stored tokens of account ${googleId} for user ${userId}; re-consent required`);
+  clearAuthClient(userId, googleId);
+  try {
+    await updateAccount(userId, googleId, { reconsentRequired: true });
+  } catch (error) {
+    console.error('Error flagging Google re-consent:', error);
+  }
+}
+
+/**
+ * Describe the state of a user's Google connection. Without an account, the user
+ * counts as connected if any linked account can be used for the group.
+ * @param {string} userId - User ID
+ * @param {string} group - Optional scope group the caller needs, e.g. 'calendar'
+ * @param {string} accountId - Optional Google account ID or email to check
+ * @returns {Promise<string|null>} 'connected', 'reconsent_required', 'scope_required' or
+ *                                 'not_connected'; null if it couldn't be checked
+ */
+async function getGoogleStatus(userId, group = null, accountId = null) {
+  if (!userId) return 'not_connected';
+  try {
+    const loaded = await loadGoogleAccounts(userId);
+    if (!loaded) return 'not_connected';
+    const accounts = (accountId ? [pickAccount(loaded, accountId)] : loaded.accounts)
+      .filter(account => account && account.tokenData);
+    if (accounts.length === 0) return 'not_connected';
+
+    const usable = accounts.filter(account => !account.reconsentRequired);
+    if (usable.some(account => !group || groupsForScopes(grantedScopes(account)).includes(group))) {
+      return 'connected';
+    }
+    // The account that lost its grant may be the one that had the group
+    if (usable.length < accounts.length) return 'reconsent_required';
+    return 'scope_required';
+  } catch (error) {
+    console.error('Error checking Google status:', error);
+    return null;
+  }
+}
+
+async function hasGoogleTokens(userId) {
+  if (!userId) return false;
+  try {
+    return Boolean(await loadUserTokens(userId));
+  } catch (error) {
+    console.error('Error checking Google tokens:', error);
     return false;
   }
 }
 
-async function getAuthUrl() {
+/**
+ * Build the Google consent URL for sign-in plus any feature scope groups.
+ * Scopes granted earlier are kept, so asking for one more group is incremental.
+ * @param {Array} groups - Scope groups besides the profile, e.g. ['calendar']
+ * @param {string} state - Optional state parameter Google hands back to the callback
+ * @param {Object} options - { loginHint } to preselect an account, { selectAccount }
+ *                           to let the user pick another one, e.g. to link it
+ * @returns {Promise<string>} Consent URL
+ */
+async function getAuthUrl(groups = [], state = undefined, options = {}) {
   try {
-    const content = await fs.readFile(CREDENTIALS_PATH);
-    const keys = JSON.parse(content);
-    const key = keys.installed || keys.web;
-    
-    const oAuth2Client = new google.auth.OAuth2(
-      key.client_id,
-      key.client_secret,
-      REDIRECT_URL
-    );
-    
+    const unknown = groups.filter(group => !SCOPE_GROUPS[group]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope group: ${unknown.join(', ')}`);
+    }
+
+    const oAuth2Client = await createOAuthClient();
+    const scopes = ['profile', ...groups].flatMap(group => SCOPE_GROUPS[group].scopes);
+
     return oAuth2Client.generateAuthUrl({
       access_type: 'offline',
-      scope: SCOPES,
-      prompt: 'consent'
+      scope: [...new Set(scopes)],
+      include_granted_scopes: true,
+      prompt: options.selectAccount ? 'select_account consent' : 'consent',
+      login_hint: options.loginHint,
+      state
     });
   } catch (error) {
     console.error('Error generating auth URL:', error);
@@ -118,81 +346,204 @@ async function getAuthUrl() {
   }
 }
 
-async function getAuthClient(skipBrowserAuth = false) {
+/**
+ * Get an OAuth client for one of a user's Google accounts, built from the tokens
+ * saved when it was linked. Access tokens are refreshed automatically and the new
+ * ones written back. If Google rejects the refresh token, the account is flagged
+ * for re-consent.
+ * @param {string} userId - User ID
+ * @param {string} accountId - Google account ID or email; see pickAccount if omitted
+ * @param {string} group - Scope group the client is for, used to pick the default account
+ * @returns {Promise<Object|null>} OAuth2 client, or null if the account isn't connected
+ *                                 or has to reconnect
+ */
+async function getAuthClient(userId, accountId = null, group = null) {
+  if (!userId) return null;
+  let account = null;
+
   try {
-    const now = Date.now();
-    if (authClient && (now - lastClientRefresh) < CLIENT_REFRESH_INTERVAL) {
-      return authClient;
+    const loaded = await loadGoogleAccounts(userId);
+    account = loaded && pickAccount(loaded, accountId, group);
+    if (!account || !account.tokenData) {
+      console.log(`No Google tokens saved for user ${userId}${accountId ? ` and account ${accountId}` : ''}`);
+      return null;
     }
-    
-    console.log('Initializing Google auth client...');
-    let client = null;
-    try {
-      const content = await fs.readFile(TOKEN_PATH);
-      const credentials = JSON.parse(content);
-      client = google.auth.fromJSON(credentials);
-      console.log('Loaded existing token from', TOKEN_PATH);
-    } catch (err) {
-      console.log('No saved token found.');
-      if (skipBrowserAuth) {
-        console.log('Skipping browser auth as requested.');
-        return null;
-      }
+    if (account.reconsentRequired) {
+      console.log(`User ${userId} has to reconnect Google account ${account.email}`);
+      clearAuthClient(userId, account.googleId);
+      return null;
     }
-    
-    if (!client && !skipBrowserAuth) {
-      client = await authenticate({
-        scopes: SCOPES,
-        keyfilePath: CREDENTIALS_PATH,
-        redirectUri: REDIRECT_URL
+
+    const cacheKey = `${userId}:${account.googleId}`;
+    const cached = userClients.get(cacheKey);
+    let client = cached && (Date.now() - cached.loadedAt) < CLIENT_REFRESH_INTERVAL ? cached.client : null;
+
+    if (!client) {
+      const { googleId } = account;
+      let tokens = decryptData(account.tokenData);
+      client = await createOAuthClient();
+      client.setCredentials(tokens);
+      client.on('tokens', async (newTokens) => {
+        try {
+          tokens = await saveUserTokens(userId, googleId, newTokens, tokens);
+          console.log(`Refreshed Google tokens saved for user ${userId}`);
+        } catch (error) {
+          console.error('Error saving refreshed tokens:', error);
+        }
       });
-      
-      if (client.credentials) {
-        const keys = JSON.parse(await fs.readFile(CREDENTIALS_PATH));
-        const key = keys.installed || keys.web;
-        const payload = JSON.stringify({
-          type: 'authorized_user',
-          client_id: key.client_id,
-          client_secret: key.client_secret,
-          refresh_token: client.credentials.refresh_token,
-        });
-        await fs.writeFile(TOKEN_PATH, payload);
-        console.log('Token saved to', TOKEN_PATH);
-      }
-    }
-    
-    if (client) {
-      authClient = client;
-      lastClientRefresh = now;
-      gmailClient = null;
-      calendarClient = null;
+
+      userClients.set(cacheKey, { client, loadedAt: Date.now() });
     }
-    
-    return authClient;
+
+    // Refreshes an expired access token now, so a revoked grant shows up here
+    // rather than halfway through an API call
+    await client.getAccessToken();
+    return client;
   } catch (error) {
+    if (isInvalidGrant(error) && account) {
+      await markReconsentRequired(userId, account.googleId);
+      return null;
+    }
     console.error('Error in Google authentication:', error);
     throw error;
   }
 }
 
-async function getGmailClient(skipBrowserAuth = false) {
-  if (gmailClient) return gmailClient;
-  
-  const authClient = await getAuthClient(skipBrowserAuth);
+async function getGmailClient(userId, accountId = null) {
+  const authClient = await getAuthClient(userId, accountId, 'email');
   if (!authClient) return null;
-  
-  gmailClient = google.gmail({ version: 'v1', auth: authClient });
-  return gmailClient;
+
+  return google.gmail({ version: 'v1', auth: authClient });
 }
 
-async function getCalendarClient(skipBrowserAuth = false) {
-  if (calendarClient) return calendarClient;
-  
-  const authClient = await getAuthClient(skipBrowserAuth);
+async function getCalendarClient(userId, accountId = null) {
+  const authClient = await getAuthClient(userId, accountId, 'calendar');
   if (!authClient) return null;
-  
-  calendarClient = google.calendar({ version: 'v3', auth: authClient });
-  return calendarClient;
+
+  return google.calendar({ version: 'v3', auth: authClient });
+}
+
+// Drop a user's cached clients (or one account's), e.g. on logout or after they sign in again
+function clearAuthClient(userId, googleId = null) {
+  if (!userId) return;
+  if (googleId) {
+    userClients.delete(`${userId}:${googleId}`);
+    return;
+  }
+  for (const key of userClients.keys()) {
+    if (key.startsWith(`${userId}:`)) userClients.delete(key);
+  }
+}
+
+/**
+ * Revoke one feature's access for one account. Google can only revoke a grant as a
+ * whole, so the grant is revoked and the user is sent back to consent to the groups
+ * they keep.
+ * @param {string} userId - User ID
+ * @param {string} group - Scope group to drop, e.g. 'email'
+ * @param {string} accountId - Google account ID or email; the one used for `group` if omitted
+ * @returns {Promise<Object>} { remaining, email }: the optional groups to ask for again
+ *                            and the account to ask for them on
+ */
+async function revokeScopeGroup(userId, group, accountId = null) {
+  if (!OPTIONAL_SCOPE_GROUPS.includes(group)) {
+    throw new Error(`Unknown scope group: ${group}`);
+  }
+
+  const loaded = await loadGoogleAccounts(userId);
+  const account = loaded && pickAccount(loaded, accountId, group);
+  if (!account || !account.tokenData) {
+    return { remaining: [], email: account ? account.email : null };
+  }
+
+  const remaining = groupsForScopes(grantedScopes(account))
+    .filter(granted => granted !== group && OPTIONAL_SCOPE_GROUPS.includes(granted));
+  await revokeGoogleAccess(userId, account.googleId);
+  console.log(`Revoked ${group} access of ${account.email} for user ${userId}`);
+  return { remaining, email: account.email };
+}
+
+/**
+ * Revoke Google grants and forget their tokens. The accounts stay linked, so
+ * signing in with them again finds the same user.
+ * @param {string} userId - User ID
+ * @param {string} accountId - Google account ID or email; every linked account if omitted
+ * @returns {Promise<boolean>} True if there was a grant to revoke
+ */
+async function revokeGoogleAccess(userId, accountId = null) {
+  if (!userId) return false;
+
+  try {
+    const loaded = await loadGoogleAccounts(userId);
+    if (!loaded) return false;
+    const accounts = (accountId ? [pickAccount(loaded, accountId)] : loaded.accounts)
+      .filter(account => account && account.tokenData);
+    if (accounts.length === 0) return false;
+
+    for (const account of accounts) {
+      try {
+        const tokens = decryptData(account.tokenData);
+        const client = await createOAuthClient();
+        await client.revokeToken(tokens.refresh_token || tokens.access_token);
+        console.log(`Google access of ${account.email} revoked for user ${userId}`);
+      } catch (error) {
+        // Tokens Google already invalidated can't be revoked again; forget them anyway
+        console.warn('Google token revocation failed:', error.message);
+      }
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $unset: { 'googleAccounts.$[revoked].tokenData': 1 },
+        $set: {
+          'googleAccounts.$[revoked].scopes': [],
+          'googleAccounts.$[revoked].reconsentRequired': false
+        }
+      },
+      { arrayFilters: [{ 'revoked.googleId': { $in: accounts.map(account => account.googleId) } }] }
+    );
+    clearAuthClient(userId);
+    return true;
+  } catch (error) {
+    console.error('Error revoking Google access:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a Google account's grant and remove it from the user altogether
+ * @param {string} userId - User ID
+ * @param {string} accountId - Google account ID or email
+ * @returns {Promise<boolean>} False if the user has no such account
+ */
+async function unlinkGoogleAccount(userId, accountId) {
+  try {
+    const loaded = await loadGoogleAccounts(userId);
+    const account = loaded && pickAccount(loaded, accountId);
+    if (!account) return false;
+
+    await revokeGoogleAccess(userId, account.googleId);
+
+    const update = { $pull: { googleAccounts: { googleId: account.googleId } } };
+    const others = loaded.accounts.filter(other => other.googleId !== account.googleId);
+    if (pickAccount(loaded) === account && others.length > 0) {
+      update.$set = { primaryGoogleId: others[0].googleId };
+    }
+    // Records from before googleAccounts keep the first Google account here as well
+    const unset = {};
+    if (loaded.user.googleId === account.googleId) unset.googleId = 1;
+    if (others.length === 0) unset.primaryGoogleId = 1;
+    if (Object.keys(unset).length > 0) update.$unset = unset;
+
+    await User.updateOne({ _id: userId }, update);
+    clearAuthClient(userId);
+    console.log(`Google account ${account.email} unlinked from user ${userId}`);
+    return true;
+  } catch (error) {
+    console.error('Error unlinking Google account:', error);
+    throw error;
+  }
 }
 
 async function getUserInfo(auth) {
@@ -217,17 +568,16 @@ async function getUserInfo(auth) {
   };
 }
 
-async function exchangeCodeForTokens(code) {
+/**
+ * Finish the OAuth flow: exchange the code, then sign the user in or link Google to
+ * the account that started the flow
+ * @param {string} code - Authorization code from Google
+ * @param {Object} options - { linkUserId } when a signed-in user is linking Google
+ * @returns {Promise<Object>} { oAuth2Client, userInfo, user }
+ */
+async function exchangeCodeForTokens(code, options = {}) {
   try {
-    const content = await fs.readFile(CREDENTIALS_PATH);
-    const keys = JSON.parse(content);
-    const key = keys.installed || keys.web;
-    
-    const oAuth2Client = new google.auth.OAuth2(
-      key.client_id,
-      key.client_secret,
-      REDIRECT_URL
-    );
+    const oAuth2Client = await createOAuthClient();
     
     const { tokens } = await oAuth2Client.getToken(code);
     oAuth2Client.setCredentials(tokens);
@@ -240,30 +590,14 @@ async function exchangeCodeForTokens(code) {
     const { data } = await oauth2.userinfo.get();
     userInfo.googleId = data.id;
     
-    // Save token to file
-    const payload = JSON.stringify({
-      type: 'authorized_user',
-      client_id: key.client_id,
-      client_secret: key.client_secret,
-      refresh_token: tokens.refresh_token || '',
-      access_token: tokens.access_token,
-      expiry_date: tokens.expiry_date,
-    });
-    
-    await fs.writeFile(TOKEN_PATH, payload);
-    console.log('Token saved to', TOKEN_PATH);
-    
-    // Save user data to MongoDB
-    await saveUserData(userInfo, tokens);
-    
-    authClient = oAuth2Client;
-    gmailClient = null;
-    calendarClient = null;
-    lastClientRefresh = Date.now();
+    // Save user data and tokens to MongoDB
+    const user = await saveUserData(userInfo, tokens, options.linkUserId);
+    clearAuthClient(user._id);
     
     return {
       oAuth2Client,
-      userInfo
+      userInfo,
+      user
     };
   } catch (error) {
     console.error('Error exchanging code for tokens:', error);
@@ -271,27 +605,105 @@ async function exchangeCodeForTokens(code) {
   }
 }
 
-async function saveUserData(userInfo, tokens) {
+function accountError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Store a Google account's tokens on the right user: the one linking it, the one
+ * already linked to it, a local account with the same email, or a new user.
+ * A user can link several Google accounts; the first one becomes the primary.
+ * @param {Object} userInfo - Profile from getUserInfo plus googleId
+ * @param {Object} tokens - Tokens from Google
+ * @param {string} linkUserId - Signed-in user linking this Google account, if any
+ * @returns {Promise<Object>} The user
+ * @throws {Error} With code 'google_account_in_use' or 'account_exists' if the Google
+ *                 account can't be attached to that user
+ */
+async function saveUserData(userInfo, tokens, linkUserId = null) {
   try {
-    // Encrypt sensitive token data
-    const encryptedTokens = encryptData(tokens);
+    const { googleId, ...profile } = userInfo;
+    const email = (profile.email || '').trim().toLowerCase();
+    const linked = await User.findOne({ $or: [{ 'googleAccounts.googleId': googleId }, { googleId }] });
+    if (linkUserId && linked && String(linked._id) !== String(linkUserId)) {
+      throw accountError('This Google account is linked to another user', 'google_account_in_use');
+    }
+    
+    let user = linkUserId ? await User.findById(linkUserId) : linked;
+    if (linkUserId && !user) {
+      throw new Error(`User ${linkUserId} not found`);
+    }
+    
+    // Signing in with Google for the first time to an account made with a password
+    const matchedByEmail = !user && email ? await User.findOne({ email }).select('+googleAccounts') : null;
+    if (matchedByEmail && (matchedByEmail.googleId || matchedByEmail.googleAccounts.length > 0)) {
+      throw accountError('An account with this email is linked to a different Google account', 'account_exists');
+    }
+    user = user || matchedByEmail;
     
-    // Find or create user
-    await User.findOneAndUpdate(
-      { googleId: userInfo.googleId },
-      { 
-        ...userInfo,
-        tokenData: encryptedTokens,
+    const account = {
+      googleId,
+      email,
+      scopes: parseScopes(tokens.scope),
+      reconsentRequired: false
+    };
+    
+    if (!user) {
+      user = await User.create({
+        ...profile,
+        email,
+        emailVerified: true,
+        googleAccounts: [{ ...account, tokenData: encryptData(tokens), linkedAt: new Date() }],
+        primaryGoogleId: googleId,
         lastLogin: new Date()
-      },
-      { 
-        upsert: true, 
-        new: true,
-        setDefaultsOnInsert: true
-      }
-    );
+      });
+      console.log(`User created for: ${email}`);
+      return user;
+    }
+    
+    // Moves a single account stored the old way into googleAccounts first
+    const loaded = await loadGoogleAccounts(user._id);
+    const existing = loaded.accounts.find(other => other.googleId === googleId);
+    
+    // Refresh tokens belong to one Google account; only merge with that account's own
+    const previous = existing && existing.tokenData ? decryptData(existing.tokenData) : {};
+    account.tokenData = encryptData(mergeTokens(previous, tokens));
+    account.linkedAt = existing ? existing.linkedAt : new Date();
     
-    console.log(`User data saved/updated for: ${userInfo.email}`);
+    const primaryGoogleId = pickAccount(loaded)?.googleId || googleId;
+    const update = {
+      $set: { primaryGoogleId, lastLogin: new Date() }
+    };
+    
+    // The profile follows the primary account, so linking a work account leaves it alone
+    if (primaryGoogleId === googleId) {
+      Object.assign(update.$set, {
+        firstName: profile.firstName,
+        lastName: profile.lastName,
+        profilePhoto: profile.profilePhoto
+      });
+    }
+    
+    // Google vouches for the address. A password set before it was verified may
+    // have been chosen by someone else, so it stops working.
+    if (email === user.email && !user.emailVerified) {
+      update.$set.emailVerified = true;
+      update.$unset = { passwordHash: 1 };
+    }
+    
+    if (existing) {
+      update.$set['googleAccounts.$'] = account;
+      await User.updateOne({ _id: user._id, 'googleAccounts.googleId': googleId }, update);
+    } else {
+      update.$push = { googleAccounts: account };
+      await User.updateOne({ _id: user._id, 'googleAccounts.googleId': { $ne: googleId } }, update);
+    }
+    
+    user = await User.findById(user._id);
+    console.log(`Google account ${email} saved for: ${user.email}`);
+    return user;
   } catch (error) {
     console.error('Error saving user data:', error);
     throw error;
@@ -313,11 +725,21 @@ async function getUserFromToken(tokenData) {
 }
 
 module.exports = {
+  SCOPE_GROUPS,
+  OPTIONAL_SCOPE_GROUPS,
   getAuthClient,
   getGmailClient,
   getCalendarClient,
+  clearAuthClient,
+  revokeGoogleAccess,
+  revokeScopeGroup,
+  unlinkGoogleAccount,
+  listGoogleAccounts,
+  setPrimaryGoogleAccount,
+  getGrantedScopeGroups,
+  getGoogleStatus,
+  hasGoogleTokens,
   getAuthUrl,
-  tokenExists,
   exchangeCodeForTokens,
   getUserInfo,
   getUserFromToken
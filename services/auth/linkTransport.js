@@ -0,0 +1,88 @@
+/**
+ * Delivery of sign-in links for local accounts.
+ *
+ * The transport is picked with MAGIC_LINK_TRANSPORT (console, smtp). Every
+ * transport implements the same interface:
+ *   - send({ to, subject, text }) -> Promise<void>
+ * The console transport only logs the message, so local development needs no
+ * mail server. In production (NODE_ENV=production) the transport must be named
+ * explicitly, so sign-in links never end up in a log by default. The smtp
+ * transport reads SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and SMTP_FROM.
+ */
+const DEFAULT_TRANSPORT = 'console';
+
+const transportFactories = {
+  console: () => ({
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`[magic link] To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    }
+  }),
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is required for the smtp magic link transport');
+    }
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+
+    return {
+      name: 'smtp',
+      async send({ to, subject, text }) {
+        await mailer.sendMail({ from, to, subject, text });
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Create a transport instance by name
+ * @param {string} name - Transport name (console, smtp)
+ * @returns {Object} Transport implementing send
+ */
+function createTransport(name = DEFAULT_TRANSPORT) {
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown magic link transport "${name}". Expected one of: ${Object.keys(transportFactories).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} Active transport
+ * @throws {Error} If the transport is unknown or misconfigured, or not set in production
+ */
+function getTransport() {
+  if (!activeTransport) {
+    if (!process.env.MAGIC_LINK_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAGIC_LINK_TRANSPORT must be set in production. Use smtp, or console to log links deliberately.');
+    }
+    const name = (process.env.MAGIC_LINK_TRANSPORT || DEFAULT_TRANSPORT).toLowerCase();
+    activeTransport = createTransport(name);
+    console.log(`Magic link transport initialized: ${activeTransport.name}`);
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the active transport (used by scripts and offline tests)
+ * @param {Object} transport - Transport instance, or null to reset to config
+ */
+function setTransport(transport) {
+  activeTransport = transport;
+}
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport
+};
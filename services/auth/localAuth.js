@@ -0,0 +1,237 @@
+// services/auth/localAuth.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../../models/User');
+const LoginLink = require('../../models/LoginLink');
+const { getTransport } = require('./linkTransport');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_MIN_LENGTH = 8;
+const KEY_LENGTH = 64;
+const LINK_TTL_MS = 15 * 60 * 1000;
+const LINKS_PER_WINDOW = 5;
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:3000';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Hash a password for storage as "scrypt:<salt>:<hash>"
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Stored hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the email is unknown, so a miss takes as long as a wrong password
+let dummyHash = null;
+
+/**
+ * Create an account with an email and password
+ * @param {Object} details - { email, password, name }
+ * @returns {Promise<Object>} { user } on success, { error } if the details were refused
+ */
+async function signup({ email, password, name } = {}) {
+  const address = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(address)) {
+    return { error: 'Please enter a valid email address.' };
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return { error: `Passwords need at least ${PASSWORD_MIN_LENGTH} characters.` };
+  }
+
+  try {
+    if (await User.exists({ email: address })) {
+      return { error: 'An account with this email already exists. Sign in instead.' };
+    }
+
+    const user = await User.create({
+      email: address,
+      name: String(name || '').trim() || address.split('@')[0],
+      passwordHash: await hashPassword(password),
+      emailVerified: false
+    });
+    console.log(`Local account created for: ${address}`);
+    return { user };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'An account with this email already exists. Sign in instead.' };
+    }
+    console.error('Error creating local account:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sign in with an email and password
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} { user } on success, { error } otherwise
+ */
+async function login({ email, password } = {}) {
+  const failure = { error: 'Invalid email or password.' };
+  if (typeof password !== 'string' || !password) return failure;
+
+  try {
+    const user = await User.findOne({ email: normalizeEmail(email) }).select('+passwordHash');
+    if (!user || !user.passwordHash) {
+      dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+      await verifyPassword(password, dummyHash);
+      return failure;
+    }
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      return failure;
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+    return { user };
+  } catch (error) {
+    console.error('Error during local sign-in:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set or change the signed-in user's password
+ * @param {string} userId - User ID
+ * @param {string} password - New password
+ * @returns {Promise<Object>} { updated: true }, or { error } if the password was refused
+ */
+async function setPassword(userId, password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return { error: `Passwords need at least ${PASSWORD_MIN_LENGTH} characters.` };
+  }
+  try {
+    await User.findByIdAndUpdate(userId, { passwordHash: await hashPassword(password) });
+    return { updated: true };
+  } catch (error) {
+    console.error('Error setting password:', error);
+    throw error;
+  }
+}
+
+/**
+ * Email a one-time sign-in link. Unknown addresses get a link too; the account
+ * is created when the link is used.
+ * @param {string} email - Address to send the link to
+ * @returns {Promise<boolean>} True if a link was sent, false if the address was
+ *                             invalid or has had too many links recently
+ */
+async function requestMagicLink(email) {
+  const address = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(address)) return false;
+
+  try {
+    const recent = await LoginLink.countDocuments({
+      email: address,
+      createdAt: { $gt: new Date(Date.now() - LINK_TTL_MS) }
+    });
+    if (recent >= LINKS_PER_WINDOW) {
+      console.warn(`Too many sign-in links requested for ${address}`);
+      return false;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await LoginLink.create({
+      email: address,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + LINK_TTL_MS)
+    });
+
+    const url = `${SERVER_URL}/auth/magic-link/verify?token=${encodeURIComponent(token)}`;
+    await getTransport().send({
+      to: address,
+      subject: 'Your sign-in link',
+      text: `Use this link to sign in. It expires in ${LINK_TTL_MS / 60000} minutes and works once.\n\n${url}\n\nIf you didn't ask for it, you can ignore this email.`
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending sign-in link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Use a sign-in link, creating the account on first use
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} The user, or null if the link is invalid, expired or used
+ */
+async function consumeMagicLink(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  try {
+    // Claim the link atomically so two clicks can't both sign in
+    const link = await LoginLink.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!link) return null;
+
+    const user = await User.findOne({ email: link.email });
+    if (!user) {
+      return User.create({
+        email: link.email,
+        name: link.email.split('@')[0],
+        emailVerified: true
+      });
+    }
+
+    return markEmailVerified(user);
+  } catch (error) {
+    console.error('Error using sign-in link:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record that the user proved they own their address. A password set before then
+ * was chosen by someone who never proved it, possibly not the owner, so it is dropped.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} The updated user
+ */
+async function markEmailVerified(user) {
+  const update = { emailVerified: true, lastLogin: new Date() };
+  if (!user.emailVerified) {
+    update.$unset = { passwordHash: 1 };
+  }
+  return User.findByIdAndUpdate(user._id, update, { new: true });
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  hashPassword,
+  verifyPassword,
+  signup,
+  login,
+  setPassword,
+  requestMagicLink,
+  consumeMagicLink,
+  markEmailVerified
+};
@@ -0,0 +1,324 @@
+// services/auth/sessions.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+
+const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_DAYS, 10) || 30;
+const REFRESH_TOKEN_MAX_AGE = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+
+// Two tabs refreshing at once both present the same token; don't treat that as theft
+const REUSE_GRACE_MS = 10 * 1000;
+
+let signingKeys = null;
+
+/**
+ * Read the JWT signing keys from the environment. Tokens carry the key id in their
+ * `kid` header, so a new key can be added while tokens signed with the old one still verify:
+ *   JWT_KEYS=2025-02:newSecret,2024-11:oldSecret   (signs with JWT_CURRENT_KID, default the first)
+ *   JWT_SECRET=secret                              (a single key with kid "default")
+ * @returns {Object} { current, keys } where keys maps kid to secret
+ */
+function loadSigningKeys() {
+  if (signingKeys) return signingKeys;
+
+  const keys = new Map();
+  const entries = (process.env.JWT_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  entries.forEach((entry, i) => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`JWT_KEYS entry ${i + 1} is not in kid:secret form`);
+    }
+    keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+  });
+
+  if (keys.size === 0 && process.env.JWT_SECRET) {
+    keys.set('default', process.env.JWT_SECRET);
+  }
+  if (keys.size === 0) {
+    throw new Error('No JWT signing key configured. Set JWT_SECRET or JWT_KEYS.');
+  }
+
+  const current = process.env.JWT_CURRENT_KID || keys.keys().next().value;
+  if (!keys.has(current)) {
+    throw new Error(`JWT_CURRENT_KID "${current}" is not one of the JWT_KEYS`);
+  }
+
+  signingKeys = { current, keys };
+  return signingKeys;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh tokens start with the session id so the session can be found without a scan
+function newRefreshToken(sessionId) {
+  const token = `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_MAX_AGE);
+}
+
+/**
+ * Find the session a refresh token claims to belong to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object|null>} Session document
+ */
+async function findSessionForToken(refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findById(sessionId);
+}
+
+function isLive(session) {
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+/**
+ * Sign a short-lived access token for a session
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {string} JWT
+ */
+function signAccessToken(user, session) {
+  const { current, keys } = loadSigningKeys();
+  return jwt.sign(
+    { userId: user._id, email: user.email, sid: session._id },
+    keys.get(current),
+    { expiresIn: ACCESS_TOKEN_EXPIRY, keyid: current }
+  );
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} meta - { userAgent, ip } shown in the session list
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+async function createSession(user, meta = {}) {
+  try {
+    const session = new Session({
+      userId: user._id,
+      userAgent: meta.userAgent || '',
+      ip: meta.ip || '',
+      expiresAt: refreshExpiry()
+    });
+    const refresh = newRefreshToken(session._id);
+    session.refreshTokenHash = refresh.hash;
+    await session.save();
+
+    return { accessToken: signAccessToken(user, session), refreshToken: refresh.token, session };
+  } catch (error) {
+    console.error('Error creating session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sign the OAuth state parameter sent to Google. The session cookies are SameSite=strict
+ * and don't come back on Google's redirect, so the state carries what the callback needs.
+ * @param {Object} data - { nonce, linkUserId }
+ * @returns {string} JWT valid for ten minutes
+ */
+function signOAuthState(data) {
+  const { current, keys } = loadSigningKeys();
+  return jwt.sign({ ...data, purpose: 'oauth_state' }, keys.get(current), { expiresIn: '10m', keyid: current });
+}
+
+/**
+ * Check a state parameter from signOAuthState
+ * @param {string} state - State returned by Google
+ * @returns {Object|null} The signed data, or null if the state is invalid or expired
+ */
+function verifyOAuthState(state) {
+  try {
+    const decoded = jwt.decode(state, { complete: true });
+    const secret = decoded?.header?.kid && loadSigningKeys().keys.get(decoded.header.kid);
+    if (!secret) return null;
+
+    const payload = jwt.verify(state, secret, { algorithms: ['HS256'] });
+    return payload.purpose === 'oauth_state' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check an access token and the session behind it
+ * @param {string} token - JWT from the cookie or Authorization header
+ * @returns {Promise<Object>} { user, session }
+ * @throws {Error} If the token is invalid or expired, or its session was revoked
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded?.header?.kid;
+  const secret = kid && loadSigningKeys().keys.get(kid);
+  if (!secret) {
+    throw new Error('Token signed with an unknown key');
+  }
+
+  const payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+  const session = await Session.findById(payload.sid);
+  if (!isLive(session)) {
+    throw new Error('Session has ended');
+  }
+
+  const user = await User.findById(payload.userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return { user, session };
+}
+
+/**
+ * Answer a refresh token that is no longer the session's current one
+ * @param {Object} session - Session document
+ * @param {string} hash - Hash of the presented token
+ * @returns {Promise<Object|null>} { superseded: true } within the grace window, otherwise null
+ */
+async function refuseStaleToken(session, hash) {
+  if (hash !== session.previousTokenHash) return null;
+  // The other refresh set the new cookies; this one has nothing to add
+  if (Date.now() - session.lastUsedAt <= REUSE_GRACE_MS) return { superseded: true };
+
+  console.warn(`Refresh token reused for session ${session._id}; revoking the session`);
+  await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: new Date() });
+  return null;
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already replaced ends the session, unless it was
+ * replaced within REUSE_GRACE_MS by a refresh running at the same time.
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @param {Object} meta - { userAgent, ip }
+ * @returns {Promise<Object|null>} { accessToken, refreshToken, session }, { superseded: true } if
+ *                                 a concurrent refresh already replaced the token, or null if refused
+ */
+async function refreshSession(refreshToken, meta = {}) {
+  try {
+    let session = await findSessionForToken(refreshToken);
+    if (!isLive(session)) return null;
+
+    const hash = hashToken(refreshToken);
+    if (hash !== session.refreshTokenHash) {
+      return await refuseStaleToken(session, hash);
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) return null;
+
+    // Swap the token only if it is still the current one, so of two refreshes
+    // presenting it at once exactly one rotates the session
+    const refresh = newRefreshToken(session._id);
+    const update = {
+      previousTokenHash: hash,
+      refreshTokenHash: refresh.hash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry()
+    };
+    if (meta.userAgent) update.userAgent = meta.userAgent;
+    if (meta.ip) update.ip = meta.ip;
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+      { $set: update },
+      { new: true }
+    );
+    if (rotated) {
+      return { accessToken: signAccessToken(user, rotated), refreshToken: refresh.token, session: rotated };
+    }
+
+    // Another refresh won the race, or the session was revoked meanwhile
+    session = await Session.findById(session._id);
+    if (!isLive(session)) return null;
+    return await refuseStaleToken(session, hash);
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions without token hashes
+ */
+async function listSessions(userId) {
+  try {
+    return await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .lean();
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * End one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if a session was ended
+ */
+async function revokeSession(userId, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  try {
+    const result = await Session.updateOne(
+      { _id: sessionId, userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    throw error;
+  }
+}
+
+/**
+ * End the session a refresh token belongs to, e.g. on logout with an expired access token
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} True if a session was ended
+ */
+async function revokeRefreshToken(refreshToken) {
+  const session = await findSessionForToken(refreshToken);
+  if (!isLive(session)) return false;
+
+  const hash = hashToken(refreshToken);
+  if (hash !== session.refreshTokenHash && hash !== session.previousTokenHash) return false;
+  return revokeSession(session.userId, session._id);
+}
+
+/**
+ * End all of a user's sessions ("log out of all devices")
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of sessions ended
+ */
+async function revokeAllSessions(userId) {
+  try {
+    const result = await Session.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  REFRESH_TOKEN_MAX_AGE,
+  loadSigningKeys,
+  createSession,
+  verifyAccessToken,
+  signOAuthState,
+  verifyOAuthState,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions
+};
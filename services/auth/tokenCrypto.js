@@ -0,0 +1,168 @@
+// services/auth/tokenCrypto.js
+const crypto = require('crypto');
+
+// Stored envelopes look like {"v":1,"kid":"2025-02","iv":"..","data":"..","tag":".."}.
+// Envelopes written before key ids existed are {"iv","encryptedData","authTag"}.
+const ENVELOPE_VERSION = 1;
+
+let encryptionKeys = null;
+
+// AES-256 needs a 32-byte key, so the configured secret is hashed
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Read the token encryption keys from the environment. Envelopes name the key that
+ * sealed them, so a new key can be added while data sealed with an old one still opens:
+ *   ENCRYPTION_KEYS=2025-02:newSecret,2024-11:oldSecret   (encrypts with ENCRYPTION_CURRENT_KID, default the first)
+ *   ENCRYPTION_KEY=secret                                 (a single key with kid "default")
+ * @returns {Object} { current, keys } where keys maps kid to a 32-byte key
+ */
+function loadEncryptionKeys() {
+  if (encryptionKeys) return encryptionKeys;
+
+  const keys = new Map();
+  const entries = (process.env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  entries.forEach((entry, i) => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`ENCRYPTION_KEYS entry ${i + 1} is not in kid:secret form`);
+    }
+    keys.set(entry.slice(0, separator), deriveKey(entry.slice(separator + 1)));
+  });
+
+  if (keys.size === 0 && process.env.ENCRYPTION_KEY) {
+    keys.set('default', deriveKey(process.env.ENCRYPTION_KEY));
+  }
+  if (keys.size === 0) {
+    throw new Error('No token encryption key configured. Set ENCRYPTION_KEY or ENCRYPTION_KEYS.');
+  }
+
+  const current = process.env.ENCRYPTION_CURRENT_KID || keys.keys().next().value;
+  if (!keys.has(current)) {
+    throw new Error(`ENCRYPTION_CURRENT_KID "${current}" is not one of the ENCRYPTION_KEYS`);
+  }
+
+  encryptionKeys = { current, keys };
+  return encryptionKeys;
+}
+
+// The version and key id are authenticated too, so an envelope can't be relabelled
+function additionalData(kid) {
+  return Buffer.from(`v${ENVELOPE_VERSION}:${kid}`);
+}
+
+/**
+ * Encrypt data for storage with the current key
+ * @param {Object} data - Data to encrypt, e.g. OAuth tokens
+ * @returns {string} JSON envelope
+ */
+function encryptData(data) {
+  const { current, keys } = loadEncryptionKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keys.get(current), iv);
+  cipher.setAAD(additionalData(current));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+  return JSON.stringify({
+    v: ENVELOPE_VERSION,
+    kid: current,
+    iv: iv.toString('hex'),
+    data: encrypted.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex')
+  });
+}
+
+function parseEnvelope(stored) {
+  if (stored && typeof stored === 'object') return stored;
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    throw new Error('Stored data is not a valid envelope');
+  }
+}
+
+function openLegacyEnvelope(envelope, keys) {
+  for (const key of keys.values()) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(envelope.authTag, 'hex'));
+      return decipher.update(envelope.encryptedData, 'hex', 'utf8') + decipher.final('utf8');
+    } catch (error) {
+      // Legacy envelopes don't say which key sealed them; try the next one
+    }
+  }
+  throw new Error('None of the configured keys opens this legacy envelope');
+}
+
+function openEnvelope(stored, allowPlaintext) {
+  const { keys } = loadEncryptionKeys();
+  const envelope = parseEnvelope(stored);
+
+  if (envelope.v === ENVELOPE_VERSION) {
+    const key = keys.get(envelope.kid);
+    if (!key) {
+      throw new Error(`Encryption key "${envelope.kid}" is not configured`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'hex'));
+    decipher.setAAD(additionalData(envelope.kid));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'hex'));
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'hex')), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  }
+
+  if (envelope.iv && envelope.encryptedData && envelope.authTag) {
+    return JSON.parse(openLegacyEnvelope(envelope, keys));
+  }
+
+  if (allowPlaintext) {
+    return envelope;
+  }
+  throw new Error('Stored data is not encrypted; run `npm run reencrypt-tokens -- --allow-plaintext`');
+}
+
+/**
+ * Decrypt stored data. Anything that doesn't decrypt is an error; there is no
+ * plaintext fallback.
+ * @param {string} stored - JSON envelope from encryptData
+ * @returns {Object} Decrypted data
+ * @throws {Error} If the envelope is malformed, its key isn't configured or it fails authentication
+ */
+function decryptData(stored) {
+  return openEnvelope(stored, false);
+}
+
+/**
+ * Whether stored data should be re-encrypted with the current key
+ * @param {string} stored - JSON envelope
+ * @returns {boolean} True for legacy envelopes, plaintext and other keys
+ */
+function needsReencryption(stored) {
+  try {
+    const envelope = parseEnvelope(stored);
+    return envelope.v !== ENVELOPE_VERSION || envelope.kid !== loadEncryptionKeys().current;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Decrypt stored data and seal it again with the current key
+ * @param {string} stored - JSON envelope
+ * @param {Object} options - { allowPlaintext } also seals tokens stored before
+ *                           encryption was required; only this job may read them
+ * @returns {string} New JSON envelope
+ * @throws {Error} As decryptData
+ */
+function reencryptData(stored, options = {}) {
+  return encryptData(openEnvelope(stored, Boolean(options.allowPlaintext)));
+}
+
+module.exports = {
+  loadEncryptionKeys,
+  encryptData,
+  decryptData,
+  needsReencryption,
+  reencryptData
+};
@@ -1,4 +1,3 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const path = require('path');
 const fs = require('fs').promises;
 require('dotenv').config();
@@ -13,14 +12,11 @@ const parsingUtils = require('./utils/parsingUtils');
 const cacheManager = require('./utils/cacheManager');
 // Import universal Google auth
 const { getCalendarClient } = require('./auth/googleAuth');
-
-// Initialize the Gemini AI model
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+const { DEFAULT_PROVIDER } = require('./calendar/providers');
 
 // Initialize modules that have an initialize function
 if (parsingUtils.initialize) {
-  parsingUtils.initialize({ modelName: "gemini-2.0-flash" });
+  parsingUtils.initialize({ modelName: process.env.LLM_MODEL });
 }
 
 if (cacheManager.initialize) {
@@ -29,6 +25,11 @@ if (cacheManager.initialize) {
 
 // Verify Google Calendar credentials exist
 async function checkCredentials() {
+  if (DEFAULT_PROVIDER !== 'google') {
+    console.log(`Using the ${DEFAULT_PROVIDER} calendar provider`);
+    return true;
+  }
+  
   try {
     // Check if credentials file exists
     try {
@@ -40,14 +41,7 @@ async function checkCredentials() {
       return false;
     }
     
-    // Try to get a calendar client as a test
-    const client = await getCalendarClient();
-    if (!client) {
-      console.error('ERROR: Failed to create Google Calendar client');
-      return false;
-    }
-    
-    console.log('Google Calendar authentication successful');
+    // Calendar clients are built per user from the tokens saved at sign-in
     return true;
   } catch (error) {
     console.error('ERROR checking calendar credentials:', error);
@@ -73,14 +67,18 @@ checkCredentials().then(success => {
  * 5. Create event in Google Calendar
  * 
  * @param {string} userInput - The user's input text
- * @returns {Promise<string>} - Response to show to the user
+ * @param {Object} options - { sessionId, userId, onProgress, userMemory } session scope for the
+ *                           fallback dialog, progress callback and remembered user facts
+ * @returns {Promise<string|Object>} - Response to show to the user
  */
-async function enhancedScheduleHandler(userInput) {
+async function enhancedScheduleHandler(userInput, options = {}) {
+  const { userId = null, onProgress = () => {}, userMemory = '' } = options;
   try {
     console.log('Starting enhanced scheduling flow with input:', userInput);
     
     // First, fetch events from 2 days before to 2 days after
-    const events = await fetchEventsAroundToday();
+    onProgress('Checking your calendar...');
+    const events = await fetchEventsAroundToday(userId);
     console.log(`Fetched ${events.length} events for pattern analysis`);
     
     // Extract basic details from user input
@@ -101,10 +99,13 @@ async function enhancedScheduleHandler(userInput) {
     console.log('Target date for event:', targetDate.toISOString().split('T')[0]);
     
     // Analyze patterns and suggest optimal times
+    onProgress('Looking for the best time slots...');
     const suggestions = await eventAnalyzer.analyzeEventPatterns(
       targetDate, 
       parsedInput.duration || 60,
-      parsedInput.title
+      parsedInput.title,
+      userMemory,
+      userId
     );
     
     console.log(`Generated ${suggestions.length} time suggestions based on pattern analysis`);
@@ -126,12 +127,12 @@ async function enhancedScheduleHandler(userInput) {
       return response;
     } else {
       // If no suggestions could be generated, use the scheduling flow
-      return await schedulingFlow.handleScheduleIntent(userInput);
+      return await schedulingFlow.handleScheduleIntent(userInput, options);
     }
   } catch (error) {
     console.error('Error in enhanced schedule handler:', error);
     // Fallback to the regular scheduling flow
-    return await schedulingFlow.handleScheduleIntent(userInput);
+    return await schedulingFlow.handleScheduleIntent(userInput, options);
   }
 }
 
@@ -139,9 +140,10 @@ async function enhancedScheduleHandler(userInput) {
  * Handle user selection from the suggested time slots
  * @param {string} userInput - User selection input
  * @param {Object} context - Context from previous interaction
+ * @param {string} userId - Owner of the calendar
  * @returns {Promise<string>} Response to the user
  */
-async function handleTimeSelection(userInput, context) {
+async function handleTimeSelection(userInput, context, userId) {
   try {
     const { suggestions, parsedInput } = context;
     
@@ -171,7 +173,7 @@ async function handleTimeSelection(userInput, context) {
       };
       
       // Create the event
-      const result = await eventOperations.createCalendarEvent(eventDetails);
+      const result = await eventOperations.createCalendarEvent(eventDetails, userId);
       
       if (result.success) {
         return `Great! I've scheduled "${parsedInput.title}" for ${selected.displayText}. It's now on your calendar.`;
@@ -189,9 +191,10 @@ async function handleTimeSelection(userInput, context) {
 
 /**
  * Log events around today (utility function to test the integration)
+ * @param {string} userId - Owner of the calendar
  * @returns {Promise<Array>} List of events
  */
-async function fetchEventsAroundToday() {
+async function fetchEventsAroundToday(userId) {
   const today = new Date();
   const start = new Date(today);
   start.setDate(today.getDate() - 2);
@@ -205,24 +208,7 @@ async function fetchEventsAroundToday() {
     console.log('Fetching events from calendar...');
     console.log(`Date range: ${start.toISOString()} to ${end.toISOString()}`);
     
-    // Make sure we can get a client first
-    const client = await getCalendarClient();
-    if (!client) {
-      console.error('ERROR: Could not obtain calendar client');
-      return [];
-    }
-    
-    // Fetch events using unified auth client
-    const response = await client.events.list({
-      calendarId: 'primary',
-      timeMin: start.toISOString(),
-      timeMax: end.toISOString(),
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 100
-    });
-    
-    const events = response.data.items || [];
+    const events = await calendarClient.listEventsAcrossCalendars(start, end, userId);
     
     console.log(`Found ${events.length} events in the 5-day window.`);
     // Log full details for debugging
@@ -275,6 +261,8 @@ module.exports = {
   handleScheduleIntent: enhancedScheduleHandler, // Use the enhanced handler
   handleTimeSelection, // Add the new handler for time selection
   suggestAvailableTimes: schedulingFlow.suggestAvailableTimes,
+  isInScheduleFlow: schedulingFlow.isInScheduleFlow,
+  continueScheduleFlow: schedulingFlow.handleScheduleIntent,
   
   // Parsing utilities
   parseDateAndTime: eventAnalyzer.parseDateAndTime,
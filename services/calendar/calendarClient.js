@@ -1,12 +1,57 @@
 const { getCalendarClient } = require('../auth/googleAuth');
+const { getCalendarProviders } = require('./providers');
 
 // State management
 const eventCache = new Map();
 
+function eventStart(event) {
+  return event.start.dateTime ? new Date(event.start.dateTime) : new Date(`${event.start.date}T00:00:00`);
+}
+
 /**
- * Get calendar events between two dates with caching
+ * List a user's events from all their linked calendars, e.g. a work and a personal
+ * Google account. A calendar that can't be read is logged and left out.
+ * @param {Date|string} timeMin - Range start
+ * @param {Date|string} timeMax - Range end
+ * @param {string} userId - Owner of the calendars
+ * @returns {Promise<Array>} Events, earliest first; a meeting on two calendars is listed once
  */
-async function getCalendarEvents(startTime, endTime) {
+async function listEventsAcrossCalendars(timeMin, timeMax, userId) {
+  const calendars = await getCalendarProviders(userId);
+  if (calendars.length === 0) {
+    console.error('No calendar available');
+    return [];
+  }
+
+  const results = await Promise.allSettled(calendars.map(calendar => calendar.listEvents({ timeMin, timeMax })));
+  const seen = new Set();
+  const events = [];
+  results.forEach((result, index) => {
+    const calendar = calendars[index];
+    if (result.status === 'rejected') {
+      console.error(`Error reading ${calendar.name} calendar${calendar.account ? ` of ${calendar.account}` : ''}:`, result.reason?.message);
+      return;
+    }
+    result.value.forEach(event => {
+      // Invitations to both accounts share the iCalendar UID
+      const key = `${event.iCalUID || event.id}_${event.start.dateTime || event.start.date}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      events.push(event);
+    });
+  });
+
+  return events.sort((a, b) => eventStart(a) - eventStart(b));
+}
+
+/**
+ * Get a user's calendar events between two dates, across all linked calendars, with caching
+ * @param {Date|string} startTime - Range start
+ * @param {Date|string} endTime - Range end
+ * @param {string} userId - Owner of the calendar
+ * @returns {Promise<Array>} Events in the Google Calendar API shape, whatever the provider
+ */
+async function getCalendarEvents(startTime, endTime, userId) {
   try {
     const startDate = new Date(startTime);
     const endDate = new Date(endTime);
@@ -16,15 +61,9 @@ async function getCalendarEvents(startTime, endTime) {
       return [];
     }
 
-    const calendar = await getCalendarClient();
-    if (!calendar) {
-      console.error('No calendar client available');
-      return [];
-    }
-
     const timeMin = startDate.toISOString();
     const timeMax = endDate.toISOString();
-    const cacheKey = `events_${timeMin}_${timeMax}`;
+    const cacheKey = `events_${userId}_${timeMin}_${timeMax}`;
 
     if (eventCache.has(cacheKey)) {
       const cachedData = eventCache.get(cacheKey);
@@ -35,16 +74,7 @@ async function getCalendarEvents(startTime, endTime) {
     }
 
     console.log(`Fetching calendar events from ${timeMin} to ${timeMax}`);
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin,
-      timeMax,
-      singleEvents: true,
-      orderBy: 'startTime',
-      maxResults: 100
-    });
-
-    const events = response.data.items || [];
+    const events = await listEventsAcrossCalendars(timeMin, timeMax, userId);
     eventCache.set(cacheKey, { events, timestamp: Date.now() });
 
     return events;
@@ -56,6 +86,7 @@ async function getCalendarEvents(startTime, endTime) {
 
 module.exports = {
   getCalendarEvents,
+  listEventsAcrossCalendars,
   // Export the getCalendarClient from googleAuth directly
   getCalendarClient
 };
\ No newline at end of file
@@ -1,10 +1,7 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('../llm');
 const { getCalendarEvents } = require('./calendarClient');
 require('dotenv').config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
 /**
  * Parse date, time and event details from natural language input
  */
@@ -37,27 +34,21 @@ async function parseDateAndTime(userInput) {
       }
     `;
 
-    const result = await model.generateContent(prompt);
-    const response = result.response.text().trim();
-    const jsonMatch = response.match(/\{.*\}/s);
-
-    if (jsonMatch) {
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-
-        // Calculate duration if needed
-        if (parsed.time && parsed.endTime && !parsed.duration) {
-          const [startHours, startMinutes] = parsed.time.split(':').map(Number);
-          const [endHours, endMinutes] = parsed.endTime.split(':').map(Number);
-          let durationMinutes = (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes);
-          if (durationMinutes <= 0) durationMinutes += 24 * 60;
-          parsed.duration = durationMinutes;
-        }
+    try {
+      const parsed = await llm.generateJSON(prompt);
 
-        return parsed;
-      } catch (parseError) {
-        console.error('Error parsing JSON from AI response:', parseError);
+      // Calculate duration if needed
+      if (parsed.time && parsed.endTime && !parsed.duration) {
+        const [startHours, startMinutes] = parsed.time.split(':').map(Number);
+        const [endHours, endMinutes] = parsed.endTime.split(':').map(Number);
+        let durationMinutes = (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes);
+        if (durationMinutes <= 0) durationMinutes += 24 * 60;
+        parsed.duration = durationMinutes;
       }
+
+      return parsed;
+    } catch (parseError) {
+      console.error('Error parsing JSON from AI response:', parseError);
     }
   } catch (e) {
     console.error('Parsing error:', e);
@@ -170,15 +161,10 @@ async function extractAttendees(userInput) {
       Return ONLY as JSON array: ["email1@example.com", "Person Name"]
     `;
 
-    const result = await model.generateContent(prompt);
-    const response = result.response.text();
-    const jsonMatch = response.match(/\[.*\]/s);
-    if (jsonMatch) {
-      try {
-        return JSON.parse(jsonMatch[0]);
-      } catch (parseError) {
-        console.error('Error parsing attendees JSON:', parseError);
-      }
+    try {
+      return await llm.generateJSON(prompt);
+    } catch (parseError) {
+      console.error('Error parsing attendees JSON:', parseError);
     }
   } catch (e) {
     console.error('Attendee extraction error:', e);
@@ -191,22 +177,24 @@ async function extractAttendees(userInput) {
 
 /**
  * Analyze event patterns in a window of two days before and after the target date
- * and suggest optimal time slots based on the purpose.
+ * and suggest optimal time slots based on the purpose and the user's remembered
+ * preferences (e.g. "Prefers morning meetings").
  */
-async function analyzeEventPatterns(targetDate, duration, purpose) {
+async function analyzeEventPatterns(targetDate, duration, purpose, userMemory = '', userId = null) {
   try {
     const startWindow = new Date(targetDate);
     startWindow.setDate(startWindow.getDate() - 2);
     const endWindow = new Date(targetDate);
     endWindow.setDate(endWindow.getDate() + 2);
 
-    const events = await getCalendarEvents(startWindow, endWindow);
+    const events = await getCalendarEvents(startWindow, endWindow, userId);
 
     const prompt = `
       Given the following events over a 5-day window:
       ${JSON.stringify(events)}
       
       And the purpose of the new event is: "${purpose}"
+      ${userMemory ? `\n      What you know about the user, including scheduling preferences to respect:\n${userMemory}\n` : ''}
       Please suggest up to 3 optimal time slots on ${targetDate.toISOString().split('T')[0]} 
       that would best suit the purpose. Each suggestion should include a "start" (ISO format), 
       "end" (ISO format) and "displayText" for human readability.
@@ -217,17 +205,13 @@ async function analyzeEventPatterns(targetDate, duration, purpose) {
       ]
     `;
 
-    const result = await model.generateContent(prompt);
-    const responseText = result.response.text().trim();
-    const jsonMatch = responseText.match(/\[.*\]/s);
-
-    if (jsonMatch) {
-      try {
-        const suggestions = JSON.parse(jsonMatch[0]);
+    try {
+      const suggestions = await llm.generateJSON(prompt);
+      if (Array.isArray(suggestions)) {
         return suggestions;
-      } catch (err) {
-        console.error('Error parsing suggestions from AI response:', err);
       }
+    } catch (err) {
+      console.error('Error parsing suggestions from AI response:', err);
     }
     // Fallback empty suggestions
     return [];
@@ -240,7 +224,7 @@ async function analyzeEventPatterns(targetDate, duration, purpose) {
 /**
  * Find available time slots on a specific date (fallback).
  */
-async function findAvailableTimeSlots(targetDate, duration) {
+async function findAvailableTimeSlots(targetDate, duration, userId = null) {
   try {
     if (!targetDate || isNaN(new Date(targetDate).getTime())) {
       console.error('Invalid target date for finding time slots:', targetDate);
@@ -254,7 +238,7 @@ async function findAvailableTimeSlots(targetDate, duration) {
     endDate.setHours(23, 59, 59, 999);
 
     // Get all events for the target date
-    const events = await getCalendarEvents(startDate, endDate);
+    const events = await getCalendarEvents(startDate, endDate, userId);
     const workingHours = { start: 9, end: 17 }; // Default 9am-5pm
 
     const dayStart = new Date(targetDate);
@@ -1,11 +1,13 @@
-const { getCalendarClient } = require('../auth/googleAuth');
+const { getCalendarProvider } = require('./providers');
+const { listEventsAcrossCalendars } = require('./calendarClient');
 
 /**
  * Create a new calendar event
  * @param {Object} eventDetails - Details for the event
+ * @param {string} userId - Owner of the calendar
  * @returns {Promise<Object>} Result object with success flag
  */
-async function createCalendarEvent(eventDetails) {
+async function createCalendarEvent(eventDetails, userId) {
   try {
     const {
       title,
@@ -25,56 +27,29 @@ async function createCalendarEvent(eventDetails) {
       };
     }
     
-    // Get calendar client
-    const calendar = await getCalendarClient();
+    const calendar = await getCalendarProvider(userId);
     if (!calendar) {
       return {
         success: false,
-        error: 'Could not authenticate with Google Calendar'
+        error: 'Could not authenticate with your calendar'
       };
     }
     
-    // Format attendees if provided
-    const formattedAttendees = attendees.map(email => ({
-      email,
-      responseStatus: 'needsAction'
-    }));
-    
-    // Create event resource
-    const event = {
-      summary: title,
-      description: description || '',
-      start: {
-        dateTime: new Date(startTime).toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
-      },
-      end: {
-        dateTime: new Date(endTime).toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
-      },
-      attendees: formattedAttendees.length > 0 ? formattedAttendees : undefined,
-      location: location || undefined,
-      conferenceData: videoConference ? {
-        createRequest: {
-          requestId: `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
-          conferenceSolutionKey: { type: 'hangoutsMeet' }
-        }
-      } : undefined
-    };
-    
-    // Create the event
-    const response = await calendar.events.insert({
-      calendarId: 'primary',
-      resource: event,
-      conferenceDataVersion: videoConference ? 1 : 0,
-      sendUpdates: attendees.length > 0 ? 'all' : 'none'
+    const created = await calendar.createEvent({
+      title,
+      description,
+      startTime,
+      endTime,
+      attendees,
+      location,
+      videoConference
     });
     
     return {
       success: true,
-      eventId: response.data.id,
-      eventLink: response.data.htmlLink,
-      meetLink: response.data.conferenceData?.entryPoints?.[0]?.uri || null
+      eventId: created.id,
+      eventLink: created.htmlLink,
+      meetLink: created.meetLink
     };
   } catch (error) {
     console.error('Error creating calendar event:', error);
@@ -88,13 +63,14 @@ async function createCalendarEvent(eventDetails) {
 /**
  * Confirm a pending calendar event
  * @param {Object} pendingEvent - The pending event to confirm
+ * @param {string} userId - Owner of the calendar
  * @returns {Promise<Object>} Result with success status
  */
-async function confirmCalendarEvent(pendingEvent) {
+async function confirmCalendarEvent(pendingEvent, userId) {
   try {
     // Implementation depends on your app's flow
     // This would typically create the actual event
-    return await createCalendarEvent(pendingEvent);
+    return await createCalendarEvent(pendingEvent, userId);
   } catch (error) {
     console.error('Error confirming calendar event:', error);
     return { success: false, error: error.message };
@@ -105,24 +81,13 @@ async function confirmCalendarEvent(pendingEvent) {
  * Check for scheduling conflicts
  * @param {Date} startTime - Event start time
  * @param {Date} endTime - Event end time
+ * @param {string} userId - Owner of the calendar
  * @returns {Promise<Array>} Conflicting events
  */
-async function checkForConflicts(startTime, endTime) {
+async function checkForConflicts(startTime, endTime, userId) {
   try {
-    const calendar = await getCalendarClient();
-    if (!calendar) {
-      console.error('Could not get calendar client');
-      return [];
-    }
-    
-    const response = await calendar.events.list({
-      calendarId: 'primary',
-      timeMin: new Date(startTime).toISOString(),
-      timeMax: new Date(endTime).toISOString(),
-      singleEvents: true
-    });
-    
-    return response.data.items || [];
+    // A clash on any linked calendar counts, e.g. a work meeting for a personal event
+    return await listEventsAcrossCalendars(startTime, endTime, userId);
   } catch (error) {
     console.error('Error checking for conflicts:', error);
     return [];
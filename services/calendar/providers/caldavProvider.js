@@ -0,0 +1,118 @@
+// services/calendar/providers/caldavProvider.js
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const xml2js = require('xml2js');
+const { parseEvents, serializeEvent, buildCalendar, eventsInRange, formatUtc } = require('./ical');
+const { assertPublicUrl, publicLookup } = require('../../utils/networkGuard');
+
+// The URL comes from the user: only public servers, no redirects elsewhere, and a
+// server that doesn't answer in time fails the request instead of holding it
+const client = axios.create({
+  timeout: 20 * 1000,
+  maxRedirects: 0,
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+});
+
+// Ask for events overlapping the range, with recurring events expanded by the server
+function calendarQuery(timeMin, timeMax) {
+  const start = formatUtc(timeMin);
+  const end = formatUtc(timeMax);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <C:calendar-data>
+      <C:expand start="${start}" end="${end}"/>
+    </C:calendar-data>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT">
+        <C:time-range start="${start}" end="${end}"/>
+      </C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`;
+}
+
+/**
+ * Pull the calendar-data texts out of a multistatus response
+ * @param {string} xml - REPORT response body
+ * @returns {Promise<Array>} iCalendar documents
+ */
+async function calendarDataFromMultistatus(xml) {
+  const parsed = await xml2js.parseStringPromise(xml, {
+    tagNameProcessors: [xml2js.processors.stripPrefix]
+  });
+  const responses = parsed?.multistatus?.response || [];
+  return responses.flatMap(response => (response.propstat || [])
+    .flatMap(propstat => propstat.prop || [])
+    .flatMap(prop => prop['calendar-data'] || [])
+    .map(data => (typeof data === 'string' ? data : data._ || ''))
+    .filter(Boolean));
+}
+
+/**
+ * Calendar provider for a CalDAV calendar collection (Nextcloud, Radicale, Fastmail...)
+ * @param {Object} config - { url, username, password } where url is the calendar collection
+ * @returns {Object} Calendar provider
+ */
+function createCaldavProvider(config = {}) {
+  const { url, username, password } = config;
+  if (!url) {
+    throw new Error('CalDAV calendars need the calendar collection URL');
+  }
+  const collection = url.endsWith('/') ? url : `${url}/`;
+  const auth = username ? { username, password } : undefined;
+
+  async function request(config) {
+    await assertPublicUrl(config.url);
+    return client.request(config);
+  }
+
+  return {
+    name: 'caldav',
+
+    async listEvents({ timeMin, timeMax }) {
+      const response = await request({
+        method: 'REPORT',
+        url: collection,
+        auth,
+        headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+        data: calendarQuery(timeMin, timeMax),
+        responseType: 'text'
+      });
+      const documents = await calendarDataFromMultistatus(response.data);
+      // Servers filter already; this also drops cancelled instances and sorts
+      return eventsInRange(documents.flatMap(parseEvents), timeMin, timeMax);
+    },
+
+    async createEvent(details) {
+      const id = crypto.randomUUID();
+      await request({
+        method: 'PUT',
+        url: `${collection}${id}.ics`,
+        auth,
+        headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' },
+        data: buildCalendar([serializeEvent({ ...details, id })])
+      });
+      return { id, htmlLink: null, meetLink: null };
+    },
+
+    // Check the URL is a calendar the credentials can read before the account is saved
+    async verify() {
+      await request({
+        method: 'PROPFIND',
+        url: collection,
+        auth,
+        headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+        data: '<?xml version="1.0" encoding="utf-8"?><D:propfind xmlns:D="DAV:"><D:prop><D:resourcetype/></D:prop></D:propfind>',
+        responseType: 'text'
+      });
+    }
+  };
+}
+
+module.exports = { createCaldavProvider };
@@ -0,0 +1,80 @@
+// services/calendar/providers/googleProvider.js
+const { getCalendarClient } = require('../../auth/googleAuth');
+
+/**
+ * Calendar provider backed by the primary calendar of one of the user's Google accounts
+ * @param {Object} config - { userId, accountId } where accountId is a linked Google
+ *                          account's ID or address; the primary account if omitted
+ * @returns {Object} Calendar provider
+ */
+function createGoogleProvider(config = {}) {
+  const { userId, accountId = null } = config;
+
+  async function client() {
+    const calendar = await getCalendarClient(userId, accountId);
+    if (!calendar) {
+      throw new Error(`Could not authenticate with Google Calendar${accountId ? ` for ${accountId}` : ''}`);
+    }
+    return calendar;
+  }
+
+  return {
+    name: 'google',
+    account: accountId,
+
+    async listEvents({ timeMin, timeMax }) {
+      const calendar = await client();
+      const response = await calendar.events.list({
+        calendarId: 'primary',
+        timeMin: new Date(timeMin).toISOString(),
+        timeMax: new Date(timeMax).toISOString(),
+        singleEvents: true,
+        orderBy: 'startTime',
+        maxResults: 100
+      });
+      return response.data.items || [];
+    },
+
+    async createEvent(details) {
+      const calendar = await client();
+      const { title, description, startTime, endTime, attendees = [], location, videoConference = false } = details;
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+      // Format attendees if provided
+      const formattedAttendees = attendees.map(email => ({
+        email,
+        responseStatus: 'needsAction'
+      }));
+
+      const event = {
+        summary: title,
+        description: description || '',
+        start: { dateTime: new Date(startTime).toISOString(), timeZone },
+        end: { dateTime: new Date(endTime).toISOString(), timeZone },
+        attendees: formattedAttendees.length > 0 ? formattedAttendees : undefined,
+        location: location || undefined,
+        conferenceData: videoConference ? {
+          createRequest: {
+            requestId: `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`,
+            conferenceSolutionKey: { type: 'hangoutsMeet' }
+          }
+        } : undefined
+      };
+
+      const response = await calendar.events.insert({
+        calendarId: 'primary',
+        resource: event,
+        conferenceDataVersion: videoConference ? 1 : 0,
+        sendUpdates: attendees.length > 0 ? 'all' : 'none'
+      });
+
+      return {
+        id: response.data.id,
+        htmlLink: response.data.htmlLink,
+        meetLink: response.data.conferenceData?.entryPoints?.[0]?.uri || null
+      };
+    }
+  };
+}
+
+module.exports = { createGoogleProvider };
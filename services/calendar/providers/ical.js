@@ -0,0 +1,252 @@
+// services/calendar/providers/ical.js
+// Just enough iCalendar (RFC 5545) to read and write single events in the shape
+// the Google Calendar API returns, so the rest of the calendar code needn't care
+// where an event came from. Recurrence rules are not expanded here; CalDAV
+// servers expand them on request, and the ICS file only holds events we wrote.
+const { fromZonedTime } = require('../../utils/dateUtils');
+
+// Long lines are folded onto continuation lines that start with a space or tab
+function unfold(text) {
+  return String(text || '').replace(/\r?\n[ \t]/g, '');
+}
+
+// Lines are at most 75 octets; characters are never split across lines
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/[,;]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a content line into its name, parameters and value
+ * @param {string} line - e.g. DTSTART;TZID=Europe/Berlin:20250101T090000
+ * @returns {Object} { name, params, value }
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+/**
+ * Convert an iCalendar date or date-time to the Google event time shape
+ * @param {string} value - e.g. 20250101, 20250101T090000Z or 20250101T090000
+ * @param {Object} params - Line parameters (VALUE, TZID)
+ * @returns {Object|null} { date } for all-day values, otherwise { dateTime, timeZone? }
+ */
+function parseDateValue(value, params = {}) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (!hour || params.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}` };
+  }
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (utc) {
+    return { dateTime: new Date(wallClock).toISOString() };
+  }
+  if (params.TZID) {
+    try {
+      return { dateTime: fromZonedTime(wallClock, params.TZID).toISOString(), timeZone: params.TZID };
+    } catch (error) {
+      // Unknown zone name; fall through to server local time
+    }
+  }
+  // Floating time: local to whoever reads it, which here is the server
+  return { dateTime: new Date(year, month - 1, day, hour, minute, second).toISOString() };
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// PT1H30M, P1D and the like
+function parseDuration(value) {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return 0;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function addToTime(time, ms) {
+  if (time.date) {
+    const date = new Date(`${time.date}T00:00:00Z`);
+    return { date: new Date(date.getTime() + ms).toISOString().slice(0, 10) };
+  }
+  return { ...time, dateTime: new Date(new Date(time.dateTime).getTime() + ms).toISOString() };
+}
+
+/**
+ * Read the events of an iCalendar document
+ * @param {string} text - VCALENDAR text
+ * @returns {Array} Events shaped like Google Calendar API events
+ */
+function parseEvents(text) {
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const line of unfold(text).split(/\r?\n/)) {
+    if (/^BEGIN:VEVENT$/i.test(line)) {
+      current = { attendees: [] };
+      depth = 0;
+      continue;
+    }
+    if (!current) continue;
+
+    // Skip nested components such as VALARM
+    if (/^BEGIN:/i.test(line)) { depth++; continue; }
+    if (/^END:VEVENT$/i.test(line) && depth === 0) {
+      if (current.start) {
+        if (!current.end) {
+          current.end = current.duration !== undefined
+            ? addToTime(current.start, current.duration)
+            : addToTime(current.start, current.start.date ? 24 * 60 * 60 * 1000 : 0);
+        }
+        delete current.duration;
+        if (current.attendees.length === 0) delete current.attendees;
+        events.push(current);
+      }
+      current = null;
+      continue;
+    }
+    if (/^END:/i.test(line)) { depth--; continue; }
+    if (depth > 0) continue;
+
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const { name, params, value } = parsed;
+
+    switch (name) {
+      case 'UID': current.id = value; break;
+      case 'SUMMARY': current.summary = unescapeText(value); break;
+      case 'DESCRIPTION': current.description = unescapeText(value); break;
+      case 'LOCATION': current.location = unescapeText(value); break;
+      case 'STATUS': current.status = value.toLowerCase(); break;
+      case 'URL': current.htmlLink = value; break;
+      case 'DTSTART': current.start = parseDateValue(value, params); break;
+      case 'DTEND': current.end = parseDateValue(value, params); break;
+      case 'DURATION': current.duration = parseDuration(value); break;
+      case 'RRULE': current.recurrence = [`RRULE:${value}`]; break;
+      case 'ATTENDEE':
+        current.attendees.push({
+          email: value.replace(/^mailto:/i, ''),
+          displayName: params.CN,
+          responseStatus: (params.PARTSTAT || 'NEEDS-ACTION').toLowerCase().replace('needs-action', 'needsAction')
+        });
+        break;
+      default:
+        break;
+    }
+  }
+  return events;
+}
+
+/**
+ * Write one event as a VEVENT block
+ * @param {Object} event - { id, title, description, location, startTime, endTime, attendees }
+ * @returns {string} VEVENT lines joined with CRLF
+ */
+function serializeEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.id}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(event.startTime)}`,
+    `DTEND:${formatUtc(event.endTime)}`,
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  (event.attendees || []).forEach(email => {
+    lines.push(`ATTENDEE;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${email}`);
+  });
+  lines.push('END:VEVENT');
+  return lines.map(fold).join('\r\n');
+}
+
+/**
+ * Wrap VEVENT blocks in a calendar
+ * @param {Array} blocks - Output of serializeEvent
+ * @returns {string} VCALENDAR text
+ */
+function buildCalendar(blocks = []) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//twinAI//Calendar//EN',
+    ...blocks,
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Start time of an event as a Date, for sorting and overlap checks
+ * @param {Object} time - { dateTime } or { date }
+ * @returns {Date} Instant
+ */
+function toDate(time) {
+  return time.dateTime ? new Date(time.dateTime) : new Date(`${time.date}T00:00:00`);
+}
+
+/**
+ * Keep the events that overlap a range, earliest first, like events.list does
+ * @param {Array} events - Parsed events
+ * @param {Date} timeMin - Range start
+ * @param {Date} timeMax - Range end
+ * @returns {Array} Matching events
+ */
+function eventsInRange(events, timeMin, timeMax) {
+  return events
+    .filter(event => event.status !== 'cancelled')
+    .filter(event => toDate(event.start) < new Date(timeMax) && toDate(event.end) > new Date(timeMin))
+    .sort((a, b) => toDate(a.start) - toDate(b.start));
+}
+
+module.exports = {
+  parseEvents,
+  serializeEvent,
+  buildCalendar,
+  eventsInRange,
+  formatUtc
+};
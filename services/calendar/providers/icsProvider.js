@@ -0,0 +1,82 @@
+// services/calendar/providers/icsProvider.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseEvents, serializeEvent, buildCalendar, eventsInRange } = require('./ical');
+
+// Writes to one file are queued so two new events can't overwrite each other
+const writeQueues = new Map();
+
+function enqueueWrite(filePath, work) {
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(work);
+  writeQueues.set(filePath, next);
+  return next;
+}
+
+/**
+ * Add a VEVENT block to a calendar file's text, keeping everything else as is
+ * @param {string|null} text - Current file contents
+ * @param {string} block - Output of serializeEvent
+ * @returns {string} Updated file contents
+ */
+function insertEvent(text, block) {
+  if (!text || !text.trim()) return buildCalendar([block]);
+
+  // Before the last END:VCALENDAR line, whatever follows it
+  const ends = [...text.matchAll(/^END:VCALENDAR\r?$/gim)];
+  if (ends.length === 0) {
+    throw new Error('The calendar file has no END:VCALENDAR line');
+  }
+  const { index } = ends[ends.length - 1];
+  return `${text.slice(0, index)}${block}\r\n${text.slice(index)}`;
+}
+
+async function readCalendar(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Calendar provider backed by an .ics file on disk, for offline use and tests.
+ * The file is created on the first new event.
+ * @param {Object} config - { filePath }
+ * @returns {Object} Calendar provider
+ */
+function createIcsProvider(config = {}) {
+  const { filePath } = config;
+  if (!filePath) {
+    throw new Error('The ICS calendar provider needs a filePath');
+  }
+
+  return {
+    name: 'ics',
+
+    async listEvents({ timeMin, timeMax }) {
+      const text = await readCalendar(filePath);
+      return text ? eventsInRange(parseEvents(text), timeMin, timeMax) : [];
+    },
+
+    async createEvent(details) {
+      const id = `${crypto.randomUUID()}@twinai`;
+      const block = serializeEvent({ ...details, id });
+
+      await enqueueWrite(filePath, async () => {
+        const updated = insertEvent(await readCalendar(filePath), block);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, updated, 'utf8');
+        await fs.rename(tempPath, filePath);
+      });
+
+      return { id, htmlLink: null, meetLink: null };
+    }
+  };
+}
+
+module.exports = { createIcsProvider };
@@ -0,0 +1,192 @@
+/**
+ * Calendar provider layer used by event listing, conflict checks and scheduling.
+ *
+ * Each user's calendar is their Google Calendar by default. CALENDAR_PROVIDER=ics
+ * switches the default to one .ics file per user under ICS_CALENDAR_DIR, for offline
+ * use and tests. A user can also save their own CalDAV calendar with
+ * saveCalendarAccount. Busy times are read from every linked calendar, including
+ * those of further Google accounts (see getCalendarProviders); new events go to the
+ * user's own calendar. Every provider implements:
+ *   - listEvents({ timeMin, timeMax }) -> Promise<Array<Event>>, earliest first
+ *   - createEvent({ title, description, startTime, endTime, attendees, location,
+ *                   videoConference }) -> Promise<{ id, htmlLink, meetLink }>
+ *   - verify() -> Promise<void> (optional; checks the account's settings work)
+ * where Event has the Google Calendar API shape:
+ *   { id, summary, description, location, start: { dateTime } | { date }, end, attendees }
+ */
+const path = require('path');
+const User = require('../../../models/User');
+const { encryptData, decryptData } = require('../../auth/tokenCrypto');
+const { listGoogleAccounts } = require('../../auth/googleAuth');
+
+const DEFAULT_PROVIDER = (process.env.CALENDAR_PROVIDER || 'google').toLowerCase();
+const ICS_CALENDAR_DIR = process.env.ICS_CALENDAR_DIR || path.join(process.cwd(), 'data', 'calendars');
+
+// Lazily required so a provider's dependencies are only loaded when selected
+const providerFactories = {
+  google: (config) => require('./googleProvider').createGoogleProvider(config),
+  caldav: (config) => require('./caldavProvider').createCaldavProvider(config),
+  ics: (config) => require('./icsProvider').createIcsProvider(config)
+};
+
+// Providers users can save as their own calendar account
+const ACCOUNT_PROVIDERS = ['caldav'];
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name (google, caldav, ics)
+ * @param {Object} config - Provider specific configuration
+ * @returns {Object} Calendar provider
+ */
+function createCalendarProvider(name, config = {}) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown calendar provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Read a user's own calendar settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { provider, settings }, or null if they use the default
+ */
+async function loadCalendarAccount(userId) {
+  if (!userId) return null;
+  const user = await User.findById(userId).select('+calendarAccount');
+  if (!user || !user.calendarAccount) return null;
+  return {
+    provider: user.calendarAccount.provider,
+    settings: decryptData(user.calendarAccount.settings)
+  };
+}
+
+function defaultProvider(userId) {
+  if (DEFAULT_PROVIDER === 'ics') {
+    return createCalendarProvider('ics', {
+      filePath: path.join(ICS_CALENDAR_DIR, `${userId ? String(userId) : 'default'}.ics`)
+    });
+  }
+  return userId ? createCalendarProvider(DEFAULT_PROVIDER, { userId }) : null;
+}
+
+/**
+ * Get the calendar provider for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Calendar provider, or null if the user has no calendar
+ */
+async function getCalendarProvider(userId) {
+  try {
+    const account = await loadCalendarAccount(userId);
+    if (account) {
+      return createCalendarProvider(account.provider, account.settings);
+    }
+    return defaultProvider(userId);
+  } catch (error) {
+    console.error('Error creating calendar provider:', error);
+    return null;
+  }
+}
+
+/**
+ * Get every calendar to read a user's busy times from: their own calendar, and the
+ * calendar of each linked Google account with Calendar access
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Calendar providers, the user's own calendar first
+ */
+async function getCalendarProviders(userId) {
+  const own = await getCalendarProvider(userId);
+  if (DEFAULT_PROVIDER !== 'google' || !userId) {
+    return own ? [own] : [];
+  }
+
+  try {
+    const googleCalendars = (await listGoogleAccounts(userId))
+      .filter(account => account.connected && !account.reconnectRequired && account.scopeGroups.includes('calendar'))
+      .sort((a, b) => Number(b.primary) - Number(a.primary))
+      .map(account => createCalendarProvider('google', { userId, accountId: account.id }));
+
+    // The default Google provider is one of these accounts, so it isn't listed twice
+    if (!own || own.name === 'google') {
+      return googleCalendars.length > 0 ? googleCalendars : (own ? [own] : []);
+    }
+    return [own, ...googleCalendars];
+  } catch (error) {
+    console.error('Error listing linked calendars:', error);
+    return own ? [own] : [];
+  }
+}
+
+/**
+ * Whether the user's calendar is a Google Calendar (and so needs Google access)
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} False for CalDAV accounts and the ICS default
+ */
+async function usesGoogleCalendar(userId) {
+  if (DEFAULT_PROVIDER !== 'google') return false;
+  if (!userId) return true;
+  try {
+    return !(await User.exists({ _id: userId, calendarAccount: { $exists: true } }));
+  } catch (error) {
+    console.error('Error checking calendar account:', error);
+    return true;
+  }
+}
+
+/**
+ * Check and store a user's own calendar. The settings, including passwords, are
+ * encrypted like Google tokens.
+ * @param {string} userId - User ID
+ * @param {Object} account - { provider: 'caldav', url, username, password }
+ * @returns {Promise<Object>} { provider } on success, { error } if the settings don't work
+ */
+async function saveCalendarAccount(userId, account = {}) {
+  const { provider = 'caldav', ...settings } = account;
+  if (!ACCOUNT_PROVIDERS.includes(provider)) {
+    return { error: `Unknown calendar provider "${provider}"` };
+  }
+
+  try {
+    const calendar = createCalendarProvider(provider, settings);
+    if (calendar.verify) await calendar.verify();
+  } catch (error) {
+    // Server replies and network errors stay in the log; they can describe hosts the
+    // user shouldn't learn about
+    console.error('Calendar account check failed:', error.message);
+    return { error: 'Could not reach the calendar. Check the calendar URL and login details.' };
+  }
+
+  try {
+    await User.findByIdAndUpdate(userId, {
+      calendarAccount: { provider, settings: encryptData(settings) }
+    });
+    return { provider };
+  } catch (error) {
+    console.error('Error saving calendar account:', error);
+    throw error;
+  }
+}
+
+/**
+ * Forget a user's own calendar; they use the default calendar again
+ * @param {string} userId - User ID
+ */
+async function removeCalendarAccount(userId) {
+  try {
+    await User.findByIdAndUpdate(userId, { $unset: { calendarAccount: 1 } });
+  } catch (error) {
+    console.error('Error removing calendar account:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  createCalendarProvider,
+  getCalendarProvider,
+  getCalendarProviders,
+  loadCalendarAccount,
+  usesGoogleCalendar,
+  saveCalendarAccount,
+  removeCalendarAccount
+};
@@ -1,46 +1,31 @@
-const { 
-  parseDateAndTime, 
+const {
+  parseDateAndTime,
   analyzeEventPatterns,
-  findAvailableTimeSlots 
+  findAvailableTimeSlots
 } = require('./eventAnalyzer');
 const { checkForConflicts, createCalendarEvent } = require('./eventOperations');
 const { formatDate } = require('../utils/dateUtils');
-
-// Schedule flow state
-let scheduleState = {
-  active: false,
-  stage: 'init',
-  data: {
-    title: '',
-    description: '',
-    date: '',
-    time: '',
-    duration: 60,
-    attendees: [],
-    suggestedTimes: [],
-    dateObj: null,
-    startTime: null,
-    endTime: null,
-    startTimestamp: Date.now()
-  }
-};
+const { defineFlow, isFlowActive, startFlow, continueFlow } = require('../flows/engine');
+const { slotChoiceResponse } = require('../responses');
 
 /**
- * Suggest available time slots and return options text.
+ * Suggest available time slots and return the options.
  * This function fetches events two days before and after the target date,
  * analyzes event patterns along with the event purpose (title) to suggest optimal time slots.
+ * @param {Object} state - Scheduling flow state
+ * @returns {Promise<string|Object>} Slot choice envelope, or a message if nothing is free
  */
-async function suggestAvailableTimes() {
-  const duration = scheduleState.data.duration;
-  const targetDate = scheduleState.data.date ? new Date(scheduleState.data.date) : new Date();
-  const purpose = scheduleState.data.title || "General meeting";
+async function suggestAvailableTimes(state) {
+  const duration = state.data.duration;
+  const targetDate = state.data.date ? new Date(state.data.date) : new Date();
+  const purpose = state.data.title || "General meeting";
 
   // First try to analyze patterns and get optimal suggestions.
-  let suggestions = await analyzeEventPatterns(targetDate, duration, purpose);
+  let suggestions = await analyzeEventPatterns(targetDate, duration, purpose, state.data.userMemory, state.data.userId);
 
   // If no suggestions returned, fallback to basic available time slots.
   if (!suggestions || suggestions.length === 0) {
-    const slots = await findAvailableTimeSlots(targetDate, duration);
+    const slots = await findAvailableTimeSlots(targetDate, duration, state.data.userId);
     suggestions = slots.map(slot => ({
       start: slot.start,
       end: slot.end,
@@ -50,139 +35,167 @@ async function suggestAvailableTimes() {
     }));
   }
 
-  // Save suggestions in the schedule state for later confirmation.
-  scheduleState.data.suggestedTimes = suggestions;
+  // Save suggestions in the flow state for later confirmation.
+  state.data.suggestedTimes = suggestions;
   if (suggestions.length) {
     const options = suggestions.map((slot, index) => `${index + 1}. ${slot.displayText}`).join('\n');
-    return `Based on your event purpose and existing calendar patterns, here are some optimal time slot suggestions:\n${options}\nSelect a slot by entering its number (1-${suggestions.length}).`;
+    return slotChoiceResponse(
+      `Based on your event purpose and existing calendar patterns, here are some optimal time slot suggestions:\n${options}\nSelect a slot by entering its number (1-${suggestions.length}).`,
+      suggestions,
+      { title: state.data.title }
+    );
   } else {
     return "No available time slots found for the selected day.";
   }
 }
 
-/**
- * Main scheduling flow handler
- */
-async function handleScheduleIntent(userInput) {
-  try {
-    if (!userInput || typeof userInput !== 'string') {
-      return "Please provide details for what you'd like to schedule.";
+// Multi-turn scheduling: date -> time slot -> confirmation
+const scheduleFlow = defineFlow({
+  name: 'schedule',
+  timeoutMs: 10 * 60 * 1000,
+  timeoutMessage: "The scheduling session timed out. Let's start over.",
+  cancelMessage: "Okay, I won't schedule anything.",
+  errorMessage: "I encountered an error while trying to schedule. Please try again.",
+  initialData: () => ({
+    title: '',
+    description: '',
+    date: '',
+    time: '',
+    duration: 60,
+    attendees: [],
+    suggestedTimes: [],
+    startTime: null,
+    endTime: null,
+    userMemory: '',
+    userId: null
+  }),
+
+  async start(turn, state) {
+    const parsed = await parseDateAndTime(turn.input);
+    state.data = { ...state.data, ...parsed };
+
+    if (!parsed.date) {
+      state.goto('collecting_date');
+      return `What date would you like to schedule "${state.data.title}" for?`;
     }
 
-    if (!scheduleState.active) {
-      scheduleState = {
-        active: true,
-        stage: 'parsing_request',
-        data: {
-          title: '',
-          description: '',
-          date: '',
-          time: '',
-          duration: 60,
-          attendees: [],
-          suggestedTimes: [],
-          dateObj: null,
-          startTime: null,
-          endTime: null,
-          startTimestamp: Date.now()
-        }
-      };
-
-      const parsed = await parseDateAndTime(userInput);
-      scheduleState.data = { ...scheduleState.data, ...parsed };
-
-      if (parsed.date) {
-        scheduleState.data.dateObj = new Date(parsed.date);
-        if (parsed.time) {
-          const [hours, minutes] = parsed.time.split(':').map(Number);
-          const startTime = new Date(scheduleState.data.dateObj);
-          startTime.setHours(hours, minutes, 0, 0);
-          const endTime = new Date(startTime);
-          endTime.setMinutes(endTime.getMinutes() + scheduleState.data.duration);
-
-          scheduleState.data.startTime = startTime.toISOString();
-          scheduleState.data.endTime = endTime.toISOString();
-
-          if (startTime < new Date() || (await checkForConflicts(startTime, endTime)).length > 0) {
-            scheduleState.stage = 'suggesting_time';
-            return await suggestAvailableTimes();
-          } else {
-            scheduleState.stage = 'confirming';
-            return `I'll schedule "${scheduleState.data.title}" on ${formatDate(scheduleState.data.dateObj)} at ${parsed.time} for ${scheduleState.data.duration} minutes. Does this look correct? (yes/no)`;
-          }
-        } else {
-          scheduleState.stage = 'suggesting_time';
-          return await suggestAvailableTimes();
-        }
-      } else {
-        scheduleState.stage = 'collecting_date';
-        return `What date would you like to schedule "${scheduleState.data.title}" for?`;
-      }
+    if (!parsed.time) {
+      state.goto('suggesting_time');
+      return suggestAvailableTimes(state);
     }
 
-    if (Date.now() - scheduleState.data.startTimestamp > 10 * 60 * 1000) {
-      scheduleState.active = false;
-      return "The scheduling session timed out. Let's start over.";
+    const [hours, minutes] = parsed.time.split(':').map(Number);
+    const startTime = new Date(parsed.date);
+    startTime.setHours(hours, minutes, 0, 0);
+    const endTime = new Date(startTime);
+    endTime.setMinutes(endTime.getMinutes() + state.data.duration);
+
+    state.data.startTime = startTime.toISOString();
+    state.data.endTime = endTime.toISOString();
+
+    if (startTime < new Date() || (await checkForConflicts(startTime, endTime, state.data.userId)).length > 0) {
+      state.goto('suggesting_time');
+      return suggestAvailableTimes(state);
     }
 
-    switch (scheduleState.stage) {
-      case 'collecting_date':
-        const dateResponse = await parseDateAndTime(userInput);
-        if (dateResponse.date) {
-          scheduleState.data.date = dateResponse.date;
-          scheduleState.data.dateObj = new Date(dateResponse.date);
-          // Proceed to suggesting time after collecting the date
-          scheduleState.stage = 'suggesting_time';
-          return await suggestAvailableTimes();
-        } else {
+    state.goto('confirming');
+    return `I'll schedule "${state.data.title}" on ${formatDate(new Date(parsed.date))} at ${parsed.time} for ${state.data.duration} minutes. Does this look correct? (yes/no)`;
+  },
+
+  stages: {
+    collecting_date: {
+      next: ['suggesting_time'],
+      async handle(turn, state) {
+        const dateResponse = await parseDateAndTime(turn.input);
+        if (!dateResponse.date) {
           return "I couldn't understand the date. Please provide a valid date.";
         }
-
-      case 'suggesting_time':
-        if (/^[1-5]$/.test(userInput.trim())) {
-          const selectedIndex = parseInt(userInput.trim()) - 1;
-          const selected = scheduleState.data.suggestedTimes[selectedIndex];
-          if (selected) {
-            scheduleState.data.startTime = selected.start;
-            scheduleState.data.endTime = selected.end;
-            scheduleState.stage = 'confirming';
-            return `I'll schedule "${scheduleState.data.title}" for ${selected.displayText}. Does this look correct? (yes/no)`;
-          } else {
-            return "Please select a valid option.";
-          }
-        } else {
-          return "Please select a valid option or provide a specific time.";
+        state.data.date = dateResponse.date;
+        // Proceed to suggesting time after collecting the date
+        state.goto('suggesting_time');
+        return suggestAvailableTimes(state);
+      }
+    },
+
+    suggesting_time: {
+      next: ['confirming'],
+      validate(turn) {
+        if (turn.action?.name === 'select_slot' || /^[1-5]$/.test(turn.input.trim())) return null;
+        return "Please select a valid option or provide a specific time.";
+      },
+      handle(turn, state) {
+        // select_slot actions are 0-based; typed replies are 1-based
+        const selectedIndex = turn.action?.name === 'select_slot'
+          ? Number(turn.action.params.index)
+          : parseInt(turn.input.trim(), 10) - 1;
+        const selected = state.data.suggestedTimes[selectedIndex];
+        if (!selected) {
+          return "Please select a valid option.";
         }
-
-      case 'confirming':
-        if (userInput.toLowerCase() === 'yes') {
-          const eventDetails = {
-            title: scheduleState.data.title,
-            description: scheduleState.data.description,
-            startTime: scheduleState.data.startTime,
-            endTime: scheduleState.data.endTime,
-            attendees: scheduleState.data.attendees
-          };
-          await createCalendarEvent(eventDetails);
-          scheduleState.active = false;
-          return `Your event "${scheduleState.data.title}" has been scheduled successfully!`;
-        } else if (userInput.toLowerCase() === 'no') {
-          scheduleState.active = false;
+        state.data.startTime = selected.start;
+        state.data.endTime = selected.end;
+        state.goto('confirming');
+        return `I'll schedule "${state.data.title}" for ${selected.displayText}. Does this look correct? (yes/no)`;
+      }
+    },
+
+    confirming: {
+      async handle(turn, state) {
+        const input = turn.input.toLowerCase().trim();
+        if (input === 'yes') {
+          await createCalendarEvent({
+            title: state.data.title,
+            description: state.data.description,
+            startTime: state.data.startTime,
+            endTime: state.data.endTime,
+            attendees: state.data.attendees
+          }, state.data.userId);
+          state.end();
+          return `Your event "${state.data.title}" has been scheduled successfully!`;
+        }
+        if (input === 'no') {
+          state.end();
           return "Okay, let's start over.";
-        } else {
-          return "Please respond with 'yes' or 'no'.";
         }
-
-      default:
-        return "I'm not sure how to proceed. Can you clarify?";
+        return "Please respond with 'yes' or 'no'.";
+      }
     }
-  } catch (error) {
-    console.error('Error in scheduling flow:', error);
-    return "I encountered an error while trying to schedule. Please try again.";
   }
+});
+
+/**
+ * Check if this session is in the scheduling flow
+ * @param {Object} scope - { sessionId, userId }
+ * @returns {Promise<boolean>} True if a scheduling dialog is waiting for a reply
+ */
+async function isInScheduleFlow(scope) {
+  return isFlowActive(scheduleFlow, scope);
+}
+
+/**
+ * Main scheduling flow handler: starts a new dialog or continues the session's current one
+ * @param {string} userInput - The user's message
+ * @param {Object} options - { sessionId, userId, action, userMemory }
+ * @returns {Promise<string|Object>} Response to the user
+ */
+async function handleScheduleIntent(userInput, options = {}) {
+  if (!userInput || typeof userInput !== 'string') {
+    return "Please provide details for what you'd like to schedule.";
+  }
+
+  const { sessionId, userId, action = null, userMemory = '' } = options;
+  const scope = { sessionId, userId };
+  const turn = { input: userInput, action, onProgress: options.onProgress || (() => {}) };
+
+  if (await isFlowActive(scheduleFlow, scope)) {
+    return continueFlow(scheduleFlow, scope, turn);
+  }
+  return startFlow(scheduleFlow, scope, turn, { userMemory, userId: userId ? String(userId) : null });
 }
 
 module.exports = {
+  scheduleFlow,
   suggestAvailableTimes,
+  isInScheduleFlow,
   handleScheduleIntent
-};
\ No newline at end of file
+};
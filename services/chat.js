@@ -1,192 +1,23 @@
 // services/chat.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { research } = require('./research');
-const calendarService = require('./calendar');
-require('./email');
-const { 
-  handleEmailIntent, 
-  isInEmailFlow 
-} = require('./emailService');
+const llm = require('./llm');
 require('dotenv').config();
-const Message = require('../models/Message');
 const Chat = require('../models/Chat');
 const User = require('../models/User');
+const sessionContext = require('./sessionContext');
+const conversationSummary = require('./conversationSummary');
+const memory = require('./memory');
+const { normalizeResponse, textResponse, reconnectGoogleResponse } = require('./responses');
+const { getGoogleStatus, SCOPE_GROUPS } = require('./auth/googleAuth');
+const { hasMailAccount } = require('./mail');
+const { usesGoogleCalendar } = require('./calendar/providers');
+const skills = require('./skills');
+const { routeMessage, runActiveFlows } = require('./skills/router');
+const { findUploads } = require('./uploads');
 
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+// Register built-in skills and any found in the skills directory
+skills.loadSkills();
 
-// Add conversation context
-let conversationHistory = [];
-
-// Intent classification function using Gemini
-async function classifyIntent(text) {
-  try {
-    const prompt = `
-      Classify the intent of the following text into one of these categories:
-      - research_intent: For requests about researching a topic
-      - calendar_intent: For scheduling events or meetings
-      - email_intent: For sending emails
-      - exit_intent: For exiting or ending the conversation
-      - chat_intent: For general conversation
-      
-      Text: "${text}"
-      
-      Intent:`;
-    
-    const result = await model.generateContent(prompt);
-    const response = result.response.text().trim();
-    
-    // Check if the response contains any of the intent types
-    if (response.toLowerCase().includes('research_intent')) return 'research_intent';
-    if (response.toLowerCase().includes('calendar_intent')) return 'calendar_intent';
-    if (response.toLowerCase().includes('email_intent')) return 'email_intent';
-    if (response.toLowerCase().includes('exit_intent')) return 'exit_intent';
-    
-    // Fallback to keyword matching if the model's response doesn't match expected format
-    const intentMap = {
-      'research': 'research_intent',
-      'schedule': 'calendar_intent', 
-      'email': 'email_intent',
-      'quit': 'exit_intent'
-    };
-    
-    for (const [keyword, intent] of Object.entries(intentMap)) {
-      if (text.toLowerCase().includes(keyword)) {
-        return intent;
-      }
-    }
-    
-    return 'chat_intent'; // Default fallback
-  } catch (error) {
-    console.error('Intent classification error:', error);
-    return 'chat_intent'; // Default on error
-  }
-}
-
-// Entity extraction using Gemini
-async function extractEntities(text, intentType) {
-  try {
-    let prompt = '';
-    
-    if (intentType === 'research_intent') {
-      prompt = `
-        Extract the research topic from this text: "${text}"
-        Output just the topic with no additional text.
-      `;
-      const result = await model.generateContent(prompt);
-      const topic = result.response.text().trim();
-      return { topic: topic || 'AI' };
-      
-    } else if (intentType === 'calendar_intent') {
-      prompt = `
-        Extract the following information from this text: "${text}"
-        - eventName: The name of the event (default to "Meeting" if not found)
-        - dateTime: The date and time of the event (use ISO format YYYY-MM-DDTHH:MM:SSZ)
-        
-        If no specific event name is mentioned, use "Meeting" as the default name.
-        If only "tomorrow" is mentioned for time, use tomorrow at 10:00 AM.
-        
-        Return as JSON like: {"eventName": "event name", "dateTime": "date time"}
-      `;
-      const result = await model.generateContent(prompt);
-      const response = result.response.text().trim();
-      try {
-        // Try to parse JSON from the response
-        const jsonMatch = response.match(/\{.*\}/s);
-        if (jsonMatch) {
-          return JSON.parse(jsonMatch[0]);
-        }
-      } catch (e) {
-        // If JSON parsing fails, use regex fallback
-        console.error('JSON parsing error:', e);
-      }
-      
-      // Improve the fallback
-      const eventMatch = text.match(/called\s+["']?(.+?)["']?/i);
-      const eventName = eventMatch ? eventMatch[1] : 'Meeting';
-      
-      // Calculate tomorrow's date properly
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(10, 0, 0, 0);
-      
-      const dateTime = text.includes('tomorrow') ? 
-        tomorrow.toISOString() : 
-        new Date().toISOString();
-      
-      return { eventName, dateTime };
-      
-    } else if (intentType === 'email_intent') {
-      // First check if we're in an active email flow
-      if (isInEmailFlow()) {
-        // We're already collecting email info, don't extract again
-        return {};
-      }
-      
-      prompt = `
-        Extract the following information from this text: "${text}"
-        - to: The recipient's email (output MISSING if not found)
-        - subject: The email subject (output MISSING if not found)
-        - body: The email body (output MISSING if not found)
-        
-        Return as JSON like: {"to": "email or MISSING", "subject": "subject line or MISSING", "body": "email body or MISSING"}
-      `;
-      const result = await model.generateContent(prompt);
-      const response = result.response.text().trim();
-      
-      let emailData = {
-        to: 'MISSING',
-        subject: 'MISSING',
-        body: 'MISSING'
-      };
-      
-      try {
-        // Try to parse JSON from the response
-        const jsonMatch = response.match(/\{.*\}/s);
-        if (jsonMatch) {
-          emailData = JSON.parse(jsonMatch[0]);
-        }
-      } catch (e) {
-        console.error('JSON parsing error:', e);
-        // Use fallback regex extraction
-        const toMatch = text.match(/to\s+([^\s]+@[^\s]+)/);
-        const subjectMatch = text.match(/subject\s+["']?(.+?)["']?(?=\s+and|$)/i);
-        const bodyMatch = text.match(/body\s+["']?(.+?)["']?$/i);
-        
-        if (toMatch) emailData.to = toMatch[1];
-        if (subjectMatch) emailData.subject = subjectMatch[1];
-        if (bodyMatch) emailData.body = bodyMatch[1];
-      }
-      
-      return emailData;
-    }
-    
-    return {}; // Default empty entities
-  } catch (error) {
-    console.error('Entity extraction error:', error);
-    
-    // Fallback to regex extraction
-    const entities = {};
-    if (intentType === 'research_intent') {
-      entities.topic = text.split('research')[1]?.trim() || 'AI';
-    } else if (intentType === 'calendar_intent') {
-      const parts = text.match(/schedule.*?called\s+["']?(.+?)["']?.*?(tomorrow|\d{4}-\d{2}-\d{2}).*?(\d{1,2}\s*(?:AM|PM))/i);
-      entities.eventName = parts ? parts[1] : 'Vibe Session';
-      entities.dateTime = parts && parts[2] === 'tomorrow' ? '2025-03-30T14:00:00Z' : '2025-03-29T11:00:00Z';
-    } else if (intentType === 'email_intent') {
-      const toMatch = text.match(/to\s+([^\s]+)/);
-      const subjectMatch = text.match(/subject\s+["']?(.+?)["']?(?=\s+and|$)/i);
-      const bodyMatch = text.match(/body\s+["']?(.+?)["']?$/i);
-      entities.to = toMatch ? toMatch[1] : 'friend@example.com';
-      entities.subject = subjectMatch ? subjectMatch[1] : 'AI Vibes';
-      entities.body = bodyMatch ? bodyMatch[1] : 'Hello from AI assistant';
-    }
-    return entities;
-  }
-}
-
-// Analyze sentiment using Gemini
+// Analyze sentiment using the configured LLM
 async function analyzeSentiment(text) {
   try {
     const prompt = `
@@ -195,8 +26,7 @@ async function analyzeSentiment(text) {
       Sentiment:
     `;
     
-    const result = await model.generateContent(prompt);
-    const response = result.response.text().trim();
+    const response = await llm.generateText(prompt);
     
     if (response.toUpperCase().includes('POSITIVE')) return 'POSITIVE';
     return 'NEGATIVE';
@@ -206,209 +36,187 @@ async function analyzeSentiment(text) {
   }
 }
 
-// Add this function to handle calendar confirmations
-async function checkForPendingCalendarEvents(userInput) {
-    // Look for pending calendar events in conversation history
-    const pendingEvents = conversationHistory.filter(
-        msg => msg.role === 'system' && msg.content.includes('pendingCalendarEvent')
-    );
-    
-    if (pendingEvents.length > 0) {
-        try {
-            // Get the most recent pending event
-            const pendingData = JSON.parse(pendingEvents[pendingEvents.length - 1].content);
-            const pendingId = pendingData.pendingCalendarEvent;
-            
-            // Check if user confirmed
-            const confirmed = userInput.toLowerCase().match(/yes|confirm|ok|sure|schedule it/);
-            if (confirmed) {
-                // Remove the pending event marker
-                conversationHistory = conversationHistory.filter(
-                    msg => !(msg.role === 'system' && msg.content.includes(pendingId))
-                );
-                
-                return await calendarService.confirmCalendarEvent(pendingId, true);
-            } else if (userInput.toLowerCase().match(/no|cancel|don't|dont|nope/)) {
-                // Remove the pending event marker
-                conversationHistory = conversationHistory.filter(
-                    msg => !(msg.role === 'system' && msg.content.includes(pendingId))
-                );
-                
-                return await calendarService.confirmCalendarEvent(pendingId, false);
-            }
-        } catch (e) {
-            console.error('Error processing calendar confirmation:', e);
-        }
-    }
-    
+/**
+ * Emit an already complete response as a series of word-sized chunks
+ * @param {string} text - Full response text
+ * @param {Function} onToken - Receives each chunk
+ */
+function emitInChunks(text, onToken) {
+  for (const chunk of String(text).match(/\S+\s*/g) || []) {
+    onToken(chunk);
+  }
+}
+
+/**
+ * Ask the user to connect Google if a Google-backed skill can't reach their account
+ * @param {string|null} userId - Authenticated user ID
+ * @param {string} group - Scope group the skill needs, e.g. 'calendar'
+ * @returns {Promise<Object|null>} Reconnect envelope, or null if Google is usable
+ */
+async function googleAccessResponse(userId, group) {
+  // Users with their own IMAP/SMTP mailbox don't need Gmail
+  if (group === 'email' && await hasMailAccount(userId)) {
     return null;
+  }
+  // Likewise for CalDAV and ICS calendars
+  if (group === 'calendar' && !(await usesGoogleCalendar(userId))) {
+    return null;
+  }
+  
+  const status = await getGoogleStatus(userId, group);
+  const scopes = group ? [group] : [];
+  const label = SCOPE_GROUPS[group]?.label || 'Google account';
+  
+  if (status === 'reconsent_required') {
+    return reconnectGoogleResponse(
+      'Your Google access has expired or was revoked. Please reconnect your Google account to continue.',
+      status,
+      scopes
+    );
+  }
+  if (status === 'scope_required') {
+    return reconnectGoogleResponse(`To do that I need access to your ${label}. Allow it and then ask me again.`, status, scopes);
+  }
+  if (status === 'not_connected') {
+    return reconnectGoogleResponse(
+      userId
+        ? `Connect your Google account so I can use your ${label}.`
+        : `Sign in with Google so I can use your ${label}.`,
+      status,
+      scopes
+    );
+  }
+  return null;
 }
 
-// Process the user input and generate a response
-async function processInput(userInput, sessionId, userId = null) {
-  try {
-    // Store user message in MongoDB
-    await Message.create({
-        sessionId,
-        role: 'user',
-        content: userInput
-    });
+/**
+ * Build the context object handed to skill handlers and flows
+ * @param {Object} turn - { userInput, sessionId, userId, action, uploads, onProgress, onToken }
+ * @returns {Object} Skill context
+ */
+function createSkillContext({ userInput, sessionId, userId, action, uploads = [], timeZone = null, onProgress, onToken }) {
+  const ctx = {
+    userInput,
+    sessionId,
+    userId,
+    action,
+    uploads, // Files sent with this message: [{ id, filename, contentType, size }]
+    timeZone, // The client's IANA time zone, e.g. "Europe/Paris", or null
+    intent: null,
+    entities: {},
+    onProgress,
+    onToken,
+    streamed: false,
     
-    // Add input to conversation history (in-memory)
-    conversationHistory.push({ role: 'user', content: userInput });
-    if (conversationHistory.length > 10) conversationHistory.shift(); // Keep last 10 messages
+    // Session-scoped context and markers
+    loadContext: (limit) => sessionContext.loadContext(sessionId, userId, limit),
+    loadSummary: () => conversationSummary.getSummary(sessionId, userId),
+    setMarker: (data) => sessionContext.setMarker(sessionId, userId, data),
+    findMarker: (key) => sessionContext.findMarker(sessionId, userId, key),
+    clearMarkers: (key) => sessionContext.clearMarkers(sessionId, userId, key),
     
-    // Check for pending calendar events first
-    const calendarResponse = await checkForPendingCalendarEvents(userInput);
-    if (calendarResponse) {
-        conversationHistory.push({ role: 'assistant', content: calendarResponse });
-        return calendarResponse;
-    }
+    // Reconnect prompt for skills with requiresGoogle, or null if Google is usable
+    requireGoogle: (group) => googleAccessResponse(userId, group),
     
-    // Check for calendar suggestion responses
-    const pendingSuggestions = conversationHistory.filter(
-        msg => msg.role === 'system' && msg.content.includes('calendarSuggestions')
-    );
-    
-    if (pendingSuggestions.length > 0) {
-        try {
-            // Get the most recent suggestion context
-            const suggestionData = JSON.parse(pendingSuggestions[pendingSuggestions.length - 1].content);
-            
-            // Handle time selection
-            const response = await calendarService.handleTimeSelection(userInput, suggestionData.context);
-            
-            // Remove the suggestion context from history
-            conversationHistory = conversationHistory.filter(
-                msg => !(msg.role === 'system' && msg.content.includes('calendarSuggestions'))
-            );
-            
-            conversationHistory.push({ role: 'assistant', content: response });
-            return response;
-        } catch (e) {
-            console.error('Error handling calendar suggestion selection:', e);
-        }
+    // Forward chunks from an async iterable to the client and return the full text
+    async stream(chunks) {
+      let text = '';
+      for await (const chunk of chunks) {
+        text += chunk;
+        if (onToken) onToken(chunk);
+        ctx.streamed = true;
+      }
+      return text;
     }
+  };
+  return ctx;
+}
+
+/**
+ * Process the user input and generate a response
+ * @param {string} userInput - The user's message
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - Authenticated user ID
+ * @param {Object} options - Streaming callbacks and structured replies
+ * @param {Function} options.onProgress - Receives progress messages ("Checking your calendar...")
+ * @param {Function} options.onToken - Receives chunks of the final answer as they're produced
+ * @param {Object} options.action - Structured reply to a previous response, { name, params }
+ * @param {Array} options.uploads - Ids of files uploaded with this message (POST /uploads)
+ * @param {string} options.timeZone - The client's IANA time zone, for times the user names
+ * @returns {Promise<Object>} Response envelope { type, text, data, actions }
+ */
+async function processInput(userInput, sessionId, userId = null, options = {}) {
+  const { onProgress = () => {}, onToken = null, action = null, timeZone = null } = options;
+  const uploads = await findUploads(userId, options.uploads || []);
+  
+  // Button presses and files may arrive without text; keep something readable in the history
+  if (!userInput && action) {
+    userInput = `[${action.name}]`;
+  } else if (!userInput && uploads.length > 0) {
+    userInput = `[attached ${uploads.map(upload => upload.filename).join(', ')}]`;
+  }
+  
+  const ctx = createSkillContext({ userInput, sessionId, userId, action, uploads, timeZone, onProgress, onToken });
+  
+  try {
+    // Store user message in this session's context
+    await sessionContext.appendToContext(sessionId, userId, 'user', userInput);
     
-    // If we're in the middle of an email flow, continue that
-    if (isInEmailFlow()) {
-        const response = await handleEmailIntent(userInput, {});
-        conversationHistory.push({ role: 'assistant', content: response });
+    // Record the assistant's reply for this session before handing it back
+    const respond = async (result) => {
+        // Skills return either plain text or a typed envelope
+        const response = normalizeResponse(result);
+        
+        // Answers that weren't generated token by token are still streamed in chunks
+        if (onToken && !ctx.streamed) {
+            emitInChunks(response.text, onToken);
+        }
+        
+        await sessionContext.appendToContext(sessionId, userId, 'assistant', response.text);
+        
+        // Compress turns leaving the context window; runs in the background and never throws
+        conversationSummary.updateSummary(sessionId, userId);
+        
+        // Learn durable facts about signed-in users, unless they just managed memories explicitly
+        if (userId && !action && ctx.intent !== 'memory_intent') {
+            memory.extractMemories(userId, userInput);
+        }
+        
+        // Save the conversation to MongoDB if userId is provided
+        if (userId) {
+            await saveConversation(sessionId, userId, userInput, response.text);
+        }
+        
         return response;
-    }
-    
-    // Otherwise, process normally
-    const intent = await classifyIntent(userInput);
-    const entities = await extractEntities(userInput, intent);
-    
-    let response;
+    };
     
-    switch(intent) {
-        case 'research_intent':
-            response = await research(entities.topic);
-            break;
-        case 'calendar_intent':
-            console.log('Calendar intent detected:', {
-                eventName: entities.eventName,
-                userInput
-            });
-            
-            // Use the enhanced schedule handler
-            const scheduleResponse = await calendarService.handleScheduleIntent(userInput);
-            
-            // Check if the response is an object with suggestions that require a choice
-            if (typeof scheduleResponse === 'object' && scheduleResponse.requiresChoice) {
-                // Store the context for later use
-                conversationHistory.push({ 
-                    role: 'system', 
-                    content: JSON.stringify({
-                        calendarSuggestions: true,
-                        context: {
-                            suggestions: scheduleResponse.suggestions,
-                            parsedInput: scheduleResponse.parsedInput
-                        }
-                    })
-                });
-                
-                // Return the message to display
-                response = scheduleResponse.message;
-            } 
-            // Handle other object response types
-            else if (typeof scheduleResponse === 'object') {
-                if (scheduleResponse.requiresConfirmation && scheduleResponse.pendingId) {
-                    // Add pendingId to conversation history as a special marker
-                    conversationHistory.push({ 
-                        role: 'system', 
-                        content: JSON.stringify({
-                            pendingCalendarEvent: scheduleResponse.pendingId,
-                            eventName: scheduleResponse.eventName
-                        })
-                    });
-                }
-                
-                // Use the message field as the response
-                response = scheduleResponse.message || JSON.stringify(scheduleResponse);
-            } 
-            // Simple string response
-            else {
-                response = scheduleResponse;
-            }
-            break;
-        case 'email_intent':
-            response = await handleEmailIntent(userInput, entities);
-            break;
-        case 'exit_intent':
-            response = 'Peace out!';
-            break;
-        default:
-            try {
-                // Create a chat history for Gemini
-                const chatHistory = conversationHistory.map(msg => ({
-                    role: msg.role === 'user' ? 'user' : 'model',
-                    parts: [{ text: msg.content }]
-                }));
-                
-                // Remove the last user message since we'll send it separately
-                const lastUserMessage = chatHistory.pop();
-                
-                // Create a chat session
-                const chat = model.startChat({
-                    history: chatHistory.length > 0 ? chatHistory : [],
-                    generationConfig: {
-                        temperature: 0.7,
-                        maxOutputTokens: 150,
-                    }
-                });
-                
-                // Send the user's message
-                const result = await chat.sendMessage(lastUserMessage.parts[0].text);
-                const assistantReply = result.response.text();
-                
-                // Add response to history
-                conversationHistory.push({ role: 'assistant', content: assistantReply });
-                return assistantReply;
-            } catch (error) {
-                console.error('Chat generation error:', error);
-                response = `AI: Couldn't process that: ${error.message}`;
-            }
+    // Skills in the middle of a multi-turn dialog get the message first
+    const flowResponse = await runActiveFlows(ctx);
+    if (flowResponse !== null) {
+        return respond(flowResponse);
     }
     
-    // Add response to history and store in MongoDB
-    conversationHistory.push({ role: 'assistant', content: response });
+    // Actions only make sense as replies to a flow that is still waiting for one
+    if (action) {
+        return respond(textResponse("That option is no longer available. What would you like to do?"));
+    }
     
-    // Store assistant response in MongoDB
-    await Message.create({
-        sessionId,
-        role: 'assistant',
-        content: response
-    });
+    // Otherwise, route to the skill chosen for this message
+    onProgress('Understanding your request...');
+    const { intent, entities } = await routeMessage(userInput, ctx);
+    const skill = skills.getSkill(intent);
+    ctx.intent = intent;
+    ctx.entities = entities;
     
-    // Save the conversation to MongoDB if userId is provided
-    if (userId) {
-      await saveConversation(sessionId, userId, userInput, response);
+    if (skill.requiresGoogle) {
+        const reconnect = await ctx.requireGoogle(skill.requiresGoogle);
+        if (reconnect) {
+            return respond(reconnect);
+        }
     }
     
-    return response;
+    const response = await skill.handler(ctx);
+    return respond(response);
   } catch (error) {
     console.error('Error processing chat input:', error);
     throw error;
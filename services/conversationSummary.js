@@ -0,0 +1,128 @@
+// services/conversationSummary.js
+const llm = require('./llm');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { CONTEXT_WINDOW } = require('./sessionContext');
+
+// Fold older turns into the summary once this many have piled up outside the window
+const SUMMARY_BATCH = 10;
+
+// Sessions with a summary update in flight, so overlapping turns don't fold the same messages twice
+const inFlight = new Set();
+
+/**
+ * Build the query for a session's Chat document
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @returns {Object} Mongo query
+ */
+function chatQuery(sessionId, userId = null) {
+  return { sessionId, userId: userId || null };
+}
+
+/**
+ * Get the running summary for a session
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @returns {Promise<string>} Summary, or an empty string
+ */
+async function getSummary(sessionId, userId = null) {
+  try {
+    const chat = await Chat.findOne(chatQuery(sessionId, userId)).select('summary').lean();
+    return chat?.summary || '';
+  } catch (error) {
+    console.error('Error loading conversation summary:', error);
+    return '';
+  }
+}
+
+/**
+ * Merge a batch of turns into the existing summary
+ * @param {string} summary - Current summary
+ * @param {Array} messages - Turns to fold in ({ role, content })
+ * @returns {Promise<string>} Updated summary
+ */
+async function summarizeTurns(summary, messages) {
+  const transcript = messages
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+
+  const prompt = `
+      You maintain a running summary of a conversation between a user and their AI assistant.
+
+      Current summary:
+      ${summary || '(none yet)'}
+
+      New turns:
+      ${transcript}
+
+      Rewrite the summary so it also covers the new turns. Keep names, dates, decisions,
+      preferences and open questions; drop small talk. Use at most 200 words.
+      Return ONLY the summary text.
+    `;
+
+  return llm.generateText(prompt, { temperature: 0.2, maxOutputTokens: 400 });
+}
+
+/**
+ * Fold turns that have left the context window into the session summary
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @returns {Promise<boolean>} True if the summary was updated
+ */
+async function updateSummary(sessionId, userId = null) {
+  const key = `${sessionId}:${userId || ''}`;
+  if (inFlight.has(key)) return false;
+  inFlight.add(key);
+
+  try {
+    const chat = await Chat.findOne(chatQuery(sessionId, userId)).select('summary summarizedUntil').lean();
+    const query = { ...chatQuery(sessionId, userId), role: { $in: ['user', 'assistant'] } };
+    if (chat?.summarizedUntil) {
+      query.timestamp = { $gt: chat.summarizedUntil };
+    }
+
+    const pending = await Message.find(query).sort({ timestamp: 1, _id: 1 }).lean();
+    const outsideWindow = pending.slice(0, Math.max(pending.length - CONTEXT_WINDOW, 0));
+    if (outsideWindow.length < SUMMARY_BATCH) {
+      return false;
+    }
+
+    const summary = await summarizeTurns(chat?.summary || '', outsideWindow);
+    await Chat.updateOne(
+      chatQuery(sessionId, userId),
+      { $set: { summary, summarizedUntil: outsideWindow[outsideWindow.length - 1].timestamp } },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`Summarized ${outsideWindow.length} messages for session ${sessionId}`);
+    return true;
+  } catch (error) {
+    console.error('Error updating conversation summary:', error);
+    return false;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Put the summary in front of the recent turns as an exchange the model can read
+ * @param {Array} history - Recent turns ({ role, content })
+ * @param {string} summary - Running summary
+ * @returns {Array} History with the summary prepended
+ */
+function withSummary(history, summary) {
+  if (!summary) return history;
+  return [
+    { role: 'user', content: `Here is a summary of our conversation so far:\n${summary}` },
+    { role: 'assistant', content: "Thanks, I'll keep that in mind." },
+    ...history
+  ];
+}
+
+module.exports = {
+  SUMMARY_BATCH,
+  getSummary,
+  updateSummary,
+  withSummary
+};
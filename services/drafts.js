@@ -0,0 +1,549 @@
+// services/drafts.js
+// Drafts saved in the user's mailboxes: listing them across linked accounts, and
+// opening, revising, sending or deleting one from chat or over REST.
+const llm = require('./llm');
+const { getMailProvider, listSendingAccounts } = require('./mail');
+const { renderFormattedBody } = require('./mail/mime');
+const { parseRecipients } = require('./emailService');
+const { savedDraftResponse } = require('./responses');
+const { queueEmail, queuedResponse, requeueDraft, cancelDraftSends } = require('./outbox');
+const { defineFlow, isFlowActive, startFlow, continueFlow } = require('./flows/engine');
+
+const EMAIL_ADDRESS = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+const DEFAULT_DRAFT_LIMIT = 10;
+const OPERATIONS = ['list', 'open', 'revise', 'send', 'delete'];
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+// Replies while a draft is open
+const YES_PATTERN = /^\s*(?:yes|yeah|yep|sure|ok(?:ay)?|go\s+ahead|do\s+it)\b/i;
+const NO_PATTERN = /^\s*(?:no|nope|not\s+yet|don'?t)\b/i;
+const SEND_PATTERN = /^\s*(?:please\s+)?send\b/i;
+const DELETE_PATTERN = /^\s*(?:please\s+)?(?:delete|discard|remove|trash)\b/i;
+const CLOSE_PATTERN = /^\s*(?:close|done|leave\s+it|keep\s+it|that'?s\s+(?:it|all))\b/i;
+
+// Words that say nothing about which draft is meant
+const REFERENCE_STOPWORDS = new Set(['the', 'my', 'draft', 'drafts', 'one', 'email', 'to', 'for', 'about', 'with', 'and', 'that', 'this']);
+
+function addressList(value) {
+  return Array.isArray(value) ? value : (String(value || '').match(EMAIL_ADDRESS) || []);
+}
+
+/**
+ * Summary of a draft for lists
+ * @param {Object} message - Message from the provider's listDrafts
+ * @param {string|null} account - Address of the mailbox holding it
+ * @returns {Object} { id, account, to, cc, subject, snippet, date }
+ */
+function describeDraft(message, account) {
+  return {
+    id: message.id,
+    account,
+    to: message.to || '',
+    cc: message.cc || '',
+    subject: message.subject || '',
+    snippet: message.snippet || '',
+    date: message.date || null
+  };
+}
+
+/**
+ * Full contents of a draft, without attachment data
+ * @param {Object} draft - { id, threadId, message } from the provider's getDraft
+ * @param {string|null} account - Address of the mailbox holding it
+ * @returns {Object} { id, account, threadId, to, cc, bcc, subject, body, formatted, attachments }
+ *                   with recipients as arrays and attachments as [{ filename, contentType, size }]
+ */
+function draftDetails(draft, account) {
+  const { message } = draft;
+  return {
+    id: draft.id,
+    account,
+    threadId: draft.threadId || null,
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    subject: message.subject,
+    body: message.text,
+    formatted: Boolean(message.html),
+    attachments: message.attachments.map(attachment => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.content ? attachment.content.length : 0
+    }))
+  };
+}
+
+/**
+ * List a user's drafts across every linked mailbox
+ * @param {string} userId - User ID
+ * @param {Object} options - { maxResults }
+ * @returns {Promise<Array>} describeDraft results, newest first
+ * @throws {Error} If none of the mailboxes could be read
+ */
+async function listDrafts(userId, { maxResults = DEFAULT_DRAFT_LIMIT } = {}) {
+  const addresses = (await listSendingAccounts(userId)).map(account => account.address);
+  const accounts = addresses.length > 0 ? addresses : [null];
+  const results = await Promise.allSettled(accounts.map(async (account) => {
+    const mail = await getMailProvider(userId, { from: account });
+    if (!mail) return [];
+    return (await mail.listDrafts({ maxResults })).map(message => describeDraft(message, account));
+  }));
+
+  const failed = results.filter(result => result.status === 'rejected');
+  failed.forEach(result => console.error('Error listing drafts:', result.reason));
+  if (failed.length === results.length) {
+    throw failed[0].reason;
+  }
+
+  return results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value)
+    .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
+    .slice(0, maxResults);
+}
+
+/**
+ * Open one draft
+ * @param {string} userId - User ID
+ * @param {string} id - Draft id
+ * @param {string|null} account - Mailbox holding it, from listDrafts (null for the default)
+ * @returns {Promise<Object|null>} draftDetails, or null if there is no such draft
+ */
+async function openDraft(userId, id, account = null) {
+  const mail = await getMailProvider(userId, { from: account });
+  if (!mail) return null;
+  const draft = await mail.getDraft(id);
+  return draft ? draftDetails(draft, account) : null;
+}
+
+// Rewrite a draft's body as the user asked, keeping their voice
+async function rewriteDraftBody(message, body, instructions) {
+  const prompt = `
+    Revise this email draft as the user asks.
+
+    To: ${addressList(message.to).join(', ') || '(not set)'}
+    Subject: ${message.subject || '(no subject)'}
+
+    ${body}
+
+    User's request: "${instructions}"
+
+    Keep the writer's voice and anything the request doesn't touch. Light Markdown
+    (paragraphs, "- " lists, **bold**) is fine. Return only the revised body, without
+    the subject or any explanation.
+  `;
+
+  try {
+    const revised = (await llm.generateText(prompt)).trim();
+    return revised || body;
+  } catch (error) {
+    console.error('Error revising draft:', error);
+    throw new Error("I couldn't rewrite the draft just now");
+  }
+}
+
+/**
+ * Change a draft and save it back to the mailbox. A send of the draft still in its undo
+ * window is moved to the new version and waits a fresh undo window.
+ * @param {string} userId - User ID
+ * @param {string} id - Draft id
+ * @param {string|null} account - Mailbox holding it
+ * @param {Object} changes - { to, cc, bcc, subject, body, instructions } where recipients
+ *                           replace the draft's (an array or comma separated addresses) and
+ *                           instructions ask for a rewrite of the body, e.g. "make it shorter"
+ * @returns {Promise<Object|null>} draftDetails after the change (the id may have changed), or
+ *                                 null if there is no such draft
+ */
+async function reviseDraft(userId, id, account, changes = {}) {
+  const mail = await getMailProvider(userId, { from: account });
+  if (!mail) return null;
+  const draft = await mail.getDraft(id);
+  if (!draft) return null;
+
+  const message = { ...draft.message, threadId: draft.threadId || undefined };
+  let changed = false;
+  for (const field of ['to', 'cc', 'bcc']) {
+    if (changes[field] === undefined || changes[field] === null) continue;
+    const addresses = addressList(changes[field]);
+    if (addresses.join(',') !== message[field].join(',')) {
+      message[field] = addresses;
+      changed = true;
+    }
+  }
+  if (typeof changes.subject === 'string' && changes.subject.trim() && changes.subject.trim() !== message.subject) {
+    message.subject = changes.subject.trim();
+    changed = true;
+  }
+
+  let body = typeof changes.body === 'string' && changes.body.trim() ? changes.body.trim() : message.text.trim();
+  if (changes.instructions) {
+    body = await rewriteDraftBody(message, body, changes.instructions);
+  }
+  if (body !== message.text.trim()) {
+    // Drafts with an HTML part keep one; inline images are added back by buildMimeMessage
+    if (message.html) {
+      Object.assign(message, renderFormattedBody(body));
+    } else {
+      message.text = body;
+    }
+    changed = true;
+  }
+
+  if (!changed) return draftDetails(draft, account);
+  const { id: savedId } = await mail.updateDraft(id, message);
+  const revised = draftDetails({ id: savedId, threadId: draft.threadId, message }, account);
+  // A send queued before the change goes out with the new version
+  await requeueDraft(userId, id, revised);
+  return revised;
+}
+
+/**
+ * Send a draft as it is, after the outbox's undo window. It stays in Drafts until it
+ * has gone out, so undoing the send leaves it where it was.
+ * @param {string} userId - User ID
+ * @param {string} id - Draft id
+ * @param {string|null} account - Mailbox holding it
+ * @returns {Promise<Object|null>} describeOutboxMessage of the queued email, { error } if the
+ *                                 draft has no recipient, or null if there is no such draft
+ */
+async function sendDraft(userId, id, account = null) {
+  const mail = await getMailProvider(userId, { from: account });
+  if (!mail) return null;
+  const draft = await mail.getDraft(id);
+  if (!draft) return null;
+  const { message } = draft;
+  if (message.to.length + message.cc.length + message.bcc.length === 0) {
+    return { error: 'Add a recipient before sending this draft' };
+  }
+
+  return queueEmail({
+    userId,
+    from: account,
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    subject: message.subject,
+    body: message.text,
+    formatted: Boolean(message.html),
+    draftId: id
+  });
+}
+
+/**
+ * Delete a draft, canceling a send of it that is still in its undo window
+ * @param {string} userId - User ID
+ * @param {string} id - Draft id
+ * @param {string|null} account - Mailbox holding it
+ * @returns {Promise<boolean>} False if there was no such draft
+ */
+async function deleteDraft(userId, id, account = null) {
+  const mail = await getMailProvider(userId, { from: account });
+  if (!mail) return false;
+  if (!(await mail.getDraft(id))) return false;
+  await mail.deleteDraft(id);
+  await cancelDraftSends(userId, id);
+  return true;
+}
+
+/**
+ * Pick the draft the user means from a list
+ * @param {Array} drafts - listDrafts results, in the order shown to the user
+ * @param {string} reference - "2", "#2", "the second one", or words from the recipient or subject
+ * @returns {Object|null} Draft, or null if nothing matches
+ */
+function findDraft(drafts, reference) {
+  const text = String(reference || '').toLowerCase();
+  const number = text.match(/(?:^|#|\bnumber\s+|\bdraft\s+)\s*(\d+)\b/);
+  if (number) {
+    return drafts[Number(number[1]) - 1] || null;
+  }
+  const ordinal = ORDINALS.findIndex(word => new RegExp(`\\b${word}\\b`).test(text));
+  if (ordinal >= 0) {
+    return drafts[ordinal] || null;
+  }
+  if (/\b(?:last|latest|newest|most\s+recent)\b/.test(text)) {
+    return drafts[0] || null;
+  }
+
+  const words = text.split(/[^a-z0-9@._-]+/).filter(word => word.length > 1 && !REFERENCE_STOPWORDS.has(word));
+  if (words.length === 0) return null;
+  let best = null;
+  let bestScore = 0;
+  drafts.forEach(draft => {
+    const haystack = `${draft.to} ${draft.cc} ${draft.subject}`.toLowerCase();
+    const score = words.filter(word => haystack.includes(word)).length;
+    if (score > bestScore) {
+      best = draft;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// One numbered line per draft, naming the mailbox when there are several
+function formatDraftList(drafts) {
+  const severalAccounts = new Set(drafts.map(draft => draft.account)).size > 1;
+  return drafts.map((draft, i) => {
+    const date = draft.date ? ` (${new Date(draft.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })})` : '';
+    const account = severalAccounts && draft.account ? ` in ${draft.account}` : '';
+    return `${i + 1}. To ${draft.to || '(no recipient)'}: "${draft.subject || '(no subject)'}"${date}${account}`;
+  }).join('\n');
+}
+
+// The opened draft, with the question that goes with what the user asked for
+function draftResponse(draft, pending) {
+  const [to, cc, bcc] = [draft.to, draft.cc, draft.bcc].map(addresses => addresses.join(', '));
+  const copyLines = `${cc ? `\nCc: ${cc}` : ''}${bcc ? `\nBcc: ${bcc}` : ''}`;
+  const attachmentLine = draft.attachments.length > 0
+    ? `\n\nAttachments: ${draft.attachments.map(attachment => attachment.filename).join(', ')}`
+    : '';
+  const question = {
+    send: 'Send it now? (yes/no)',
+    delete: 'Delete this draft for good? (yes/no)'
+  }[pending] || 'Say "send" to send it, tell me what to change, "delete" to remove it, or "close" to leave it as it is.';
+  return savedDraftResponse(
+    `Here's your draft:\n\nTo: ${to || '(no recipient)'}${copyLines}\nSubject: ${draft.subject || '(no subject)'}\n\n${draft.body}${attachmentLine}\n\n${question}`,
+    {
+      draftId: draft.id,
+      account: draft.account,
+      to,
+      cc,
+      bcc,
+      subject: draft.subject,
+      body: draft.body,
+      attachments: draft.attachments
+    }
+  );
+}
+
+// Edited fields sent back with a draft's buttons
+function editsFrom(params = {}) {
+  const edits = {};
+  ['to', 'cc', 'bcc', 'subject', 'body'].forEach(field => {
+    if (typeof params[field] === 'string') edits[field] = params[field];
+  });
+  return edits;
+}
+
+async function sendOpenDraft(turn, state) {
+  const { userId, draftId, account } = state.data;
+  turn.onProgress('Sending your draft...');
+  const queued = await sendDraft(userId, draftId, account);
+  if (!queued) {
+    state.end();
+    return 'That draft is no longer in your Drafts folder.';
+  }
+  if (queued.error) {
+    return `${queued.error}: tell me who it's for, e.g. "send it to name@example.com".`;
+  }
+  state.end();
+  return queuedResponse(queued, false);
+}
+
+async function deleteOpenDraft(state) {
+  const { userId, draftId, account } = state.data;
+  state.end();
+  return (await deleteDraft(userId, draftId, account))
+    ? 'Deleted the draft.'
+    : 'That draft is no longer in your Drafts folder.';
+}
+
+// Apply changes, keep track of the draft's new id and show the result
+async function reviseOpenDraft(turn, state, changes) {
+  const { userId, draftId, account } = state.data;
+  if (changes.instructions) turn.onProgress('Revising your draft...');
+  const draft = await reviseDraft(userId, draftId, account, changes);
+  if (!draft) {
+    state.end();
+    return 'That draft is no longer in your Drafts folder.';
+  }
+  state.data.draftId = draft.id;
+  return draft;
+}
+
+const draftFlow = defineFlow({
+  name: 'draft',
+  timeoutMs: 15 * 60 * 1000,
+  timeoutMessage: 'I closed that draft after a while; it is still in your Drafts folder. Ask me to show your drafts to pick it up again.',
+  cancelMessage: 'Okay, the draft stays in your Drafts folder.',
+  cancelActions: ['close_draft'],
+  errorMessage: "I ran into a problem with that draft. It's still in your Drafts folder; ask me to show your drafts to try again.",
+  // draftId and account say where the draft lives (Gmail may give it a new id when it
+  // changes); pending is 'send' or 'delete' while waiting for the user to confirm
+  initialData: () => ({ draftId: null, account: null, operation: 'open', instructions: '', pending: null, userId: null }),
+
+  async start(turn, state) {
+    const { userId, draftId, account, operation, instructions } = state.data;
+    state.goto('reviewing');
+
+    if (operation === 'revise' && instructions) {
+      const draft = await reviseOpenDraft(turn, state, { instructions });
+      return typeof draft === 'string' ? draft : draftResponse(draft, null);
+    }
+
+    const draft = await openDraft(userId, draftId, account);
+    if (!draft) {
+      state.end();
+      return 'That draft is no longer in your Drafts folder.';
+    }
+    // Sending or deleting from a command is confirmed first
+    state.data.pending = ['send', 'delete'].includes(operation) ? operation : null;
+    return draftResponse(draft, state.data.pending);
+  },
+
+  stages: {
+    reviewing: {
+      async handle(turn, state) {
+        const { action } = turn;
+        const input = turn.input.trim();
+        const pending = state.data.pending;
+        state.data.pending = null;
+
+        if (action?.name === 'delete_draft' || (pending === 'delete' && !action && YES_PATTERN.test(input))) {
+          return deleteOpenDraft(state);
+        }
+        if (!action && DELETE_PATTERN.test(input)) {
+          state.data.pending = 'delete';
+          return 'Delete this draft for good? (yes/no)';
+        }
+
+        if (action?.name === 'send_draft') {
+          // The client may have edited the draft before sending it
+          const draft = await reviseOpenDraft(turn, state, editsFrom(action.params));
+          if (typeof draft === 'string') return draft;
+          return sendOpenDraft(turn, state);
+        }
+        if (!action && (SEND_PATTERN.test(input) || (pending === 'send' && YES_PATTERN.test(input)))) {
+          // "Send it to bob@x.com" sets the recipient first
+          const mentioned = parseRecipients(input);
+          if (mentioned.to.length + mentioned.cc.length + mentioned.bcc.length > 0) {
+            const draft = await reviseOpenDraft(turn, state, mentioned);
+            if (typeof draft === 'string') return draft;
+          }
+          return sendOpenDraft(turn, state);
+        }
+
+        if (pending && !action && NO_PATTERN.test(input)) {
+          return pending === 'send'
+            ? 'Okay, not sending it. Tell me what to change, or say "close" to leave it in your Drafts.'
+            : 'Okay, keeping it. Say "send" to send it, tell me what to change, or say "close".';
+        }
+        if (!action && CLOSE_PATTERN.test(input)) {
+          state.end();
+          return 'Okay, the draft stays in your Drafts folder.';
+        }
+
+        let changes = null;
+        if (action?.name === 'update_draft') {
+          changes = editsFrom(action.params);
+        } else if (!action && input) {
+          // Addresses change the recipients, like in a new email; anything else is a
+          // request to rewrite the body
+          const mentioned = parseRecipients(input);
+          if (mentioned.to.length + mentioned.cc.length + mentioned.bcc.length > 0) {
+            const current = await openDraft(state.data.userId, state.data.draftId, state.data.account);
+            if (!current) {
+              state.end();
+              return 'That draft is no longer in your Drafts folder.';
+            }
+            const keepTo = !/\binstead\b/i.test(input) || mentioned.to.length === 0;
+            changes = {
+              to: [...(keepTo ? current.to : []), ...mentioned.to],
+              cc: [...current.cc, ...mentioned.cc],
+              bcc: [...current.bcc, ...mentioned.bcc]
+            };
+          } else {
+            changes = { instructions: input };
+          }
+        }
+
+        if (!changes) {
+          const draft = await openDraft(state.data.userId, state.data.draftId, state.data.account);
+          if (!draft) {
+            state.end();
+            return 'That draft is no longer in your Drafts folder.';
+          }
+          return draftResponse(draft, null);
+        }
+
+        const draft = await reviseOpenDraft(turn, state, changes);
+        return typeof draft === 'string' ? draft : draftResponse(draft, null);
+      }
+    }
+  }
+});
+
+/**
+ * Check if this session has a draft open
+ * @param {Object} scope - { sessionId, userId }
+ * @returns {Promise<boolean>} True if in the draft flow
+ */
+async function isInDraftFlow(scope) {
+  return isFlowActive(draftFlow, scope);
+}
+
+/**
+ * Handle a drafts command: list drafts, or open one to revise, send or delete it
+ * @param {string} userInput - User input text
+ * @param {Object} entities - { operation, draft, instructions } where operation is one of
+ *                            list, open, revise, send, delete and draft says which one
+ * @param {Object} options - { sessionId, userId, onProgress, action } session scope, progress
+ *                           callback and structured reply
+ * @returns {Promise<string|Object>} Response to user, or a draft envelope
+ */
+async function handleDraftCommand(userInput, entities = {}, options = {}) {
+  const { sessionId, userId, onProgress = () => {}, action = null } = options;
+  const scope = { sessionId, userId };
+  const turn = { input: userInput || '', action, onProgress };
+
+  if (await isFlowActive(draftFlow, scope)) {
+    return continueFlow(draftFlow, scope, turn);
+  }
+  if (!userId) {
+    return 'Sign in and connect your mailbox to see your drafts.';
+  }
+
+  const operation = OPERATIONS.includes(String(entities.operation || '').toLowerCase())
+    ? entities.operation.toLowerCase()
+    : 'list';
+
+  let drafts;
+  try {
+    onProgress('Checking your drafts...');
+    drafts = await listDrafts(userId);
+  } catch (error) {
+    console.error('Error loading drafts:', error);
+    return "Sorry, I couldn't reach your mailbox just now. Please try again.";
+  }
+  if (drafts.length === 0) {
+    return "You don't have any saved drafts.";
+  }
+
+  // With a single draft there is nothing to choose from
+  const reference = entities.draft;
+  const draft = reference ? findDraft(drafts, reference) : (drafts.length === 1 ? drafts[0] : null);
+  if (operation === 'list' || !draft) {
+    const intro = reference && !draft ? `I couldn't find a draft matching "${reference}". ` : '';
+    return `${intro}Here are your drafts:\n${formatDraftList(drafts)}\n\nSay "open draft 2" to see one, or "send", "delete" or "revise" with its number.`;
+  }
+
+  return startFlow(draftFlow, scope, turn, {
+    draftId: draft.id,
+    account: draft.account,
+    operation,
+    instructions: entities.instructions || '',
+    userId: String(userId)
+  });
+}
+
+module.exports = {
+  draftFlow,
+  isInDraftFlow,
+  handleDraftCommand,
+  listDrafts,
+  openDraft,
+  reviseDraft,
+  sendDraft,
+  deleteDraft,
+  findDraft
+};
@@ -1,32 +1,66 @@
 // services/email.js
-const { getGmailClient } = require('./auth/googleAuth');
+const { getMailProvider } = require('./mail');
+const { renderFormattedBody } = require('./mail/mime');
+const { resolveAttachments } = require('./uploads');
 
-// Function to send email
-async function sendEmail(to, subject, body) {
+// In-Reply-To names the answered message; References is its chain plus that message
+function replyHeaders(original) {
+  const references = String(original.references || '').split(/\s+/).filter(Boolean);
+  if (original.messageId && !references.includes(original.messageId)) {
+    references.push(original.messageId);
+  }
+  return {
+    threadId: original.threadId || undefined,
+    inReplyTo: original.messageId || undefined,
+    references: references.length > 0 ? references.join(' ') : undefined
+  };
+}
+
+// The message sendEmail and saveDraft hand to the mail provider
+async function composeMessage(to, subject, body, userId, options) {
+  const { text, html } = options.formatted ? renderFormattedBody(body) : { text: body };
+  const attachments = await resolveAttachments(userId, options.attachments || []);
+  const reply = options.replyTo ? replyHeaders(options.replyTo) : {};
+  return { to, cc: options.cc, bcc: options.bcc, subject, text, html, attachments, ...reply };
+}
+
+// Send an email from the user's own mailbox (Gmail or IMAP/SMTP), throwing if it fails.
+// options.from picks one of several linked Gmail accounts, options.formatted sends a
+// light Markdown body as HTML with a plain text part, and options.attachments are
+// uploaded files ({ uploadId, inline }) or { filename, content, contentType }.
+// to, options.cc and options.bcc are an address, a comma separated list or an array.
+// options.replyTo is the message being answered ({ threadId, messageId, references });
+// the reply goes in its thread.
+async function deliverEmail(to, subject, body, userId, options = {}) {
+  const mail = await getMailProvider(userId, { from: options.from });
+  if (!mail) {
+    throw new Error('connect your Google account or a mailbox first.');
+  }
+  
+  const result = await mail.send(await composeMessage(to, subject, body, userId, options));
+  
+  console.log(`Email sent successfully via ${mail.name}:`, result);
+  return result;
+}
+
+// Send a draft saved in the user's mailbox as it is, throwing if it fails. The provider
+// removes it from Drafts once sent. options.from is the mailbox holding it.
+async function deliverDraft(id, userId, options = {}) {
+  const mail = await getMailProvider(userId, { from: options.from });
+  if (!mail) {
+    throw new Error('connect your Google account or a mailbox first.');
+  }
+  
+  const result = await mail.sendDraft(id);
+  
+  console.log(`Draft sent via ${mail.name}:`, result);
+  return result;
+}
+
+// Function to send email right away, with the outcome as a message for the user
+async function sendEmail(to, subject, body, userId, options = {}) {
   try {
-    const gmail = await getGmailClient();
-    
-    // Create the email in base64 encoded format
-    const str = [
-      `To: ${to}`,
-      'Content-Type: text/plain; charset=utf-8',
-      'MIME-Version: 1.0',
-      `Subject: ${subject}`,
-      '',
-      body
-    ].join('\n');
-    
-    const encodedEmail = Buffer.from(str).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
-    
-    // Send the email
-    const res = await gmail.users.messages.send({
-      userId: 'me',
-      requestBody: {
-        raw: encodedEmail
-      }
-    });
-    
-    console.log('Email sent successfully:', res.data);
+    await deliverEmail(to, subject, body, userId, options);
     return "Email sent successfully!";
   } catch (error) {
     console.error('Error sending email:', error);
@@ -34,4 +68,22 @@ async function sendEmail(to, subject, body) {
   }
 }
 
-module.exports = { sendEmail };
\ No newline at end of file
+// Same as sendEmail, but files the message in the mailbox's Drafts to finish in a mail client
+async function saveDraft(to, subject, body, userId, options = {}) {
+  try {
+    const mail = await getMailProvider(userId, { from: options.from });
+    if (!mail) {
+      return "Error saving draft: connect your Google account or a mailbox first.";
+    }
+    
+    const result = await mail.createDraft(await composeMessage(to, subject, body, userId, options));
+    
+    console.log(`Draft saved via ${mail.name}:`, result);
+    return "Saved to your Drafts folder. You can finish it in your mail app, or ask me to show your drafts.";
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    return `Error saving draft: ${error.message}`;
+  }
+}
+
+module.exports = { deliverEmail, deliverDraft, sendEmail, saveDraft };
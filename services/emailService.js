@@ -1,46 +1,67 @@
 // services/emailService.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { google } = require('googleapis');
-const fs = require('fs').promises;
-const path = require('path');
-const { sendEmail } = require('./email');
-const { getGmailClient } = require('./auth/googleAuth');
+const llm = require('./llm');
+const { sendEmail, saveDraft } = require('./email');
+const { getMailProvider, listSendingAccounts } = require('./mail');
+const { emailDraftResponse } = require('./responses');
+const { queueEmail, queuedResponse, parseSendTime } = require('./outbox');
+const { defineFlow, isFlowActive, startFlow, continueFlow } = require('./flows/engine');
 require('dotenv').config();
 
 // Cache implementation for API responses
 const emailCache = new Map();
 const styleCacheExpiry = 60 * 60 * 1000; // 1 hour cache for style analysis
 
-// Connection pooling for Gmail client
-let gmailClientInstance = null;
-let lastGmailClientRefresh = 0;
-const GMAIL_CLIENT_REFRESH_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const EMAIL_ADDRESS = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
 
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+// An address, or a word that puts the addresses after it in another field:
+// "email a@x.com and b@y.com, cc c@z.com and bcc d@w.com"
+const RECIPIENT_TOKEN = new RegExp(`(${EMAIL_ADDRESS.source})|\\b(bcc|blind\\s+copy(?:ing)?|cc|copy(?:ing)?|to)\\b`, 'gi');
 
-// Email state object
-let emailState = {
-  active: false,
-  stage: 'init', // init, collecting_purpose, collecting_recipient, collecting_subject, collecting_body, confirming, editing, generating_body
-  data: {
-    to: '',
-    subject: '',
-    body: '',
-    purpose: '',
-    styleAnalysis: null
-  }
-};
+// Past emails are analyzed for at most this many recipients of a group email
+const MAX_GROUP_ANALYSIS = 5;
+
+// Asking for structure in the email: the body is drafted in light Markdown and sent as HTML too
+const FORMATTING_PATTERN = /\b(?:format(?:ted|ting)?|bullet(?:ed)?(?:\s+points?|\s+list)?|numbered\s+list|bold|headings?|html)\b/i;
+
+// "Put the photo inline", "embed the image in the body"
+const INLINE_PATTERN = /\b(?:inline|embed(?:ded)?|in\s+the\s+body)\b/i;
+
+// "Save it as a draft", "keep it in my drafts", or just "draft"
+const SAVE_DRAFT_PATTERN = /\b(?:save|keep|store|put|leave)\b.*\bdrafts?\b|^\s*(?:as\s+a\s+)?draft\s*[.!]?\s*$/i;
+// "Don't save it as a draft, just send it", "no, don't keep it in drafts", "not as a draft"
+const NOT_DRAFT_PATTERN = /\b(?:don'?t|do\s+not|never)\s+(?:\w+\s+)?(?:save|keep|store|put|leave)\b.*\bdrafts?\b|\bnot\s+(?:as\s+a\s+draft|in(?:to)?\s+(?:my\s+|the\s+)?drafts?)\b|\bno\s+drafts?\b/i;
+
+// "Send it tomorrow at 8am", "send on Monday morning", "in 2 hours"
+const SEND_TIME_PATTERN = /\b(?:tomorrow|tonight|today|this\s+(?:morning|afternoon|evening)|(?:on|next)\s+(?:mon|tues|wednes|thurs|fri|satur|sun)day|in\s+(?:\d+|an?|one)\s+(?:minute|min|hour|hr|day)s?|at\s+(?:noon|midnight|\d{1,2}(?::\d{2})?)|\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{4}-\d{2}-\d{2})\b/i;
+
+// Answers to "Send it?", as whole words so "know" or "now" isn't a no
+const YES_PATTERN = /\byes\b/i;
+const NO_PATTERN = /^\s*(?:no|nope|not\s+(?:yet|now))\b|\b(?:don'?t|do\s+not)\s+send\b/i;
+
+// "Reply to Alice's last email about the budget", "write back to Bob"
+const REPLY_PATTERN = /\b(?:reply|respond|answer|write\s+back)\b/i;
+
+// How much of the email being answered goes into the drafting prompt
+const REPLY_CONTEXT_CHARS = 3000;
+
+// Mail domains of personal accounts, as opposed to a work or school domain
+const PERSONAL_MAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Asked to save the email as a draft, and not told not to
+function wantsDraft(text) {
+  return SAVE_DRAFT_PATTERN.test(text) && !NOT_DRAFT_PATTERN.test(text);
+}
 
 /**
- * Search emails with pagination, batching and caching
+ * Search the user's sent emails with caching
  * @param {string} recipient - Email address of recipient
  * @param {number} maxResults - Maximum number of results to return
- * @returns {Promise<Array>} Array of email objects
+ * @param {string} userId - Whose mailbox to search
+ * @param {string} from - Which of the user's linked Gmail accounts to search; the default if omitted
+ * @returns {Promise<Array>} Messages in the mail provider shape (see services/mail)
  */
-async function searchEmails(recipient, maxResults = 10) {
-  const cacheKey = `emails_${recipient}_${maxResults}`;
+async function searchEmails(recipient, maxResults = 10, userId = null, from = null) {
+  const cacheKey = `emails_${userId}_${from}_${recipient}_${maxResults}`;
   
   // Check cache first
   if (emailCache.has(cacheKey)) {
@@ -52,79 +73,28 @@ async function searchEmails(recipient, maxResults = 10) {
   }
   
   try {
-    const gmail = await getGmailClient();
+    const mail = await getMailProvider(userId, { from });
     
-    if (!gmail) {
-      console.error('Gmail client unavailable');
+    if (!mail) {
+      console.error('Mail provider unavailable');
       return [];
     }
     
     console.log(`Searching emails for recipient: ${recipient}`);
+    const emails = await mail.searchSent({ to: recipient, maxResults });
     
-    // Search for emails to the recipient with pagination
-    let allMessages = [];
-    let nextPageToken = null;
-    let remainingResults = maxResults;
-    
-    do {
-      const pageSize = Math.min(remainingResults, 100); // Max 100 per request
-      
-      const res = await gmail.users.messages.list({
-        userId: 'me',
-        q: `to:${recipient}`,
-        maxResults: pageSize,
-        pageToken: nextPageToken
-      });
-      
-      const messages = res.data.messages || [];
-      allMessages = allMessages.concat(messages);
-      
-      nextPageToken = res.data.nextPageToken;
-      remainingResults -= messages.length;
-      
-    } while (nextPageToken && remainingResults > 0);
+    // Cache the results
+    emailCache.set(cacheKey, { emails, timestamp: Date.now() });
     
-    if (allMessages.length === 0) {
+    if (emails.length === 0) {
       console.log('No messages found sent to', recipient);
-      emailCache.set(cacheKey, { emails: [], timestamp: Date.now() });
       return [];
     }
     
-    console.log(`Found ${allMessages.length} emails to ${recipient}`);
-    
-    // Batch request for email content - process in chunks of 5 to avoid overloading
-    const emails = [];
-    const batchSize = 5;
-    
-    for (let i = 0; i < Math.min(allMessages.length, maxResults); i += batchSize) {
-      const batch = allMessages.slice(i, i + batchSize);
-      
-      // Process batch in parallel
-      const batchResults = await Promise.allSettled(
-        batch.map(message => 
-          gmail.users.messages.get({
-            userId: 'me',
-            id: message.id
-          })
-        )
-      );
-      
-      // Add successful results
-      batchResults.forEach(result => {
-        if (result.status === 'fulfilled') {
-          emails.push(result.value.data);
-        }
-      });
-    }
-    
-    // Cache the results
-    emailCache.set(cacheKey, { emails, timestamp: Date.now() });
-    
     // Print email subjects and snippets for debugging
-    console.log('--- PREVIOUS EMAILS ---');
+    console.log(`--- PREVIOUS EMAILS (${mail.name}) ---`);
     emails.forEach((email, index) => {
-      const subject = email.payload.headers.find(h => h.name === 'Subject')?.value || 'No Subject';
-      console.log(`Email ${index+1}: ${subject}`);
+      console.log(`Email ${index+1}: ${email.subject || 'No Subject'}`);
       console.log(`Snippet: ${email.snippet}`);
       console.log('---');
     });
@@ -145,37 +115,12 @@ async function searchEmails(recipient, maxResults = 10) {
 
 /**
  * Extract email content from email object
- * @param {Object} email - Email object from Gmail API
+ * @param {Object} email - Message from a mail provider
  * @returns {string} Extracted email content
  */
 function extractEmailContent(email) {
-  try {
-    // Extract body parts from payload
-    const parts = email.payload.parts || [];
-    const body = email.payload.body;
-    
-    let content = '';
-    
-    // Try to get content from body directly
-    if (body && body.data) {
-      const decodedBody = Buffer.from(body.data, 'base64').toString('utf-8');
-      content += decodedBody;
-    }
-    
-    // Or extract from parts
-    for (const part of parts) {
-      if (part.mimeType === 'text/plain' && part.body && part.body.data) {
-        const decodedPart = Buffer.from(part.body.data, 'base64').toString('utf-8');
-        content += decodedPart;
-      }
-    }
-    
-    // Trim to reasonable size to avoid memory issues
-    return content.substring(0, 10000); // Limit to 10KB per email
-  } catch (error) {
-    console.error('Error extracting email content:', error);
-    return '';
-  }
+  // Trim to reasonable size to avoid memory issues
+  return (email.text || '').substring(0, 10000); // Limit to 10KB per email
 }
 
 /**
@@ -216,15 +161,8 @@ async function analyzeEmailDomain(recipient) {
       }
     `;
     
-    const result = await model.generateContent(prompt);
-    const response = result.response.text().trim();
-    
     try {
-      // Parse the JSON response
-      const jsonMatch = response.match(/\{.*\}/s);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      return await llm.generateJSON(prompt);
     } catch (e) {
       console.error('Email domain analysis JSON parsing error:', e);
     }
@@ -310,13 +248,116 @@ async function analyzeEmailDomain(recipient) {
   }
 }
 
+/**
+ * Neutral style for an email to several people, keeping whatever context is known
+ * @param {Array} known - Style analyses of recipients the user has written to before
+ * @returns {Object} Style analysis object
+ */
+function neutralGroupStyle(known = []) {
+  const union = (field) => [...new Set(known.flatMap(style => style.context?.[field] || []))].slice(0, 6);
+  return {
+    relationship: "group",
+    tone: "friendly but professional",
+    greeting: "Hi all,",
+    closing: "Best,",
+    style: "clear and concise, written to everyone at once",
+    context: {
+      previousTopics: union('previousTopics'),
+      ongoingContext: known.map(style => style.context?.ongoingContext).filter(Boolean).join('; ') || "No specific context known",
+      typicalPurpose: "group communication",
+      commonTerms: union('commonTerms'),
+      relationshipDynamics: "a mixed group of recipients"
+    }
+  };
+}
+
+/**
+ * Analyze the style for an email to several people: combine what past emails say about
+ * each of them, or use a neutral group tone if the user hasn't written to any of them
+ * @param {Array} recipients - Recipient addresses
+ * @param {string} userId - Whose sent emails to learn the style from
+ * @param {string} from - The user's address the email goes out from
+ * @returns {Promise<Object>} Style analysis object
+ */
+async function analyzeGroupContext(recipients, userId = null, from = null) {
+  const cacheKey = `style_${userId}_${from}_${[...recipients].sort().join(',')}`;
+  if (emailCache.has(cacheKey)) {
+    const cachedData = emailCache.get(cacheKey);
+    if (Date.now() - cachedData.timestamp < styleCacheExpiry) {
+      console.log(`Using cached style analysis for ${recipients.join(', ')}`);
+      return cachedData.style;
+    }
+  }
+  
+  try {
+    console.log(`Analyzing previous emails sent to the group: ${recipients.join(', ')}`);
+    const analyzed = recipients.slice(0, MAX_GROUP_ANALYSIS);
+    const histories = await Promise.all(analyzed.map(recipient => searchEmails(recipient, 15, userId, from)));
+    const knownRecipients = analyzed.filter((recipient, index) => histories[index].length > 0);
+    const known = await Promise.all(knownRecipients.map(recipient => analyzeEmailContext(recipient, userId, from)));
+    
+    let style = neutralGroupStyle(known);
+    if (known.length > 0) {
+      const unknown = recipients.filter(recipient => !knownRecipients.includes(recipient));
+      const prompt = `
+        I'm writing one email to several people: ${recipients.join(', ')}.
+        
+        This is how I usually write to the ones I've emailed before:
+        ${knownRecipients.map((recipient, index) => `${recipient}: ${JSON.stringify(known[index])}`).join('\n        ')}
+        ${unknown.length > 0 ? `I haven't written to ${unknown.join(', ')} before.` : ''}
+        
+        Combine these into one style that suits everyone:
+        1. When the tones differ, use the more formal one
+        2. Use a greeting that addresses the whole group, not one person
+        3. Keep topics, ongoing context and terms that the group shares or that matter to the email
+        
+        Return ONLY as JSON: {
+          "relationship": "group",
+          "tone": "combined tone",
+          "greeting": "greeting for the group",
+          "closing": "closing",
+          "style": "writing style",
+          "context": {
+            "previousTopics": ["topic1", "topic2"],
+            "ongoingContext": "brief description of ongoing conversations",
+            "typicalPurpose": "common purpose",
+            "commonTerms": ["term1", "term2"],
+            "relationshipDynamics": "description of the group"
+          }
+        }
+      `;
+      try {
+        style = await llm.generateJSON(prompt);
+      } catch (error) {
+        console.error('Group style analysis JSON parsing error:', error);
+      }
+    }
+    
+    emailCache.set(cacheKey, { style, timestamp: Date.now() });
+    return style;
+  } catch (error) {
+    console.error('Error in group email context analysis:', error);
+    return neutralGroupStyle();
+  }
+}
+
 /**
  * Analyze email context based on previous emails
- * @param {string} recipient - Email recipient
+ * @param {string|Array} recipient - Email recipient, or several for a group email
+ * @param {string} userId - Whose sent emails to learn the style from
+ * @param {string} from - The user's address the email goes out from
  * @returns {Promise<Object>} Style analysis object
  */
-async function analyzeEmailContext(recipient) {
-  const cacheKey = `style_${recipient}`;
+async function analyzeEmailContext(recipient, userId = null, from = null) {
+  if (Array.isArray(recipient)) {
+    const recipients = [...new Set(recipient)];
+    if (recipients.length > 1) {
+      return analyzeGroupContext(recipients, userId, from);
+    }
+    recipient = recipients[0] || '';
+  }
+  
+  const cacheKey = `style_${userId}_${from}_${recipient}`;
   
   // Check cache first for style analysis
   if (emailCache.has(cacheKey)) {
@@ -331,7 +372,7 @@ async function analyzeEmailContext(recipient) {
     console.log(`Analyzing previous emails sent to: ${recipient}`);
     
     // Try to get actual emails from Gmail
-    const emails = await searchEmails(recipient, 15); // Limit to 15 for analysis
+    const emails = await searchEmails(recipient, 15, userId, from); // Limit to 15 for analysis
     
     if (emails.length > 0) {
       // Extract text content from emails - do this in batch to manage memory
@@ -394,25 +435,16 @@ async function analyzeEmailContext(recipient) {
         
         while (attempts < maxAttempts) {
           try {
-            const result = await model.generateContent(prompt);
-            const response = result.response.text().trim();
+            const analysisData = await llm.generateJSON(prompt);
+            console.log("Email analysis complete using actual emails:");
             
-            // Parse the JSON response
-            const jsonMatch = response.match(/\{.*\}/s);
-            if (jsonMatch) {
-              const analysisData = JSON.parse(jsonMatch[0]);
-              console.log("Email analysis complete using actual emails:");
-              
-              // Cache the result
-              emailCache.set(cacheKey, { 
-                style: analysisData, 
-                timestamp: Date.now() 
-              });
-              
-              return analysisData;
-            }
+            // Cache the result
+            emailCache.set(cacheKey, { 
+              style: analysisData, 
+              timestamp: Date.now() 
+            });
             
-            attempts++;
+            return analysisData;
           } catch (error) {
             console.error(`Analysis attempt ${attempts} failed:`, error);
             attempts++;
@@ -502,8 +534,7 @@ async function generateEmailDraft(recipient, purpose, styleAnalysis) {
     
     while (attempts < maxAttempts) {
       try {
-        const result = await model.generateContent(prompt);
-        const generatedText = result.response.text().trim();
+        const generatedText = await llm.generateText(prompt);
         
         // Extract subject and body from generated text
         let subject = '';
@@ -554,9 +585,12 @@ async function generateEmailDraft(recipient, purpose, styleAnalysis) {
  * @param {string} recipient - Email recipient
  * @param {string} purpose - Email purpose
  * @param {Object} styleAnalysis - Style analysis object
+ * @param {string} userMemory - Remembered facts about the sender, as prompt lines
+ * @param {Object} options - { formatted, replyTo }: allow light Markdown (lists, bold, links)
+ *                           in the body; the message being answered ({ from, subject, date, text })
  * @returns {Promise<Object>} Generated email with subject and body
  */
-async function generateHumanizedEmail(recipient, purpose, styleAnalysis) {
+async function generateHumanizedEmail(recipient, purpose, styleAnalysis, userMemory = '', options = {}) {
   try {
     console.log("Generating human-like email based on purpose:", purpose);
     
@@ -577,7 +611,12 @@ async function generateHumanizedEmail(recipient, purpose, styleAnalysis) {
       ${styleAnalysis.context?.previousTopics?.length > 0 ? `- We've previously discussed: ${styleAnalysis.context.previousTopics.join(', ')}` : ''}
       ${styleAnalysis.context?.ongoingContext ? `- Ongoing conversation: ${styleAnalysis.context.ongoingContext}` : ''}
       ${styleAnalysis.context?.commonTerms?.length > 0 ? `- I often use phrases like: ${styleAnalysis.context.commonTerms.join(', ')}` : ''}
-      
+      ${userMemory ? `\n      About me (use only where it's relevant to this email):\n${userMemory}\n` : ''}
+      ${options.replyTo ? `This is a reply to the email below from ${options.replyTo.from}. Answer it directly and don't restate what it says:
+      ---
+      ${replyContext(options.replyTo.text)}
+      ---
+      ` : ''}
       Important:
       ${contextAnalysis.missingInfo ? `- This purpose is missing some context: ${contextAnalysis.missingInfo}
       - Handle the gaps naturally, as a human would, without explicitly mentioning anything is missing
@@ -591,6 +630,7 @@ async function generateHumanizedEmail(recipient, purpose, styleAnalysis) {
       5. Include a natural-sounding subject line that would make sense to the recipient
       6. Don't explain that you're emailing, just get to the point naturally
       7. Format with "Subject:" on the first line, followed by the body starting with my typical greeting
+      ${options.formatted ? `8. The body may use light Markdown where it helps: "- " or "1." lists, **bold**, *italics* and [link text](https://...). No headings, tables or HTML.` : '8. Write the body as plain text, without Markdown'}
       
       Write the complete email now:
     `;
@@ -601,8 +641,7 @@ async function generateHumanizedEmail(recipient, purpose, styleAnalysis) {
     
     while (attempts < maxAttempts) {
       try {
-        const result = await model.generateContent(prompt);
-        const generatedText = result.response.text().trim();
+        const generatedText = await llm.generateText(prompt);
         
         // Extract subject and body
         let subject = '';
@@ -619,6 +658,11 @@ async function generateHumanizedEmail(recipient, purpose, styleAnalysis) {
           }
         }
         
+        // Replies keep the subject of their thread
+        if (options.replyTo) {
+          subject = replySubject(options.replyTo.subject);
+        }
+        
         // Generate subject if missing
         if (!subject) {
           subject = await generateNaturalSubject(purpose, contextAnalysis);
@@ -682,14 +726,8 @@ async function analyzeContextCompleteness(recipient, purpose) {
       }
     `;
     
-    const result = await model.generateContent(prompt);
-    const response = result.response.text().trim();
-    
     try {
-      const jsonMatch = response.match(/\{.*\}/s);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+      return await llm.generateJSON(prompt);
     } catch (e) {
       console.error('Context analysis JSON parsing error:', e);
     }
@@ -749,8 +787,7 @@ async function generateNaturalSubject(purpose, contextAnalysis) {
       Return ONLY the subject line text.
     `;
     
-    const result = await model.generateContent(prompt);
-    return result.response.text().trim();
+    return await llm.generateText(prompt);
   } catch (error) {
     console.error('Subject generation error:', error);
     
@@ -784,235 +821,664 @@ function cleanupCache() {
   }
 }
 
+// "Re: Budget" for a reply to "Budget" (or to "Re: Budget")
+function replySubject(subject) {
+  const original = String(subject || '').trim();
+  return /^re:/i.test(original) ? original : `Re: ${original}`;
+}
+
+// The new part of an email, without the quoted history below it
+function replyContext(text) {
+  const fresh = String(text || '')
+    .split(/\n(?:On .{1,200} wrote:|-{2,}\s*Original Message\s*-{2,})/i)[0]
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+  return fresh.length > REPLY_CONTEXT_CHARS ? `${fresh.slice(0, REPLY_CONTEXT_CHARS)}...` : fresh;
+}
+
 /**
- * Check if user is in an email flow
- * @returns {boolean} True if in email flow
+ * Work out which received email the user wants to answer
+ * @param {string} input - e.g. "reply to Alice's last email about the budget and say I'm in"
+ * @returns {Promise<Object>} { sender, topic, replyAll, message } where sender is a name or
+ *                            address, topic a few search words and message what to say;
+ *                            each null when not given
  */
-function isInEmailFlow() {
-  return emailState.active;
+async function parseReplyRequest(input) {
+  const prompt = `
+    The user wants to reply to an email they received: "${input}"
+    
+    Extract:
+    1. Who sent the email they want to answer (a name or email address)
+    2. A few keywords for what that email was about, suitable for a mail search
+    3. Whether they want to reply to everyone on it
+    4. What they want to say in the reply, if they said it
+    
+    Return as JSON: {
+      "sender": "name or address, or null",
+      "topic": "search keywords, or null",
+      "replyAll": true/false,
+      "message": "what to say, or null"
+    }
+  `;
+  
+  let parsed = {};
+  try {
+    parsed = await llm.generateJSON(prompt) || {};
+  } catch (e) {
+    console.error('Reply request JSON parsing error:', e);
+  }
+  
+  // Basic fallback parsing for whatever the model left out
+  const text = String(input || '');
+  const address = text.match(EMAIL_ADDRESS);
+  const possessive = text.match(/\b(?:to|answer)\s+(?:all\s+(?:on\s+)?)?([A-Za-z][\w.-]*)(?:'s|s')\s+/i);
+  const fromName = text.match(/\b(?:email|e-mail|mail|message)\s+from\s+([A-Za-z][\w.-]*)/i);
+  const topic = text.match(/\babout\s+(?:the\s+|my\s+|our\s+)?(.+?)(?:\s+(?:and|saying|to say|telling)\b|[.?!]*$)/i);
+  const message = text.match(/\b(?:saying|and say|and tell (?:him|her|them)|to say)\s+(?:that\s+)?(.+)$/i);
+  return {
+    sender: parsed.sender || (address ? address[0] : (possessive || fromName)?.[1] || null),
+    topic: parsed.topic || (topic ? topic[1].trim() : null),
+    replyAll: Boolean(parsed.replyAll) || /\breply[\s-]+(?:to\s+)?all\b/i.test(text),
+    message: parsed.message || (message ? message[1].trim() : null)
+  };
 }
 
 /**
- * Handle email intent
- * @param {string} userInput - User input text
- * @param {Object} entities - Extracted entities
- * @returns {Promise<string>} Response to user
+ * Find the newest received email matching a reply request, across the user's mailboxes
+ * @param {string} userId - User ID
+ * @param {Array} addresses - The user's sending addresses; each linked account is searched
+ * @param {Object} request - { sender, topic } from parseReplyRequest
+ * @returns {Promise<Object|null>} { message, account } where account is the address that
+ *                                 received it, or null if nothing matched
  */
-async function handleEmailIntent(userInput, entities) {
-  // Track performance
-  const startTime = Date.now();
+async function findReplyTarget(userId, addresses, { sender, topic }) {
+  const accounts = addresses.length > 0 ? addresses : [null];
+  const results = await Promise.allSettled(accounts.map(async (account) => {
+    const mail = await getMailProvider(userId, { from: account });
+    if (!mail || !mail.searchReceived) return null;
+    const [message] = await mail.searchReceived({ from: sender, text: topic, maxResults: 1 });
+    return message ? { message, account } : null;
+  }));
+  
+  const found = results
+    .filter(result => result.status === 'fulfilled' && result.value)
+    .map(result => result.value);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Error searching received emails:', result.reason));
+  
+  found.sort((a, b) => new Date(b.message.date || 0) - new Date(a.message.date || 0));
+  return found[0] || null;
+}
+
+/**
+ * Every address in a piece of text
+ * @param {string} text - Text, e.g. an extracted entity
+ * @returns {Array} Addresses in order of appearance
+ */
+function addressesIn(text) {
+  return String(text || '').match(new RegExp(EMAIL_ADDRESS.source, 'g')) || [];
+}
+
+/**
+ * Sort the addresses in a message into To, CC and BCC: "email a@x.com and cc b@y.com".
+ * Addresses go to To until "cc"/"copy" or "bcc"/"blind copy" says otherwise, and
+ * "to" switches back.
+ * @param {string} text - What the user said
+ * @returns {Object} { to, cc, bcc } arrays of addresses, each address listed once
+ */
+function parseRecipients(text) {
+  const recipients = { to: [], cc: [], bcc: [] };
+  const seen = new Set();
+  let field = 'to';
+  for (const [, address, word] of String(text || '').matchAll(RECIPIENT_TOKEN)) {
+    if (word) {
+      const lower = word.toLowerCase();
+      field = lower === 'to' ? 'to' : (lower.startsWith('b') ? 'bcc' : 'cc');
+    } else if (!seen.has(address.toLowerCase())) {
+      seen.add(address.toLowerCase());
+      recipients[field].push(address);
+    }
+  }
+  return recipients;
+}
+
+function hasRecipients(recipients) {
+  return recipients.to.length + recipients.cc.length + recipients.bcc.length > 0;
+}
+
+// Add recipients to the draft's, skipping addresses it already has in any field
+function addRecipients(data, recipients) {
+  const seen = new Set([...data.to, ...data.cc, ...data.bcc].map(address => address.toLowerCase()));
+  ['to', 'cc', 'bcc'].forEach(field => {
+    recipients[field].forEach(address => {
+      if (seen.has(address.toLowerCase())) return;
+      seen.add(address.toLowerCase());
+      data[field].push(address);
+    });
+  });
+}
+
+// "bob@x.com and carol@y.com (cc dave@z.com)"; BCC is left out as the other recipients don't see it
+function describeRecipients({ to, cc = [] }) {
+  const names = to.length > 2 ? `${to.slice(0, -1).join(', ')} and ${to[to.length - 1]}` : to.join(' and ');
+  return cc.length > 0 ? `${names} (cc ${cc.join(', ')})` : names;
+}
+
+/**
+ * Find a sending address the user named, e.g. "from my work account" or
+ * "send it from me@company.com"
+ * @param {Array} addresses - Addresses the user can send from
+ * @param {string} input - What the user said
+ * @returns {string|null} Address, or null if they didn't name one
+ */
+function namedSendingAccount(addresses, input) {
+  const text = String(input || '').toLowerCase();
+  if (addresses.length < 2) return null;
+  
+  const byAddress = addresses.find(address => text.includes(address.toLowerCase()));
+  if (byAddress) return byAddress;
+  
+  const isPersonal = address => PERSONAL_MAIL_DOMAINS.includes(address.split('@')[1].toLowerCase());
+  if (/\b(?:from|use|using|with|via|on)\s+(?:my\s+)?(?:work|business|office|company|school)\b/.test(text)) {
+    return addresses.find(address => !isPersonal(address)) || null;
+  }
+  if (/\b(?:from|use|using|with|via|on)\s+(?:my\s+)?(?:personal|private|home|gmail)\b/.test(text)) {
+    return addresses.find(isPersonal) || null;
+  }
+  
+  // "from my acme account" names the account by its domain
+  const named = text.match(/\bfrom\s+(?:my\s+)?([a-z0-9-]+)\s+(?:account|address|email|mail)\b/);
+  if (named) {
+    return addresses.find(address => address.split('@')[1].toLowerCase().split('.')[0] === named[1]) || null;
+  }
+  return null;
+}
+
+/**
+ * Infer which of the user's addresses to write to a recipient from: the one they
+ * last wrote to them from, else one on the recipient's domain, else the default
+ * @param {Array} addresses - Addresses the user can send from, the default first
+ * @param {string} to - Recipient address
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Address, or null if the user has none
+ */
+async function inferSendingAccount(addresses, to, userId) {
+  if (addresses.length < 2) return addresses[0] || null;
+  
+  const lastSent = await Promise.all(addresses.map(async (address) => {
+    const [latest] = await searchEmails(to, 1, userId, address);
+    return latest && latest.date ? new Date(latest.date).getTime() : 0;
+  }));
+  const newest = Math.max(...lastSent);
+  if (newest > 0) {
+    return addresses[lastSent.indexOf(newest)];
+  }
+  
+  const domain = (to.split('@')[1] || '').toLowerCase();
+  return addresses.find(address => address.split('@')[1].toLowerCase() === domain) || addresses[0];
+}
+
+// The draft envelope, with the sending address when the user has more than one
+function draftResponse(state) {
+  const { from, fromOptions = [], subject, body, formatted = false, attachments = [] } = state.data;
+  const [to, cc, bcc] = ['to', 'cc', 'bcc'].map(field => state.data[field].join(', '));
+  const fromLine = fromOptions.length > 1 ? `From: ${from}\n` : '';
+  const copyLines = `${cc ? `\nCc: ${cc}` : ''}${bcc ? `\nBcc: ${bcc}` : ''}`;
+  const attachmentLine = attachments.length > 0
+    ? `\n\nAttachments: ${attachments.map(attachment => `${attachment.filename}${attachment.inline ? ' (inline)' : ''}`).join(', ')}`
+    : '';
+  const hint = fromOptions.length > 1 ? ` (or say "send from ..." to use ${fromOptions.filter(address => address !== from).join(' or ')})` : '';
+  const replyTo = state.data.replyTo
+    ? { from: state.data.replyTo.from, subject: state.data.replyTo.subject, date: state.data.replyTo.date }
+    : null;
+  const replyLine = replyTo ? `In reply to: ${replyTo.from}, "${replyTo.subject}"\n` : '';
+  return emailDraftResponse(
+    `Here's your personalized email draft:\n\n${replyLine}${fromLine}To: ${to}${copyLines}\nSubject: ${subject}\n\n${body}${attachmentLine}\n\nShould I send this email? (yes/no, or say when, e.g. "send it tomorrow at 8am")${hint}`,
+    { to, cc, bcc, from, fromOptions, subject, body, formatted, attachments, replyTo }
+  );
+}
+
+// The client may have edited the draft before sending or saving it
+function applyDraftEdits(state, params) {
+  for (const field of ['subject', 'body']) {
+    if (typeof params[field] === 'string' && params[field].trim()) {
+      state.data[field] = params[field].trim();
+    }
+  }
+  if (addressesIn(params.to).length > 0) {
+    state.data.to = addressesIn(params.to);
+  }
+  for (const field of ['cc', 'bcc']) {
+    if (typeof params[field] === 'string') {
+      state.data[field] = addressesIn(params[field]);
+    }
+  }
+  if (state.data.fromOptions.includes(params.from)) {
+    state.data.from = params.from;
+  }
+  // Attachments the user removed from the draft
+  if (Array.isArray(params.attachments)) {
+    const kept = params.attachments.map(String);
+    state.data.attachments = state.data.attachments.filter(attachment => kept.includes(attachment.uploadId));
+  }
+}
+
+// Options for sendEmail and saveDraft
+function messageOptions(data) {
+  return {
+    cc: data.cc,
+    bcc: data.bcc,
+    from: data.from || null,
+    formatted: data.formatted,
+    attachments: data.attachments,
+    replyTo: data.replyTo
+  };
+}
+
+// Store the email in the Drafts folder of the sending account instead of sending it
+async function saveAsDraft(turn, state) {
+  turn.onProgress('Saving your email to Drafts...');
+  const result = await saveDraft(state.data.to, state.data.subject, state.data.body, state.data.userId, messageOptions(state.data));
+  state.end();
+  return result;
+}
+
+// Hand the confirmed email to the outbox: it goes out once the undo window ends, or at
+// sendAt, shown in the user's time zone
+async function queueForSending(state, sendAt = null, timeZone = null) {
+  const { data } = state;
+  // Without an account there is no outbox, and sendEmail explains what to connect
+  if (!data.userId) {
+    state.end();
+    return sendEmail(data.to, data.subject, data.body, data.userId, messageOptions(data));
+  }
   
   try {
-    // Check if we're starting a new email flow
-    if (!emailState.active) {
-      // Starting a new email flow
-      emailState.active = true;
-      emailState.stage = 'collecting_purpose';
-      emailState.data = {
-        to: entities.to === 'MISSING' ? '' : entities.to,
-        subject: '',
-        body: '',
-        purpose: '',
-        styleAnalysis: null,
-        startTime: Date.now() // Track when this flow started
-      };
-      
-      // If we already have the recipient, move to purpose
-      if (emailState.data.to && emailState.data.to !== '') {
-        console.log(`Starting email flow for recipient: ${emailState.data.to}`);
-        return "Great, I'll help you draft an email to " + emailState.data.to + ". What's the purpose of this email?";
-      } else {
-        // Ask for the recipient first
-        emailState.stage = 'collecting_recipient';
-        return "Who would you like to send an email to? (Please provide their email address)";
-      }
+    const queued = await queueEmail(
+      { userId: data.userId, to: data.to, subject: data.subject, body: data.body, ...messageOptions(data) },
+      { sendAt }
+    );
+    state.end();
+    return queuedResponse(queued, Boolean(sendAt), timeZone);
+  } catch (error) {
+    return `Error sending email: ${error.message}`;
+  }
+}
+
+/**
+ * Draft the email in the user's style and ask for confirmation
+ * @param {Object} state - Flow state
+ * @param {Function} onProgress - Receives progress messages
+ * @returns {Promise<string|Object>} Draft envelope, or an error message
+ */
+async function proceedToEmailGeneration(state, onProgress = () => {}) {
+  try {
+    const addresses = (await listSendingAccounts(state.data.userId)).map(account => account.address);
+    state.data.fromOptions = addresses;
+    if (!state.data.from || !addresses.includes(state.data.from)) {
+      state.data.from = await inferSendingAccount(addresses, state.data.to[0], state.data.userId);
     }
     
-    // Auto-cleanup for stale email sessions (15 minutes)
-    if (Date.now() - emailState.data.startTime > 15 * 60 * 1000) {
-      console.log('Email session timed out, resetting');
-      emailState = {
-        active: false,
-        stage: 'init',
-        data: { to: '', subject: '', body: '', purpose: '', styleAnalysis: null }
-      };
-      
-      return "It looks like our email drafting session timed out. Let's start over. What would you like to do?";
+    // Start style analysis; BCC recipients don't shape the tone, as the email isn't written to them
+    const readers = [...state.data.to, ...state.data.cc];
+    console.log("Analyzing email style for", readers.join(', '));
+    onProgress(`Analyzing past emails with ${describeRecipients(state.data)}...`);
+    state.data.styleAnalysis = await analyzeEmailContext(readers, state.data.userId, state.data.from);
+    
+    // Generate personalized, humanized email draft
+    console.log("Generating humanized email for purpose:", state.data.purpose);
+    onProgress('Drafting your email...');
+    const generated = await generateHumanizedEmail(
+      describeRecipients(state.data),
+      state.data.purpose,
+      state.data.styleAnalysis,
+      state.data.userMemory,
+      { formatted: state.data.formatted, replyTo: state.data.replyTo }
+    );
+    
+    state.data.subject = generated.subject;
+    state.data.body = generated.body;
+    state.goto('confirming');
+    
+    return draftResponse(state);
+  } catch (error) {
+    console.error("Error in email generation process:", error);
+    state.goto('collecting_purpose');
+    return "I encountered an issue creating your email. Could you please describe the purpose again?";
+  }
+}
+
+/**
+ * Find the email the user wants to answer and set the draft up as a reply in its thread
+ * @param {Object} turn - Flow turn
+ * @param {Object} state - Flow state
+ * @param {Array} addresses - The user's sending addresses
+ * @returns {Promise<string|Object>} Response to user, or a draft envelope
+ */
+async function startReply(turn, state, addresses) {
+  const request = await parseReplyRequest(turn.input);
+  const sender = request.sender || state.data.to[0] || null;
+  const wanted = `${sender ? ` from ${sender}` : ''}${request.topic ? ` about ${request.topic}` : ''}`;
+  
+  turn.onProgress(`Looking for the email${wanted}...`);
+  const target = sender || request.topic
+    ? await findReplyTarget(state.data.userId, addresses, { sender, topic: request.topic })
+    : null;
+  const senderAddress = target ? addressesIn(target.message.from)[0] : null;
+  
+  if (!senderAddress) {
+    if (state.data.to.length > 0) {
+      state.goto('collecting_purpose');
+      return `I couldn't find an email${wanted}, so I'll write a new one to ${describeRecipients(state.data)}. What's the purpose of this email?`;
+    }
+    state.goto('collecting_recipient');
+    return `I couldn't find an email${wanted} to reply to. Who would you like to send a new email to?`;
+  }
+  
+  const { message, account } = target;
+  console.log(`Replying to message ${message.id} from ${message.from}`);
+  state.data.replyTo = {
+    id: message.id,
+    threadId: message.threadId,
+    messageId: message.messageId,
+    references: message.references,
+    from: message.from,
+    subject: message.subject,
+    date: message.date,
+    text: replyContext(message.text)
+  };
+  state.data.to = [senderAddress];
+  state.data.cc = state.data.cc.filter(address => address.toLowerCase() !== senderAddress.toLowerCase());
+  if (request.replyAll) {
+    const own = [...addresses, senderAddress].map(address => address.toLowerCase());
+    const others = addressesIn(`${message.to}, ${message.cc}`).filter(address => !own.includes(address.toLowerCase()));
+    addRecipients(state.data, { to: [], cc: others, bcc: [] });
+  }
+  // Answer from the account the email came to
+  if (account && !state.data.fromPinned) {
+    state.data.from = account;
+    state.data.fromPinned = true;
+  }
+  
+  // "...and say I'm in": nothing left to ask
+  if (request.message) {
+    state.data.purpose = request.message;
+    return proceedToEmailGeneration(state, turn.onProgress);
+  }
+  
+  const excerpt = state.data.replyTo.text.length > 500 ? `${state.data.replyTo.text.slice(0, 500)}...` : state.data.replyTo.text;
+  const date = message.date ? ` from ${new Date(message.date).toDateString()}` : '';
+  const name = message.from.replace(/\s*<[^>]*>/, '').replace(/"/g, '').trim() || senderAddress;
+  state.goto('collecting_purpose');
+  return `I found ${name}'s email "${message.subject}"${date}:\n\n${excerpt.split('\n').map(line => `> ${line}`).join('\n')}\n\nWhat would you like to say in your reply?`;
+}
+
+// Multi-turn email drafting: recipient -> purpose (-> more context) -> draft -> send.
+// Replies find the email they answer first and are sent in its thread.
+const emailFlow = defineFlow({
+  name: 'email',
+  timeoutMs: 15 * 60 * 1000,
+  timeoutMessage: "It looks like our email drafting session timed out. Let's start over. What would you like to do?",
+  cancelMessage: "Email canceled. What else can I help you with?",
+  cancelActions: ['cancel_email'],
+  errorMessage: "I encountered an unexpected error while working on your email. Let's start over. What would you like to do?",
+  // to, cc and bcc are arrays of addresses; replyTo is the received email being answered
+  // from is the user's sending address; fromPinned once they chose it rather than us
+  // attachments are [{ uploadId, filename, contentType, inline }] from files sent in the chat;
+  // formatted bodies are light Markdown, sent as HTML with a plain text part
+  initialData: () => ({ to: [], cc: [], bcc: [], from: '', fromOptions: [], fromPinned: false, subject: '', body: '', formatted: false, attachments: [], replyTo: null, purpose: '', styleAnalysis: null, userMemory: '', userId: null }),
+
+  // Files can come with any message of the dialog, and asking for images inline
+  // applies to those sent earlier too
+  beforeTurn(turn, state) {
+    (turn.uploads || []).forEach(upload => {
+      if (state.data.attachments.some(attachment => attachment.uploadId === upload.id)) return;
+      state.data.attachments.push({
+        uploadId: upload.id,
+        filename: upload.filename,
+        contentType: upload.contentType,
+        inline: false
+      });
+    });
+    if (INLINE_PATTERN.test(turn.input)) {
+      state.data.attachments.forEach(attachment => {
+        attachment.inline = attachment.contentType.startsWith('image/');
+      });
+    }
+  },
+
+  async start(turn, state) {
+    // "Email Bob from my work account"
+    const addresses = (await listSendingAccounts(state.data.userId)).map(account => account.address);
+    const named = namedSendingAccount(addresses, turn.input);
+    if (named) {
+      state.data.from = named;
+      state.data.fromPinned = true;
+    }
+    
+    // "Reply to Alice's last email about the budget"
+    if (REPLY_PATTERN.test(turn.input)) {
+      return startReply(turn, state, addresses);
     }
     
-    // Process based on current stage with improved error handling
-    switch(emailState.stage) {
-      case 'collecting_recipient':
-        // Extract email from user input
-        const emailMatch = userInput.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
-        if (emailMatch) {
-          emailState.data.to = emailMatch[0];
-          emailState.stage = 'collecting_purpose';
-          console.log(`Email recipient set to: ${emailState.data.to}`);
-          return `Thanks! What's the purpose of your email to ${emailState.data.to}?`;
-        } else {
-          return "I didn't catch a valid email address. Please provide a full email address like example@domain.com";
+    // If we already have the recipient, move to purpose
+    if (state.data.to.length > 0) {
+      console.log(`Starting email flow for recipients: ${state.data.to.join(', ')}`);
+      state.goto('collecting_purpose');
+      return "Great, I'll help you draft an email to " + describeRecipients(state.data) + ". What's the purpose of this email?";
+    }
+    
+    // Ask for the recipient first
+    state.goto('collecting_recipient');
+    return "Who would you like to send an email to? (Please provide their email addresses; add \"cc\" or \"bcc\" before anyone who should get a copy)";
+  },
+
+  stages: {
+    collecting_recipient: {
+      next: ['collecting_purpose'],
+      validate: (turn) => hasRecipients(parseRecipients(turn.input))
+        ? null
+        : "I didn't catch a valid email address. Please provide a full email address like example@domain.com",
+      handle(turn, state) {
+        const recipients = parseRecipients(turn.input);
+        // Only copies so far ("cc carol@x.com"): keep them and ask who it's to
+        if (recipients.to.length === 0) {
+          addRecipients(state.data, recipients);
+          return `Got it, I'll copy ${[...state.data.cc, ...state.data.bcc].join(', ')}. Who is the email to?`;
         }
         
-      case 'collecting_purpose':
-        // User provided the purpose, generate the email
-        emailState.data.purpose = userInput.trim();
-        emailState.stage = 'checking_context';
+        // New recipients replace the old ones; copies are kept unless new ones are given
+        state.data.to = recipients.to;
+        if (recipients.cc.length > 0) state.data.cc = recipients.cc;
+        if (recipients.bcc.length > 0) state.data.bcc = recipients.bcc;
+        state.data.cc = state.data.cc.filter(address => !state.data.to.includes(address));
+        state.data.bcc = state.data.bcc.filter(address => !state.data.to.includes(address) && !state.data.cc.includes(address));
+        console.log(`Email recipients set to: ${state.data.to.join(', ')}`);
+        // A new recipient may be better written to from another account
+        if (!state.data.fromPinned) state.data.from = '';
+        state.goto('collecting_purpose');
+        return `Thanks! What's the purpose of your email to ${describeRecipients(state.data)}?`;
+      }
+    },
+
+    collecting_purpose: {
+      next: ['collecting_context', 'confirming'],
+      async handle(turn, state) {
+        state.data.purpose = turn.input.trim();
+        state.data.formatted = FORMATTING_PATTERN.test(state.data.purpose);
         
-        console.log("Analyzing if we have enough context for:", emailState.data.purpose);
+        // A reply's context is the email it answers
+        if (state.data.replyTo) {
+          return proceedToEmailGeneration(state, turn.onProgress);
+        }
         
-        // Analyze if we need more context
-        const contextAnalysis = await analyzeContextCompleteness(
-          emailState.data.to,
-          emailState.data.purpose
-        );
+        console.log("Analyzing if we have enough context for:", state.data.purpose);
+        turn.onProgress('Checking I have enough context to write this...');
+        const contextAnalysis = await analyzeContextCompleteness(describeRecipients(state.data), state.data.purpose);
         
         // If important context is missing, ask for it
         if (!contextAnalysis.hasAllContext && contextAnalysis.missingInfo) {
-          emailState.stage = 'collecting_context';
-          emailState.data.contextAnalysis = contextAnalysis;
-          
+          state.goto('collecting_context');
           return `I can draft that email, but could you clarify ${contextAnalysis.missingInfo}? This will help me write a more specific message.`;
-        } else {
-          // We have enough context, proceed to generation
-          emailState.stage = 'generating';
-          return await proceedToEmailGeneration(emailState);
         }
-      
-      case 'collecting_context':
-        // User provided more context, update the purpose
-        emailState.data.purpose += " " + userInput.trim();
-        emailState.stage = 'generating';
         
-        // Now generate with the enhanced context
-        return await proceedToEmailGeneration(emailState);
+        // We have enough context, proceed to generation
+        return proceedToEmailGeneration(state, turn.onProgress);
+      }
+    },
+
+    collecting_context: {
+      next: ['confirming', 'collecting_purpose'],
+      handle(turn, state) {
+        // User provided more context, generate with the enhanced purpose
+        state.data.purpose += " " + turn.input.trim();
+        state.data.formatted = state.data.formatted || FORMATTING_PATTERN.test(turn.input);
+        return proceedToEmailGeneration(state, turn.onProgress);
+      }
+    },
+
+    confirming: {
+      next: ['editing', 'collecting_purpose'],
+      async handle(turn, state) {
+        const { action } = turn;
+        const input = turn.input.toLowerCase();
         
-      case 'confirming':
-        if (userInput.toLowerCase().includes('yes')) {
-          // Send the email
-          try {
-            const result = await sendEmail(emailState.data.to, emailState.data.subject, emailState.data.body);
-            
-            // Reset the email state
-            emailState = {
-              active: false,
-              stage: 'init',
-              data: { to: '', subject: '', body: '', purpose: '', styleAnalysis: null }
-            };
-            
-            return result;
-          } catch (error) {
-            console.error("Error sending email:", error);
-            return "I encountered an issue sending your email. Please try again.";
+        if (action?.name === 'send_email' || action?.name === 'save_draft') {
+          applyDraftEdits(state, action.params || {});
+        } else if (action?.name === 'revise_email') {
+          state.goto('collecting_purpose');
+          return "Please describe again what you want to say in this email.";
+        }
+        
+        // "Also cc dave@x.com" adds recipients; "send it to eve@y.com instead" replaces them
+        const mentioned = action ? null : parseRecipients(turn.input);
+        if (mentioned && hasRecipients(mentioned)) {
+          if (/\binstead\b/.test(input) && mentioned.to.length > 0) {
+            state.data.to = [];
           }
-        } else if (userInput.toLowerCase().includes('no')) {
+          addRecipients(state.data, mentioned);
+          if (!YES_PATTERN.test(input)) return draftResponse(state);
+        }
+        
+        // "Send it from my personal account" switches accounts; with a yes it also sends
+        const named = !action && namedSendingAccount(state.data.fromOptions, turn.input);
+        if (named) {
+          state.data.from = named;
+          state.data.fromPinned = true;
+          if (!YES_PATTERN.test(input)) return draftResponse(state);
+        }
+        
+        // "Save it as a draft" keeps the email for later, with any edits made above
+        if (action?.name === 'save_draft' || (!action && wantsDraft(turn.input))) {
+          return saveAsDraft(turn, state);
+        }
+        
+        // A refusal comes first: "no, don't send it today" names a day but isn't a schedule
+        if (!action && NO_PATTERN.test(input)) {
           // Ask what they want to change
-          emailState.stage = 'editing';
-          return "Would you like to edit the email, change the recipient, or cancel?";
-        } else {
-          return "Please confirm with 'yes' to send the email or 'no' to make changes.";
+          state.goto('editing');
+          return "Would you like to edit the email, change the recipient, save it as a draft, or cancel?";
         }
         
-      case 'editing':
-        if (userInput.toLowerCase().includes('edit')) {
-          emailState.stage = 'collecting_purpose';
+        // "Send it tomorrow at 8am" schedules it; clients send a time with the action
+        if (action?.name === 'send_email' && action.params?.sendAt) {
+          const sendAt = new Date(action.params.sendAt);
+          if (isNaN(sendAt.getTime()) || sendAt <= new Date()) {
+            return "That time has already passed. When should I send it?";
+          }
+          return queueForSending(state, sendAt, turn.timeZone);
+        }
+        if (!action && SEND_TIME_PATTERN.test(turn.input)) {
+          const sendAt = await parseSendTime(turn.input, new Date(), turn.timeZone);
+          if (!sendAt) {
+            return "I couldn't tell when to send it. Say something like \"send it tomorrow at 8am\", or \"yes\" to send it now.";
+          }
+          return queueForSending(state, sendAt, turn.timeZone);
+        }
+        
+        if (action?.name === 'send_email' || (!action && YES_PATTERN.test(input))) {
+          return queueForSending(state);
+        }
+        return "Please confirm with 'yes' to send the email, say when to send it, 'no' to make changes, or 'save as draft' to finish it later.";
+      }
+    },
+
+    editing: {
+      next: ['collecting_purpose', 'collecting_recipient'],
+      handle(turn, state) {
+        const input = turn.input.toLowerCase();
+        if (wantsDraft(turn.input)) {
+          return saveAsDraft(turn, state);
+        }
+        if (input.includes('edit')) {
+          state.goto('collecting_purpose');
           return "Please describe again what you want to say in this email.";
-        } else if (userInput.toLowerCase().includes('recipient') || userInput.toLowerCase().includes('to')) {
-          emailState.stage = 'collecting_recipient';
+        }
+        if (input.includes('recipient') || input.includes('to')) {
+          state.goto('collecting_recipient');
           return "Who would you like to send this email to instead?";
-        } else if (userInput.toLowerCase().includes('cancel')) {
-          // Cancel the email
-          emailState = {
-            active: false,
-            stage: 'init',
-            data: { to: '', subject: '', body: '', purpose: '', styleAnalysis: null }
-          };
-          return "Email canceled. What else can I help you with?";
-        } else {
-          return "Would you like to edit the email content, change the recipient, or cancel?";
         }
-        
-      case 'generating':
-        return "I'm working on your email draft, please wait a moment...";
-        
-      default:
-        // Safety fallback for unknown state
-        emailState = {
-          active: false,
-          stage: 'init',
-          data: { to: '', subject: '', body: '', purpose: '', styleAnalysis: null }
-        };
-        return "I seem to have lost track of our email drafting. Let's start over. Would you like to send an email?";
+        return "Would you like to edit the email content, change the recipient, save it as a draft, or cancel?";
+      }
     }
-  } catch (error) {
-    console.error("Unexpected error in email flow:", error);
-    
-    // Reset state on unexpected error
-    emailState = {
-      active: false,
-      stage: 'init',
-      data: { to: '', subject: '', body: '', purpose: '', styleAnalysis: null }
-    };
-    
-    return "I encountered an unexpected error while working on your email. Let's start over. What would you like to do?";
   }
+});
+
+/**
+ * Check if this session is in an email flow
+ * @param {Object} scope - { sessionId, userId }
+ * @returns {Promise<boolean>} True if in email flow
+ */
+async function isInEmailFlow(scope) {
+  return isFlowActive(emailFlow, scope);
 }
 
 /**
- * Helper function for email generation to avoid code duplication
- * @param {Object} state - Email state object
- * @returns {Promise<string>} Response to user
+ * Handle email intent: start a new email flow or continue the session's current one
+ * @param {string} userInput - User input text
+ * @param {Object} entities - Extracted entities
+ * @param {Object} options - { sessionId, userId, onProgress, action, userMemory, uploads, timeZone }
+ *                           session scope, progress callback, structured reply, remembered facts
+ *                           about the user, files sent with the message (see services/uploads)
+ *                           and the user's IANA time zone for send times
+ * @returns {Promise<string|Object>} Response to user, or a draft envelope
  */
-async function proceedToEmailGeneration(state) {
-  // Show a processing message immediately
-  setTimeout(() => {
-    console.log("Starting email analysis and generation process...");
-  }, 0);
+async function handleEmailIntent(userInput, entities, options = {}) {
+  const { sessionId, userId, onProgress = () => {}, action = null, userMemory = '', uploads = [], timeZone = null } = options;
+  const scope = { sessionId, userId };
+  const turn = { input: userInput || '', action, onProgress, uploads, timeZone };
   
-  try {
-    // Start style analysis
-    console.log("Analyzing email style for", state.data.to);
-    const styleAnalysisPromise = analyzeEmailContext(state.data.to);
-    
-    // While waiting for analysis to complete, log progress
-    const logInterval = setInterval(() => {
-      console.log("Email analysis in progress...");
-    }, 3000);
-    
-    // Get style analysis result
-    state.data.styleAnalysis = await styleAnalysisPromise;
-    
-    // Stop progress logging
-    clearInterval(logInterval);
-    
-    // Generate personalized, humanized email draft
-    console.log("Generating humanized email for purpose:", state.data.purpose);
-    const generated = await generateHumanizedEmail(
-      state.data.to,
-      state.data.purpose,
-      state.data.styleAnalysis
-    );
-    
-    state.data.subject = generated.subject;
-    state.data.body = generated.body;
-    state.stage = 'confirming';
-    
-    return `Here's your personalized email draft:\n\nTo: ${state.data.to}\nSubject: ${state.data.subject}\n\n${state.data.body}\n\nShould I send this email? (yes/no)`;
-  } catch (error) {
-    console.error("Error in email generation process:", error);
-    state.stage = 'collecting_purpose';
-    return "I encountered an issue creating your email. Could you please describe the purpose again?";
+  if (await isFlowActive(emailFlow, scope)) {
+    return continueFlow(emailFlow, scope, turn);
   }
+  
+  // Addresses typed in the message say which field they belong in; extracted entities
+  // are used when the message has none
+  const typed = parseRecipients(userInput);
+  const recipients = hasRecipients(typed)
+    ? typed
+    : { to: addressesIn(entities.to), cc: addressesIn(entities.cc), bcc: addressesIn(entities.bcc) };
+  
+  return startFlow(emailFlow, scope, turn, {
+    ...recipients,
+    userMemory,
+    userId: userId ? String(userId) : null
+  });
 }
 
-// Run cache cleanup every 30 minutes
-setInterval(cleanupCache, 30 * 60 * 1000);
+// Run cache cleanup every 30 minutes, without keeping scripts and tests running
+setInterval(cleanupCache, 30 * 60 * 1000).unref();
 
 // Export functions
 module.exports = {
+  emailFlow,
   isInEmailFlow,
   handleEmailIntent,
   analyzeEmailContext,
+  parseRecipients,
   generateEmailDraft,
   generateHumanizedEmail,
   analyzeContextCompleteness,
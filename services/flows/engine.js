@@ -0,0 +1,256 @@
+/**
+ * Flow engine for multi-turn dialogs.
+ *
+ * A flow is declared once and its state is stored per chat session in MongoDB,
+ * so concurrent users never share a dialog:
+ *
+ *   defineFlow({
+ *     name: 'email',
+ *     timeoutMs: 15 * 60 * 1000,
+ *     timeoutMessage: 'That timed out...',
+ *     cancelMessage: 'Canceled.',
+ *     cancelActions: ['cancel_email'],           // structured replies that cancel
+ *     errorMessage: 'Something went wrong...',
+ *     initialData: () => ({ to: '' }),
+ *     beforeTurn(turn, state),                   // optional; runs before every handler,
+ *                                                // e.g. to collect files sent with any message
+ *     start(turn, state),                        // first message; may goto any stage
+ *                                                // (default: the first one declared)
+ *     stages: {
+ *       collecting_recipient: {
+ *         next: ['collecting_purpose'],          // allowed transitions
+ *         validate(turn, state),                 // optional; a message keeps the stage
+ *         handle(turn, state)                    // returns the response
+ *       }
+ *     }
+ *   })
+ *
+ * A turn is { input, action, ...extras } and state is { stage, data, goto(stage), end() }.
+ * Replies like "cancel" or "never mind" end any flow.
+ */
+const FlowState = require('../../models/FlowState');
+
+const DEFAULT_TIMEOUT_MS = 15 * 60 * 1000;
+const CANCEL_PATTERN = /^\s*(cancel|stop|never\s?mind|forget it)\b/i;
+
+/**
+ * Validate a flow definition and fill in defaults
+ * @param {Object} definition - Flow definition
+ * @returns {Object} Flow
+ */
+function defineFlow(definition) {
+  if (!definition || !definition.name) {
+    throw new Error('Flow is missing a name');
+  }
+  if (typeof definition.start !== 'function') {
+    throw new Error(`Flow "${definition.name}" is missing a start handler`);
+  }
+  for (const [stage, spec] of Object.entries(definition.stages || {})) {
+    if (typeof spec.handle !== 'function') {
+      throw new Error(`Flow "${definition.name}" stage "${stage}" is missing a handler`);
+    }
+    for (const target of spec.next || []) {
+      if (!definition.stages[target]) {
+        throw new Error(`Flow "${definition.name}" stage "${stage}" leads to unknown stage "${target}"`);
+      }
+    }
+  }
+
+  return {
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    timeoutMessage: "This conversation timed out. Let's start over.",
+    cancelMessage: 'Okay, canceled. What else can I help you with?',
+    errorMessage: 'Something went wrong. Please try again.',
+    cancelActions: [],
+    initialData: () => ({}),
+    stages: {},
+    ...definition
+  };
+}
+
+/**
+ * Build the query for one flow in one session
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ * @returns {Object} Mongo query
+ */
+function stateQuery(flow, scope) {
+  return { sessionId: scope.sessionId || 'default', userId: scope.userId || null, flow: flow.name };
+}
+
+/**
+ * Wrap stored state with the transition helpers handlers use
+ * @param {Object} flow - Flow
+ * @param {string} stage - Current stage
+ * @param {Object} data - Flow data
+ * @returns {Object} { stage, data, ended, goto, end }
+ */
+function createState(flow, stage, data) {
+  const state = {
+    stage,
+    data,
+    ended: false,
+
+    goto(target) {
+      if (!flow.stages[target]) {
+        throw new Error(`Flow "${flow.name}" has no stage "${target}"`);
+      }
+      const allowed = flow.stages[state.stage]?.next;
+      if (allowed && target !== state.stage && !allowed.includes(target)) {
+        throw new Error(`Flow "${flow.name}" can't move from "${state.stage}" to "${target}"`);
+      }
+      state.stage = target;
+    },
+
+    end() {
+      state.ended = true;
+    }
+  };
+  return state;
+}
+
+/**
+ * Load the stored state of a flow
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ * @returns {Promise<Object|null>} Stored state document
+ */
+async function getFlowState(flow, scope) {
+  try {
+    return await FlowState.findOne(stateQuery(flow, scope)).lean();
+  } catch (error) {
+    console.error(`Error loading ${flow.name} flow state:`, error);
+    return null;
+  }
+}
+
+/**
+ * Whether a flow is waiting for the user's next message
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ * @returns {Promise<boolean>} True if the session has state for this flow
+ */
+async function isFlowActive(flow, scope) {
+  return Boolean(await getFlowState(flow, scope));
+}
+
+/**
+ * Discard a flow's state
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ */
+async function endFlow(flow, scope) {
+  try {
+    await FlowState.deleteOne(stateQuery(flow, scope));
+  } catch (error) {
+    console.error(`Error ending ${flow.name} flow:`, error);
+  }
+}
+
+/**
+ * Persist state after a turn, or remove it if the flow ended
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ * @param {Object} state - State from createState
+ */
+async function saveState(flow, scope, state) {
+  if (state.ended) {
+    await endFlow(flow, scope);
+    return;
+  }
+
+  await FlowState.updateOne(
+    stateQuery(flow, scope),
+    { $set: { stage: state.stage, data: state.data, expiresAt: new Date(Date.now() + flow.timeoutMs) } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Run a handler and persist the resulting state; on error the flow is reset
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ * @param {Object} state - State from createState
+ * @param {Function} run - Produces the response
+ * @returns {Promise<string|Object>} Response
+ */
+async function runTurn(flow, scope, state, run) {
+  try {
+    const response = await run();
+    await saveState(flow, scope, state);
+    return response;
+  } catch (error) {
+    console.error(`Unexpected error in ${flow.name} flow:`, error);
+    await endFlow(flow, scope);
+    return flow.errorMessage;
+  }
+}
+
+/**
+ * Start a flow, replacing any earlier instance in this session
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ * @param {Object} turn - { input, action, ...extras }
+ * @param {Object} data - Initial data merged over flow.initialData()
+ * @returns {Promise<string|Object>} Response
+ */
+async function startFlow(flow, scope, turn, data = {}) {
+  // No stage yet, so start may goto any stage
+  const state = createState(flow, null, { ...flow.initialData(), ...data });
+  return runTurn(flow, scope, state, async () => {
+    if (flow.beforeTurn) await flow.beforeTurn(turn, state);
+    const response = await flow.start(turn, state);
+    if (!state.stage) {
+      state.stage = Object.keys(flow.stages)[0];
+    }
+    return response;
+  });
+}
+
+/**
+ * Feed the user's next message to an active flow
+ * @param {Object} flow - Flow
+ * @param {Object} scope - { sessionId, userId }
+ * @param {Object} turn - { input, action, ...extras }
+ * @returns {Promise<string|Object|null>} Response, or null if the flow isn't active
+ */
+async function continueFlow(flow, scope, turn) {
+  const stored = await getFlowState(flow, scope);
+  if (!stored) return null;
+
+  if (stored.expiresAt < new Date()) {
+    console.log(`${flow.name} flow timed out, resetting`);
+    await endFlow(flow, scope);
+    return flow.timeoutMessage;
+  }
+
+  const input = turn.input || '';
+  if (flow.cancelActions.includes(turn.action?.name) || (!turn.action && CANCEL_PATTERN.test(input))) {
+    await endFlow(flow, scope);
+    return flow.cancelMessage;
+  }
+
+  const stage = flow.stages[stored.stage];
+  if (!stage) {
+    // State from an older version of the flow
+    await endFlow(flow, scope);
+    return flow.errorMessage;
+  }
+
+  const state = createState(flow, stored.stage, stored.data || {});
+  return runTurn(flow, scope, state, async () => {
+    if (flow.beforeTurn) await flow.beforeTurn(turn, state);
+    const problem = stage.validate ? await stage.validate(turn, state) : null;
+    return problem || stage.handle(turn, state);
+  });
+}
+
+module.exports = {
+  CANCEL_PATTERN,
+  defineFlow,
+  getFlowState,
+  isFlowActive,
+  startFlow,
+  continueFlow,
+  endFlow
+};
@@ -0,0 +1,81 @@
+// services/llm/geminiProvider.js
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+/**
+ * Map provider-neutral options to a Gemini generationConfig
+ * @param {Object} options - { temperature, maxOutputTokens, json }
+ * @returns {Object} Gemini generation config
+ */
+function toGenerationConfig(options = {}) {
+  const config = {};
+  if (options.temperature !== undefined) config.temperature = options.temperature;
+  if (options.maxOutputTokens !== undefined) config.maxOutputTokens = options.maxOutputTokens;
+  if (options.json) config.responseMimeType = 'application/json';
+  return config;
+}
+
+/**
+ * Create a Google Gemini provider
+ * @param {Object} config - { apiKey, model }
+ * @returns {Object} Provider
+ */
+function createGeminiProvider(config = {}) {
+  const genAI = new GoogleGenerativeAI(config.apiKey || process.env.GEMINI_API_KEY);
+  const defaultModel = config.model || DEFAULT_MODEL;
+
+  const getModel = (options = {}) => genAI.getGenerativeModel({ model: options.model || defaultModel });
+
+  async function generateText(prompt, options = {}) {
+    const result = await getModel(options).generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: toGenerationConfig(options)
+    });
+    return result.response.text().trim();
+  }
+
+  const startChat = (history, options) => getModel(options).startChat({
+    history: history.map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'model',
+      parts: [{ text: msg.content }]
+    })),
+    generationConfig: toGenerationConfig(options)
+  });
+
+  async function chat(history, message, options = {}) {
+    const result = await startChat(history, options).sendMessage(message);
+    return result.response.text();
+  }
+
+  async function* streamChat(history, message, options = {}) {
+    const result = await startChat(history, options).sendMessageStream(message);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  async function callTools(prompt, tools, options = {}) {
+    const result = await getModel(options).generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      tools: [{ functionDeclarations: tools }],
+      // ANY forces a function call rather than a text answer
+      toolConfig: { functionCallingConfig: { mode: 'ANY' } },
+      generationConfig: toGenerationConfig(options)
+    });
+
+    const call = result.response.functionCalls()?.[0];
+    return call ? { name: call.name, args: call.args || {} } : { text: result.response.text() };
+  }
+
+  return {
+    name: `gemini:${defaultModel}`,
+    generateText,
+    chat,
+    streamChat,
+    callTools
+  };
+}
+
+module.exports = { createGeminiProvider };
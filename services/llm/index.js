@@ -0,0 +1,169 @@
+/**
+ * LLM provider layer shared by every service.
+ *
+ * The active provider is picked with LLM_PROVIDER (gemini, openai, mock) and
+ * the model with LLM_MODEL. Every provider implements the same interface:
+ *   - generateText(prompt, options) -> Promise<string>
+ *   - chat(history, message, options) -> Promise<string>
+ *   - streamChat(history, message, options) -> AsyncIterable<string> (optional)
+ *   - callTools(prompt, tools, options) -> Promise<{ name, args } | { text }> (optional)
+ * where history is [{ role: 'user' | 'assistant', content }] and tools are
+ * [{ name, description, parameters }] with parameters as a JSON schema.
+ * generateJSON is built on top of generateText for all providers, and
+ * streamChat falls back to a single chunk when a provider can't stream.
+ */
+require('dotenv').config();
+
+const DEFAULT_PROVIDER = 'gemini';
+
+// Lazily required so a provider's dependencies are only loaded when selected
+const providerFactories = {
+  gemini: (config) => require('./geminiProvider').createGeminiProvider(config),
+  openai: (config) => require('./openaiCompatibleProvider').createOpenAICompatibleProvider(config),
+  mock: (config) => require('./mockProvider').createMockProvider(config)
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name (gemini, openai, mock)
+ * @param {Object} config - Provider specific configuration
+ * @returns {Object} Provider implementing generateText and chat
+ */
+function createProvider(name = DEFAULT_PROVIDER, config = {}) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {Object} Active provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const name = (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+    activeProvider = createProvider(name, { model: process.env.LLM_MODEL });
+    console.log(`LLM provider initialized: ${activeProvider.name}`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (used by scripts and offline tests)
+ * @param {Object} provider - Provider instance, or null to reset to config
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Pull the first JSON object or array out of a model response
+ * @param {string} text - Raw model output
+ * @returns {Object|Array} Parsed JSON
+ */
+function parseJSONResponse(text) {
+  const trimmed = (text || '').trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    // Models often wrap JSON in prose or code fences
+  }
+
+  const objectStart = trimmed.indexOf('{');
+  const arrayStart = trimmed.indexOf('[');
+  const useArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+  const match = useArray ? trimmed.match(/\[.*\]/s) : trimmed.match(/\{.*\}/s);
+
+  if (!match) {
+    throw new Error('No JSON found in model response');
+  }
+  return JSON.parse(match[0]);
+}
+
+/**
+ * Generate text from a single prompt
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - { temperature, maxOutputTokens, model }
+ * @returns {Promise<string>} Generated text
+ */
+async function generateText(prompt, options = {}) {
+  return getProvider().generateText(prompt, options);
+}
+
+/**
+ * Continue a multi-turn conversation
+ * @param {Array} history - Previous turns [{ role, content }]
+ * @param {string} message - New user message
+ * @param {Object} options - { temperature, maxOutputTokens, model }
+ * @returns {Promise<string>} Assistant reply
+ */
+async function chat(history, message, options = {}) {
+  return getProvider().chat(history, message, options);
+}
+
+/**
+ * Continue a conversation, yielding the reply in chunks as they arrive
+ * @param {Array} history - Previous turns [{ role, content }]
+ * @param {string} message - New user message
+ * @param {Object} options - Generation options
+ * @returns {AsyncIterable<string>} Text chunks
+ */
+async function* streamChat(history, message, options = {}) {
+  const provider = getProvider();
+  if (typeof provider.streamChat !== 'function') {
+    yield await provider.chat(history, message, options);
+    return;
+  }
+  yield* provider.streamChat(history, message, options);
+}
+
+/**
+ * Generate and parse a JSON response
+ * @param {string} prompt - Prompt asking for JSON output
+ * @param {Object} options - Generation options
+ * @returns {Promise<Object|Array>} Parsed JSON
+ */
+async function generateJSON(prompt, options = {}) {
+  const text = await getProvider().generateText(prompt, { ...options, json: true });
+  return parseJSONResponse(text);
+}
+
+/**
+ * Whether the active provider supports native function calling
+ * @returns {boolean} True if callTools is available
+ */
+function supportsTools() {
+  return typeof getProvider().callTools === 'function';
+}
+
+/**
+ * Ask the model to pick one of the given tools and fill in its arguments
+ * @param {string} prompt - Prompt text
+ * @param {Array} tools - Tool schemas [{ name, description, parameters }]
+ * @param {Object} options - Generation options
+ * @returns {Promise<Object>} { name, args } for a tool call, or { text } if the model answered directly
+ */
+async function callTools(prompt, tools, options = {}) {
+  const provider = getProvider();
+  if (typeof provider.callTools !== 'function') {
+    throw new Error(`LLM provider ${provider.name} does not support tool calls`);
+  }
+  return provider.callTools(prompt, tools, options);
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  parseJSONResponse,
+  generateText,
+  chat,
+  streamChat,
+  generateJSON,
+  supportsTools,
+  callTools
+};
@@ -0,0 +1,165 @@
+// services/llm/mockProvider.js
+const fs = require('fs');
+
+/**
+ * Deterministic offline provider.
+ *
+ * Responses are resolved in this order:
+ *   1. queued responses (enqueue / config.responses), consumed first-in first-out
+ *   2. rules ({ match, response }) where match is a substring or /regex/ string
+ *      and response is a string, an object (serialized as JSON) or a function
+ *   3. built-in defaults that keep the assistant usable without a network
+ *
+ * The same queue and rules answer callTools, where a response is { name, args }.
+ *
+ * A script file with { "responses": [...], "rules": [...] } can be supplied
+ * through LLM_MOCK_SCRIPT.
+ */
+
+const INTENT_KEYWORDS = [
+  ['remember', 'memory_intent'],
+  ['research', 'research_intent'],
+  ['schedule', 'calendar_intent'],
+  ['meeting', 'calendar_intent'],
+  ['email', 'email_intent'],
+  ['quit', 'exit_intent']
+];
+
+// Built-in skill tools picked by the default tool-call response
+const TOOL_KEYWORDS = [
+  ['remember', 'memory'],
+  ['research', 'research'],
+  ['schedule', 'createCalendarEvent'],
+  ['meeting', 'createCalendarEvent'],
+  ['email', 'sendEmail'],
+  ['quit', 'exit']
+];
+
+/**
+ * Load a mock script from disk
+ * @param {string} scriptPath - Path to a JSON script
+ * @returns {Object} { responses, rules }
+ */
+function loadScript(scriptPath) {
+  if (!scriptPath) return {};
+  try {
+    return JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  } catch (error) {
+    console.error('Error loading mock LLM script:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Test whether a rule matches a prompt
+ * @param {string|RegExp} match - Substring, "/regex/flags" string or RegExp
+ * @param {string} prompt - Prompt text
+ * @returns {boolean} True on match
+ */
+function ruleMatches(match, prompt) {
+  if (match instanceof RegExp) return match.test(prompt);
+  const regexLiteral = typeof match === 'string' && match.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regexLiteral) return new RegExp(regexLiteral[1], regexLiteral[2]).test(prompt);
+  return prompt.includes(match);
+}
+
+/**
+ * Built-in responses for prompts no rule covers
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - Generation options
+ * @returns {string} Response text
+ */
+function defaultResponse(prompt, options = {}) {
+  if (prompt.includes('Classify the intent')) {
+    const text = (prompt.match(/Text:\s*"([\s\S]*?)"/) || [])[1] || '';
+    const hit = INTENT_KEYWORDS.find(([keyword]) => text.toLowerCase().includes(keyword));
+    return hit ? hit[1] : 'chat_intent';
+  }
+
+  if (options.json) {
+    return /JSON array/i.test(prompt) ? '[]' : '{}';
+  }
+
+  const firstLine = prompt.trim().split('\n')[0].slice(0, 80);
+  return `Mock response to: ${firstLine}`;
+}
+
+/**
+ * Built-in tool call for prompts no rule covers: a keyword match, otherwise
+ * the last tool (the router lists the default skill last)
+ * @param {string} prompt - Prompt text
+ * @param {Array} tools - Tool schemas
+ * @returns {Object} { name, args }
+ */
+function defaultToolCall(prompt, tools) {
+  const text = ((prompt.match(/Message:\s*"([\s\S]*?)"/) || [])[1] || prompt).toLowerCase();
+  const hit = TOOL_KEYWORDS.find(([keyword, name]) => text.includes(keyword) && tools.some(tool => tool.name === name));
+  const name = hit ? hit[1] : tools[tools.length - 1]?.name;
+  return name ? { name, args: {} } : { text: defaultResponse(prompt) };
+}
+
+/**
+ * Create a scripted mock provider
+ * @param {Object} config - { responses, rules, scriptPath }
+ * @returns {Object} Provider with enqueue/calls helpers for tests
+ */
+function createMockProvider(config = {}) {
+  const script = loadScript(config.scriptPath || process.env.LLM_MOCK_SCRIPT);
+  const queue = [...(script.responses || []), ...(config.responses || [])];
+  const rules = [...(config.rules || []), ...(script.rules || [])];
+  const calls = [];
+
+  function next(prompt, options, fallback) {
+    let response;
+    if (queue.length > 0) {
+      response = queue.shift();
+    } else {
+      const rule = rules.find(r => ruleMatches(r.match, prompt));
+      response = rule ? rule.response : fallback();
+    }
+
+    return typeof response === 'function' ? response(prompt, options) : response;
+  }
+
+  function resolve(prompt, options) {
+    const response = next(prompt, options, () => defaultResponse(prompt, options));
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  async function generateText(prompt, options = {}) {
+    calls.push({ method: 'generateText', prompt, options });
+    return resolve(prompt, options).trim();
+  }
+
+  async function chat(history, message, options = {}) {
+    calls.push({ method: 'chat', history, prompt: message, options });
+    return resolve(message, options);
+  }
+
+  async function* streamChat(history, message, options = {}) {
+    calls.push({ method: 'streamChat', history, prompt: message, options });
+    // Split on word boundaries so consumers see several chunks
+    for (const chunk of resolve(message, options).match(/\S+\s*/g) || []) {
+      yield chunk;
+    }
+  }
+
+  // Scripted responses for tool calls are { name, args } objects (or JSON strings)
+  async function callTools(prompt, tools, options = {}) {
+    calls.push({ method: 'callTools', prompt, tools, options });
+    const response = next(prompt, options, () => defaultToolCall(prompt, tools));
+    return typeof response === 'string' ? JSON.parse(response) : response;
+  }
+
+  return {
+    name: 'mock',
+    generateText,
+    chat,
+    streamChat,
+    callTools,
+    calls,
+    enqueue: (...responses) => queue.push(...responses)
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,132 @@
+// services/llm/openaiCompatibleProvider.js
+const axios = require('axios');
+
+// Ollama, LM Studio, vLLM and llama.cpp all expose this API shape locally
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+
+/**
+ * Create a provider for any OpenAI-compatible /chat/completions endpoint
+ * @param {Object} config - { baseUrl, apiKey, model, timeout }
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+  const defaultModel = config.model || DEFAULT_MODEL;
+  const timeout = config.timeout || 60 * 1000;
+
+  const requestBody = (messages, options = {}) => {
+    const body = {
+      model: options.model || defaultModel,
+      messages
+    };
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.maxOutputTokens !== undefined) body.max_tokens = options.maxOutputTokens;
+    if (options.json) body.response_format = { type: 'json_object' };
+    return body;
+  };
+
+  const requestHeaders = () => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+  const toMessages = (history, message) => [
+    ...history.map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.content
+    })),
+    { role: 'user', content: message }
+  ];
+
+  async function complete(messages, options = {}) {
+    const response = await axios.post(`${baseUrl}/chat/completions`, requestBody(messages, options), {
+      timeout,
+      headers: requestHeaders()
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Empty response from OpenAI-compatible endpoint');
+    }
+    return content;
+  }
+
+  async function generateText(prompt, options = {}) {
+    const text = await complete([{ role: 'user', content: prompt }], options);
+    return text.trim();
+  }
+
+  async function chat(history, message, options = {}) {
+    return complete(toMessages(history, message), options);
+  }
+
+  async function* streamChat(history, message, options = {}) {
+    const response = await axios.post(
+      `${baseUrl}/chat/completions`,
+      { ...requestBody(toMessages(history, message), options), stream: true },
+      { timeout, headers: requestHeaders(), responseType: 'stream' }
+    );
+
+    // The body is a server-sent event stream of "data: {json}" lines
+    let buffered = '';
+    for await (const raw of response.data) {
+      buffered += raw.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data) continue;
+        if (data === '[DONE]') return;
+
+        // Some servers interleave keep-alive or error lines that aren't JSON; skip them
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (error) {
+          continue;
+        }
+        const text = chunk.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  }
+
+  async function callTools(prompt, tools, options = {}) {
+    const body = {
+      ...requestBody([{ role: 'user', content: prompt }], options),
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters || { type: 'object', properties: {} }
+        }
+      })),
+      tool_choice: 'required'
+    };
+    const response = await axios.post(`${baseUrl}/chat/completions`, body, {
+      timeout,
+      headers: requestHeaders()
+    });
+
+    const message = response.data?.choices?.[0]?.message;
+    const call = message?.tool_calls?.[0]?.function;
+    if (!call) {
+      return { text: message?.content || '' };
+    }
+
+    // Arguments arrive as a JSON string, though some servers send an object
+    const args = typeof call.arguments === 'string' ? JSON.parse(call.arguments || '{}') : call.arguments;
+    return { name: call.name, args: args || {} };
+  }
+
+  return {
+    name: `openai:${defaultModel}@${baseUrl}`,
+    generateText,
+    chat,
+    streamChat,
+    callTools
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,199 @@
+// services/mail/gmailProvider.js
+const { getGmailClient } = require('../auth/googleAuth');
+const { buildMimeMessage, parseMimeMessage } = require('./mime');
+
+// Gmail wants the raw message as URL-safe base64 without padding
+function encodeRaw(raw) {
+  return Buffer.from(raw).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function header(payload, name) {
+  const found = (payload?.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return found ? found.value : '';
+}
+
+// Collect the text/plain parts, however deeply they are nested
+function plainText(part) {
+  if (!part) return '';
+  if (part.mimeType === 'text/plain' && part.body?.data) {
+    return Buffer.from(part.body.data, 'base64').toString('utf-8');
+  }
+  if (part.parts) {
+    return part.parts.map(plainText).join('');
+  }
+  // Single-part messages without a declared type
+  if (!part.mimeType && part.body?.data) {
+    return Buffer.from(part.body.data, 'base64').toString('utf-8');
+  }
+  return '';
+}
+
+/**
+ * Convert a Gmail API message to the provider-neutral shape
+ * @param {Object} data - Message from users.messages.get
+ * @returns {Object} Message
+ */
+function normalizeMessage(data) {
+  const payload = data.payload || {};
+  return {
+    id: data.id,
+    threadId: data.threadId,
+    messageId: header(payload, 'Message-ID'),
+    references: header(payload, 'References'),
+    from: header(payload, 'From'),
+    to: header(payload, 'To'),
+    cc: header(payload, 'Cc'),
+    subject: header(payload, 'Subject'),
+    date: header(payload, 'Date') ? new Date(header(payload, 'Date')) : null,
+    snippet: data.snippet || '',
+    text: plainText(payload)
+  };
+}
+
+/**
+ * Mail provider backed by one of the user's Gmail accounts
+ * @param {Object} config - { userId, accountId } where accountId is a linked Google
+ *                          account's ID or address; the primary account if omitted
+ * @returns {Object} Mail provider
+ */
+function createGmailProvider(config = {}) {
+  const { userId, accountId = null } = config;
+
+  async function client() {
+    const gmail = await getGmailClient(userId, accountId);
+    if (!gmail) {
+      throw new Error(accountId ? `Gmail is not connected for ${accountId}` : 'Gmail is not connected');
+    }
+    return gmail;
+  }
+
+  // Messages matching a Gmail search query, newest first
+  async function search(q, maxResults) {
+    const gmail = await client();
+
+    // Page through the matches, up to 100 per request
+    let ids = [];
+    let pageToken = null;
+    do {
+      const res = await gmail.users.messages.list({
+        userId: 'me',
+        q,
+        maxResults: Math.min(maxResults - ids.length, 100),
+        pageToken
+      });
+      ids = ids.concat((res.data.messages || []).map(message => message.id));
+      pageToken = res.data.nextPageToken;
+    } while (pageToken && ids.length < maxResults);
+
+    return fetchInBatches(ids, id => gmail.users.messages.get({ userId: 'me', id }), normalizeMessage);
+  }
+
+  // Fetch contents in batches of 5 to avoid overloading the API
+  async function fetchInBatches(ids, fetch, normalize) {
+    const results = [];
+    for (let i = 0; i < ids.length; i += 5) {
+      const batch = await Promise.allSettled(ids.slice(i, i + 5).map(fetch));
+      batch.forEach(result => {
+        if (result.status === 'fulfilled') {
+          results.push(normalize(result.value.data));
+        }
+      });
+    }
+    return results;
+  }
+
+  return {
+    name: 'gmail',
+
+    async searchSent({ to, maxResults = 10 }) {
+      return search(`in:sent to:${to}`, maxResults);
+    },
+
+    async searchReceived({ from, text, maxResults = 10 }) {
+      const terms = ['-in:sent', '-in:drafts', from ? `from:(${from})` : '', text || ''];
+      return search(terms.filter(Boolean).join(' '), maxResults);
+    },
+
+    async getMessage(id) {
+      const gmail = await client();
+      try {
+        const res = await gmail.users.messages.get({ userId: 'me', id });
+        return normalizeMessage(res.data);
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+    },
+
+    async send(message) {
+      const gmail = await client();
+      const { raw } = await buildMimeMessage(message, { keepBcc: true });
+      // Replies name the thread so Gmail files them in the same conversation
+      const res = await gmail.users.messages.send({
+        userId: 'me',
+        requestBody: { raw: encodeRaw(raw), threadId: message.threadId || undefined }
+      });
+      return { id: res.data.id, threadId: res.data.threadId };
+    },
+
+    async createDraft(message) {
+      const gmail = await client();
+      const { raw } = await buildMimeMessage(message, { keepBcc: true });
+      const res = await gmail.users.drafts.create({
+        userId: 'me',
+        requestBody: { message: { raw: encodeRaw(raw), threadId: message.threadId || undefined } }
+      });
+      return { id: res.data.id };
+    },
+
+    async listDrafts({ maxResults = 10 } = {}) {
+      const gmail = await client();
+      const res = await gmail.users.drafts.list({ userId: 'me', maxResults });
+      const ids = (res.data.drafts || []).map(draft => draft.id);
+      return fetchInBatches(
+        ids,
+        id => gmail.users.drafts.get({ userId: 'me', id }),
+        data => ({ ...normalizeMessage(data.message), id: data.id })
+      );
+    },
+
+    async getDraft(id) {
+      const gmail = await client();
+      try {
+        const res = await gmail.users.drafts.get({ userId: 'me', id, format: 'raw' });
+        return {
+          id: res.data.id,
+          threadId: res.data.message.threadId,
+          message: await parseMimeMessage(Buffer.from(res.data.message.raw, 'base64url'))
+        };
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+    },
+
+    async updateDraft(id, message) {
+      const gmail = await client();
+      const { raw } = await buildMimeMessage(message, { keepBcc: true });
+      const res = await gmail.users.drafts.update({
+        userId: 'me',
+        id,
+        requestBody: { id, message: { raw: encodeRaw(raw), threadId: message.threadId || undefined } }
+      });
+      return { id: res.data.id };
+    },
+
+    async sendDraft(id) {
+      const gmail = await client();
+      const res = await gmail.users.drafts.send({ userId: 'me', requestBody: { id } });
+      return { id: res.data.id, threadId: res.data.threadId };
+    },
+
+    async deleteDraft(id) {
+      const gmail = await client();
+      await gmail.users.drafts.delete({ userId: 'me', id });
+    }
+  };
+}
+
+module.exports = { createGmailProvider };
@@ -0,0 +1,277 @@
+// services/mail/imapProvider.js
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const nodemailer = require('nodemailer');
+const { buildMimeMessage, parseMimeMessage } = require('./mime');
+const { resolvePublicAddress } = require('../utils/networkGuard');
+
+// A server that doesn't answer in time fails the operation instead of holding the request
+const CONNECTION_TIMEOUT_MS = 15 * 1000;
+const SOCKET_TIMEOUT_MS = 60 * 1000;
+
+// Used when the server doesn't advertise special-use mailboxes (RFC 6154)
+const FALLBACK_MAILBOXES = { '\\Sent': 'Sent', '\\Drafts': 'Drafts' };
+
+// Recipients may be given as an array or a comma separated string
+function addressList(value) {
+  return [].concat(value || []).join(',').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+// Message ids combine the mailbox path and the IMAP UID
+function messageKey(path, uid) {
+  return `${path}:${uid}`;
+}
+
+function parseMessageKey(id) {
+  const separator = String(id).lastIndexOf(':');
+  const uid = Number(String(id).slice(separator + 1));
+  if (separator <= 0 || !Number.isInteger(uid)) return null;
+  return { path: String(id).slice(0, separator), uid };
+}
+
+/**
+ * Convert a parsed MIME message to the provider-neutral shape
+ * @param {Object} parsed - Result of mailparser's simpleParser
+ * @param {string} id - Message key
+ * @returns {Object} Message
+ */
+function normalizeMessage(parsed, id) {
+  const references = [].concat(parsed.references || []);
+  const text = parsed.text || '';
+  return {
+    id,
+    // IMAP has no thread ids; the first message of the conversation stands in for one
+    threadId: references[0] || parsed.messageId || id,
+    messageId: parsed.messageId || '',
+    references: references.join(' '),
+    from: parsed.from?.text || '',
+    to: parsed.to?.text || '',
+    cc: parsed.cc?.text || '',
+    subject: parsed.subject || '',
+    date: parsed.date || null,
+    snippet: text.replace(/\s+/g, ' ').trim().slice(0, 200),
+    text
+  };
+}
+
+/**
+ * Mail provider for any IMAP mailbox, sending through SMTP
+ * @param {Object} config - { address, imap: { host, port, secure, user, pass },
+ *                           smtp: { host, port, secure, user, pass } }; SMTP
+ *                           credentials default to the IMAP ones
+ * @returns {Object} Mail provider
+ */
+function createImapProvider(config = {}) {
+  const { address, imap = {}, smtp = {} } = config;
+  if (!address || !imap.host || !smtp.host) {
+    throw new Error('IMAP mail accounts need an address, an IMAP host and an SMTP host');
+  }
+
+  const imapPort = Number(imap.port) || 993;
+  const smtpPort = Number(smtp.port) || 587;
+
+  // The host names are checked on every connection, then the checked address is used
+  // with the name kept for TLS
+  async function smtpTransport() {
+    return nodemailer.createTransport({
+      host: await resolvePublicAddress(smtp.host),
+      port: smtpPort,
+      secure: smtp.secure ?? smtpPort === 465,
+      auth: { user: smtp.user || imap.user, pass: smtp.pass || imap.pass },
+      servername: smtp.host,
+      connectionTimeout: CONNECTION_TIMEOUT_MS,
+      greetingTimeout: CONNECTION_TIMEOUT_MS,
+      socketTimeout: SOCKET_TIMEOUT_MS
+    });
+  }
+
+  // One connection per operation; chat requests are rare enough that pooling isn't worth it
+  async function withConnection(work) {
+    const client = new ImapFlow({
+      host: await resolvePublicAddress(imap.host),
+      servername: imap.host,
+      port: imapPort,
+      secure: imap.secure ?? imapPort === 993,
+      auth: { user: imap.user, pass: imap.pass },
+      connectionTimeout: CONNECTION_TIMEOUT_MS,
+      greetingTimeout: CONNECTION_TIMEOUT_MS,
+      socketTimeout: SOCKET_TIMEOUT_MS,
+      logger: false
+    });
+    await client.connect();
+    try {
+      return await work(client);
+    } finally {
+      await client.logout().catch(() => {});
+    }
+  }
+
+  async function specialMailbox(client, use) {
+    const mailboxes = await client.list();
+    const found = mailboxes.find(mailbox => mailbox.specialUse === use);
+    return found ? found.path : FALLBACK_MAILBOXES[use];
+  }
+
+  // Draft ids name their mailbox; an id pointing anywhere but Drafts is refused so the
+  // draft routes can't read, send or delete other mail
+  async function draftKey(client, id) {
+    const key = parseMessageKey(id);
+    if (!key || key.path !== await specialMailbox(client, '\\Drafts')) return null;
+    return key;
+  }
+
+  async function fetchParsed(client, path, uid) {
+    const message = await client.fetchOne(uid, { source: true }, { uid: true });
+    if (!message || !message.source) return null;
+    return normalizeMessage(await simpleParser(message.source), messageKey(path, uid));
+  }
+
+  // Messages in a mailbox matching an IMAP search query, newest first
+  async function searchMailbox(client, path, query, maxResults) {
+    const lock = await client.getMailboxLock(path);
+    try {
+      const uids = (await client.search(query, { uid: true })) || [];
+      const messages = [];
+      for (const uid of uids.slice(-maxResults).reverse()) {
+        const message = await fetchParsed(client, path, uid);
+        if (message) messages.push(message);
+      }
+      return messages;
+    } finally {
+      lock.release();
+    }
+  }
+
+  // The copy saved in Sent or Drafts keeps the Bcc header and the Message-ID of what was sent
+  function compose(message, options = {}) {
+    return buildMimeMessage({ ...message, from: address }, options);
+  }
+
+  return {
+    name: 'imap',
+
+    async searchSent({ to, maxResults = 10 }) {
+      return withConnection(async (client) => {
+        return searchMailbox(client, await specialMailbox(client, '\\Sent'), { to }, maxResults);
+      });
+    },
+
+    // Only the inbox; mail filed elsewhere by the user's rules isn't searched
+    async searchReceived({ from, text, maxResults = 10 }) {
+      const query = {};
+      if (from) query.from = from;
+      if (text) query.text = text;
+      return withConnection(async (client) => {
+        return searchMailbox(client, 'INBOX', Object.keys(query).length > 0 ? query : { all: true }, maxResults);
+      });
+    },
+
+    async getMessage(id) {
+      const key = parseMessageKey(id);
+      if (!key) return null;
+      return withConnection(async (client) => {
+        const lock = await client.getMailboxLock(key.path);
+        try {
+          return await fetchParsed(client, key.path, key.uid);
+        } finally {
+          lock.release();
+        }
+      });
+    },
+
+    async send(message) {
+      const { raw, messageId } = await compose(message);
+      const recipients = [message.to, message.cc, message.bcc].flatMap(addressList);
+      await (await smtpTransport()).sendMail({ envelope: { from: address, to: recipients }, raw });
+      const copy = message.bcc ? (await compose({ ...message, messageId }, { keepBcc: true })).raw : raw;
+
+      // SMTP doesn't file a copy in Sent; without one, style analysis never sees this message
+      let id = messageId;
+      try {
+        id = await withConnection(async (client) => {
+          const path = await specialMailbox(client, '\\Sent');
+          const result = await client.append(path, copy, ['\\Seen']);
+          return result?.uid ? messageKey(path, result.uid) : messageId;
+        });
+      } catch (error) {
+        console.error('Error saving sent message to IMAP:', error.message);
+      }
+      return { id, threadId: messageId };
+    },
+
+    async createDraft(message) {
+      const { raw, messageId } = await compose(message, { keepBcc: true });
+      return withConnection(async (client) => {
+        const path = await specialMailbox(client, '\\Drafts');
+        const result = await client.append(path, raw, ['\\Draft']);
+        return { id: result?.uid ? messageKey(path, result.uid) : messageId };
+      });
+    },
+
+    async listDrafts({ maxResults = 10 } = {}) {
+      return withConnection(async (client) => {
+        return searchMailbox(client, await specialMailbox(client, '\\Drafts'), { all: true }, maxResults);
+      });
+    },
+
+    async getDraft(id) {
+      return withConnection(async (client) => {
+        const key = await draftKey(client, id);
+        if (!key) return null;
+        const lock = await client.getMailboxLock(key.path);
+        try {
+          const found = await client.fetchOne(key.uid, { source: true }, { uid: true });
+          if (!found || !found.source) return null;
+          const message = await parseMimeMessage(found.source);
+          return { id, threadId: (message.references || '').split(' ')[0] || message.messageId || id, message };
+        } finally {
+          lock.release();
+        }
+      });
+    },
+
+    // IMAP messages can't be changed, so the new version replaces the old one and gets a new id
+    async updateDraft(id, message) {
+      if (!(await this.getDraft(id))) {
+        throw new Error('Draft not found');
+      }
+      const saved = await this.createDraft(message);
+      await this.deleteDraft(id);
+      return saved;
+    },
+
+    async sendDraft(id) {
+      const draft = await this.getDraft(id);
+      if (!draft) {
+        throw new Error('Draft not found');
+      }
+      const result = await this.send(draft.message);
+      // Already sent: a leftover draft is better than the send being retried
+      await this.deleteDraft(id).catch(error => console.error('Error removing sent draft from IMAP:', error.message));
+      return result;
+    },
+
+    async deleteDraft(id) {
+      await withConnection(async (client) => {
+        const key = await draftKey(client, id);
+        if (!key) {
+          throw new Error('Draft not found');
+        }
+        const lock = await client.getMailboxLock(key.path);
+        try {
+          await client.messageDelete(String(key.uid), { uid: true });
+        } finally {
+          lock.release();
+        }
+      });
+    },
+
+    // Check both servers accept the credentials before the account is saved
+    async verify() {
+      await withConnection(async () => {});
+      await (await smtpTransport()).verify();
+    }
+  };
+}
+
+module.exports = { createImapProvider };
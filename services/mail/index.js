@@ -0,0 +1,188 @@
+/**
+ * Mail provider layer used by sending, drafting and style analysis.
+ *
+ * Each user's mail goes through Gmail by default, or through their own IMAP/SMTP
+ * mailbox once they save one with saveMailAccount. A user with several linked Google
+ * accounts can pick which Gmail account to use. Every provider implements:
+ *   - searchSent({ to, maxResults }) -> Promise<Array<Message>>, newest first
+ *   - searchReceived({ from, text, maxResults }) -> Promise<Array<Message>>, newest
+ *     first; from is a name or address, text words anywhere in the message
+ *   - getMessage(id) -> Promise<Message | null>
+ *   - send(OutgoingMessage) -> Promise<{ id, threadId }>
+ *   - createDraft(OutgoingMessage) -> Promise<{ id }>
+ *   - listDrafts({ maxResults }) -> Promise<Array<Message>>, newest first, with the
+ *     draft's id as id
+ *   - getDraft(id) -> Promise<{ id, threadId, message: OutgoingMessage } | null>
+ *   - updateDraft(id, OutgoingMessage) -> Promise<{ id }> (the id may change)
+ *   - sendDraft(id) -> Promise<{ id, threadId }>
+ *   - deleteDraft(id) -> Promise<void>
+ *   - verify() -> Promise<void> (optional; checks the account's settings work)
+ * where Message is { id, threadId, messageId, references, from, to, cc, subject, date,
+ * snippet, text } and OutgoingMessage is { to, cc?, bcc?, subject, text, html?,
+ * attachments?, threadId?, inReplyTo?, references? }, with recipients as an array or a
+ * comma separated string. Replies set the last three from the message they answer; see
+ * mime.js for how it is encoded.
+ */
+const User = require('../../models/User');
+const { encryptData, decryptData } = require('../auth/tokenCrypto');
+const { listGoogleAccounts } = require('../auth/googleAuth');
+const { resolvePublicAddress } = require('../utils/networkGuard');
+
+// Lazily required so IMAP libraries are only loaded for users who need them
+const providerFactories = {
+  gmail: (config) => require('./gmailProvider').createGmailProvider(config),
+  imap: (config) => require('./imapProvider').createImapProvider(config)
+};
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name (gmail, imap)
+ * @param {Object} config - Provider specific configuration
+ * @returns {Object} Mail provider
+ */
+function createMailProvider(name, config = {}) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Read a user's own mailbox settings
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { provider, address, settings }, or null for Gmail users
+ */
+async function loadMailAccount(userId) {
+  if (!userId) return null;
+  const user = await User.findById(userId).select('+mailAccount');
+  if (!user || !user.mailAccount) return null;
+  return {
+    provider: user.mailAccount.provider,
+    address: user.mailAccount.address,
+    settings: decryptData(user.mailAccount.settings)
+  };
+}
+
+/**
+ * Get the mail provider for a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { from }: the linked Gmail address to use instead of the
+ *                           primary account; ignored for IMAP/SMTP mailboxes
+ * @returns {Promise<Object|null>} Mail provider, or null if the user has no mailbox
+ */
+async function getMailProvider(userId, options = {}) {
+  if (!userId) return null;
+  try {
+    const account = await loadMailAccount(userId);
+    if (account) {
+      return createMailProvider(account.provider, { address: account.address, ...account.settings });
+    }
+    return createMailProvider('gmail', { userId, accountId: options.from || null });
+  } catch (error) {
+    console.error('Error creating mail provider:', error);
+    return null;
+  }
+}
+
+/**
+ * Addresses the user can send from: their own mailbox, or every linked Google
+ * account that has Gmail access
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} [{ address, primary }], the default first
+ */
+async function listSendingAccounts(userId) {
+  if (!userId) return [];
+  try {
+    const account = await loadMailAccount(userId);
+    if (account) {
+      return [{ address: account.address, primary: true }];
+    }
+    return (await listGoogleAccounts(userId))
+      .filter(google => google.connected && !google.reconnectRequired && google.scopeGroups.includes('email'))
+      .sort((a, b) => Number(b.primary) - Number(a.primary))
+      .map(google => ({ address: google.email, primary: google.primary }));
+  } catch (error) {
+    console.error('Error listing sending accounts:', error);
+    return [];
+  }
+}
+
+/**
+ * Whether the user reads and sends mail through their own mailbox rather than Gmail
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if a mailbox is configured
+ */
+async function hasMailAccount(userId) {
+  if (!userId) return false;
+  try {
+    return Boolean(await User.exists({ _id: userId, mailAccount: { $exists: true } }));
+  } catch (error) {
+    console.error('Error checking mail account:', error);
+    return false;
+  }
+}
+
+/**
+ * Check and store a user's own mailbox. The settings, including passwords, are
+ * encrypted like Google tokens.
+ * @param {string} userId - User ID
+ * @param {Object} account - { provider: 'imap', address, imap: {...}, smtp: {...} }
+ * @returns {Promise<Object>} { address } on success, { error } if the settings don't work
+ */
+async function saveMailAccount(userId, account = {}) {
+  const { provider = 'imap', address, ...settings } = account;
+  if (provider === 'gmail' || !providerFactories[provider]) {
+    return { error: `Unknown mail provider "${provider}"` };
+  }
+
+  let mail;
+  try {
+    mail = createMailProvider(provider, { address, ...settings });
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  // Server replies and network errors stay in the log; they can describe hosts the
+  // user shouldn't learn about
+  try {
+    await Promise.all([settings.imap.host, settings.smtp.host].map(resolvePublicAddress));
+    if (mail.verify) await mail.verify();
+  } catch (error) {
+    console.error('Mail account check failed:', error.message);
+    return { error: 'Could not connect to the mailbox. Check the server names, ports and login details.' };
+  }
+
+  try {
+    await User.findByIdAndUpdate(userId, {
+      mailAccount: { provider, address, settings: encryptData(settings) }
+    });
+    return { address };
+  } catch (error) {
+    console.error('Error saving mail account:', error);
+    throw error;
+  }
+}
+
+/**
+ * Forget a user's own mailbox; mail goes through Gmail again
+ * @param {string} userId - User ID
+ */
+async function removeMailAccount(userId) {
+  try {
+    await User.findByIdAndUpdate(userId, { $unset: { mailAccount: 1 } });
+  } catch (error) {
+    console.error('Error removing mail account:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  createMailProvider,
+  getMailProvider,
+  listSendingAccounts,
+  loadMailAccount,
+  hasMailAccount,
+  saveMailAccount,
+  removeMailAccount
+};
@@ -0,0 +1,186 @@
+// services/mail/mime.js
+// Raw messages for both mail providers. nodemailer's composer does the MIME work:
+// multipart/alternative for HTML with a plain text fallback, multipart/related for
+// inline images, multipart/mixed for attachments, and RFC 2047 encoded words for
+// headers that aren't plain ASCII.
+const crypto = require('crypto');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { simpleParser } = require('mailparser');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// **bold**, *italic* and [links](https://...) on text that is already escaped
+function inlineHtml(escaped) {
+  return escaped
+    .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?=[^*\w]|$)/g, '$1<em>$2</em>');
+}
+
+function inlineText(line) {
+  return line
+    .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^)\s]+)\)/g, '$1 ($2)')
+    .replace(/\*\*([^*]+)\*\*/g, '$1')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?=[^*\w]|$)/g, '$1$2');
+}
+
+function lineKind(line) {
+  if (!line.trim()) return 'blank';
+  if (/^\s*[-*]\s+/.test(line)) return 'ul';
+  if (/^\s*\d+[.)]\s+/.test(line)) return 'ol';
+  return 'text';
+}
+
+/**
+ * Render an email body written in light Markdown: paragraphs, "- " and "1." lists,
+ * **bold**, *italic* and [links](https://...)
+ * @param {string} markdown - Body as drafted
+ * @returns {Object} { text, html }: the plain text part without markup, and the HTML part
+ */
+function renderFormattedBody(markdown) {
+  const groups = [];
+  String(markdown || '').replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    const kind = lineKind(line);
+    const last = groups[groups.length - 1];
+    if (last && last.kind === kind) {
+      last.lines.push(line);
+    } else {
+      groups.push({ kind, lines: [line] });
+    }
+  });
+
+  const html = [];
+  const text = [];
+  groups.forEach(({ kind, lines }) => {
+    if (kind === 'blank') {
+      text.push('');
+      return;
+    }
+    if (kind === 'text') {
+      html.push(`<p>${lines.map(line => inlineHtml(escapeHtml(line))).join('<br>\n')}</p>`);
+      text.push(...lines.map(inlineText));
+      return;
+    }
+    const items = lines.map(line => line.replace(/^\s*(?:[-*]|\d+[.)])\s+/, ''));
+    html.push(`<${kind}>${items.map(item => `<li>${inlineHtml(escapeHtml(item))}</li>`).join('')}</${kind}>`);
+    text.push(...lines.map(line => inlineText(line.trim())));
+  });
+
+  return { text: text.join('\n').trim(), html: html.join('\n') };
+}
+
+/**
+ * Wrap plain text as HTML, keeping its line breaks
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+function textToHtml(text) {
+  return String(text || '')
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Build a raw message
+ * @param {Object} message - { from, to, cc, bcc, subject, text, html, attachments, headers,
+ *                           messageId, inReplyTo, references }
+ *                           where attachments are [{ filename, content, contentType, inline, cid }].
+ *                           Inline images get a Content-ID and, unless the HTML already shows
+ *                           them through cid: URLs, are added after the body.
+ * @param {Object} options - { keepBcc }: keep the Bcc header, for Gmail (which delivers to it
+ *                           and then removes it) and for copies filed in Sent. Messages handed
+ *                           to SMTP must not carry it.
+ * @returns {Promise<Object>} { raw: Buffer, messageId }
+ */
+async function buildMimeMessage(message, options = {}) {
+  const attachments = (message.attachments || []).map(attachment => {
+    const part = {
+      filename: attachment.filename,
+      content: attachment.content,
+      contentType: attachment.contentType
+    };
+    if (attachment.inline) {
+      part.cid = attachment.cid || `${crypto.randomUUID()}@twinai`;
+      part.contentDisposition = 'inline';
+    }
+    return part;
+  });
+
+  let html = message.html;
+  const inline = attachments.filter(attachment => attachment.cid);
+  if (inline.length > 0) {
+    html = html || textToHtml(message.text);
+    html += inline
+      .filter(attachment => !html.includes(`cid:${attachment.cid}`))
+      .map(attachment => `\n<p><img src="cid:${attachment.cid}" alt="${escapeHtml(attachment.filename || '')}"></p>`)
+      .join('');
+  }
+
+  const node = new MailComposer({
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    subject: message.subject,
+    text: message.text,
+    html,
+    attachments,
+    headers: message.headers,
+    messageId: message.messageId,
+    inReplyTo: message.inReplyTo,
+    references: message.references
+  }).compile();
+  node.keepBcc = Boolean(options.keepBcc);
+
+  const messageId = node.messageId();
+  return { raw: await node.build(), messageId };
+}
+
+// Addresses of a parsed header, which mailparser gives as one address object or several
+function parsedAddresses(header) {
+  return [].concat(header || []).flatMap(group => group.value || []).map(entry => entry.address).filter(Boolean);
+}
+
+/**
+ * Read a raw message back into the shape buildMimeMessage takes, e.g. to change a
+ * saved draft and store it again
+ * @param {Buffer|string} raw - Raw message
+ * @returns {Promise<Object>} { to, cc, bcc, subject, text, html, attachments, inReplyTo,
+ *                            references, messageId, date } with recipients as arrays
+ */
+async function parseMimeMessage(raw) {
+  // Keep cid: links so inline images stay attachments rather than becoming data: URLs
+  const parsed = await simpleParser(raw, { skipImageLinks: true });
+  const references = [].concat(parsed.references || []);
+  return {
+    to: parsedAddresses(parsed.to),
+    cc: parsedAddresses(parsed.cc),
+    bcc: parsedAddresses(parsed.bcc),
+    subject: parsed.subject || '',
+    text: parsed.text || '',
+    html: parsed.html || undefined,
+    attachments: (parsed.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      content: attachment.content,
+      contentType: attachment.contentType,
+      inline: attachment.contentDisposition === 'inline' && Boolean(attachment.cid),
+      cid: attachment.cid
+    })),
+    inReplyTo: parsed.inReplyTo || undefined,
+    references: references.length > 0 ? references.join(' ') : undefined,
+    messageId: parsed.messageId || undefined,
+    date: parsed.date || null
+  };
+}
+
+module.exports = {
+  buildMimeMessage,
+  parseMimeMessage,
+  renderFormattedBody,
+  textToHtml
+};
@@ -0,0 +1,170 @@
+// services/memory.js
+const llm = require('./llm');
+const Memory = require('../models/Memory');
+const User = require('../models/User');
+
+// Cap on memories injected into prompts, newest first
+const MAX_PROMPT_MEMORIES = 30;
+
+// Only messages that talk about the user are worth an extraction call
+const FIRST_PERSON = /\b(i|i'm|im|i've|my|me|mine)\b/i;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remember a fact or preference, skipping exact duplicates
+ * @param {string} userId - User ID
+ * @param {string} content - The fact, phrased about the user
+ * @param {Object} options - { category, source }
+ * @returns {Promise<Object|null>} The stored memory, or null if it was already known
+ */
+async function addMemory(userId, content, options = {}) {
+  const text = (content || '').trim();
+  if (!userId || !text) return null;
+
+  try {
+    const existing = await Memory.findOne({
+      userId,
+      content: { $regex: `^${escapeRegex(text)}$`, $options: 'i' }
+    }).lean();
+    if (existing) return null;
+
+    return await Memory.create({
+      userId,
+      content: text,
+      category: options.category || 'fact',
+      source: options.source || 'explicit'
+    });
+  } catch (error) {
+    console.error('Error adding memory:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's memories, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Memories
+ */
+async function listMemories(userId) {
+  if (!userId) return [];
+
+  try {
+    return await Memory.find({ userId }).sort({ createdAt: 1 }).lean();
+  } catch (error) {
+    console.error('Error listing memories:', error);
+    throw error;
+  }
+}
+
+/**
+ * Forget memories by their number in listMemories or by matching text
+ * @param {string} userId - User ID
+ * @param {string} query - "2", "#2" or text contained in the memory
+ * @returns {Promise<Array>} The memories that were removed
+ */
+async function forgetMemories(userId, query) {
+  const text = (query || '').trim();
+  if (!userId || !text) return [];
+
+  try {
+    const memories = await listMemories(userId);
+    const number = text.match(/^#?(\d+)$/);
+    const matches = number
+      ? memories.filter((memory, i) => i === parseInt(number[1], 10) - 1)
+      : memories.filter(memory => memory.content.toLowerCase().includes(text.toLowerCase()));
+
+    if (matches.length > 0) {
+      await Memory.deleteMany({ userId, _id: { $in: matches.map(memory => memory._id) } });
+    }
+    return matches;
+  } catch (error) {
+    console.error('Error forgetting memories:', error);
+    throw error;
+  }
+}
+
+/**
+ * Describe what's known about the user for use inside an LLM prompt
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Bullet list, or an empty string if nothing is known
+ */
+async function formatMemoriesForPrompt(userId) {
+  if (!userId) return '';
+
+  try {
+    const [user, memories] = await Promise.all([
+      User.findById(userId).select('name').lean(),
+      Memory.find({ userId }).sort({ createdAt: -1 }).limit(MAX_PROMPT_MEMORIES).lean()
+    ]);
+
+    const lines = memories.reverse().map(memory => `- ${memory.content}`);
+    if (user?.name) lines.unshift(`- Name: ${user.name}`);
+    return lines.join('\n');
+  } catch (error) {
+    // Prompts still work without memories
+    console.error('Error loading memories for prompt:', error);
+    return '';
+  }
+}
+
+/**
+ * Pick up durable facts and preferences the user mentions in passing
+ * @param {string} userId - User ID
+ * @param {string} userInput - The user's message
+ * @returns {Promise<Array>} Newly stored memories
+ */
+async function extractMemories(userId, userInput) {
+  if (!userId || !FIRST_PERSON.test(userInput || '')) return [];
+
+  try {
+    const known = await formatMemoriesForPrompt(userId);
+    const prompt = `
+      Find durable facts or preferences about the user in this message: "${userInput}"
+
+      Only keep things that will still be true in future conversations, such as preferences,
+      working hours, relationships, role or location. Ignore one-off requests and small talk.
+      Phrase each one as a short statement about the user, e.g. "Prefers morning meetings".
+
+      Already known:
+      ${known || '(nothing yet)'}
+
+      Do not repeat anything already known.
+      Return ONLY as JSON: {"memories": [{"content": "...", "category": "preference|fact|person|other"}]}
+    `;
+
+    const result = await llm.generateJSON(prompt, { temperature: 0.1 });
+    const candidates = Array.isArray(result?.memories) ? result.memories : [];
+
+    const stored = [];
+    for (const candidate of candidates) {
+      if (!candidate?.content) continue;
+      const category = ['preference', 'fact', 'person', 'other'].includes(candidate.category) ? candidate.category : 'other';
+      const memory = await addMemory(userId, candidate.content, { category, source: 'extracted' });
+      if (memory) stored.push(memory);
+    }
+
+    if (stored.length > 0) {
+      console.log(`Extracted ${stored.length} memories for user ${userId}`);
+    }
+    return stored;
+  } catch (error) {
+    console.error('Error extracting memories:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  addMemory,
+  listMemories,
+  forgetMemories,
+  formatMemoriesForPrompt,
+  extractMemories
+};
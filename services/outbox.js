@@ -0,0 +1,598 @@
+// services/outbox.js
+// Email waiting to be sent. Confirmed emails wait out an undo window first, and
+// scheduled ones wait until their time. They are stored in MongoDB and a dispatcher
+// polls for due messages, so nothing is lost when the server restarts.
+const llm = require('./llm');
+const OutboxMessage = require('../models/OutboxMessage');
+const { deliverEmail, deliverDraft } = require('./email');
+const { keepUploads } = require('./uploads');
+const { textResponse } = require('./responses');
+const { zoneOffset, fromZonedTime } = require('./utils/dateUtils');
+
+const DEFAULT_UNDO_SEND_SECONDS = 30;
+
+// Seconds to wait before sending, from UNDO_SEND_SECONDS; 0 sends on the dispatcher's next pass
+function undoSendSeconds(value) {
+  if (value === undefined || value === '') return DEFAULT_UNDO_SEND_SECONDS;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    console.warn(`UNDO_SEND_SECONDS "${value}" is not a number of seconds; using ${DEFAULT_UNDO_SEND_SECONDS}`);
+    return DEFAULT_UNDO_SEND_SECONDS;
+  }
+  return seconds;
+}
+
+const UNDO_SEND_SECONDS = undoSendSeconds(process.env.UNDO_SEND_SECONDS);
+const DISPATCH_INTERVAL_MS = Number(process.env.OUTBOX_POLL_MS) || 5000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000; // 1 minute, growing with each attempt
+// A claim this old is from a dispatcher that stopped mid-send
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+const PURGE_AFTER_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_SEND_TIME = '09:00';
+const OPERATIONS = ['list', 'cancel', 'reschedule'];
+const OUTBOX_ACTIONS = ['cancel_outbox'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Times for "tomorrow morning" and the like
+const PARTS_OF_DAY = { morning: '09:00', noon: '12:00', afternoon: '14:00', evening: '19:00', tonight: '19:00', midnight: '00:00' };
+
+let dispatchTimer = null;
+let dispatching = false;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// The zone name if Intl knows it, otherwise null for the server's own
+function knownTimeZone(timeZone) {
+  if (!timeZone) return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Send times are worked out on the user's wall clock: a Date whose UTC fields read as
+// the time in their zone, turned back into a real instant at the end
+function toWallClock(date, timeZone) {
+  return new Date(date.getTime() + zoneOffset(date, timeZone) * 60000);
+}
+
+function fromWallClock(wallClock, timeZone) {
+  return fromZonedTime(wallClock.getTime(), timeZone);
+}
+
+function wallDate(date) {
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+function addDays(date, days) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+}
+
+/**
+ * Format a send time for the user, e.g. "Tue, Oct 20, 8:00 AM"
+ * @param {Date} date - Send time
+ * @param {string|null} timeZone - User's IANA time zone; the server's if not given
+ * @returns {string} Formatted time
+ */
+function formatSendTime(date, timeZone = null) {
+  return new Date(date).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit',
+    timeZone: knownTimeZone(timeZone) || undefined
+  });
+}
+
+// Regex reading of a send time, for whatever the model leaves out; now is a wall clock
+function regexSendTime(text, now) {
+  const lower = String(text || '').toLowerCase();
+  const result = { date: null, time: null, inMinutes: null };
+
+  const relative = lower.match(/\bin\s+(\d+|an?|one)\s+(minute|min|hour|hr|day)s?\b/);
+  if (relative) {
+    const count = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    result.inMinutes = count * { minute: 1, min: 1, hour: 60, hr: 60, day: 24 * 60 }[relative[2]];
+    return result;
+  }
+
+  const isoDate = lower.match(/\b\d{4}-\d{2}-\d{2}\b/);
+  const weekday = WEEKDAYS.findIndex(day => new RegExp(`\\b${day}\\b`).test(lower));
+  if (isoDate) {
+    result.date = isoDate[0];
+  } else if (/\btomorrow\b/.test(lower)) {
+    result.date = wallDate(addDays(now, 1));
+  } else if (/\b(?:today|tonight|this\s+(?:morning|afternoon|evening))\b/.test(lower)) {
+    result.date = wallDate(now);
+  } else if (weekday >= 0) {
+    result.date = wallDate(addDays(now, (weekday - now.getUTCDay() + 7) % 7 || 7));
+  }
+
+  const twelveHour = lower.match(/\b(1[0-2]|0?[1-9])(?::([0-5]\d))?\s*(am|pm)\b/);
+  const clock = lower.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  const atHour = lower.match(/\bat\s+([01]?\d|2[0-3])\b/);
+  const partOfDay = Object.keys(PARTS_OF_DAY).find(part => new RegExp(`\\b${part}\\b`).test(lower));
+  if (twelveHour) {
+    let hour = Number(twelveHour[1]) % 12;
+    if (twelveHour[3] === 'pm') hour += 12;
+    result.time = `${pad(hour)}:${twelveHour[2] || '00'}`;
+  } else if (clock) {
+    result.time = `${pad(Number(clock[1]))}:${clock[2]}`;
+  } else if (atHour) {
+    result.time = `${pad(Number(atHour[1]))}:00`;
+  } else if (partOfDay) {
+    result.time = PARTS_OF_DAY[partOfDay];
+  }
+  return result;
+}
+
+/**
+ * Work out when the user wants an email sent
+ * @param {string} text - e.g. "send it tomorrow at 8am", "in 2 hours", "on Monday morning"
+ * @param {Date} now - Current time
+ * @param {string|null} timeZone - User's IANA time zone, e.g. "Europe/Paris"; the server's if not given
+ * @returns {Promise<Date|null>} Send time, or null if the text names no time in the future
+ */
+async function parseSendTime(text, now = new Date(), timeZone = null) {
+  const zone = knownTimeZone(timeZone);
+  const wallNow = toWallClock(now, zone);
+  const prompt = `
+    The user wants an email sent later: "${text}"
+    Today is ${WEEKDAYS[wallNow.getUTCDay()]} ${wallDate(wallNow)} and the time is ${pad(wallNow.getUTCHours())}:${pad(wallNow.getUTCMinutes())}.
+
+    Return as JSON: {
+      "date": "YYYY-MM-DD, or null if no day is given",
+      "time": "HH:MM in 24h, or null if no time is given",
+      "inMinutes": minutes from now for relative times like "in 2 hours", otherwise null
+    }
+  `;
+
+  let parsed = {};
+  try {
+    parsed = await llm.generateJSON(prompt) || {};
+  } catch (e) {
+    console.error('Send time JSON parsing error:', e);
+  }
+
+  const fallback = regexSendTime(text, wallNow);
+  const inMinutes = Number(parsed.inMinutes) || fallback.inMinutes;
+  if (inMinutes > 0) {
+    return new Date(now.getTime() + inMinutes * 60 * 1000);
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(parsed.date || '') ? parsed.date : fallback.date;
+  const time = /^\d{2}:\d{2}$/.test(parsed.time || '') ? parsed.time : fallback.time;
+  if (!date && !time) return null;
+
+  let wallClock = new Date(`${date || wallDate(wallNow)}T${time || DEFAULT_SEND_TIME}:00Z`);
+  // "At 8am" means the next 8am
+  if (!date && wallClock <= wallNow) {
+    wallClock = new Date(wallClock.getTime() + 24 * 60 * 60 * 1000);
+  }
+  if (isNaN(wallClock.getTime())) return null;
+  const sendAt = fromWallClock(wallClock, zone);
+  return sendAt <= now ? null : sendAt;
+}
+
+/**
+ * Public fields of an outbox message
+ * @param {Object} message - OutboxMessage document
+ * @returns {Object} { id, from, to, cc, bcc, subject, sendAt, status, attempts, error, sentAt }
+ */
+function describeOutboxMessage(message) {
+  return {
+    id: String(message._id),
+    from: message.from,
+    to: message.to,
+    cc: message.cc,
+    bcc: message.bcc,
+    subject: message.subject,
+    sendAt: message.sendAt,
+    status: message.status,
+    attempts: message.attempts,
+    error: message.lastError,
+    sentAt: message.sentAt
+  };
+}
+
+/**
+ * Put an email in the outbox
+ * @param {Object} message - { userId, to, cc, bcc, from, subject, body, formatted, attachments,
+ *                           replyTo } as for sendEmail, with recipients as arrays, or with
+ *                           draftId to send that draft from the from mailbox instead
+ * @param {Object} options - { sendAt }: when to send it; by default once the undo window ends
+ * @returns {Promise<Object>} describeOutboxMessage of the queued message
+ */
+async function queueEmail(message, { sendAt = null } = {}) {
+  const when = sendAt ? new Date(sendAt) : new Date(Date.now() + UNDO_SEND_SECONDS * 1000);
+  try {
+    // Files sent in the chat would otherwise expire before a later send
+    await keepUploads(message.userId, message.attachments || [], when);
+    const queued = await OutboxMessage.create({
+      userId: message.userId,
+      from: message.from || null,
+      to: message.to,
+      cc: message.cc || [],
+      bcc: message.bcc || [],
+      subject: message.subject,
+      body: message.body,
+      formatted: Boolean(message.formatted),
+      attachments: message.attachments || [],
+      replyTo: message.replyTo || null,
+      draftId: message.draftId || null,
+      sendAt: when
+    });
+    return describeOutboxMessage(queued);
+  } catch (error) {
+    console.error('Error queueing email:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's outbox, soonest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { statuses }: which messages to include
+ * @returns {Promise<Array>} describeOutboxMessage results
+ */
+async function listOutbox(userId, { statuses = ['queued', 'sending'] } = {}) {
+  try {
+    const messages = await OutboxMessage.find({ userId, status: { $in: statuses } }).sort({ sendAt: 1 });
+    return messages.map(describeOutboxMessage);
+  } catch (error) {
+    console.error('Error listing outbox:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a queued email to another time
+ * @param {string} userId - User ID
+ * @param {string} id - Outbox message id
+ * @param {Date|string} sendAt - New send time
+ * @returns {Promise<Object|null>} describeOutboxMessage, { error } if the time is not in the
+ *                                 future, or null if nothing with that id is still queued
+ */
+async function rescheduleOutbox(userId, id, sendAt) {
+  const when = new Date(sendAt);
+  if (isNaN(when.getTime()) || when <= new Date()) {
+    return { error: 'The new time must be in the future' };
+  }
+  if (!/^[a-f0-9]{24}$/i.test(String(id))) return null;
+
+  try {
+    const message = await OutboxMessage.findOneAndUpdate(
+      { _id: id, userId, status: 'queued' },
+      { sendAt: when },
+      { new: true }
+    );
+    if (!message) return null;
+    await keepUploads(userId, message.attachments, when);
+    return describeOutboxMessage(message);
+  } catch (error) {
+    console.error('Error rescheduling email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop a queued email from being sent
+ * @param {string} userId - User ID
+ * @param {string} id - Outbox message id
+ * @returns {Promise<Object|null>} describeOutboxMessage of the canceled message, or null if
+ *                                 nothing with that id is still queued
+ */
+async function cancelOutbox(userId, id) {
+  if (!/^[a-f0-9]{24}$/i.test(String(id))) return null;
+  try {
+    const message = await OutboxMessage.findOneAndUpdate(
+      { _id: id, userId, status: 'queued' },
+      { status: 'canceled', purgeAt: new Date(Date.now() + PURGE_AFTER_MS) },
+      { new: true }
+    );
+    return message ? describeOutboxMessage(message) : null;
+  } catch (error) {
+    console.error('Error canceling email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move queued sends of a draft to its revised version. Revising an IMAP draft replaces it
+ * with a new message under a new id, which the queued send would no longer find. The send
+ * waits at least a fresh undo window, so the user can still stop the revised version.
+ * @param {string} userId - User ID
+ * @param {string} draftId - Draft id the sends were queued with
+ * @param {Object} draft - { id, to, cc, bcc, subject, body, formatted } of the revised draft
+ * @returns {Promise<number>} Number of sends moved
+ */
+async function requeueDraft(userId, draftId, draft) {
+  try {
+    const queued = await OutboxMessage.find({ userId, draftId, status: 'queued' });
+    const earliest = Date.now() + UNDO_SEND_SECONDS * 1000;
+    let moved = 0;
+    for (const message of queued) {
+      // Claimed by the dispatcher meanwhile: it goes out (or fails) as it was
+      const updated = await OutboxMessage.findOneAndUpdate(
+        { _id: message._id, draftId, status: 'queued' },
+        {
+          draftId: draft.id,
+          to: draft.to,
+          cc: draft.cc,
+          bcc: draft.bcc,
+          subject: draft.subject,
+          body: draft.body,
+          formatted: Boolean(draft.formatted),
+          sendAt: new Date(Math.max(new Date(message.sendAt).getTime(), earliest))
+        },
+        { new: true }
+      );
+      if (updated) moved++;
+    }
+    return moved;
+  } catch (error) {
+    console.error('Error requeueing draft:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop queued sends of a draft that was deleted
+ * @param {string} userId - User ID
+ * @param {string} draftId - Draft id
+ * @returns {Promise<number>} Number of sends canceled
+ */
+async function cancelDraftSends(userId, draftId) {
+  try {
+    const result = await OutboxMessage.updateMany(
+      { userId, draftId, status: 'queued' },
+      { status: 'canceled', purgeAt: new Date(Date.now() + PURGE_AFTER_MS) }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('Error canceling draft sends:', error);
+    throw error;
+  }
+}
+
+// Send one claimed message; failures are retried a few times before giving up. Only a
+// send the provider refused goes back in the queue: once it has taken the message, the
+// message stays claimed even if recording that fails, so it is never sent twice.
+async function deliver(message) {
+  try {
+    if (message.draftId) {
+      await deliverDraft(message.draftId, String(message.userId), { from: message.from });
+    } else {
+      await deliverEmail(message.to, message.subject, message.body, String(message.userId), {
+        cc: message.cc,
+        bcc: message.bcc,
+        from: message.from,
+        formatted: message.formatted,
+        attachments: message.attachments,
+        replyTo: message.replyTo
+      });
+    }
+  } catch (error) {
+    console.error(`Error sending queued email ${message._id}:`, error);
+    const retry = message.attempts < MAX_ATTEMPTS;
+    await OutboxMessage.updateOne({ _id: message._id, status: 'sending' }, retry
+      ? { status: 'queued', sendAt: new Date(Date.now() + RETRY_DELAY_MS * message.attempts), lastError: error.message }
+      : { status: 'failed', lastError: error.message, purgeAt: new Date(Date.now() + PURGE_AFTER_MS) });
+    return;
+  }
+
+  try {
+    await OutboxMessage.updateOne({ _id: message._id, status: 'sending' }, {
+      status: 'sent',
+      sentAt: new Date(),
+      lastError: null,
+      purgeAt: new Date(Date.now() + PURGE_AFTER_MS)
+    });
+  } catch (error) {
+    // dispatchDue marks it failed once the claim times out, asking the user to check Sent
+    console.error(`Error recording sent email ${message._id}:`, error);
+  }
+}
+
+/**
+ * Send every message that is due. Each message is claimed before it is sent, so several
+ * servers can share an outbox. A message left mid-send by a server that stopped is marked
+ * failed rather than sent twice.
+ * @returns {Promise<number>} Number of messages handled
+ */
+async function dispatchDue() {
+  if (dispatching) return 0;
+  dispatching = true;
+  let handled = 0;
+  try {
+    await OutboxMessage.updateMany(
+      { status: 'sending', lockedAt: { $lt: new Date(Date.now() - SENDING_TIMEOUT_MS) } },
+      { status: 'failed', lastError: 'Interrupted while sending; check your Sent folder before sending it again', purgeAt: new Date(Date.now() + PURGE_AFTER_MS) }
+    );
+
+    for (;;) {
+      const message = await OutboxMessage.findOneAndUpdate(
+        { status: 'queued', sendAt: { $lte: new Date() } },
+        { status: 'sending', lockedAt: new Date(), $inc: { attempts: 1 } },
+        { sort: { sendAt: 1 }, new: true }
+      );
+      if (!message) break;
+      await deliver(message);
+      handled++;
+    }
+  } catch (error) {
+    console.error('Error dispatching outbox:', error);
+  } finally {
+    dispatching = false;
+  }
+  return handled;
+}
+
+/**
+ * Start sending due messages in the background, including any queued before a restart
+ */
+function startDispatcher() {
+  if (dispatchTimer) return;
+  dispatchTimer = setInterval(dispatchDue, DISPATCH_INTERVAL_MS);
+  dispatchDue();
+}
+
+/**
+ * Stop the background dispatcher
+ */
+function stopDispatcher() {
+  clearInterval(dispatchTimer);
+  dispatchTimer = null;
+}
+
+// "bob@x.com and carol@y.com"
+function recipientsOf(message) {
+  const to = message.to.length > 0 ? message.to : [...message.cc, ...message.bcc];
+  return to.length > 2 ? `${to.slice(0, -1).join(', ')} and ${to[to.length - 1]}` : to.join(' and ');
+}
+
+/**
+ * Tell the user their email is on its way, with a button to stop it
+ * @param {Object} queued - describeOutboxMessage result
+ * @param {boolean} scheduled - Whether the user chose the time
+ * @param {string|null} timeZone - User's IANA time zone, for showing the time
+ * @returns {Object} Response envelope
+ */
+function queuedResponse(queued, scheduled, timeZone = null) {
+  const text = scheduled
+    ? `Scheduled your email to ${recipientsOf(queued)} for ${formatSendTime(queued.sendAt, timeZone)}. Say "show my outbox" to change the time or cancel it.`
+    : `Sending your email to ${recipientsOf(queued)} in ${Math.max(0, Math.round((new Date(queued.sendAt) - Date.now()) / 1000))} seconds. Say "undo" to stop it.`;
+  return textResponse(text, [
+    { action: 'cancel_outbox', label: scheduled ? 'Cancel' : 'Undo', params: { outboxId: queued.id } }
+  ]);
+}
+
+// One numbered line per message
+function formatOutbox(messages, timeZone) {
+  return messages.map((message, i) => {
+    const state = message.status === 'sending' ? 'sending now' : `sending ${formatSendTime(message.sendAt, timeZone)}`;
+    return `${i + 1}. To ${recipientsOf(message) || '(no recipient)'}: "${message.subject || '(no subject)'}", ${state}`;
+  }).join('\n');
+}
+
+/**
+ * Pick the queued message the user means
+ * @param {Array} messages - listOutbox results, in the order shown to the user
+ * @param {string} reference - "2", "#2", or words from the recipient or subject
+ * @returns {Object|null} Message, or null if nothing matches
+ */
+function findOutboxMessage(messages, reference) {
+  const text = String(reference || '').toLowerCase();
+  const number = text.match(/(?:^|#|\bnumber\s+)\s*(\d+)\b/);
+  if (number) {
+    return messages[Number(number[1]) - 1] || null;
+  }
+  const words = text.split(/[^a-z0-9@._-]+/).filter(word => word.length > 2 && !['the', 'email', 'mail', 'to', 'about', 'one'].includes(word));
+  return messages.find(message => {
+    const haystack = `${message.to.join(' ')} ${message.cc.join(' ')} ${message.subject}`.toLowerCase();
+    return words.length > 0 && words.some(word => haystack.includes(word));
+  }) || null;
+}
+
+// Why a message could not be changed
+async function notQueuedReason(userId, id) {
+  const message = /^[a-f0-9]{24}$/i.test(String(id)) ? await OutboxMessage.findOne({ _id: id, userId }) : null;
+  if (message?.status === 'sent' || message?.status === 'sending') {
+    return 'Too late, that email has already been sent.';
+  }
+  return 'That email is no longer in your outbox.';
+}
+
+/**
+ * Handle a button on a queued email's message
+ * @param {Object} action - { name, params: { outboxId } }
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Response to user
+ */
+async function handleOutboxAction(action, userId) {
+  const id = action.params?.outboxId;
+  if (action.name === 'cancel_outbox') {
+    const canceled = await cancelOutbox(userId, id);
+    return canceled
+      ? `Canceled. Your email to ${recipientsOf(canceled)} won't be sent.`
+      : notQueuedReason(userId, id);
+  }
+  return 'That option is no longer available. What would you like to do?';
+}
+
+/**
+ * Handle an outbox command: list queued email, cancel ("undo") or reschedule one
+ * @param {string} userInput - User input text
+ * @param {Object} entities - { operation, message, when } where operation is list, cancel or
+ *                            reschedule, message says which email and when the new time
+ * @param {Object} options - { userId, timeZone } where timeZone is the user's IANA time zone
+ * @returns {Promise<string>} Response to user
+ */
+async function handleOutboxCommand(userInput, entities = {}, options = {}) {
+  const { userId, timeZone = null } = options;
+  if (!userId) {
+    return 'Sign in to see the email waiting to be sent.';
+  }
+  const operation = OPERATIONS.includes(String(entities.operation || '').toLowerCase())
+    ? entities.operation.toLowerCase()
+    : 'list';
+
+  let messages;
+  try {
+    messages = await listOutbox(userId);
+  } catch (error) {
+    return "Sorry, I couldn't read your outbox just now. Please try again.";
+  }
+  if (messages.length === 0) {
+    return operation === 'list'
+      ? 'Your outbox is empty: no email is waiting to be sent.'
+      : 'There is no email waiting to be sent, so there is nothing to change.';
+  }
+
+  // Without a reference, "undo" means the email queued last (ObjectIds sort by creation time)
+  const reference = entities.message;
+  const latest = [...messages].sort((a, b) => String(b.id).localeCompare(String(a.id)))[0];
+  const message = reference ? findOutboxMessage(messages, reference) : (operation === 'list' ? null : latest);
+  if (operation === 'list' || !message) {
+    const intro = reference && !message ? `I couldn't find a queued email matching "${reference}". ` : '';
+    return `${intro}Waiting to be sent:\n${formatOutbox(messages, timeZone)}\n\nSay "cancel #2" or "move #1 to tomorrow at 9am".`;
+  }
+
+  try {
+    if (operation === 'cancel') {
+      const canceled = await cancelOutbox(userId, message.id);
+      return canceled
+        ? `Canceled. Your email to ${recipientsOf(canceled)} won't be sent.`
+        : notQueuedReason(userId, message.id);
+    }
+
+    const sendAt = await parseSendTime(entities.when || userInput, new Date(), timeZone);
+    if (!sendAt) {
+      return 'When should it go out instead? For example "move it to tomorrow at 9am".';
+    }
+    const moved = await rescheduleOutbox(userId, message.id, sendAt);
+    if (!moved) return notQueuedReason(userId, message.id);
+    if (moved.error) return `${moved.error}.`;
+    return `Your email to ${recipientsOf(moved)} will now go out ${formatSendTime(moved.sendAt, timeZone)}.`;
+  } catch (error) {
+    return "Sorry, I couldn't change your outbox just now. Please try again.";
+  }
+}
+
+module.exports = {
+  UNDO_SEND_SECONDS,
+  OUTBOX_ACTIONS,
+  parseSendTime,
+  formatSendTime,
+  queueEmail,
+  queuedResponse,
+  listOutbox,
+  rescheduleOutbox,
+  cancelOutbox,
+  requeueDraft,
+  cancelDraftSends,
+  dispatchDue,
+  startDispatcher,
+  stopDispatcher,
+  handleOutboxAction,
+  handleOutboxCommand
+};
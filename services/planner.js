@@ -0,0 +1,132 @@
+// services/planner.js
+const llm = require('./llm');
+const { getSkill, listSkills } = require('./skills');
+
+// Hard cap so a runaway plan can't fire off dozens of side effects
+const MAX_PLAN_STEPS = 5;
+
+/**
+ * Skills that can run as a non-interactive plan step
+ * @returns {Array} Skill definitions implementing runStep
+ */
+function plannableSkills() {
+  return listSkills().filter(skill => typeof skill.runStep === 'function');
+}
+
+/**
+ * Break a compound request into an ordered list of skill steps
+ * @param {string} userInput - The user's message
+ * @returns {Promise<Array>} Steps: { intent, description, input, entities, usesOutputOf }
+ */
+async function createPlan(userInput) {
+  const skills = plannableSkills();
+  const catalog = skills.map(skill => {
+    const entities = Object.entries(skill.entities || {})
+      .map(([name, spec]) => `${name}: ${spec.description}`)
+      .join('; ');
+    return `      - ${skill.intent}: ${skill.description}${entities ? ` (entities: ${entities})` : ''}`;
+  }).join('\n');
+
+  const prompt = `
+      Break this request into an ordered list of steps: "${userInput}"
+
+      Each step must use exactly one of these skills:
+${catalog}
+
+      For each step give:
+      - intent: the skill to use
+      - description: a short summary of the step shown to the user
+      - input: the step rewritten as a standalone instruction for that skill
+      - entities: the skill's entities for this step (null when unknown)
+      - usesOutputOf: the 0-based index of an earlier step whose result this step needs, or null
+
+      Today is ${new Date().toISOString().split('T')[0]}.
+      Return ONLY as JSON: {"steps": [{"intent": "...", "description": "...", "input": "...", "entities": {}, "usesOutputOf": null}]}
+    `;
+
+  try {
+    const plan = await llm.generateJSON(prompt);
+    const steps = Array.isArray(plan) ? plan : plan.steps;
+    if (!Array.isArray(steps)) return [];
+
+    // usesOutputOf refers to the model's numbering, which shifts when unknown steps are dropped
+    const kept = [];
+    const keptIndex = new Map();
+    steps.forEach((step, original) => {
+      if (kept.length >= MAX_PLAN_STEPS || !step || !getSkill(step.intent)?.runStep) return;
+      keptIndex.set(original, kept.length);
+      kept.push(step);
+    });
+
+    return kept.map((step, index) => {
+      const source = Number.isInteger(step.usesOutputOf) ? keptIndex.get(step.usesOutputOf) : undefined;
+      return {
+        intent: step.intent,
+        description: step.description || step.input || step.intent,
+        input: step.input || step.description || userInput,
+        entities: step.entities || {},
+        // Only earlier steps that made it into the plan can feed into this one
+        usesOutputOf: source !== undefined && source < index ? source : null
+      };
+    });
+  } catch (error) {
+    console.error('Error creating plan:', error);
+    return [];
+  }
+}
+
+/**
+ * Format a plan for the user to approve
+ * @param {Array} steps - Plan steps
+ * @returns {string} Plan text
+ */
+function formatPlan(steps) {
+  const lines = steps.map((step, i) => {
+    const dependency = step.usesOutputOf !== null ? ` (using the result of step ${step.usesOutputOf + 1})` : '';
+    return `${i + 1}. ${step.description}${dependency}`;
+  });
+  return `Here's my plan:\n${lines.join('\n')}\n\nShall I go ahead? (yes/no)`;
+}
+
+/**
+ * Run an approved plan step by step, passing outputs between steps
+ * @param {Array} steps - Plan steps
+ * @param {Object} ctx - Skill context
+ * @returns {Promise<string>} Summary of what was done
+ */
+async function executePlan(steps, ctx) {
+  const outputs = [];
+  const report = [];
+
+  for (const [i, step] of steps.entries()) {
+    const skill = getSkill(step.intent);
+    ctx.onProgress(`Step ${i + 1} of ${steps.length}: ${step.description}...`);
+
+    try {
+      const output = await skill.runStep(step, {
+        ...ctx,
+        entities: step.entities,
+        previousOutput: step.usesOutputOf !== null ? outputs[step.usesOutputOf] : null
+      });
+      outputs.push(output);
+      report.push(`${i + 1}. ${step.description} - done\n${output}`);
+    } catch (error) {
+      console.error(`Plan step ${i + 1} failed:`, error);
+      report.push(`${i + 1}. ${step.description} - failed: ${error.message}`);
+
+      // Later steps may depend on this one, so stop here
+      const skipped = steps.slice(i + 1).map((rest, j) => `${i + j + 2}. ${rest.description} - skipped`);
+      report.push(...skipped);
+      break;
+    }
+  }
+
+  return report.join('\n\n');
+}
+
+module.exports = {
+  MAX_PLAN_STEPS,
+  createPlan,
+  formatPlan,
+  executePlan
+};
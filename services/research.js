@@ -2,10 +2,7 @@
 const { HfInference } = require('@huggingface/inference');
 const axios = require('axios');
 const xml2js = require('xml2js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+const llm = require('./llm');
 
 const hf = new HfInference(process.env.HF_API_KEY || undefined);
 
@@ -63,13 +60,18 @@ async function summarizeContent(content) {
     }
 }
 
-async function personalizeResponse(summary, topic, sources) {
+async function personalizeResponse(summary, topic, sources, userMemory = '') {
     const { name, interests } = userProfile;
 
+    // Remembered facts replace the built-in profile when the user has any
+    const aboutUser = userMemory
+        ? `What you know about the user:\n${userMemory}`
+        : `The user has the following interests: ${interests.join(", ")}.`;
+
     const prompt = `
-    You are an AI personalizing a research summary for ${name}. 
+    You are an AI personalizing a research summary for ${userMemory ? 'the user' : name}. 
     The topic is "${topic}". 
-    The user has the following interests: ${interests.join(", ")}.
+    ${aboutUser}
 
     Craft a concise and engaging personalized response that makes the topic feel relevant and interesting to the user.
     The response should naturally incorporate the summary and mention sources where applicable.
@@ -77,9 +79,8 @@ async function personalizeResponse(summary, topic, sources) {
     `;
 
     try {
-        // const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-        const response = await model.generateContent({ contents: [{ role: "user", parts: [{ text: prompt }] }] });
-        return response.candidates[0]?.content?.parts[0]?.text?.trim() || summary;
+        const response = await llm.generateText(prompt);
+        return response || summary;
     } catch (error) {
         console.error('AI personalization error:', error.message);
         return summary;
@@ -87,15 +88,25 @@ async function personalizeResponse(summary, topic, sources) {
 }
 
 
-async function research(topic) {
+/**
+ * Research a topic and return the personalized summary with its sources
+ * @param {string} topic - Topic to research
+ * @param {Object} options - { onProgress, userMemory } progress callback and remembered user facts
+ * @returns {Promise<Object>} { topic, summary, sources }
+ */
+async function researchReport(topic, options = {}) {
+    const { onProgress = () => {}, userMemory = '' } = options;
     try {
         console.log(`Digging deep into ${topic} for ${userProfile.name}...`);
 
+        onProgress(`Looking up "${topic}" on Wikipedia...`);
         const wikiContent = await fetchWikipediaContent(topic);
+        onProgress('Summarizing what I found...');
         const wikiSummary = await summarizeContent(wikiContent);
         
         let arXivData = { summary: "", link: "" };
         if (["cosmic", "tech", "quantum", "black hole", "ai"].some(keyword => topic.toLowerCase().includes(keyword))) {
+            onProgress('Checking recent papers on arXiv...');
             arXivData = await fetchArXivContent(topic);
         }
 
@@ -110,12 +121,25 @@ async function research(topic) {
             sources.push({ name: "arXiv", link: arXivData.link });
         }
 
-        return personalizeResponse(fullSummary, topic, sources);
+        onProgress('Writing up your summary...');
+        const summary = await personalizeResponse(fullSummary, topic, sources, userMemory);
+        return { topic, summary, sources };
     } catch (error) {
         console.error('Research glitch:', error.message);
-        return `Oops, ${userProfile.name}, we hit a cosmic wall: ${error.message}`;
+        return { topic, summary: `Oops, ${userProfile.name}, we hit a cosmic wall: ${error.message}`, sources: [] };
     }
 }
 
-module.exports = { research };
+/**
+ * Research a topic and return a personalized summary
+ * @param {string} topic - Topic to research
+ * @param {Object} options - { onProgress, userMemory } progress callback and remembered user facts
+ * @returns {Promise<string>} Personalized research summary
+ */
+async function research(topic, options = {}) {
+    const { summary } = await researchReport(topic, options);
+    return summary;
+}
+
+module.exports = { research, researchReport };
 
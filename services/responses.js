@@ -0,0 +1,154 @@
+/**
+ * Typed response envelopes returned by skills and sent to clients.
+ *
+ *   { type, text, data, actions }
+ *
+ * - type: text | email_draft | slot_choice | research_report | plan | reconnect_google
+ * - text: plain-text rendering, used for history and text-only clients
+ * - data: type specific payload (draft fields, slots, sources, steps)
+ * - actions: structured replies the client can send back instead of text,
+ *   e.g. { action: 'select_slot', label: '10:00 AM', params: { index: 0 } }
+ */
+
+const RESPONSE_TYPES = ['text', 'email_draft', 'slot_choice', 'research_report', 'plan', 'reconnect_google'];
+
+/**
+ * Build an envelope
+ * @param {string} type - One of RESPONSE_TYPES
+ * @param {string} text - Plain-text rendering
+ * @param {Object} data - Type specific payload
+ * @param {Array} actions - Available structured replies
+ * @returns {Object} Response envelope
+ */
+function createResponse(type, text, data = {}, actions = []) {
+  if (!RESPONSE_TYPES.includes(type)) {
+    throw new Error(`Unknown response type: ${type}`);
+  }
+  return { type, text: String(text), data, actions };
+}
+
+/**
+ * Plain text response, optionally with quick replies such as confirm/cancel
+ * @param {string} text - Response text
+ * @param {Array} actions - Available structured replies
+ * @returns {Object} Response envelope
+ */
+function textResponse(text, actions = []) {
+  return createResponse('text', text, {}, actions);
+}
+
+/**
+ * Email draft awaiting confirmation; the client may edit fields before sending
+ * @param {string} text - Plain-text rendering
+ * @param {Object} draft - { to, cc?, bcc?, subject, body, from?, fromOptions?, formatted?, attachments? }
+ *                         where recipients are comma separated addresses, fromOptions lists
+ *                         the addresses the user can send from and
+ *                         attachments are [{ uploadId, filename, contentType, inline }];
+ *                         replies also carry replyTo: { from, subject, date } of the email
+ *                         they answer
+ * @returns {Object} Response envelope
+ */
+function emailDraftResponse(text, draft) {
+  const params = { to: draft.to, cc: draft.cc, bcc: draft.bcc, subject: draft.subject, body: draft.body, from: draft.from };
+  return createResponse('email_draft', text, draft, [
+    { action: 'send_email', label: 'Send', params },
+    { action: 'save_draft', label: 'Save as draft', params },
+    { action: 'revise_email', label: 'Revise' },
+    { action: 'cancel_email', label: 'Cancel' }
+  ]);
+}
+
+/**
+ * A draft saved in the user's mailbox, opened from chat; the client may edit it and
+ * save the changes or send it
+ * @param {string} text - Plain-text rendering
+ * @param {Object} draft - { draftId, account, to, cc?, bcc?, subject, body, attachments? }
+ *                         where recipients are comma separated addresses, account is the
+ *                         mailbox holding the draft and attachments are
+ *                         [{ filename, contentType, size }]
+ * @returns {Object} Response envelope
+ */
+function savedDraftResponse(text, draft) {
+  const params = { draftId: draft.draftId, account: draft.account, to: draft.to, cc: draft.cc, bcc: draft.bcc, subject: draft.subject, body: draft.body };
+  return createResponse('email_draft', text, draft, [
+    { action: 'send_draft', label: 'Send', params },
+    { action: 'update_draft', label: 'Save changes', params },
+    { action: 'delete_draft', label: 'Delete', params: { draftId: draft.draftId, account: draft.account } },
+    { action: 'close_draft', label: 'Close' }
+  ]);
+}
+
+/**
+ * Time slots for the user to choose from
+ * @param {string} text - Plain-text rendering
+ * @param {Array} slots - [{ start, end, displayText }]
+ * @param {Object} data - Extra payload, e.g. the event title
+ * @returns {Object} Response envelope
+ */
+function slotChoiceResponse(text, slots, data = {}) {
+  return createResponse('slot_choice', text, { ...data, slots }, slots.map((slot, index) => ({
+    action: 'select_slot',
+    label: slot.displayText,
+    params: { index }
+  })));
+}
+
+/**
+ * Research summary with its sources
+ * @param {string} text - Summary
+ * @param {Object} data - { topic, sources }
+ * @returns {Object} Response envelope
+ */
+function researchReportResponse(text, data) {
+  return createResponse('research_report', text, data);
+}
+
+/**
+ * Multi-step plan awaiting approval
+ * @param {string} text - Plain-text rendering
+ * @param {Array} steps - Plan steps
+ * @returns {Object} Response envelope
+ */
+function planResponse(text, steps) {
+  return createResponse('plan', text, { steps }, [
+    { action: 'approve_plan', label: 'Go ahead' },
+    { action: 'reject_plan', label: 'Cancel' }
+  ]);
+}
+
+/**
+ * The user has to (re)connect Google, or grant another feature, before a skill can run
+ * @param {string} text - Explanation for the user
+ * @param {string} reason - 'not_connected', 'reconsent_required' or 'scope_required'
+ * @param {Array} scopes - Scope groups to ask for, e.g. ['calendar']
+ * @returns {Object} Response envelope
+ */
+function reconnectGoogleResponse(text, reason, scopes = []) {
+  const url = scopes.length > 0 ? `/auth/google?scopes=${scopes.join(',')}` : '/auth/google';
+  return createResponse('reconnect_google', text, { reason, scopes, url });
+}
+
+/**
+ * Accept either a plain string or an envelope from a handler
+ * @param {string|Object} result - Handler result
+ * @returns {Object} Response envelope
+ */
+function normalizeResponse(result) {
+  if (result && typeof result === 'object' && RESPONSE_TYPES.includes(result.type)) {
+    return createResponse(result.type, result.text, result.data || {}, result.actions || []);
+  }
+  return textResponse(result === undefined || result === null ? '' : result);
+}
+
+module.exports = {
+  RESPONSE_TYPES,
+  createResponse,
+  textResponse,
+  emailDraftResponse,
+  savedDraftResponse,
+  slotChoiceResponse,
+  researchReportResponse,
+  planResponse,
+  reconnectGoogleResponse,
+  normalizeResponse
+};
@@ -0,0 +1,125 @@
+// services/sessionContext.js
+const Message = require('../models/Message');
+
+// Number of user/assistant turns fed back to the model as context
+const CONTEXT_WINDOW = 10;
+
+/**
+ * Build the query that scopes messages to one session (and user, when known)
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - Authenticated user ID, or null for anonymous sessions
+ * @returns {Object} Mongo query
+ */
+function sessionQuery(sessionId, userId = null) {
+  return { sessionId, userId: userId || null };
+}
+
+/**
+ * Load the most recent conversation turns for a session
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @param {number} limit - Maximum number of messages to return
+ * @returns {Promise<Array>} Messages in chronological order ({ role, content })
+ */
+async function loadContext(sessionId, userId = null, limit = CONTEXT_WINDOW) {
+  try {
+    const messages = await Message.find({
+      ...sessionQuery(sessionId, userId),
+      role: { $in: ['user', 'assistant'] }
+    })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit)
+      .lean();
+
+    return messages.reverse().map(msg => ({ role: msg.role, content: msg.content }));
+  } catch (error) {
+    console.error('Error loading session context:', error);
+    throw error;
+  }
+}
+
+/**
+ * Append a message to a session's context
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @param {string} role - user, assistant or system
+ * @param {string} content - Message text
+ * @returns {Promise<Object>} The stored message
+ */
+async function appendToContext(sessionId, userId, role, content) {
+  try {
+    return await Message.create({
+      ...sessionQuery(sessionId, userId),
+      role,
+      content
+    });
+  } catch (error) {
+    console.error('Error appending to session context:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a JSON marker (e.g. a pending calendar event) as a system message
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @param {Object} data - Marker payload; its top-level keys are used for lookup
+ * @returns {Promise<Object>} The stored message
+ */
+async function setMarker(sessionId, userId, data) {
+  return appendToContext(sessionId, userId, 'system', JSON.stringify(data));
+}
+
+/**
+ * Find the most recent marker containing the given key
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @param {string} key - Marker key, e.g. "pendingCalendarEvent"
+ * @returns {Promise<Object|null>} Parsed marker payload or null
+ */
+async function findMarker(sessionId, userId, key) {
+  try {
+    const marker = await Message.findOne({
+      ...sessionQuery(sessionId, userId),
+      role: 'system',
+      content: { $regex: `"${key}"` }
+    })
+      .sort({ timestamp: -1, _id: -1 })
+      .lean();
+
+    return marker ? JSON.parse(marker.content) : null;
+  } catch (error) {
+    console.error('Error reading session marker:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove every marker containing the given key
+ * @param {string} sessionId - Chat session ID
+ * @param {string|null} userId - User ID
+ * @param {string} key - Marker key
+ * @returns {Promise<number>} Number of markers removed
+ */
+async function clearMarkers(sessionId, userId, key) {
+  try {
+    const result = await Message.deleteMany({
+      ...sessionQuery(sessionId, userId),
+      role: 'system',
+      content: { $regex: `"${key}"` }
+    });
+    return result.deletedCount;
+  } catch (error) {
+    console.error('Error clearing session markers:', error);
+    return 0;
+  }
+}
+
+module.exports = {
+  CONTEXT_WINDOW,
+  loadContext,
+  appendToContext,
+  setMarker,
+  findMarker,
+  clearMarkers
+};
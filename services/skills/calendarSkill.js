@@ -0,0 +1,196 @@
+// services/skills/calendarSkill.js
+const calendarService = require('../calendar');
+const { textResponse, slotChoiceResponse } = require('../responses');
+const { formatMemoriesForPrompt } = require('../memory');
+
+/**
+ * Resolve a pending "confirm this event?" question
+ * @param {Object} ctx - Skill context
+ * @param {Object} pendingData - Stored pendingCalendarEvent marker
+ * @returns {Promise<string|null>} Response, or null if the reply wasn't a yes/no
+ */
+async function handlePendingConfirmation(ctx, pendingData) {
+  try {
+    const pendingId = pendingData.pendingCalendarEvent;
+    const input = ctx.userInput.toLowerCase();
+    const action = ctx.action?.name;
+
+    // Check if user confirmed
+    if (action === 'confirm_event' || (!action && input.match(/yes|confirm|ok|sure|schedule it/))) {
+      await ctx.clearMarkers('pendingCalendarEvent');
+      return await calendarService.confirmCalendarEvent(pendingId, ctx.userId);
+    } else if (action === 'cancel_event' || (!action && input.match(/no|cancel|don't|dont|nope/))) {
+      await ctx.clearMarkers('pendingCalendarEvent');
+      return "Okay, I won't add it to your calendar.";
+    }
+  } catch (e) {
+    console.error('Error processing calendar confirmation:', e);
+  }
+  return null;
+}
+
+/**
+ * Handle the user's pick from previously suggested time slots
+ * @param {Object} ctx - Skill context
+ * @param {Object} suggestionData - Stored calendarSuggestions marker
+ * @returns {Promise<string|null>} Response, or null on error
+ */
+async function handleSuggestionChoice(ctx, suggestionData) {
+  try {
+    // A select_slot action carries a 0-based index; typed replies are 1-based
+    const selection = ctx.action?.name === 'select_slot'
+      ? String(Number(ctx.action.params.index) + 1)
+      : ctx.userInput;
+    const response = await calendarService.handleTimeSelection(selection, suggestionData.context, ctx.userId);
+    await ctx.clearMarkers('calendarSuggestions');
+    return response;
+  } catch (e) {
+    console.error('Error handling calendar suggestion selection:', e);
+    return null;
+  }
+}
+
+module.exports = {
+  intent: 'calendar_intent',
+  description: 'For scheduling events or meetings',
+  keywords: ['schedule'],
+  tool: { name: 'createCalendarEvent' },
+  requiresGoogle: 'calendar',
+  entities: {
+    eventName: { type: 'string', description: 'The name of the event', default: 'Meeting' },
+    dateTime: { type: 'string', description: 'The date and time of the event in ISO format YYYY-MM-DDTHH:MM:SSZ' }
+  },
+
+  fallbackEntities(text) {
+    const eventMatch = text.match(/called\s+["']?(.+?)["']?/i);
+
+    // Calculate tomorrow's date properly
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(10, 0, 0, 0);
+
+    return {
+      eventName: eventMatch ? eventMatch[1] : null,
+      dateTime: text.includes('tomorrow') ? tomorrow.toISOString() : new Date().toISOString()
+    };
+  },
+
+  async handler(ctx) {
+    console.log('Calendar intent detected:', {
+      eventName: ctx.entities.eventName,
+      userInput: ctx.userInput
+    });
+
+    // Use the enhanced schedule handler
+    const scheduleResponse = await calendarService.handleScheduleIntent(ctx.userInput, {
+      sessionId: ctx.sessionId,
+      userId: ctx.userId,
+      onProgress: ctx.onProgress,
+      userMemory: await formatMemoriesForPrompt(ctx.userId)
+    });
+
+    // Simple string response, or an envelope from the step-by-step scheduling flow
+    if (typeof scheduleResponse !== 'object' || scheduleResponse.type) {
+      return scheduleResponse;
+    }
+
+    // Suggestions that require a choice: keep them for the next message
+    if (scheduleResponse.requiresChoice) {
+      await ctx.setMarker({
+        calendarSuggestions: true,
+        context: {
+          suggestions: scheduleResponse.suggestions,
+          parsedInput: scheduleResponse.parsedInput
+        }
+      });
+      return slotChoiceResponse(scheduleResponse.message, scheduleResponse.suggestions, {
+        title: scheduleResponse.parsedInput?.title
+      });
+    }
+
+    if (scheduleResponse.requiresConfirmation && scheduleResponse.pendingId) {
+      await ctx.setMarker({
+        pendingCalendarEvent: scheduleResponse.pendingId,
+        eventName: scheduleResponse.eventName
+      });
+      return textResponse(scheduleResponse.message, [
+        { action: 'confirm_event', label: 'Schedule it' },
+        { action: 'cancel_event', label: 'Cancel' }
+      ]);
+    }
+
+    // Use the message field as the response
+    return scheduleResponse.message || JSON.stringify(scheduleResponse);
+  },
+
+  // Plan step: book the requested time, or the first free slot that day
+  async runStep(step, ctx) {
+    ctx.onProgress('Checking your calendar...');
+    const parsed = await calendarService.parseDateAndTime(step.input);
+    const duration = parsed.duration || 60;
+    const date = parsed.date ? new Date(parsed.date) : new Date();
+
+    let startTime;
+    if (parsed.time) {
+      const [hours, minutes] = parsed.time.split(':').map(Number);
+      startTime = new Date(date);
+      startTime.setHours(hours, minutes, 0, 0);
+    } else {
+      const slots = await calendarService.findAvailableTimeSlots(date, duration, ctx.userId);
+      if (slots.length === 0) {
+        throw new Error(`No free ${duration}-minute slot on ${date.toDateString()}`);
+      }
+      startTime = new Date(slots[0].start);
+    }
+    const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
+
+    const result = await calendarService.createCalendarEvent({
+      title: parsed.title || step.entities.eventName || 'Meeting',
+      description: ctx.previousOutput ? ctx.previousOutput.substring(0, 1000) : parsed.description,
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      attendees: parsed.attendees || [],
+      location: parsed.location
+    }, ctx.userId);
+
+    if (!result.success) {
+      throw new Error(result.error || 'Could not create the event');
+    }
+    return `Booked "${parsed.title || 'Meeting'}" on ${startTime.toLocaleString('en-US')}.`;
+  },
+
+  flow: {
+    async isActive(ctx) {
+      return Boolean(
+        await ctx.findMarker('pendingCalendarEvent') ||
+        await ctx.findMarker('calendarSuggestions') ||
+        await calendarService.isInScheduleFlow(ctx)
+      );
+    },
+
+    async handle(ctx) {
+      const pendingData = await ctx.findMarker('pendingCalendarEvent');
+      if (pendingData) {
+        const response = await handlePendingConfirmation(ctx, pendingData);
+        if (response) return response;
+      }
+
+      const suggestionData = await ctx.findMarker('calendarSuggestions');
+      if (suggestionData) {
+        return handleSuggestionChoice(ctx, suggestionData);
+      }
+
+      // Step-by-step scheduling dialog (date, then slot, then confirmation)
+      if (await calendarService.isInScheduleFlow(ctx)) {
+        return calendarService.continueScheduleFlow(ctx.userInput, {
+          sessionId: ctx.sessionId,
+          userId: ctx.userId,
+          action: ctx.action,
+          onProgress: ctx.onProgress
+        });
+      }
+
+      return null;
+    }
+  }
+};
@@ -0,0 +1,44 @@
+// services/skills/chatSkill.js
+const llm = require('../llm');
+const { withSummary } = require('../conversationSummary');
+
+// Shared by the chat handler and plan steps
+const generationOptions = {
+  temperature: 0.7,
+  maxOutputTokens: parseInt(process.env.CHAT_MAX_OUTPUT_TOKENS, 10) || 1024
+};
+
+module.exports = {
+  intent: 'chat_intent',
+  description: 'For general conversation',
+
+  async handler(ctx) {
+    try {
+      // Build the chat history from this session's context
+      const chatHistory = await ctx.loadContext();
+      
+      // Remove the last user message since we'll send it separately
+      chatHistory.pop();
+      
+      // Older turns are only available through the running summary
+      const history = withSummary(chatHistory, await ctx.loadSummary());
+      
+      if (ctx.onToken) {
+        // Stream the reply as the model produces it
+        return await ctx.stream(llm.streamChat(history, ctx.userInput, generationOptions));
+      }
+      return await llm.chat(history, ctx.userInput, generationOptions);
+    } catch (error) {
+      console.error('Chat generation error:', error);
+      return `AI: Couldn't process that: ${error.message}`;
+    }
+  },
+
+  // Plan step: e.g. "summarize that in three bullet points"
+  async runStep(step, ctx) {
+    const prompt = ctx.previousOutput
+      ? `${step.input}\n\nUse this as your source:\n${ctx.previousOutput}`
+      : step.input;
+    return llm.generateText(prompt, generationOptions);
+  }
+};
@@ -0,0 +1,57 @@
+// services/skills/draftSkill.js
+const { handleDraftCommand, isInDraftFlow } = require('../drafts');
+
+// Regex reading of a drafts command, for when the model can't extract one
+function parseDraftCommand(text) {
+  const operation = /\bsend\b/i.test(text) ? 'send'
+    : /\b(?:delete|discard|remove|trash)\b/i.test(text) ? 'delete'
+      : /\b(?:revise|edit|change|update|rewrite|make)\b/i.test(text) ? 'revise'
+        : /\b(?:open|show\s+me\s+the|read)\b/i.test(text) && !/\bdrafts\b/i.test(text) ? 'open'
+          : 'list';
+  const numbered = text.match(/#\d+|\bdraft\s+(?:number\s+)?\d+\b|\b(?:first|second|third|fourth|fifth|last|latest)\b/i);
+  const about = text.match(/\bdraft\s+(?:to|for|about|with|called|titled)\s+(.+?)(?:\s+(?:and|so|to\s+say)\b|[.?!]*$)/i);
+  return {
+    operation,
+    draft: numbered ? numbered[0] : (about ? about[1].trim() : null),
+    instructions: operation === 'revise' ? text : null
+  };
+}
+
+module.exports = {
+  intent: 'draft_intent',
+  description: 'For listing the email drafts saved in the user\'s mailbox, or opening, revising, sending or deleting one of them',
+  keywords: ['my drafts', 'saved drafts', 'email drafts', 'the draft', 'draft #'],
+  requiresGoogle: 'email',
+  entities: {
+    operation: { type: 'string', description: 'One of: list, open, revise, send, delete', default: 'list' },
+    draft: { type: 'string', description: 'Which draft: its number in the list, or words from its recipient or subject' },
+    instructions: { type: 'string', description: 'For revise, what to change in the draft' }
+  },
+
+  fallbackEntities: parseDraftCommand,
+
+  async handler(ctx) {
+    // Whatever the model left out is read from the message itself
+    const fallback = parseDraftCommand(ctx.userInput);
+    const entities = {
+      operation: ctx.entities.operation && ctx.entities.operation !== 'list' ? ctx.entities.operation : fallback.operation,
+      draft: ctx.entities.draft || fallback.draft,
+      instructions: ctx.entities.instructions || fallback.instructions
+    };
+    return handleDraftCommand(ctx.userInput, entities, {
+      sessionId: ctx.sessionId,
+      userId: ctx.userId,
+      onProgress: ctx.onProgress
+    });
+  },
+
+  flow: {
+    isActive: (ctx) => isInDraftFlow(ctx),
+    handle: (ctx) => handleDraftCommand(ctx.userInput, {}, {
+      sessionId: ctx.sessionId,
+      userId: ctx.userId,
+      onProgress: ctx.onProgress,
+      action: ctx.action
+    })
+  }
+};
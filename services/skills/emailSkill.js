@@ -0,0 +1,92 @@
+// services/skills/emailSkill.js
+const {
+  handleEmailIntent,
+  isInEmailFlow,
+  analyzeEmailContext,
+  generateHumanizedEmail,
+  parseRecipients
+} = require('../emailService');
+const { queueEmail, UNDO_SEND_SECONDS } = require('../outbox');
+const { formatMemoriesForPrompt } = require('../memory');
+
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+
+module.exports = {
+  intent: 'email_intent',
+  description: 'For sending emails, including replies to emails the user received',
+  keywords: ['email', 'reply to'],
+  tool: { name: 'sendEmail' },
+  requiresGoogle: 'email',
+  entities: {
+    to: { type: 'string', description: "The recipients' email addresses, comma separated" },
+    cc: { type: 'string', description: 'Email addresses to copy, comma separated' },
+    bcc: { type: 'string', description: 'Email addresses to blind copy, comma separated' },
+    subject: { type: 'string', description: 'The email subject' },
+    body: { type: 'string', description: 'The email body' }
+  },
+
+  fallbackEntities(text) {
+    const toMatch = text.match(/to\s+([^\s]+@[^\s]+)/);
+    const subjectMatch = text.match(/subject\s+["']?(.+?)["']?(?=\s+and|$)/i);
+    const bodyMatch = text.match(/body\s+["']?(.+?)["']?$/i);
+    return {
+      to: toMatch ? toMatch[1] : null,
+      subject: subjectMatch ? subjectMatch[1] : null,
+      body: bodyMatch ? bodyMatch[1] : null
+    };
+  },
+
+  async handler(ctx) {
+    return handleEmailIntent(ctx.userInput, ctx.entities, {
+      sessionId: ctx.sessionId,
+      userId: ctx.userId,
+      onProgress: ctx.onProgress,
+      userMemory: await formatMemoriesForPrompt(ctx.userId),
+      uploads: ctx.uploads,
+      timeZone: ctx.timeZone
+    });
+  },
+
+  // Plan step: draft in the user's style and queue it without the interactive review,
+  // which already happened when the plan was approved
+  async runStep(step, ctx) {
+    const recipients = parseRecipients(step.input);
+    const to = step.entities.to && EMAIL_REGEX.test(step.entities.to)
+      ? parseRecipients(step.entities.to).to
+      : recipients.to;
+    if (to.length === 0) {
+      throw new Error('No recipient email address for this step');
+    }
+    if (!ctx.userId) {
+      throw new Error('Sign in and connect a mailbox to send email');
+    }
+    const cc = recipients.cc.filter(address => !to.includes(address));
+    const bcc = recipients.bcc.filter(address => !to.includes(address));
+
+    const purpose = ctx.previousOutput
+      ? `${step.input}\n\nBase the email on this information:\n${ctx.previousOutput}`
+      : step.input;
+
+    ctx.onProgress(`Analyzing past emails with ${to.join(', ')}...`);
+    const styleAnalysis = await analyzeEmailContext([...to, ...cc], ctx.userId);
+    ctx.onProgress('Drafting your email...');
+    const userMemory = await formatMemoriesForPrompt(ctx.userId);
+    const { subject, body } = await generateHumanizedEmail(to.join(', '), purpose, styleAnalysis, userMemory);
+
+    // Like a confirmed email, it waits out the undo window in the outbox
+    await queueEmail({ userId: ctx.userId, to, cc, bcc, subject, body });
+    return `Sending "${subject}" to ${to.join(', ')} in ${UNDO_SEND_SECONDS} seconds. Say "show my outbox" to stop it.`;
+  },
+
+  flow: {
+    isActive: (ctx) => isInEmailFlow(ctx),
+    handle: (ctx) => handleEmailIntent(ctx.userInput, {}, {
+      sessionId: ctx.sessionId,
+      userId: ctx.userId,
+      onProgress: ctx.onProgress,
+      action: ctx.action,
+      uploads: ctx.uploads,
+      timeZone: ctx.timeZone
+    })
+  }
+};
@@ -0,0 +1,10 @@
+// services/skills/exitSkill.js
+module.exports = {
+  intent: 'exit_intent',
+  description: 'For exiting or ending the conversation',
+  keywords: ['quit'],
+
+  async handler() {
+    return 'Peace out!';
+  }
+};
@@ -0,0 +1,160 @@
+/**
+ * Skill registry.
+ *
+ * A skill is a plain object describing one capability of the assistant:
+ *
+ *   {
+ *     intent: 'research_intent',            // unique intent name
+ *     description: 'For requests about ...', // shown to the intent classifier
+ *     keywords: ['research'],                // fallback when the classifier is unsure
+ *     entities: {                            // what to extract from the message
+ *       topic: { type: 'string', description: 'The research topic', default: 'AI' }
+ *     },
+ *     tool: { name, description },           // optional; how the skill appears as a
+ *                                            // function-calling tool (default: intent name)
+ *     requiresGoogle: 'calendar',            // optional; Google scope group the skill needs
+ *                                            // (see SCOPE_GROUPS); the user is asked to
+ *                                            // connect or grant it before the skill runs
+ *     extractEntities(text, ctx),            // optional custom extraction
+ *     fallbackEntities(text),                // optional regex extraction if the LLM fails
+ *     handler(ctx),                          // required; returns text or a response envelope
+ *     runStep(step, ctx),                    // optional; non-interactive run as a plan step
+ *     flow: {                                // optional multi-turn dialog
+ *       isActive(ctx),                       // true while the skill expects a follow-up
+ *       handle(ctx),                         // returns a response, or null to fall through
+ *       actions: ['cancel_outbox']           // optional; action names only this flow handles,
+ *                                            // checked ahead of any other open dialog
+ *     }
+ *   }
+ *
+ * Structured replies to a previous response (buttons in the client) reach
+ * flows as ctx.action = { name, params }; see services/responses.js.
+ *
+ * Built-in skills live next to this file. Additional skills are loaded from
+ * SKILLS_DIR (default ./skills); each file exports one skill or an array.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_INTENT = 'chat_intent';
+const SKILLS_DIR = process.env.SKILLS_DIR || path.join(process.cwd(), 'skills');
+
+// Registration order matters: it is the order flows are checked and intents are listed
+const skills = new Map();
+
+/**
+ * Check that a skill has the fields the router relies on
+ * @param {Object} skill - Skill definition
+ */
+function validateSkill(skill) {
+  if (!skill || typeof skill !== 'object') {
+    throw new Error('Skill must be an object');
+  }
+  if (!skill.intent || typeof skill.intent !== 'string') {
+    throw new Error('Skill is missing an intent name');
+  }
+  if (!skill.description) {
+    throw new Error(`Skill "${skill.intent}" is missing a description`);
+  }
+  if (typeof skill.handler !== 'function') {
+    throw new Error(`Skill "${skill.intent}" is missing a handler`);
+  }
+  if (skill.flow && (typeof skill.flow.isActive !== 'function' || typeof skill.flow.handle !== 'function')) {
+    throw new Error(`Skill "${skill.intent}" flow must implement isActive and handle`);
+  }
+}
+
+/**
+ * Register a skill, replacing any existing skill with the same intent
+ * @param {Object} skill - Skill definition
+ * @returns {Object} The registered skill
+ */
+function registerSkill(skill) {
+  validateSkill(skill);
+  if (skills.has(skill.intent)) {
+    console.warn(`Replacing existing skill for intent: ${skill.intent}`);
+  }
+  skills.set(skill.intent, { entities: {}, keywords: [], ...skill });
+  return skills.get(skill.intent);
+}
+
+/**
+ * Remove a skill from the registry
+ * @param {string} intent - Intent name
+ * @returns {boolean} True if a skill was removed
+ */
+function unregisterSkill(intent) {
+  return skills.delete(intent);
+}
+
+/**
+ * Look up a skill by intent
+ * @param {string} intent - Intent name
+ * @returns {Object|undefined} Skill definition
+ */
+function getSkill(intent) {
+  return skills.get(intent);
+}
+
+/**
+ * List registered skills in registration order
+ * @returns {Array} Skill definitions
+ */
+function listSkills() {
+  return Array.from(skills.values());
+}
+
+/**
+ * Load every skill module in a directory
+ * @param {string} dir - Directory containing skill files
+ * @returns {number} Number of skills registered
+ */
+function loadSkillsFromDirectory(dir = SKILLS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  let loaded = 0;
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+
+  for (const file of files) {
+    try {
+      const exported = require(path.resolve(dir, file));
+      const definitions = Array.isArray(exported) ? exported : [exported];
+      definitions.forEach(registerSkill);
+      loaded += definitions.length;
+      console.log(`Loaded skill module: ${file}`);
+    } catch (error) {
+      console.error(`Error loading skill module ${file}:`, error.message);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Register the built-in skills followed by any from the skills directory
+ */
+function loadSkills() {
+  registerSkill(require('./calendarSkill'));
+  // Before email so "the draft to Bob" or "the scheduled email" isn't taken for a new email
+  registerSkill(require('./draftSkill'));
+  registerSkill(require('./outboxSkill'));
+  registerSkill(require('./emailSkill'));
+  registerSkill(require('./researchSkill'));
+  registerSkill(require('./memorySkill'));
+  registerSkill(require('./planSkill'));
+  registerSkill(require('./exitSkill'));
+  registerSkill(require('./chatSkill'));
+  loadSkillsFromDirectory();
+}
+
+module.exports = {
+  DEFAULT_INTENT,
+  registerSkill,
+  unregisterSkill,
+  getSkill,
+  listSkills,
+  loadSkillsFromDirectory,
+  loadSkills
+};
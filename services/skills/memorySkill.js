@@ -0,0 +1,58 @@
+// services/skills/memorySkill.js
+const memory = require('../memory');
+
+module.exports = {
+  intent: 'memory_intent',
+  description: 'For asking the assistant to remember something about the user, to list what it remembers, or to forget something',
+  keywords: ['remember', 'forget', 'what do you know about me'],
+  entities: {
+    operation: { type: 'string', description: 'One of: add, list, forget', default: 'list' },
+    content: { type: 'string', description: 'For add, the fact or preference phrased about the user (e.g. "Prefers morning meetings"); for forget, the memory text or its number' }
+  },
+
+  fallbackEntities(text) {
+    const add = text.match(/remember\s+(?:that\s+)?(.+)/i);
+    if (add && !/what do you remember/i.test(text)) {
+      return { operation: 'add', content: add[1] };
+    }
+    const forget = text.match(/forget\s+(?:about\s+|that\s+)?(.+)/i);
+    if (forget) {
+      return { operation: 'forget', content: forget[1] };
+    }
+    return { operation: 'list', content: null };
+  },
+
+  async handler(ctx) {
+    if (!ctx.userId) {
+      return "Sign in and I'll remember things for you across conversations.";
+    }
+
+    const operation = (ctx.entities.operation || 'list').toLowerCase();
+    const content = ctx.entities.content;
+
+    try {
+      if (operation === 'add' && content) {
+        const added = await memory.addMemory(ctx.userId, content, { category: 'preference' });
+        return added ? `Got it, I'll remember: ${added.content}` : 'I already had that one.';
+      }
+
+      if (operation === 'forget' && content) {
+        const removed = await memory.forgetMemories(ctx.userId, content);
+        if (removed.length === 0) {
+          return `I couldn't find anything about "${content}". Ask me what I remember to see the list.`;
+        }
+        return `Okay, I've forgotten:\n${removed.map(item => `- ${item.content}`).join('\n')}`;
+      }
+
+      const memories = await memory.listMemories(ctx.userId);
+      if (memories.length === 0) {
+        return "I don't have anything saved about you yet. Say \"remember that ...\" to add something.";
+      }
+      const lines = memories.map((item, i) => `${i + 1}. ${item.content}`);
+      return `Here's what I remember about you:\n${lines.join('\n')}\n\nSay "forget #2" (or part of the text) to remove something.`;
+    } catch (error) {
+      console.error('Memory skill error:', error);
+      return "Sorry, I couldn't reach my memory just now. Please try again.";
+    }
+  }
+};
@@ -0,0 +1,49 @@
+// services/skills/outboxSkill.js
+const { handleOutboxCommand, handleOutboxAction, OUTBOX_ACTIONS } = require('../outbox');
+
+// Regex reading of an outbox command, for when the model can't extract one
+function parseOutboxCommand(text) {
+  const operation = /\b(?:undo|cancel|stop|unsend|don'?t\s+send)\b/i.test(text) ? 'cancel'
+    : /\b(?:reschedule|move|postpone|delay|change\s+the\s+time|send\s+it\s+(?:at|on|tomorrow|in)\b)/i.test(text) ? 'reschedule'
+      : 'list';
+  const numbered = text.match(/#\d+|\bnumber\s+\d+\b/i);
+  const about = text.match(/\b(?:email|mail|message)\s+(?:to|for|about)\s+(.+?)(?:\s+(?:to|until|till|for)\s+(?:tomorrow|today|next|on|at|\d)|[.?!]*$)/i);
+  const when = text.match(/\b(?:to|until|till|for)\s+((?:tomorrow|today|tonight|next|on|at|in|\d).*)$/i);
+  return {
+    operation,
+    message: numbered ? numbered[0] : (about ? about[1].trim() : null),
+    when: operation === 'reschedule' && when ? when[1].trim() : null
+  };
+}
+
+module.exports = {
+  intent: 'outbox_intent',
+  description: 'For seeing email waiting to be sent (scheduled or within the undo window), undoing a send, or canceling or rescheduling a scheduled email',
+  keywords: ['outbox', 'undo', 'unsend', 'scheduled email', 'queued'],
+  entities: {
+    operation: { type: 'string', description: 'One of: list, cancel, reschedule', default: 'list' },
+    message: { type: 'string', description: 'Which email: its number in the outbox list, or words from its recipient or subject' },
+    when: { type: 'string', description: 'For reschedule, the new time as the user said it, e.g. "tomorrow at 9am"' }
+  },
+
+  fallbackEntities: parseOutboxCommand,
+
+  async handler(ctx) {
+    // Whatever the model left out is read from the message itself
+    const fallback = parseOutboxCommand(ctx.userInput);
+    const entities = {
+      operation: ctx.entities.operation && ctx.entities.operation !== 'list' ? ctx.entities.operation : fallback.operation,
+      message: ctx.entities.message || fallback.message,
+      when: ctx.entities.when || fallback.when
+    };
+    return handleOutboxCommand(ctx.userInput, entities, { userId: ctx.userId, timeZone: ctx.timeZone });
+  },
+
+  // The Undo/Cancel button on a queued email works for as long as the email is queued,
+  // whatever dialog is open by then
+  flow: {
+    actions: OUTBOX_ACTIONS,
+    isActive: (ctx) => OUTBOX_ACTIONS.includes(ctx.action?.name),
+    handle: (ctx) => handleOutboxAction(ctx.action, ctx.userId)
+  }
+};
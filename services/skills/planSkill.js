@@ -0,0 +1,54 @@
+// services/skills/planSkill.js
+const { createPlan, formatPlan, executePlan } = require('../planner');
+const { getSkill } = require('./index');
+const { extractEntities } = require('./router');
+const { planResponse } = require('../responses');
+
+module.exports = {
+  intent: 'plan_intent',
+  description: 'For compound requests that combine several tasks, e.g. research something, then email it, then schedule a meeting',
+  keywords: [' and then ', ', then ', 'after that'],
+
+  async handler(ctx) {
+    ctx.onProgress('Planning the steps...');
+    const steps = await createPlan(ctx.userInput);
+
+    // Not actually compound: hand the message to the single skill involved
+    if (steps.length < 2) {
+      const skill = getSkill(steps[0]?.intent || 'chat_intent');
+      // Same check the dispatcher runs before a skill that needs Google
+      if (skill.requiresGoogle) {
+        const reconnect = await ctx.requireGoogle(skill.requiresGoogle);
+        if (reconnect) return reconnect;
+      }
+      ctx.intent = skill.intent;
+      ctx.entities = await extractEntities(ctx.userInput, skill.intent, ctx);
+      return skill.handler(ctx);
+    }
+
+    // Nothing with side effects runs until the user approves the plan
+    await ctx.setMarker({ pendingPlan: true, steps });
+    return planResponse(formatPlan(steps), steps);
+  },
+
+  flow: {
+    isActive: async (ctx) => Boolean(await ctx.findMarker('pendingPlan')),
+
+    async handle(ctx) {
+      const { steps } = await ctx.findMarker('pendingPlan');
+      await ctx.clearMarkers('pendingPlan');
+
+      const input = ctx.userInput.toLowerCase().trim();
+      const action = ctx.action?.name;
+      if (action === 'approve_plan' || (!action && /^(yes|y|ok|okay|sure|go ahead|do it|approve)\b/.test(input))) {
+        return executePlan(steps, ctx);
+      }
+      if (action === 'reject_plan' || (!action && /^(no|n|nope|cancel|stop|don't|dont)\b/.test(input))) {
+        return "Okay, I've dropped that plan. Nothing was sent or scheduled.";
+      }
+
+      // Anything else is a new request; the unapproved plan is discarded
+      return null;
+    }
+  }
+};
@@ -0,0 +1,33 @@
+// services/skills/researchSkill.js
+const { research, researchReport } = require('../research');
+const { researchReportResponse } = require('../responses');
+const { formatMemoriesForPrompt } = require('../memory');
+
+module.exports = {
+  intent: 'research_intent',
+  description: 'For requests about researching a topic',
+  keywords: ['research'],
+  entities: {
+    topic: { type: 'string', description: 'The research topic, with no additional text', default: 'AI' }
+  },
+
+  fallbackEntities(text) {
+    return { topic: text.split('research')[1]?.trim() };
+  },
+
+  async handler(ctx) {
+    const { topic, summary, sources } = await researchReport(ctx.entities.topic, {
+      onProgress: ctx.onProgress,
+      userMemory: await formatMemoriesForPrompt(ctx.userId)
+    });
+    return researchReportResponse(summary, { topic, sources });
+  },
+
+  // Plan step: the summary becomes available to later steps
+  async runStep(step, ctx) {
+    return research(step.entities.topic || step.input, {
+      onProgress: ctx.onProgress,
+      userMemory: await formatMemoriesForPrompt(ctx.userId)
+    });
+  }
+};
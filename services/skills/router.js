@@ -0,0 +1,263 @@
+// services/skills/router.js
+const llm = require('../llm');
+const { DEFAULT_INTENT, getSkill, listSkills } = require('./index');
+const { CANCEL_PATTERN } = require('../flows/engine');
+
+/**
+ * Skills in the order they're offered to the classifier (default intent last)
+ * @returns {Array} Skill definitions
+ */
+function classifiableSkills() {
+  const all = listSkills();
+  return [
+    ...all.filter(skill => skill.intent !== DEFAULT_INTENT),
+    ...all.filter(skill => skill.intent === DEFAULT_INTENT)
+  ];
+}
+
+/**
+ * Build the intent classification prompt from the registered skills
+ * @param {string} text - User input
+ * @returns {string} Prompt
+ */
+function buildClassificationPrompt(text) {
+  const categories = classifiableSkills()
+    .map(skill => `      - ${skill.intent}: ${skill.description}`)
+    .join('\n');
+
+  return `
+      Classify the intent of the following text into one of these categories:
+${categories}
+
+      Text: "${text}"
+
+      Intent:`;
+}
+
+/**
+ * Intent classification using the registered skills
+ * @param {string} text - User input
+ * @returns {Promise<string>} Intent name
+ */
+async function classifyIntent(text) {
+  const candidates = classifiableSkills();
+
+  try {
+    const response = (await llm.generateText(buildClassificationPrompt(text))).toLowerCase();
+
+    // Check if the response names any registered intent
+    const named = candidates.find(skill => skill.intent !== DEFAULT_INTENT && response.includes(skill.intent));
+    if (named) return named.intent;
+  } catch (error) {
+    console.error('Intent classification error:', error);
+    return DEFAULT_INTENT; // Default on error
+  }
+
+  // Fallback to keyword matching if the model's response doesn't match expected format
+  const lowerText = text.toLowerCase();
+  const byKeyword = candidates.find(skill => skill.keywords.some(keyword => lowerText.includes(keyword)));
+  return byKeyword ? byKeyword.intent : DEFAULT_INTENT;
+}
+
+/**
+ * Build an entity extraction prompt from a skill's entity schema
+ * @param {string} text - User input
+ * @param {Object} entities - Entity schema
+ * @returns {string} Prompt
+ */
+function buildExtractionPrompt(text, entities) {
+  const fields = Object.entries(entities)
+    .map(([name, spec]) => `        - ${name} (${spec.type || 'string'}): ${spec.description}`)
+    .join('\n');
+  const example = Object.keys(entities).map(name => `"${name}": ...`).join(', ');
+
+  return `
+        Extract the following information from this text: "${text}"
+${fields}
+
+        Use null for anything that isn't mentioned.
+        Today is ${new Date().toISOString().split('T')[0]}.
+
+        Return ONLY as JSON like: {${example}}
+      `;
+}
+
+/**
+ * Fill in schema defaults for entities the model left empty
+ * @param {Object} extracted - Extracted values
+ * @param {Object} entities - Entity schema
+ * @returns {Object} Entities with defaults applied
+ */
+function applyDefaults(extracted, entities) {
+  const result = { ...extracted };
+  for (const [name, spec] of Object.entries(entities)) {
+    if ((result[name] === undefined || result[name] === null || result[name] === '') && spec.default !== undefined) {
+      result[name] = typeof spec.default === 'function' ? spec.default() : spec.default;
+    }
+  }
+  return result;
+}
+
+/**
+ * Entity extraction driven by the skill's entity schema
+ * @param {string} text - User input
+ * @param {string} intent - Classified intent
+ * @param {Object} ctx - Skill context
+ * @returns {Promise<Object>} Extracted entities
+ */
+async function extractEntities(text, intent, ctx = {}) {
+  const skill = getSkill(intent);
+  if (!skill) return {};
+
+  if (typeof skill.extractEntities === 'function') {
+    return skill.extractEntities(text, ctx);
+  }
+
+  if (Object.keys(skill.entities).length === 0) {
+    return {};
+  }
+
+  try {
+    const extracted = await llm.generateJSON(buildExtractionPrompt(text, skill.entities));
+    return applyDefaults(extracted, skill.entities);
+  } catch (error) {
+    console.error('Entity extraction error:', error);
+    const fallback = skill.fallbackEntities ? skill.fallbackEntities(text) : {};
+    return applyDefaults(fallback, skill.entities);
+  }
+}
+
+/**
+ * Whether to route with native function calling instead of classify + extract.
+ * INTENT_ROUTING=classify turns it off; providers without tool support always classify.
+ * @returns {boolean} True to route with tool calls
+ */
+function useToolRouting() {
+  return (process.env.INTENT_ROUTING || 'tools').toLowerCase() !== 'classify' && llm.supportsTools();
+}
+
+/**
+ * Tool name the model sees for a skill
+ * @param {Object} skill - Skill definition
+ * @returns {string} Tool name
+ */
+function toolName(skill) {
+  return skill.tool?.name || skill.intent.replace(/_intent$/, '');
+}
+
+/**
+ * Build one tool schema per skill from its entity schema
+ * @returns {Array} Tool schemas [{ name, description, parameters }]
+ */
+function buildToolSchemas() {
+  return classifiableSkills().map(skill => {
+    const tool = {
+      name: toolName(skill),
+      description: skill.tool?.description || skill.description
+    };
+
+    const names = Object.keys(skill.entities);
+    if (names.length > 0) {
+      tool.parameters = {
+        type: 'object',
+        properties: Object.fromEntries(names.map(name => [name, {
+          type: skill.entities[name].type || 'string',
+          description: skill.entities[name].description
+        }]))
+      };
+    }
+    return tool;
+  });
+}
+
+/**
+ * Build the prompt sent along with the tool schemas
+ * @param {string} text - User input
+ * @returns {string} Prompt
+ */
+function buildToolPrompt(text) {
+  return `
+      Handle the following message by calling exactly one tool.
+      Fill in only the arguments the message states or clearly implies.
+      Today is ${new Date().toISOString().split('T')[0]}.
+
+      Message: "${text}"`;
+}
+
+/**
+ * Pick a skill and its entities in a single tool call
+ * @param {string} text - User input
+ * @param {Object} ctx - Skill context
+ * @returns {Promise<Object|null>} { intent, entities }, or null if no registered tool was called
+ */
+async function routeWithTools(text, ctx) {
+  const call = await llm.callTools(buildToolPrompt(text), buildToolSchemas());
+  const skill = call.name && classifiableSkills().find(candidate => toolName(candidate) === call.name);
+  if (!skill) return null;
+
+  if (typeof skill.extractEntities === 'function') {
+    return { intent: skill.intent, entities: await skill.extractEntities(text, ctx) };
+  }
+
+  // Keep only declared entities; anything the model left out is null
+  const args = call.args || {};
+  const extracted = Object.fromEntries(Object.keys(skill.entities).map(name => [name, args[name] ?? null]));
+  return { intent: skill.intent, entities: applyDefaults(extracted, skill.entities) };
+}
+
+/**
+ * Choose the skill for a message and extract its entities, with one tool call
+ * when the provider supports it and classify + extract otherwise
+ * @param {string} text - User input
+ * @param {Object} ctx - Skill context
+ * @returns {Promise<Object>} { intent, entities }
+ */
+async function routeMessage(text, ctx = {}) {
+  if (useToolRouting()) {
+    try {
+      const routed = await routeWithTools(text, ctx);
+      if (routed) return routed;
+      console.warn('Tool call did not name a registered skill, falling back to classification');
+    } catch (error) {
+      console.error('Tool routing error:', error);
+    }
+  }
+
+  const intent = await classifyIntent(text);
+  const skill = getSkill(intent) || getSkill(DEFAULT_INTENT);
+  return { intent: skill.intent, entities: await extractEntities(text, skill.intent, ctx) };
+}
+
+/**
+ * Give skills with an active multi-turn flow the first chance at a message
+ * @param {Object} ctx - Skill context
+ * @returns {Promise<string|Object|null>} Response from the first flow that handled it, or null
+ */
+async function runActiveFlows(ctx) {
+  // A button owned by one flow goes straight to it, even while another dialog is open
+  const owner = ctx.action && listSkills().find(skill => skill.flow?.actions?.includes(ctx.action.name));
+  for (const skill of owner ? [owner] : listSkills()) {
+    if (!skill.flow || !(await skill.flow.isActive(ctx))) continue;
+
+    // The dialog waits until the user has reconnected Google, but can still be canceled
+    if (skill.requiresGoogle && !CANCEL_PATTERN.test(ctx.userInput || '')) {
+      const reconnect = await ctx.requireGoogle(skill.requiresGoogle);
+      if (reconnect) return reconnect;
+    }
+
+    const response = await skill.flow.handle(ctx);
+    if (response !== null && response !== undefined) {
+      return response;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  buildClassificationPrompt,
+  classifyIntent,
+  extractEntities,
+  buildToolSchemas,
+  routeMessage,
+  runActiveFlows
+};
@@ -0,0 +1,127 @@
+// services/uploads.js
+const path = require('path');
+const Upload = require('../models/Upload');
+
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024; // 10 MB
+const UPLOAD_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Public fields of an upload
+ * @param {Object} upload - Upload document
+ * @returns {Object} { id, filename, contentType, size }
+ */
+function describeUpload(upload) {
+  return {
+    id: String(upload._id),
+    filename: upload.filename,
+    contentType: upload.contentType,
+    size: upload.size
+  };
+}
+
+/**
+ * Store a file uploaded in the chat
+ * @param {Object} file - { userId, filename, contentType, data (Buffer) }
+ * @returns {Promise<Object>} describeUpload of the stored file, or { error }
+ */
+async function saveUpload({ userId, filename, contentType, data }) {
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    return { error: 'The file is empty' };
+  }
+  if (data.length > UPLOAD_MAX_BYTES) {
+    return { error: `Files can be at most ${Math.floor(UPLOAD_MAX_BYTES / (1024 * 1024))} MB` };
+  }
+
+  try {
+    const upload = await Upload.create({
+      userId,
+      // Only the name; a client-supplied path must not end up in the email
+      filename: path.basename(String(filename || 'attachment')).slice(0, 255) || 'attachment',
+      contentType: contentType || 'application/octet-stream',
+      size: data.length,
+      data,
+      expiresAt: new Date(Date.now() + UPLOAD_TTL)
+    });
+    return describeUpload(upload);
+  } catch (error) {
+    console.error('Error saving upload:', error);
+    throw error;
+  }
+}
+
+/**
+ * Describe some of a user's uploads, skipping ids that aren't theirs or have expired
+ * @param {string} userId - User ID
+ * @param {Array} ids - Upload ids
+ * @returns {Promise<Array>} describeUpload results, in the order of ids
+ */
+async function findUploads(userId, ids = []) {
+  const wanted = [].concat(ids).map(String).filter(id => /^[a-f0-9]{24}$/i.test(id));
+  if (!userId || wanted.length === 0) return [];
+  try {
+    const uploads = await Upload.find({ _id: { $in: wanted }, userId });
+    return wanted
+      .map(id => uploads.find(upload => String(upload._id) === id))
+      .filter(Boolean)
+      .map(describeUpload);
+  } catch (error) {
+    console.error('Error finding uploads:', error);
+    return [];
+  }
+}
+
+/**
+ * Turn email attachments that refer to uploads into ones with content
+ * @param {string} userId - Owner of the uploads
+ * @param {Array} attachments - [{ uploadId, inline }] or attachments that already
+ *                              have content ({ filename, content, contentType })
+ * @returns {Promise<Array>} [{ filename, content, contentType, inline }]
+ * @throws {Error} If an upload has expired or belongs to someone else
+ */
+async function resolveAttachments(userId, attachments = []) {
+  const uploadIds = attachments.filter(attachment => attachment.uploadId).map(attachment => String(attachment.uploadId));
+  const uploads = uploadIds.length > 0
+    ? await Upload.find({ _id: { $in: uploadIds }, userId }).select('+data')
+    : [];
+
+  return attachments.map(attachment => {
+    if (!attachment.uploadId) return attachment;
+    const upload = uploads.find(found => String(found._id) === String(attachment.uploadId));
+    if (!upload) {
+      throw new Error(`The attachment ${attachment.filename || attachment.uploadId} is no longer available; please upload it again`);
+    }
+    return {
+      filename: upload.filename,
+      content: upload.data,
+      contentType: upload.contentType,
+      inline: Boolean(attachment.inline)
+    };
+  });
+}
+
+/**
+ * Keep uploads attached to an email until after it is sent, e.g. when it is
+ * scheduled for next week
+ * @param {string} userId - Owner of the uploads
+ * @param {Array} attachments - [{ uploadId }]; other attachments are ignored
+ * @param {Date} sendAt - When the email goes out
+ */
+async function keepUploads(userId, attachments = [], sendAt) {
+  const ids = attachments.filter(attachment => attachment.uploadId).map(attachment => String(attachment.uploadId));
+  if (ids.length === 0) return;
+  const until = new Date(new Date(sendAt).getTime() + UPLOAD_TTL);
+  try {
+    await Upload.updateMany({ _id: { $in: ids }, userId, expiresAt: { $lt: until } }, { expiresAt: until });
+  } catch (error) {
+    console.error('Error extending uploads:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  UPLOAD_MAX_BYTES,
+  saveUpload,
+  findUploads,
+  resolveAttachments,
+  keepUploads
+};
@@ -33,6 +33,9 @@ function initialize(customOptions = {}) {
   cleanupTimer = setInterval(() => {
     cleanup();
   }, options.cleanupInterval);
+  
+  // Housekeeping only; don't keep scripts and tests running
+  cleanupTimer.unref();
 }
 
 /**
@@ -45,8 +45,43 @@ function formatSlots(slots) {
   }).filter(Boolean); // Remove any null entries
 }
 
+/**
+ * Offset in minutes between UTC and a time zone at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone name; the server's zone if omitted
+ * @returns {number} Minutes to add to UTC, e.g. 120 for Berlin in summer
+ * @throws {RangeError} If the zone name is unknown
+ */
+function zoneOffset(date, timeZone) {
+  if (!timeZone) return -date.getTimezoneOffset();
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * Turn a wall-clock time in a zone into a real instant
+ * @param {number} wallClock - Milliseconds whose UTC fields read as the time in the zone
+ * @param {string} timeZone - IANA zone name; the server's zone if omitted
+ * @returns {Date} The instant
+ * @throws {RangeError} If the zone name is unknown
+ */
+function fromZonedTime(wallClock, timeZone) {
+  // Two passes so times near a DST change land on the right offset
+  let instant = wallClock - zoneOffset(new Date(wallClock), timeZone) * 60000;
+  instant = wallClock - zoneOffset(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
 module.exports = {
   formatDate,
   formatTime,
-  formatSlots
+  formatSlots,
+  zoneOffset,
+  fromZonedTime
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * Checks for servers users point us at (IMAP, SMTP, CalDAV), so account settings
+ * can't be used to reach the machine running the assistant or its private network.
+ *
+ * Hosts are resolved once and the connection is made to the checked address (or, for
+ * HTTP, checked by the agent's lookup), so a name can't resolve to a public address for
+ * the check and a private one after.
+ * ALLOW_PRIVATE_HOSTS=true turns the check off for deployments whose users run their
+ * mail or calendar servers on the same trusted network.
+ */
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+function privateHostsAllowed() {
+  return process.env.ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/**
+ * Whether an IP address is one users may not connect us to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+function isPrivateAddress(address) {
+  // IPv4 addresses written as IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a host a user gave us and check every address it resolves to
+ * @param {string} host - Host name or IP address
+ * @returns {Promise<string>} Address to connect to (the host itself when the check is off)
+ */
+async function resolvePublicAddress(host) {
+  if (!host || typeof host !== 'string') {
+    throw new Error('Missing host');
+  }
+  if (privateHostsAllowed()) return host;
+
+  const addresses = await dns.promises.lookup(host.replace(/^\[|\]$/g, ''), { all: true });
+  if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new Error(`${host} is not a public address`);
+  }
+  return addresses[0].address;
+}
+
+/**
+ * Check a URL a user gave us before requesting it
+ * @param {string} url - http(s) URL
+ * @returns {Promise<URL>} The parsed URL
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid URL');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`Unsupported protocol ${parsed.protocol}`);
+  }
+  await resolvePublicAddress(parsed.hostname);
+  return parsed;
+}
+
+/**
+ * dns.lookup replacement for HTTP agents: fails for names that resolve to a private
+ * address, including on redirects and reconnects. IP literals skip lookups, so check
+ * URLs with assertPublicUrl too.
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!privateHostsAllowed() && (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address)))) {
+      return callback(new Error(`${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  resolvePublicAddress,
+  assertPublicUrl,
+  publicLookup
+};
@@ -1,10 +1,11 @@
 /**
  * Utility functions for parsing natural language inputs related to calendar events
  */
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llm = require('../llm');
 require('dotenv').config();
 
-let model = null;
+// Generation options passed to the LLM provider (e.g. a model override)
+let generationOptions = {};
 const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
 
 /**
@@ -13,8 +14,7 @@ const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
  */
 function initialize(config = {}) {
   try {
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    model = genAI.getGenerativeModel({ model: config.modelName || "gemini-2.0-flash" });
+    generationOptions = config.modelName ? { model: config.modelName } : {};
     console.log('Parsing utilities initialized successfully');
   } catch (error) {
     console.error('Error initializing parsing utilities:', error);
@@ -55,27 +55,21 @@ async function parseDateAndTime(userInput) {
       }
     `;
     
-    const result = await model.generateContent(prompt);
-    const response = result.response.text().trim();
-    const jsonMatch = response.match(/\{.*\}/s);
-    
-    if (jsonMatch) {
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-        
-        // Calculate duration if needed
-        if (parsed.time && parsed.endTime && !parsed.duration) {
-          const [startHours, startMinutes] = parsed.time.split(':').map(Number);
-          const [endHours, endMinutes] = parsed.endTime.split(':').map(Number);
-          let durationMinutes = (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes);
-          if (durationMinutes <= 0) durationMinutes += 24 * 60;
-          parsed.duration = durationMinutes;
-        }
-        
-        return parsed;
-      } catch (parseError) {
-        console.error('Error parsing JSON from AI response:', parseError);
+    try {
+      const parsed = await llm.generateJSON(prompt, generationOptions);
+      
+      // Calculate duration if needed
+      if (parsed.time && parsed.endTime && !parsed.duration) {
+        const [startHours, startMinutes] = parsed.time.split(':').map(Number);
+        const [endHours, endMinutes] = parsed.endTime.split(':').map(Number);
+        let durationMinutes = (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes);
+        if (durationMinutes <= 0) durationMinutes += 24 * 60;
+        parsed.duration = durationMinutes;
       }
+      
+      return parsed;
+    } catch (parseError) {
+      console.error('Error parsing JSON from AI response:', parseError);
     }
   } catch (e) {
     console.error('Parsing error:', e);
@@ -212,15 +206,10 @@ async function extractAttendees(userInput) {
       Return ONLY as JSON array: ["email1@example.com", "Person Name"]
     `;
     
-    const result = await model.generateContent(prompt);
-    const response = result.response.text().trim();
-    const jsonMatch = response.match(/\[.*\]/s);
-    if (jsonMatch) {
-      try {
-        return JSON.parse(jsonMatch[0]);
-      } catch (parseError) {
-        console.error('Error parsing attendees JSON:', parseError);
-      }
+    try {
+      return await llm.generateJSON(prompt, generationOptions);
+    } catch (parseError) {
+      console.error('Error parsing attendees JSON:', parseError);
     }
   } catch (e) {
     console.error('Attendee extraction error:', e);
@@ -243,8 +232,7 @@ async function detectMeetingPurpose(userInput) {
       Return ONLY the category name.
     `;
     
-    const result = await model.generateContent(prompt);
-    const purpose = result.response.text().trim().toLowerCase();
+    const purpose = (await llm.generateText(prompt, generationOptions)).toLowerCase();
     
     const validPurposes = ["work", "social", "personal", "family", "health", "education"];
     if (validPurposes.includes(purpose)) {
@@ -273,8 +261,7 @@ async function extractDuration(userInput) {
       Return ONLY the number.
     `;
     
-    const result = await model.generateContent(prompt);
-    const durationText = result.response.text().trim();
+    const durationText = await llm.generateText(prompt, generationOptions);
     const duration = parseInt(durationText, 10);
     
     if (!isNaN(duration) && duration > 0) {
@@ -0,0 +1,101 @@
+// test/calendarAccount.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const { useMemoryModel } = require('./helpers/memoryModels');
+const users = useMemoryModel(require('../models/User'));
+
+const User = require('../models/User');
+const { saveCalendarAccount, loadCalendarAccount, getCalendarProvider } = require('../services/calendar/providers');
+
+const GENERIC_ERROR = 'Could not reach the calendar. Check the calendar URL and login details.';
+
+// A CalDAV server on this machine, i.e. a private address
+const requests = [];
+let reply = (req, res) => res.writeHead(207, { 'Content-Type': 'application/xml' }).end(multistatus());
+const server = http.createServer((req, res) => {
+  requests.push(`${req.method} ${req.url}`);
+  req.resume();
+  req.on('end', () => reply(req, res));
+});
+let baseUrl;
+
+function multistatus() {
+  const event = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:review@test',
+    'DTSTART:20300102T090000Z',
+    'DTEND:20300102T100000Z',
+    'SUMMARY:Review',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  return `<?xml version="1.0"?><D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+    <D:response><D:href>/cal/review.ics</D:href><D:propstat><D:prop>
+      <C:calendar-data>${event}</C:calendar-data>
+    </D:prop></D:propstat></D:response></D:multistatus>`;
+}
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  resolve();
+})));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+let userId;
+test.beforeEach(async () => {
+  users.reset();
+  requests.length = 0;
+  delete process.env.ALLOW_PRIVATE_HOSTS;
+  userId = String((await User.create({ email: 'ada@example.com', name: 'Ada' }))._id);
+});
+
+test('saveCalendarAccount refuses private and non-HTTP URLs without requesting them', async () => {
+  for (const url of [`${baseUrl}/cal/`, 'http://localhost:8080/cal/', 'http://169.254.169.254/latest/',
+    'http://[::1]/cal/', 'file:///etc/passwd', 'not a url']) {
+    assert.deepStrictEqual(await saveCalendarAccount(userId, { provider: 'caldav', url }), { error: GENERIC_ERROR }, url);
+  }
+  assert.deepStrictEqual(requests, []);
+  assert.strictEqual(await loadCalendarAccount(userId), null);
+});
+
+test('a saved calendar stops working if its host is private', async () => {
+  process.env.ALLOW_PRIVATE_HOSTS = 'true';
+  assert.deepStrictEqual(await saveCalendarAccount(userId, { provider: 'caldav', url: `${baseUrl}/cal` }), { provider: 'caldav' });
+  delete process.env.ALLOW_PRIVATE_HOSTS;
+  requests.length = 0;
+
+  const calendar = await getCalendarProvider(userId);
+  await assert.rejects(calendar.listEvents({ timeMin: new Date('2030-01-01'), timeMax: new Date('2030-01-03') }), /not a public address/);
+  await assert.rejects(calendar.createEvent({ title: 'x', startTime: '2030-01-02T09:00:00Z', endTime: '2030-01-02T10:00:00Z' }), /not a public address/);
+  assert.deepStrictEqual(requests, []);
+});
+
+test('with ALLOW_PRIVATE_HOSTS a local CalDAV server can be used', async () => {
+  process.env.ALLOW_PRIVATE_HOSTS = 'true';
+  assert.deepStrictEqual(await saveCalendarAccount(userId, { provider: 'caldav', url: `${baseUrl}/cal` }), { provider: 'caldav' });
+  assert.deepStrictEqual(requests, ['PROPFIND /cal/']);
+
+  const calendar = await getCalendarProvider(userId);
+  const events = await calendar.listEvents({ timeMin: new Date('2030-01-01'), timeMax: new Date('2030-01-03') });
+  assert.deepStrictEqual(events.map(event => event.summary), ['Review']);
+});
+
+test('saveCalendarAccount hides server errors and does not follow redirects', async () => {
+  process.env.ALLOW_PRIVATE_HOSTS = 'true';
+  reply = (req, res) => res.writeHead(500).end('upstream 10.0.0.7:5232 refused the connection');
+  try {
+    assert.deepStrictEqual(await saveCalendarAccount(userId, { provider: 'caldav', url: `${baseUrl}/cal/` }), { error: GENERIC_ERROR });
+
+    reply = (req, res) => res.writeHead(301, { Location: `${baseUrl}/elsewhere/` }).end();
+    assert.deepStrictEqual(await saveCalendarAccount(userId, { provider: 'caldav', url: `${baseUrl}/cal/` }), { error: GENERIC_ERROR });
+    assert.deepStrictEqual(requests, ['PROPFIND /cal/', 'PROPFIND /cal/']);
+  } finally {
+    reply = (req, res) => res.writeHead(207, { 'Content-Type': 'application/xml' }).end(multistatus());
+  }
+});
@@ -0,0 +1,101 @@
+// test/drafts.test.js
+// Run with: npm test
+// Sending a saved IMAP draft through the outbox while the draft keeps changing.
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+process.env.UNDO_SEND_SECONDS = '0';
+
+const fakeMail = require('./helpers/fakeMail');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const models = ['OutboxMessage', 'Upload', 'User'].map(name => useMemoryModel(require(`../models/${name}`)));
+
+const User = require('../models/User');
+const OutboxMessage = require('../models/OutboxMessage');
+const { encryptData } = require('../services/auth/tokenCrypto');
+const { getMailProvider } = require('../services/mail');
+const { sendDraft, reviseDraft, deleteDraft } = require('../services/drafts');
+const { dispatchDue } = require('../services/outbox');
+
+let userId;
+let draftId;
+test.beforeEach(async () => {
+  models.forEach(model => model.reset());
+  fakeMail.reset();
+
+  const user = await User.create({
+    email: 'ada@example.com',
+    name: 'Ada',
+    mailAccount: {
+      provider: 'imap',
+      address: 'ada@example.com',
+      settings: encryptData({ imap: { host: 'imap.example.com', user: 'ada', pass: 'secret' }, smtp: { host: 'smtp.example.com' } })
+    }
+  });
+  userId = String(user._id);
+
+  const mail = await getMailProvider(userId);
+  ({ id: draftId } = await mail.createDraft({ to: ['bob@example.com'], subject: 'Lunch', text: 'Lunch on Friday?' }));
+});
+
+function sentText() {
+  return fakeMail.sent.map(mail => mail.raw.toString()).join('\n');
+}
+
+test('a queued draft is sent and removed from Drafts', async () => {
+  const queued = await sendDraft(userId, draftId);
+  assert.deepStrictEqual(queued.to, ['bob@example.com']);
+  assert.strictEqual(queued.subject, 'Lunch');
+
+  assert.strictEqual(await dispatchDue(), 1);
+  assert.strictEqual(fakeMail.sent.length, 1);
+  assert.match(sentText(), /Lunch on Friday\?/);
+  assert.deepStrictEqual(fakeMail.mailboxes.get('Drafts'), []);
+  assert.strictEqual((await OutboxMessage.findById(queued.id)).status, 'sent');
+});
+
+test('revising a draft during the undo window sends the revised version', async () => {
+  const queued = await sendDraft(userId, draftId);
+  const revised = await reviseDraft(userId, draftId, null, { subject: 'Lunch on Friday', body: 'Lunch on Friday at noon?' });
+  assert.notStrictEqual(revised.id, draftId);
+
+  const message = await OutboxMessage.findById(queued.id);
+  assert.strictEqual(message.status, 'queued');
+  assert.strictEqual(message.draftId, revised.id);
+  assert.strictEqual(message.subject, 'Lunch on Friday');
+
+  assert.strictEqual(await dispatchDue(), 1);
+  assert.strictEqual(fakeMail.sent.length, 1);
+  assert.match(sentText(), /Lunch on Friday at noon\?/);
+  assert.deepStrictEqual(fakeMail.mailboxes.get('Drafts'), []);
+  assert.strictEqual((await OutboxMessage.findById(queued.id)).status, 'sent');
+});
+
+test('a revised draft still waits out the undo window of the send it replaces', async () => {
+  const queued = await sendDraft(userId, draftId);
+  const later = new Date(Date.now() + 60 * 60 * 1000);
+  await OutboxMessage.updateOne({ _id: queued.id }, { sendAt: later });
+
+  await reviseDraft(userId, draftId, null, { body: 'Lunch next week instead?' });
+  assert.strictEqual((await OutboxMessage.findById(queued.id)).sendAt.getTime(), later.getTime());
+  assert.strictEqual(await dispatchDue(), 0);
+});
+
+test('a send the dispatcher already claimed is left alone', async () => {
+  const queued = await sendDraft(userId, draftId);
+  await OutboxMessage.updateOne({ _id: queued.id }, { status: 'sending' });
+
+  await reviseDraft(userId, draftId, null, { body: 'Changed too late' });
+  assert.strictEqual((await OutboxMessage.findById(queued.id)).draftId, draftId);
+});
+
+test('deleting a draft cancels its queued send', async () => {
+  const queued = await sendDraft(userId, draftId);
+  assert.strictEqual(await deleteDraft(userId, draftId), true);
+
+  assert.strictEqual((await OutboxMessage.findById(queued.id)).status, 'canceled');
+  assert.strictEqual(await dispatchDue(), 0);
+  assert.strictEqual(fakeMail.sent.length, 0);
+});
@@ -0,0 +1,103 @@
+// test/emailDialog.test.js
+// Run with: npm test
+// Drives an email dialog through chat.processInput with the mock LLM, an in-memory
+// database and a fake IMAP/SMTP mailbox, from the first message to the outbox send.
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+process.env.UNDO_SEND_SECONDS = '0';
+
+const fakeMail = require('./helpers/fakeMail');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const models = ['Chat', 'FlowState', 'Memory', 'Message', 'OutboxMessage', 'Upload', 'User']
+  .map(name => useMemoryModel(require(`../models/${name}`)));
+
+const User = require('../models/User');
+const OutboxMessage = require('../models/OutboxMessage');
+const llm = require('../services/llm');
+const { createMockProvider } = require('../services/llm/mockProvider');
+const { encryptData } = require('../services/auth/tokenCrypto');
+const { processInput } = require('../services/chat');
+const { dispatchDue } = require('../services/outbox');
+
+let provider;
+let userId;
+test.beforeEach(async () => {
+  models.forEach(model => model.reset());
+  fakeMail.reset();
+  provider = createMockProvider({
+    rules: [{
+      match: 'Generate a very natural, human-sounding email',
+      response: 'Subject: Lunch on Friday\n\nHi Bob,\n\nAre you free for lunch on Friday?\n\nCheers,\nAda'
+    }]
+  });
+  llm.setProvider(provider);
+
+  const user = await User.create({
+    email: 'ada@example.com',
+    name: 'Ada',
+    mailAccount: {
+      provider: 'imap',
+      address: 'ada@example.com',
+      settings: encryptData({ imap: { host: 'imap.example.com', user: 'ada', pass: 'secret' }, smtp: { host: 'smtp.example.com' } })
+    }
+  });
+  userId = String(user._id);
+});
+
+test('an email is drafted, confirmed and sent through the outbox', async () => {
+  provider.enqueue({ name: 'sendEmail', args: { to: 'bob@example.com' } });
+  const asked = await processInput('Email bob@example.com', 'session-1', userId);
+  assert.match(asked.text, /purpose of this email/);
+
+  const draft = await processInput('Ask Bob to lunch on Friday', 'session-1', userId);
+  assert.strictEqual(draft.type, 'email_draft');
+  assert.strictEqual(draft.data.subject, 'Lunch on Friday');
+  assert.strictEqual(draft.data.to, 'bob@example.com');
+
+  const queued = await processInput('yes', 'session-1', userId);
+  assert.match(queued.text, /undo|outbox|send/i);
+  assert.strictEqual(await OutboxMessage.countDocuments({ status: 'queued' }), 1);
+
+  assert.strictEqual(await dispatchDue(), 1);
+  assert.strictEqual(fakeMail.sent.length, 1);
+  assert.deepStrictEqual(fakeMail.sent[0].envelope, { from: 'ada@example.com', to: ['bob@example.com'] });
+  assert.match(String(fakeMail.sent[0].raw), /Subject: Lunch on Friday/);
+  assert.strictEqual(fakeMail.mailboxes.get('Sent').length, 1);
+  assert.strictEqual(await OutboxMessage.countDocuments({ status: 'sent' }), 1);
+});
+
+test('refusing the draft keeps it open for changes and sends nothing', async () => {
+  provider.enqueue({ name: 'sendEmail', args: { to: 'bob@example.com' } });
+  await processInput('Email bob@example.com', 'session-2', userId);
+  await processInput('Ask Bob to lunch on Friday', 'session-2', userId);
+
+  const editing = await processInput("no, don't send it yet", 'session-2', userId);
+  assert.doesNotMatch(editing.text, /queued|scheduled/i);
+  assert.strictEqual(await OutboxMessage.countDocuments({}), 0);
+
+  const canceled = await processInput('cancel', 'session-2', userId);
+  assert.match(canceled.text, /Email canceled/);
+  assert.strictEqual(await dispatchDue(), 0);
+  assert.strictEqual(fakeMail.sent.length, 0);
+});
+
+test('a draft is saved only when asked to, not when told not to', async () => {
+  const openDraft = async (sessionId) => {
+    provider.enqueue({ name: 'sendEmail', args: { to: 'bob@example.com' } });
+    await processInput('Email bob@example.com', sessionId, userId);
+    await processInput('Ask Bob to lunch on Friday', sessionId, userId);
+  };
+
+  await openDraft('session-3');
+  await processInput("don't save it as a draft, just send it", 'session-3', userId);
+  await processInput("no, don't keep it in drafts", 'session-3', userId);
+  assert.strictEqual(fakeMail.mailboxes.get('Drafts').length, 0);
+  assert.strictEqual(await OutboxMessage.countDocuments({}), 0);
+
+  await processInput('no, save it as a draft', 'session-3', userId);
+  assert.strictEqual(fakeMail.mailboxes.get('Drafts').length, 1);
+  assert.match(String(fakeMail.mailboxes.get('Drafts')[0].source), /Subject: Lunch on Friday/);
+});
@@ -0,0 +1,117 @@
+// test/flowEngine.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+const FlowState = require('../models/FlowState');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const { defineFlow, startFlow, continueFlow, isFlowActive, endFlow } = require('../services/flows/engine');
+
+const states = useMemoryModel(FlowState);
+test.beforeEach(() => states.reset());
+
+// A two-question dialog: name, then a yes/no confirmation
+const greetingFlow = defineFlow({
+  name: 'greeting',
+  cancelActions: ['cancel_greeting'],
+  initialData: () => ({ name: null }),
+  start: () => 'What is your name?',
+  stages: {
+    asking_name: {
+      next: ['confirming'],
+      validate: (turn) => (turn.input.trim() ? null : 'Please tell me your name.'),
+      handle(turn, state) {
+        state.data.name = turn.input.trim();
+        state.goto('confirming');
+        return `Is "${state.data.name}" right?`;
+      }
+    },
+    confirming: {
+      next: ['asking_name'],
+      handle(turn, state) {
+        if (/^y/i.test(turn.input)) {
+          state.end();
+          return `Hello, ${state.data.name}!`;
+        }
+        if (turn.input === 'jump') state.goto('nowhere');
+        state.goto('asking_name');
+        return 'What is your name then?';
+      }
+    }
+  }
+});
+
+const scope = { sessionId: 'session-1', userId: null };
+
+test('defineFlow rejects stages that lead to unknown stages', () => {
+  assert.throws(() => defineFlow({
+    name: 'broken',
+    start: () => '',
+    stages: { first: { next: ['missing'], handle: () => '' } }
+  }), /unknown stage "missing"/);
+});
+
+test('a flow moves through its stages and ends', async () => {
+  assert.strictEqual(await startFlow(greetingFlow, scope, { input: 'hi' }), 'What is your name?');
+  assert.strictEqual(await isFlowActive(greetingFlow, scope), true);
+  assert.strictEqual(states.docs[0].stage, 'asking_name');
+
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: '   ' }), 'Please tell me your name.');
+  assert.strictEqual(states.docs[0].stage, 'asking_name');
+
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'Ada' }), 'Is "Ada" right?');
+  assert.strictEqual(states.docs[0].stage, 'confirming');
+
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'yes' }), 'Hello, Ada!');
+  assert.strictEqual(await isFlowActive(greetingFlow, scope), false);
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'hello?' }), null);
+});
+
+test('state is kept per session', async () => {
+  const other = { sessionId: 'session-2', userId: null };
+  await startFlow(greetingFlow, scope, { input: 'hi' });
+  await continueFlow(greetingFlow, scope, { input: 'Ada' });
+
+  assert.strictEqual(await isFlowActive(greetingFlow, other), false);
+  await startFlow(greetingFlow, other, { input: 'hi' });
+  assert.strictEqual(await continueFlow(greetingFlow, other, { input: 'Grace' }), 'Is "Grace" right?');
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'yes' }), 'Hello, Ada!');
+});
+
+test('cancel replies and cancel actions end the flow', async () => {
+  await startFlow(greetingFlow, scope, { input: 'hi' });
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'never mind' }), greetingFlow.cancelMessage);
+  assert.strictEqual(await isFlowActive(greetingFlow, scope), false);
+
+  await startFlow(greetingFlow, scope, { input: 'hi' });
+  assert.strictEqual(
+    await continueFlow(greetingFlow, scope, { input: '', action: { name: 'cancel_greeting' } }),
+    greetingFlow.cancelMessage
+  );
+  assert.strictEqual(await isFlowActive(greetingFlow, scope), false);
+});
+
+test('an expired flow times out', async () => {
+  await startFlow(greetingFlow, scope, { input: 'hi' });
+  states.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'Ada' }), greetingFlow.timeoutMessage);
+  assert.strictEqual(await isFlowActive(greetingFlow, scope), false);
+});
+
+test('a handler error resets the flow', async () => {
+  await startFlow(greetingFlow, scope, { input: 'hi' });
+  await continueFlow(greetingFlow, scope, { input: 'Ada' });
+
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'jump' }), greetingFlow.errorMessage);
+  assert.strictEqual(await isFlowActive(greetingFlow, scope), false);
+});
+
+test('state from an unknown stage is discarded', async () => {
+  await startFlow(greetingFlow, scope, { input: 'hi' });
+  states.docs[0].stage = 'renamed_stage';
+
+  assert.strictEqual(await continueFlow(greetingFlow, scope, { input: 'Ada' }), greetingFlow.errorMessage);
+  await endFlow(greetingFlow, scope);
+  assert.strictEqual(states.docs.length, 0);
+});
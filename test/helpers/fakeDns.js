@@ -0,0 +1,15 @@
+// test/helpers/fakeDns.js
+// Hosts under example.com resolve to a public documentation address, without a network.
+// Other names, e.g. localhost, are resolved as usual.
+const dns = require('dns');
+
+const PUBLIC_ADDRESS = '203.0.113.10';
+
+const realLookup = dns.promises.lookup;
+dns.promises.lookup = async (host, options = {}) => {
+  if (!/(^|\.)example\.com$/i.test(host)) return realLookup(host, options);
+  const entry = { address: PUBLIC_ADDRESS, family: 4 };
+  return options.all ? [entry] : entry;
+};
+
+module.exports = { PUBLIC_ADDRESS };
@@ -0,0 +1,102 @@
+// test/helpers/fakeMail.js
+// A stand-in IMAP server and SMTP transport for tests of the IMAP mail provider.
+// Require this before anything that loads services/mail/imapProvider.js.
+require('./fakeDns');
+
+// Mailboxes by path; each message is { uid, source, flags }
+const mailboxes = new Map();
+// Messages handed to SMTP: { envelope, raw }
+const sent = [];
+// Options of every IMAP client and SMTP transport created: { kind, options }
+const connections = [];
+let nextUid = 1;
+
+function reset() {
+  mailboxes.clear();
+  ['INBOX', 'Sent', 'Drafts'].forEach(path => mailboxes.set(path, []));
+  sent.length = 0;
+  connections.length = 0;
+}
+
+/**
+ * Put a raw message into a mailbox
+ * @param {string} path - Mailbox path, e.g. 'Drafts'
+ * @param {string} source - Raw RFC 822 message
+ * @param {Array} flags - IMAP flags
+ * @returns {number} UID
+ */
+function addMessage(path, source, flags = []) {
+  const uid = nextUid++;
+  mailboxes.get(path).push({ uid, source: Buffer.from(source), flags });
+  return uid;
+}
+
+function headerMatches(source, name, value) {
+  const header = String(source).split(/\r?\n\r?\n/)[0];
+  const line = header.split(/\r?\n/).find(entry => entry.toLowerCase().startsWith(`${name}:`));
+  return Boolean(line && line.toLowerCase().includes(String(value).toLowerCase()));
+}
+
+class FakeImapFlow {
+  constructor(options) {
+    connections.push({ kind: 'imap', options });
+  }
+
+  async connect() {}
+  async logout() {}
+
+  async list() {
+    return [
+      { path: 'INBOX', specialUse: '\\Inbox' },
+      { path: 'Sent', specialUse: '\\Sent' },
+      { path: 'Drafts', specialUse: '\\Drafts' }
+    ];
+  }
+
+  async getMailboxLock(path) {
+    this.path = path;
+    return { release() {} };
+  }
+
+  async search(query) {
+    return mailboxes.get(this.path)
+      .filter(message => query.all ||
+        ['to', 'from'].every(field => !query[field] || headerMatches(message.source, field, query[field])))
+      .map(message => message.uid);
+  }
+
+  async fetchOne(uid) {
+    return mailboxes.get(this.path).find(message => message.uid === Number(uid)) || false;
+  }
+
+  async append(path, raw, flags) {
+    return { uid: addMessage(path, raw, flags) };
+  }
+
+  async messageDelete(uid) {
+    const messages = mailboxes.get(this.path);
+    const index = messages.findIndex(message => message.uid === Number(uid));
+    if (index >= 0) messages.splice(index, 1);
+  }
+}
+
+const fakeNodemailer = {
+  createTransport(options) {
+    connections.push({ kind: 'smtp', options });
+    return {
+      async sendMail(mail) {
+        sent.push(mail);
+        return { messageId: `<${sent.length}@smtp.test>` };
+      },
+      async verify() {
+        return true;
+      }
+    };
+  }
+};
+
+require.cache[require.resolve('imapflow')] = { exports: { ImapFlow: FakeImapFlow } };
+require.cache[require.resolve('nodemailer')] = { exports: fakeNodemailer };
+reset();
+
+module.exports = { mailboxes, sent, connections, addMessage, reset };
@@ -0,0 +1,255 @@
+// test/helpers/memoryModels.js
+// In-memory stand-ins for the Mongoose model methods the services use, so tests run
+// without a MongoDB server. Supports the query and update operators found in services/.
+const mongoose = require('mongoose');
+
+// Values compared the way MongoDB would: ids and dates by value
+function comparable(value) {
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+// Deep copy that keeps ObjectIds, Dates and Buffers intact
+function clone(value) {
+  if (value instanceof mongoose.Types.ObjectId) return new mongoose.Types.ObjectId(String(value));
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, doc);
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+function equals(actual, expected) {
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(item => equals(item, expected));
+  }
+  if (expected === null) return actual === null || actual === undefined;
+  return comparable(actual) === comparable(expected) || String(comparable(actual)) === String(comparable(expected));
+}
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) &&
+    !Array.isArray(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+function matchesCondition(actual, condition) {
+  if (condition instanceof RegExp) return condition.test(String(actual ?? ''));
+  if (!isOperatorObject(condition)) return equals(actual, condition);
+  return Object.entries(condition).every(([operator, operand]) => {
+    const value = comparable(actual);
+    switch (operator) {
+      case '$in': return operand.some(item => equals(actual, item));
+      case '$nin': return !operand.some(item => equals(actual, item));
+      case '$ne': return !equals(actual, operand);
+      case '$lt': return actual !== null && actual !== undefined && value < comparable(operand);
+      case '$lte': return actual !== null && actual !== undefined && value <= comparable(operand);
+      case '$gt': return actual !== null && actual !== undefined && value > comparable(operand);
+      case '$gte': return actual !== null && actual !== undefined && value >= comparable(operand);
+      case '$exists': return (actual !== undefined) === Boolean(operand);
+      case '$regex': return new RegExp(operand, condition.$options || '').test(String(actual ?? ''));
+      case '$options': return true;
+      case '$elemMatch': return Array.isArray(actual) && actual.some(item => matches(item, operand));
+      default: throw new Error(`memoryModels: unsupported operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  // Like Mongoose, top-level fields next to operators are set
+  const operators = { $set: {} };
+  for (const [key, value] of Object.entries(update)) {
+    if (key.startsWith('$')) operators[key] = { ...operators[key], ...value };
+    else operators.$set[key] = value;
+  }
+  for (const [operator, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === '$set') setPath(doc, path, value);
+      else if (operator === '$unset') setPath(doc, path, undefined);
+      else if (operator === '$inc') setPath(doc, path, (getPath(doc, path) || 0) + value);
+      else if (operator === '$push') setPath(doc, path, [...(getPath(doc, path) || []), value]);
+      else if (operator === '$setOnInsert') continue;
+      else throw new Error(`memoryModels: unsupported update ${operator}`);
+    }
+  }
+  return doc;
+}
+
+function sortDocs(docs, spec) {
+  const fields = Object.entries(spec || {});
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const x = comparable(getPath(a, field));
+      const y = comparable(getPath(b, field));
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+}
+
+// Chainable like a Mongoose query, and awaitable
+class MemoryQuery {
+  constructor(Model, run, single) {
+    this.Model = Model;
+    this.run = run;
+    this.single = single;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = null;
+    this.isLean = false;
+  }
+
+  sort(spec) { this.sortSpec = spec; return this; }
+  skip(count) { this.skipCount = count; return this; }
+  limit(count) { this.limitCount = count; return this; }
+  select() { return this; }
+  populate() { return this; }
+  lean() { this.isLean = true; return this; }
+
+  exec() {
+    let docs = this.run();
+    if (this.sortSpec) docs = sortDocs(docs, this.sortSpec);
+    docs = docs.slice(this.skipCount, this.limitCount === null ? undefined : this.skipCount + this.limitCount);
+    const wrap = doc => (this.isLean ? clone(doc) : this.Model.hydrate(clone(doc)));
+    return Promise.resolve(this.single ? (docs[0] ? wrap(docs[0]) : null) : docs.map(wrap));
+  }
+
+  then(resolve, reject) { return this.exec().then(resolve, reject); }
+
+  cursor() {
+    const pending = this.exec();
+    return {
+      async *[Symbol.asyncIterator]() {
+        yield* await pending;
+      }
+    };
+  }
+}
+
+/**
+ * Replace a model's persistence with an in-memory array
+ * @param {Object} Model - Mongoose model
+ * @returns {Object} { docs, reset(), restore() } where docs are the stored plain objects
+ */
+function useMemoryModel(Model) {
+  const docs = [];
+  const statics = ['find', 'findOne', 'findById', 'exists', 'create', 'insertMany', 'updateOne', 'updateMany',
+    'findOneAndUpdate', 'findByIdAndUpdate', 'deleteOne', 'deleteMany', 'countDocuments'];
+
+  const plain = doc => (doc instanceof mongoose.Document ? doc.toObject({ depopulate: true }) : doc);
+  const store = (doc) => {
+    const object = clone(plain(doc));
+    const index = docs.findIndex(existing => String(existing._id) === String(object._id));
+    if (index >= 0) docs[index] = object; else docs.push(object);
+    return object;
+  };
+  const insert = (fields) => {
+    const doc = new Model(fields);
+    store(doc);
+    return doc;
+  };
+  const upsertFrom = (filter, update) => {
+    const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value)));
+    const fields = {};
+    Object.entries(seed).forEach(([path, value]) => setPath(fields, path, value));
+    applyUpdate(fields, update);
+    applyUpdate(fields, { $set: update.$setOnInsert || {} });
+    return store(new Model(fields));
+  };
+
+  const methods = {
+    find: (filter) => new MemoryQuery(Model, () => docs.filter(doc => matches(doc, filter)), false),
+    findOne: (filter) => new MemoryQuery(Model, () => docs.filter(doc => matches(doc, filter)), true),
+    findById: (id) => new MemoryQuery(Model, () => docs.filter(doc => String(doc._id) === String(id)), true),
+    exists: async (filter) => {
+      const found = docs.find(doc => matches(doc, filter));
+      return found ? { _id: found._id } : null;
+    },
+    create: async (fields) => (Array.isArray(fields) ? fields.map(insert) : insert(fields)),
+    insertMany: async (list) => list.map(insert),
+    async updateOne(filter, update, options = {}) {
+      const found = docs.find(doc => matches(doc, filter));
+      if (found) {
+        applyUpdate(found, update);
+        return { matchedCount: 1, modifiedCount: 1 };
+      }
+      if (options.upsert) upsertFrom(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: options.upsert ? 1 : 0 };
+    },
+    async updateMany(filter, update) {
+      const found = docs.filter(doc => matches(doc, filter));
+      found.forEach(doc => applyUpdate(doc, update));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    },
+    async findOneAndUpdate(filter, update, options = {}) {
+      const found = sortDocs(docs.filter(doc => matches(doc, filter)), options.sort)[0];
+      if (!found) {
+        if (!options.upsert) return null;
+        const created = upsertFrom(filter, update);
+        return options.new ? Model.hydrate(clone(created)) : null;
+      }
+      const before = clone(found);
+      applyUpdate(found, update);
+      return Model.hydrate(clone(options.new ? found : before));
+    },
+    findByIdAndUpdate: (id, update, options) => methods.findOneAndUpdate({ _id: id }, update, options),
+    async deleteOne(filter) {
+      const index = docs.findIndex(doc => matches(doc, filter));
+      if (index >= 0) docs.splice(index, 1);
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    },
+    async deleteMany(filter) {
+      const before = docs.length;
+      const kept = docs.filter(doc => !matches(doc, filter));
+      docs.splice(0, docs.length, ...kept);
+      return { deletedCount: before - kept.length };
+    },
+    countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length
+  };
+
+  statics.forEach(name => { Model[name] = methods[name]; });
+  Model.prototype.save = async function save() {
+    store(this);
+    return this;
+  };
+
+  return {
+    docs,
+    reset: () => docs.splice(0, docs.length),
+    restore() {
+      statics.forEach(name => { delete Model[name]; });
+      delete Model.prototype.save;
+    }
+  };
+}
+
+module.exports = { useMemoryModel };
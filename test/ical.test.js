@@ -0,0 +1,116 @@
+// test/ical.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseEvents, serializeEvent, buildCalendar, eventsInRange } = require('../services/calendar/providers/ical');
+
+function calendar(...eventLines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', 'UID:e1@test', ...eventLines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+}
+
+test('TZID times are converted with the offset in effect on that day', () => {
+  const cases = [
+    ['Europe/Berlin', '20250115T090000', '2025-01-15T08:00:00.000Z'], // CET, UTC+1
+    ['Europe/Berlin', '20250701T090000', '2025-07-01T07:00:00.000Z'], // CEST, UTC+2
+    ['Europe/Berlin', '20250330T090000', '2025-03-30T07:00:00.000Z'], // the morning after clocks go forward
+    ['Europe/Berlin', '20251026T090000', '2025-10-26T08:00:00.000Z'], // the morning after clocks go back
+    ['America/New_York', '20250309T090000', '2025-03-09T13:00:00.000Z'],
+    ['America/New_York', '20250308T090000', '2025-03-08T14:00:00.000Z']
+  ];
+  for (const [zone, local, utc] of cases) {
+    const [event] = parseEvents(calendar(`DTSTART;TZID=${zone}:${local}`, `DTEND;TZID=${zone}:${local}`));
+    assert.deepStrictEqual(event.start, { dateTime: utc, timeZone: zone }, `${zone} ${local}`);
+  }
+});
+
+test('UTC times are read as is', () => {
+  const [event] = parseEvents(calendar('DTSTART:20250101T090000Z', 'DTEND:20250101T100000Z'));
+  assert.deepStrictEqual(event.start, { dateTime: '2025-01-01T09:00:00.000Z' });
+  assert.deepStrictEqual(event.end, { dateTime: '2025-01-01T10:00:00.000Z' });
+});
+
+test('all-day events use dates and last one day without DTEND', () => {
+  const [single] = parseEvents(calendar('DTSTART;VALUE=DATE:20250105'));
+  assert.deepStrictEqual(single.start, { date: '2025-01-05' });
+  assert.deepStrictEqual(single.end, { date: '2025-01-06' });
+
+  const [multi] = parseEvents(calendar('DTSTART;VALUE=DATE:20250105', 'DTEND;VALUE=DATE:20250108'));
+  assert.deepStrictEqual(multi.end, { date: '2025-01-08' });
+});
+
+test('DURATION sets the end when DTEND is missing', () => {
+  const [timed] = parseEvents(calendar('DTSTART:20250101T090000Z', 'DURATION:PT1H30M'));
+  assert.deepStrictEqual(timed.end, { dateTime: '2025-01-01T10:30:00.000Z' });
+
+  const [allDay] = parseEvents(calendar('DTSTART;VALUE=DATE:20250105', 'DURATION:P2D'));
+  assert.deepStrictEqual(allDay.end, { date: '2025-01-07' });
+
+  const [week] = parseEvents(calendar('DTSTART:20250101T090000Z', 'DURATION:P1W'));
+  assert.deepStrictEqual(week.end, { dateTime: '2025-01-08T09:00:00.000Z' });
+});
+
+test('folded lines are unfolded and escaped text is unescaped', () => {
+  const [event] = parseEvents(calendar(
+    'DTSTART:20250101T090000Z',
+    'SUMMARY:Budget\\, Q1\\; final',
+    'DESCRIPTION:First line\\nsecond line with a path C:\\\\new and a long',
+    '  continuation',
+    'LOCATION;LANGUAGE=en:"Room 1":east wing'
+  ));
+  assert.strictEqual(event.summary, 'Budget, Q1; final');
+  assert.strictEqual(event.description, 'First line\nsecond line with a path C:\\new and a long continuation');
+  assert.strictEqual(event.location, '"Room 1":east wing');
+});
+
+test('nested components and attendees are handled', () => {
+  const [event] = parseEvents(calendar(
+    'DTSTART:20250101T090000Z',
+    'SUMMARY:Review',
+    'ATTENDEE;CN=Bob;PARTSTAT=ACCEPTED:mailto:bob@example.com',
+    'BEGIN:VALARM',
+    'SUMMARY:Reminder',
+    'TRIGGER:-PT15M',
+    'END:VALARM'
+  ));
+  assert.strictEqual(event.summary, 'Review');
+  assert.deepStrictEqual(event.attendees, [{ email: 'bob@example.com', displayName: 'Bob', responseStatus: 'accepted' }]);
+});
+
+test('serialized events fold at 75 octets and read back unchanged', () => {
+  const details = {
+    id: 'round@test',
+    title: 'Planning; budget, roadmap \\ priorities',
+    description: `Agenda:\n${'Überprüfung der Ziele 🎯 '.repeat(8)}\nEnd`,
+    location: 'Room 4, 2nd floor',
+    startTime: '2025-02-03T09:00:00.000Z',
+    endTime: '2025-02-03T10:15:00.000Z',
+    attendees: ['bob@example.com']
+  };
+  const text = buildCalendar([serializeEvent(details)]);
+
+  for (const line of text.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes('\uFFFD'), line);
+  }
+
+  const [event] = parseEvents(text);
+  assert.strictEqual(event.id, 'round@test');
+  assert.strictEqual(event.summary, details.title);
+  assert.strictEqual(event.description, details.description);
+  assert.strictEqual(event.location, details.location);
+  assert.deepStrictEqual(event.start, { dateTime: details.startTime });
+  assert.deepStrictEqual(event.end, { dateTime: details.endTime });
+  assert.strictEqual(event.attendees[0].email, 'bob@example.com');
+});
+
+test('eventsInRange keeps overlapping events, earliest first, without cancelled ones', () => {
+  const events = [
+    { summary: 'late', start: { dateTime: '2025-01-01T15:00:00Z' }, end: { dateTime: '2025-01-01T16:00:00Z' } },
+    { summary: 'early', start: { dateTime: '2025-01-01T08:00:00Z' }, end: { dateTime: '2025-01-01T09:30:00Z' } },
+    { summary: 'cancelled', status: 'cancelled', start: { dateTime: '2025-01-01T10:00:00Z' }, end: { dateTime: '2025-01-01T11:00:00Z' } },
+    { summary: 'outside', start: { dateTime: '2025-01-02T10:00:00Z' }, end: { dateTime: '2025-01-02T11:00:00Z' } }
+  ];
+  const found = eventsInRange(events, new Date('2025-01-01T09:00:00Z'), new Date('2025-01-01T18:00:00Z'));
+  assert.deepStrictEqual(found.map(event => event.summary), ['early', 'late']);
+});
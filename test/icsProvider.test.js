@@ -0,0 +1,78 @@
+// test/icsProvider.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createIcsProvider } = require('../services/calendar/providers/icsProvider');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ics-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function calendarFile(contents) {
+  const filePath = path.join(dir, `calendar-${++fileCount}.ics`);
+  if (contents !== undefined) fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+const range = { timeMin: new Date('2025-01-01T00:00:00Z'), timeMax: new Date('2025-12-31T00:00:00Z') };
+const details = (title, hour) => ({
+  title,
+  startTime: `2025-03-04T${String(hour).padStart(2, '0')}:00:00.000Z`,
+  endTime: `2025-03-04T${String(hour + 1).padStart(2, '0')}:00:00.000Z`
+});
+
+test('createEvent writes a new calendar and reads it back', async () => {
+  const filePath = calendarFile();
+  const calendar = createIcsProvider({ filePath });
+  assert.deepStrictEqual(await calendar.listEvents(range), []);
+
+  const { id } = await calendar.createEvent({ ...details('Design review', 9), description: 'Bring notes; and coffee', attendees: ['bob@example.com'] });
+  const [event] = await calendar.listEvents(range);
+  assert.strictEqual(event.id, id);
+  assert.strictEqual(event.summary, 'Design review');
+  assert.strictEqual(event.description, 'Bring notes; and coffee');
+  assert.deepStrictEqual(event.start, { dateTime: '2025-03-04T09:00:00.000Z' });
+  assert.match(fs.readFileSync(filePath, 'utf8'), /^BEGIN:VCALENDAR\r\n[\s\S]*END:VCALENDAR\r\n$/);
+});
+
+test('createEvent inserts before the last END:VCALENDAR and keeps what follows', async () => {
+  const original = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:old@test',
+    'DTSTART:20250304T070000Z',
+    'DTEND:20250304T080000Z',
+    'SUMMARY:Existing',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    '',
+    '',
+    'X-TRAILING-NOTE:kept'
+  ].join('\n');
+  const filePath = calendarFile(original);
+  const calendar = createIcsProvider({ filePath });
+
+  await calendar.createEvent(details('Added', 9));
+  const text = fs.readFileSync(filePath, 'utf8');
+  assert.ok(text.startsWith(original.slice(0, original.indexOf('END:VCALENDAR'))));
+  assert.ok(text.endsWith('END:VCALENDAR\n\n\nX-TRAILING-NOTE:kept'));
+  assert.deepStrictEqual((await calendar.listEvents(range)).map(event => event.summary), ['Existing', 'Added']);
+});
+
+test('createEvent refuses a file that is not a calendar and leaves it alone', async () => {
+  const filePath = calendarFile('these are my notes, not a calendar\n');
+  const calendar = createIcsProvider({ filePath });
+
+  await assert.rejects(calendar.createEvent(details('Lost', 9)), /no END:VCALENDAR line/);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'these are my notes, not a calendar\n');
+});
+
+test('concurrent createEvent calls keep every event', async () => {
+  const calendar = createIcsProvider({ filePath: calendarFile() });
+  await Promise.all([9, 11, 13, 15].map(hour => calendar.createEvent(details(`Event ${hour}`, hour))));
+  assert.deepStrictEqual((await calendar.listEvents(range)).map(event => event.summary), ['Event 9', 'Event 11', 'Event 13', 'Event 15']);
+});
@@ -0,0 +1,60 @@
+// test/imapProvider.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers/fakeDns');
+
+// A stand-in IMAP server with an inbox and a Drafts folder, one message in each
+const deleted = [];
+const fetched = [];
+class FakeImapFlow {
+  async connect() {}
+  async logout() {}
+  async list() {
+    return [{ path: 'INBOX', specialUse: '\\Inbox' }, { path: 'Drafts', specialUse: '\\Drafts' }];
+  }
+  async getMailboxLock(path) {
+    this.path = path;
+    return { release() {} };
+  }
+  async fetchOne(uid) {
+    fetched.push(`${this.path}:${uid}`);
+    return { source: Buffer.from(`To: bob@example.com\r\nSubject: From ${this.path}\r\n\r\nHello\r\n`) };
+  }
+  async messageDelete(uid) {
+    deleted.push(`${this.path}:${uid}`);
+  }
+}
+require.cache[require.resolve('imapflow')] = { exports: { ImapFlow: FakeImapFlow } };
+
+const { createImapProvider } = require('../services/mail/imapProvider');
+
+const provider = createImapProvider({
+  address: 'me@example.com',
+  imap: { host: 'imap.example.com', user: 'me', pass: 'secret' },
+  smtp: { host: 'smtp.example.com' }
+});
+
+test('getDraft reads messages in the Drafts folder', async () => {
+  const draft = await provider.getDraft('Drafts:7');
+  assert.strictEqual(draft.message.subject, 'From Drafts');
+});
+
+test('draft operations refuse ids outside the Drafts folder', async () => {
+  deleted.length = 0;
+  fetched.length = 0;
+
+  assert.strictEqual(await provider.getDraft('INBOX:123'), null);
+  await assert.rejects(provider.deleteDraft('INBOX:123'), /Draft not found/);
+  await assert.rejects(provider.sendDraft('INBOX:5'), /Draft not found/);
+  await assert.rejects(provider.updateDraft('INBOX:5', { to: 'bob@example.com', subject: 'Hi', text: 'Hi' }), /Draft not found/);
+
+  assert.deepStrictEqual(fetched, []);
+  assert.deepStrictEqual(deleted, []);
+});
+
+test('deleteDraft removes a message from the Drafts folder', async () => {
+  deleted.length = 0;
+  await provider.deleteDraft('Drafts:7');
+  assert.deepStrictEqual(deleted, ['Drafts:7']);
+});
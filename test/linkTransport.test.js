@@ -0,0 +1,31 @@
+// test/linkTransport.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getTransport, setTransport } = require('../services/auth/linkTransport');
+
+const saved = { NODE_ENV: process.env.NODE_ENV, MAGIC_LINK_TRANSPORT: process.env.MAGIC_LINK_TRANSPORT };
+test.beforeEach(() => setTransport(null));
+test.afterEach(() => {
+  for (const [name, value] of Object.entries(saved)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  setTransport(null);
+});
+
+test('development falls back to the console transport', () => {
+  delete process.env.NODE_ENV;
+  delete process.env.MAGIC_LINK_TRANSPORT;
+  assert.strictEqual(getTransport().name, 'console');
+});
+
+test('production refuses to pick a transport implicitly', () => {
+  process.env.NODE_ENV = 'production';
+  delete process.env.MAGIC_LINK_TRANSPORT;
+  assert.throws(() => getTransport(), /MAGIC_LINK_TRANSPORT must be set in production/);
+
+  process.env.MAGIC_LINK_TRANSPORT = 'console';
+  assert.strictEqual(getTransport().name, 'console');
+});
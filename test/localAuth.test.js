@@ -0,0 +1,117 @@
+// test/localAuth.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+// Count scrypt runs; localAuth promisifies crypto.scrypt when it is required
+let scryptRuns = 0;
+const realScrypt = crypto.scrypt;
+crypto.scrypt = (...args) => {
+  scryptRuns++;
+  return realScrypt(...args);
+};
+
+const { useMemoryModel } = require('./helpers/memoryModels');
+const users = useMemoryModel(require('../models/User'));
+const links = useMemoryModel(require('../models/LoginLink'));
+
+const User = require('../models/User');
+const { setTransport } = require('../services/auth/linkTransport');
+const localAuth = require('../services/auth/localAuth');
+
+const sentLinks = [];
+setTransport({
+  name: 'test',
+  async send(message) {
+    sentLinks.push(message);
+  }
+});
+
+test.beforeEach(() => {
+  users.reset();
+  links.reset();
+  sentLinks.length = 0;
+});
+
+function linkToken() {
+  return new URL(sentLinks.at(-1).text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+}
+
+test('passwords are stored as salted scrypt hashes and verified', async () => {
+  const stored = await localAuth.hashPassword('correct horse');
+  assert.match(stored, /^scrypt:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+  assert.notStrictEqual(await localAuth.hashPassword('correct horse'), stored);
+
+  assert.strictEqual(await localAuth.verifyPassword('correct horse', stored), true);
+  assert.strictEqual(await localAuth.verifyPassword('correct horsf', stored), false);
+  assert.strictEqual(await localAuth.verifyPassword('correct horse', 'bcrypt:abc:def'), false);
+  assert.strictEqual(await localAuth.verifyPassword('correct horse', null), false);
+});
+
+test('signup and login use the email case-insensitively', async () => {
+  const { user } = await localAuth.signup({ email: ' Ada@Example.com ', password: 'correct horse' });
+  assert.strictEqual(user.email, 'ada@example.com');
+  assert.strictEqual(user.emailVerified, false);
+
+  assert.ok((await localAuth.login({ email: 'ADA@example.com', password: 'correct horse' })).user);
+  assert.deepStrictEqual(await localAuth.login({ email: 'ada@example.com', password: 'wrong horse' }), { error: 'Invalid email or password.' });
+  assert.match((await localAuth.signup({ email: 'ada@example.com', password: 'another one' })).error, /already exists/);
+  assert.match((await localAuth.signup({ email: 'bob@example.com', password: 'short' })).error, /at least 8/);
+});
+
+test('an unknown email costs the same scrypt work as a wrong password', async () => {
+  await localAuth.signup({ email: 'ada@example.com', password: 'correct horse' });
+  // The first miss also creates the dummy hash
+  await localAuth.login({ email: 'nobody@example.com', password: 'anything' });
+
+  scryptRuns = 0;
+  assert.deepStrictEqual(await localAuth.login({ email: 'ada@example.com', password: 'wrong horse' }), { error: 'Invalid email or password.' });
+  assert.strictEqual(scryptRuns, 1);
+
+  scryptRuns = 0;
+  assert.deepStrictEqual(await localAuth.login({ email: 'nobody@example.com', password: 'anything' }), { error: 'Invalid email or password.' });
+  assert.strictEqual(scryptRuns, 1);
+
+  // An account without a password (magic link or Google only) is a miss too
+  await User.create({ email: 'eve@example.com', name: 'Eve', emailVerified: true });
+  scryptRuns = 0;
+  assert.deepStrictEqual(await localAuth.login({ email: 'eve@example.com', password: 'anything' }), { error: 'Invalid email or password.' });
+  assert.strictEqual(scryptRuns, 1);
+});
+
+test('a magic link works once and creates the account on first use', async () => {
+  assert.strictEqual(await localAuth.requestMagicLink('New@Example.com'), true);
+  assert.strictEqual(sentLinks[0].to, 'new@example.com');
+  const token = linkToken();
+
+  const user = await localAuth.consumeMagicLink(token);
+  assert.strictEqual(user.email, 'new@example.com');
+  assert.strictEqual(user.emailVerified, true);
+  assert.strictEqual(await localAuth.consumeMagicLink(token), null);
+  assert.strictEqual(await localAuth.consumeMagicLink('not-a-real-token'), null);
+  assert.strictEqual(await localAuth.requestMagicLink('not an address'), false);
+});
+
+test('verifying the address drops a password set before it was verified', async () => {
+  await localAuth.signup({ email: 'ada@example.com', password: 'squatter pass' });
+  await localAuth.requestMagicLink('ada@example.com');
+
+  const user = await localAuth.consumeMagicLink(linkToken());
+  assert.strictEqual(user.emailVerified, true);
+  assert.strictEqual((await User.findById(user._id)).passwordHash, undefined);
+  assert.deepStrictEqual(await localAuth.login({ email: 'ada@example.com', password: 'squatter pass' }), { error: 'Invalid email or password.' });
+
+  // A password set after verification survives the next sign-in link
+  await localAuth.setPassword(user._id, 'owner password');
+  await localAuth.requestMagicLink('ada@example.com');
+  await localAuth.consumeMagicLink(linkToken());
+  assert.ok((await localAuth.login({ email: 'ada@example.com', password: 'owner password' })).user);
+});
+
+test('an expired magic link is refused', async () => {
+  await localAuth.requestMagicLink('ada@example.com');
+  const token = linkToken();
+  links.docs.forEach(doc => { doc.expiresAt = new Date(Date.now() - 1000); });
+  assert.strictEqual(await localAuth.consumeMagicLink(token), null);
+});
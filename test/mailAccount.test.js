@@ -0,0 +1,94 @@
+// test/mailAccount.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const fakeMail = require('./helpers/fakeMail');
+const { PUBLIC_ADDRESS } = require('./helpers/fakeDns');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const users = useMemoryModel(require('../models/User'));
+
+const User = require('../models/User');
+const { isPrivateAddress, resolvePublicAddress } = require('../services/utils/networkGuard');
+const { saveMailAccount, loadMailAccount } = require('../services/mail');
+
+const GENERIC_ERROR = 'Could not connect to the mailbox. Check the server names, ports and login details.';
+
+function account(imapHost, smtpHost = 'smtp.example.com') {
+  return {
+    provider: 'imap',
+    address: 'ada@example.com',
+    imap: { host: imapHost, user: 'ada', pass: 'secret' },
+    smtp: { host: smtpHost }
+  };
+}
+
+let userId;
+test.beforeEach(async () => {
+  users.reset();
+  fakeMail.reset();
+  delete process.env.ALLOW_PRIVATE_HOSTS;
+  userId = String((await User.create({ email: 'ada@example.com', name: 'Ada' }))._id);
+});
+
+test('isPrivateAddress flags loopback, private, link-local and reserved addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '203.0.113.10', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('resolvePublicAddress returns the checked address or rejects private ones', async () => {
+  assert.strictEqual(await resolvePublicAddress('imap.example.com'), PUBLIC_ADDRESS);
+  await assert.rejects(resolvePublicAddress('localhost'), /not a public address/);
+  await assert.rejects(resolvePublicAddress('169.254.169.254'), /not a public address/);
+  await assert.rejects(resolvePublicAddress('[::1]'), /not a public address/);
+
+  process.env.ALLOW_PRIVATE_HOSTS = 'true';
+  assert.strictEqual(await resolvePublicAddress('localhost'), 'localhost');
+});
+
+test('saveMailAccount refuses private servers without connecting to them', async () => {
+  for (const settings of [account('127.0.0.1'), account('imap.example.com', 'localhost'), account('10.0.0.5')]) {
+    assert.deepStrictEqual(await saveMailAccount(userId, settings), { error: GENERIC_ERROR });
+  }
+  assert.deepStrictEqual(fakeMail.connections, []);
+  assert.strictEqual(await loadMailAccount(userId), null);
+});
+
+test('saveMailAccount connects to the checked address with timeouts', async () => {
+  assert.deepStrictEqual(await saveMailAccount(userId, account('imap.example.com')), { address: 'ada@example.com' });
+
+  const imap = fakeMail.connections.find(connection => connection.kind === 'imap').options;
+  const smtp = fakeMail.connections.find(connection => connection.kind === 'smtp').options;
+  assert.strictEqual(imap.host, PUBLIC_ADDRESS);
+  assert.strictEqual(imap.servername, 'imap.example.com');
+  assert.ok(imap.connectionTimeout > 0 && imap.socketTimeout > 0);
+  assert.strictEqual(smtp.host, PUBLIC_ADDRESS);
+  assert.strictEqual(smtp.servername, 'smtp.example.com');
+  assert.ok(smtp.connectionTimeout > 0 && smtp.socketTimeout > 0);
+  assert.strictEqual((await loadMailAccount(userId)).address, 'ada@example.com');
+});
+
+test('saveMailAccount hides server errors from the user', async () => {
+  const FakeImapFlow = require('imapflow').ImapFlow;
+  const connect = FakeImapFlow.prototype.connect;
+  FakeImapFlow.prototype.connect = async () => {
+    throw new Error('connect ECONNREFUSED internal-relay.corp:993');
+  };
+  try {
+    assert.deepStrictEqual(await saveMailAccount(userId, account('imap.example.com')), { error: GENERIC_ERROR });
+  } finally {
+    FakeImapFlow.prototype.connect = connect;
+  }
+});
+
+test('saveMailAccount still explains incomplete settings', async () => {
+  const result = await saveMailAccount(userId, { provider: 'imap', address: 'ada@example.com', imap: { host: 'imap.example.com' } });
+  assert.match(result.error, /need an address, an IMAP host and an SMTP host/);
+});
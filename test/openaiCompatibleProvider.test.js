@@ -0,0 +1,40 @@
+// test/openaiCompatibleProvider.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { createOpenAICompatibleProvider } = require('../services/llm/openaiCompatibleProvider');
+
+let events = [];
+const server = http.createServer((req, res) => {
+  req.resume();
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) res.write(event);
+  res.end();
+});
+let provider;
+
+test.before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  provider = createOpenAICompatibleProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+  resolve();
+})));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const delta = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+
+async function collect(stream) {
+  const parts = [];
+  for await (const part of stream) parts.push(part);
+  return parts;
+}
+
+test('streamChat yields content deltas until [DONE]', async () => {
+  events = [': keep-alive\n\n', delta('Hel'), delta('lo'), 'data: [DONE]\n\n', delta('ignored')];
+  assert.deepStrictEqual(await collect(provider.streamChat([], 'hi')), ['Hel', 'lo']);
+});
+
+test('streamChat skips data lines that are not JSON', async () => {
+  events = [delta('Hel'), 'data: {"choices": [{"delta"\n\n', 'data: upstream overloaded\n\n', delta('lo'), 'data: [DONE]\n\n'];
+  assert.deepStrictEqual(await collect(provider.streamChat([], 'hi')), ['Hel', 'lo']);
+});
@@ -0,0 +1,161 @@
+// test/outbox.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+process.env.UNDO_SEND_SECONDS = '0';
+
+const fakeMail = require('./helpers/fakeMail');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const models = ['OutboxMessage', 'Upload', 'User'].map(name => useMemoryModel(require(`../models/${name}`)));
+
+const User = require('../models/User');
+const OutboxMessage = require('../models/OutboxMessage');
+const llm = require('../services/llm');
+const { createMockProvider } = require('../services/llm/mockProvider');
+const { encryptData } = require('../services/auth/tokenCrypto');
+const outbox = require('../services/outbox');
+
+// A fresh copy of the outbox module, as another server (or another configuration) would load it
+function loadOutbox(env = {}) {
+  const modulePath = require.resolve('../services/outbox');
+  const cached = require.cache[modulePath];
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    require.cache[modulePath] = cached;
+    Object.assign(process.env, saved);
+  }
+}
+
+let userId;
+test.beforeEach(async () => {
+  models.forEach(model => model.reset());
+  fakeMail.reset();
+  llm.setProvider(createMockProvider());
+
+  const user = await User.create({
+    email: 'ada@example.com',
+    name: 'Ada',
+    mailAccount: {
+      provider: 'imap',
+      address: 'ada@example.com',
+      settings: encryptData({ imap: { host: 'imap.example.com', user: 'ada', pass: 'secret' }, smtp: { host: 'smtp.example.com' } })
+    }
+  });
+  userId = String(user._id);
+});
+
+const email = (subject, owner = userId) => ({ userId: owner, to: ['bob@example.com'], subject, body: `${subject} body` });
+
+test('UNDO_SEND_SECONDS falls back to 30 when it is not a number of seconds', () => {
+  assert.strictEqual(loadOutbox({ UNDO_SEND_SECONDS: '0' }).UNDO_SEND_SECONDS, 0);
+  assert.strictEqual(loadOutbox({ UNDO_SEND_SECONDS: '45' }).UNDO_SEND_SECONDS, 45);
+  assert.strictEqual(loadOutbox({ UNDO_SEND_SECONDS: 'thirty' }).UNDO_SEND_SECONDS, 30);
+  assert.strictEqual(loadOutbox({ UNDO_SEND_SECONDS: '-5' }).UNDO_SEND_SECONDS, 30);
+});
+
+test('send times are read on the wall clock of the user\'s time zone, across DST changes', async () => {
+  const cases = [
+    // The night clocks go forward in Berlin: 8am the next day is CEST, UTC+2
+    ['tomorrow at 8am', '2025-03-29T12:00:00Z', 'Europe/Berlin', '2025-03-30T06:00:00.000Z'],
+    // ...and back: CET, UTC+1
+    ['tomorrow at 8am', '2025-10-25T12:00:00Z', 'Europe/Berlin', '2025-10-26T07:00:00.000Z'],
+    // Saturday 23:30 EST; the next 9am is Sunday, after the switch to EDT
+    ['at 9am', '2025-03-09T04:30:00Z', 'America/New_York', '2025-03-09T13:00:00.000Z'],
+    // Already January 2 in India while it is still January 1 in UTC
+    ['today at 9am', '2025-01-01T20:00:00Z', 'Asia/Kolkata', '2025-01-02T03:30:00.000Z'],
+    ['on monday morning', '2025-01-01T20:00:00Z', 'Asia/Kolkata', '2025-01-06T03:30:00.000Z'],
+    ['in 2 hours', '2025-01-01T20:00:00Z', 'Asia/Kolkata', '2025-01-01T22:00:00.000Z']
+  ];
+  for (const [text, now, zone, expected] of cases) {
+    const sendAt = await outbox.parseSendTime(text, new Date(now), zone);
+    assert.strictEqual(sendAt && sendAt.toISOString(), expected, `${text} at ${now} in ${zone}`);
+  }
+});
+
+test('today at a time that has already passed is refused, a bare time means the next one', async () => {
+  // 10:00 in Berlin
+  const now = new Date('2025-06-10T08:00:00Z');
+  assert.strictEqual(await outbox.parseSendTime('send it today at 8am', now, 'Europe/Berlin'), null);
+  assert.strictEqual((await outbox.parseSendTime('send it at 8am', now, 'Europe/Berlin')).toISOString(), '2025-06-11T06:00:00.000Z');
+  assert.strictEqual((await outbox.parseSendTime('send it today at 3pm', now, 'Europe/Berlin')).toISOString(), '2025-06-10T13:00:00.000Z');
+  assert.strictEqual(await outbox.parseSendTime('send it whenever', now, 'Europe/Berlin'), null);
+});
+
+test('two dispatchers sharing an outbox send each message once', async () => {
+  for (const subject of ['One', 'Two', 'Three', 'Four']) {
+    await outbox.queueEmail(email(subject));
+  }
+  const otherServer = loadOutbox();
+
+  const handled = await Promise.all([outbox.dispatchDue(), otherServer.dispatchDue()]);
+  assert.strictEqual(handled[0] + handled[1], 4);
+  const subjects = fakeMail.sent.map(mail => String(mail.raw).match(/^Subject: (.*)$/m)[1].trim()).sort();
+  assert.deepStrictEqual(subjects, ['Four', 'One', 'Three', 'Two']);
+  assert.strictEqual(await OutboxMessage.countDocuments({ status: 'sent', attempts: 1 }), 4);
+});
+
+test('a send the provider refused is retried, then marked failed', async () => {
+  const stranger = await User.create({ email: 'eve@example.com', name: 'Eve' });
+  const queued = await outbox.queueEmail(email('Nowhere to send from', String(stranger._id)));
+
+  assert.strictEqual(await outbox.dispatchDue(), 1);
+  let message = await OutboxMessage.findById(queued.id);
+  assert.strictEqual(message.status, 'queued');
+  assert.match(message.lastError, /not connected/);
+  assert.ok(message.sendAt > new Date());
+
+  // Run out the retries
+  for (let attempt = 2; attempt <= 3; attempt++) {
+    await OutboxMessage.updateOne({ _id: queued.id }, { sendAt: new Date(Date.now() - 1000) });
+    assert.strictEqual(await outbox.dispatchDue(), 1);
+  }
+  message = await OutboxMessage.findById(queued.id);
+  assert.strictEqual(message.status, 'failed');
+  assert.strictEqual(message.attempts, 3);
+});
+
+test('a message the provider accepted is never queued again, even if recording it fails', async () => {
+  const queued = await outbox.queueEmail(email('Only once'));
+  const realUpdateOne = OutboxMessage.updateOne;
+  OutboxMessage.updateOne = async (filter, update) => {
+    if (update.status === 'sent') throw new Error('database unavailable');
+    return realUpdateOne.call(OutboxMessage, filter, update);
+  };
+  try {
+    assert.strictEqual(await outbox.dispatchDue(), 1);
+  } finally {
+    OutboxMessage.updateOne = realUpdateOne;
+  }
+  assert.strictEqual(fakeMail.sent.length, 1);
+  assert.strictEqual((await OutboxMessage.findById(queued.id)).status, 'sending');
+
+  assert.strictEqual(await outbox.dispatchDue(), 0);
+  assert.strictEqual(fakeMail.sent.length, 1);
+
+  // Once the claim times out it is reported as failed, not sent again
+  await OutboxMessage.updateOne({ _id: queued.id }, { lockedAt: new Date(Date.now() - 11 * 60 * 1000) });
+  assert.strictEqual(await outbox.dispatchDue(), 0);
+  const message = await OutboxMessage.findById(queued.id);
+  assert.strictEqual(message.status, 'failed');
+  assert.match(message.lastError, /check your Sent folder/);
+  assert.strictEqual(fakeMail.sent.length, 1);
+});
+
+test('canceled and rescheduled messages wait', async () => {
+  const canceled = await outbox.queueEmail(email('Canceled'));
+  const later = await outbox.queueEmail(email('Later'));
+  assert.strictEqual((await outbox.cancelOutbox(userId, canceled.id)).status, 'canceled');
+  assert.strictEqual((await outbox.rescheduleOutbox(userId, later.id, new Date(Date.now() + 60 * 60 * 1000))).status, 'queued');
+  assert.deepStrictEqual(await outbox.rescheduleOutbox(userId, later.id, new Date(Date.now() - 1000)), { error: 'The new time must be in the future' });
+
+  assert.strictEqual(await outbox.dispatchDue(), 0);
+  assert.strictEqual(await outbox.cancelOutbox(userId, canceled.id), null);
+  assert.deepStrictEqual((await outbox.listOutbox(userId)).map(message => message.subject), ['Later']);
+});
@@ -0,0 +1,75 @@
+// test/planner.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const llm = require('../services/llm');
+const { createMockProvider } = require('../services/llm/mockProvider');
+const skills = require('../services/skills');
+const { createPlan } = require('../services/planner');
+
+skills.loadSkills();
+const planSkill = skills.getSkill('plan_intent');
+
+let provider;
+test.beforeEach(() => {
+  provider = createMockProvider();
+  llm.setProvider(provider);
+});
+
+function planContext(userInput, reconnect = null) {
+  const checked = [];
+  return {
+    checked,
+    userInput,
+    onProgress: () => {},
+    loadContext: async () => [{ role: 'user', content: userInput }],
+    loadSummary: async () => null,
+    requireGoogle: async (group) => {
+      checked.push(group);
+      return reconnect;
+    }
+  };
+}
+
+test('a single-step plan asks for Google before running a skill that needs it', async () => {
+  provider.enqueue({ steps: [{ intent: 'email_intent', description: 'Email Bob', input: 'email bob@example.com the notes' }] });
+  const ctx = planContext('email bob@example.com the notes and then nothing', 'Please reconnect Google');
+
+  assert.strictEqual(await planSkill.handler(ctx), 'Please reconnect Google');
+  assert.deepStrictEqual(ctx.checked, ['email']);
+  assert.strictEqual(provider.calls.length, 1);
+});
+
+test('a single-step plan runs a skill that does not need Google directly', async () => {
+  provider.enqueue({ steps: [{ intent: 'chat_intent', description: 'Say hi', input: 'say hi' }] });
+  provider.enqueue('Hi there!');
+  const ctx = planContext('say hi and then nothing else');
+
+  assert.strictEqual(await planSkill.handler(ctx), 'Hi there!');
+  assert.deepStrictEqual(ctx.checked, []);
+  assert.strictEqual(ctx.intent, 'chat_intent');
+});
+
+test('createPlan renumbers usesOutputOf after dropping unknown steps', async () => {
+  provider.enqueue({
+    steps: [
+      { intent: 'weather_intent', description: 'Check the weather', input: 'check the weather' },
+      { intent: 'research_intent', description: 'Research heat pumps', input: 'research heat pumps' },
+      { intent: 'memory_intent', description: 'Remember it', input: 'remember it', usesOutputOf: 1 },
+      { intent: 'chat_intent', description: 'Summarize it', input: 'summarize it', usesOutputOf: 1 },
+      { intent: 'chat_intent', description: 'Use the weather', input: 'use the weather', usesOutputOf: 0 },
+      { intent: 'chat_intent', description: 'Look ahead', input: 'look ahead', usesOutputOf: 6 }
+    ]
+  });
+
+  const steps = await createPlan('check the weather, then research heat pumps, then summarize it');
+  assert.deepStrictEqual(steps.map(step => [step.intent, step.usesOutputOf]), [
+    ['research_intent', null],
+    ['chat_intent', 0],
+    ['chat_intent', null],
+    ['chat_intent', null]
+  ]);
+});
@@ -0,0 +1,76 @@
+// test/router.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const llm = require('../services/llm');
+const { createMockProvider } = require('../services/llm/mockProvider');
+const skills = require('../services/skills');
+const { classifyIntent, extractEntities, routeMessage } = require('../services/skills/router');
+
+skills.loadSkills();
+
+let provider;
+test.beforeEach(() => {
+  provider = createMockProvider();
+  llm.setProvider(provider);
+  delete process.env.INTENT_ROUTING;
+});
+
+test('classifyIntent returns the intent the model names', async () => {
+  assert.strictEqual(await classifyIntent('Please research solar panels'), 'research_intent');
+  assert.match(provider.calls[0].prompt, /research_intent: For requests about researching a topic/);
+});
+
+test('classifyIntent falls back to skill keywords when the answer names no intent', async () => {
+  provider.enqueue('I am not sure');
+  assert.strictEqual(await classifyIntent('show me my outbox'), 'outbox_intent');
+
+  provider.enqueue('no idea');
+  assert.strictEqual(await classifyIntent('hello there'), 'chat_intent');
+});
+
+test('extractEntities fills the skill schema and applies defaults', async () => {
+  provider.enqueue({ topic: 'tidal energy', unrelated: true });
+  assert.deepStrictEqual(await extractEntities('research tidal energy', 'research_intent'), {
+    topic: 'tidal energy',
+    unrelated: true
+  });
+
+  provider.enqueue({ topic: null });
+  assert.deepStrictEqual(await extractEntities('research something', 'research_intent'), { topic: 'AI' });
+});
+
+test('extractEntities uses the fallback extraction when the model returns no JSON', async () => {
+  provider.enqueue('sorry, I cannot help with that');
+  const entities = await extractEntities('please research quantum dots', 'research_intent');
+  assert.deepStrictEqual(entities, { topic: 'quantum dots' });
+});
+
+test('routeMessage picks the skill and its arguments in one tool call', async () => {
+  provider.enqueue({ name: 'research', args: { topic: 'bees', mood: 'curious' } });
+  const routed = await routeMessage('look into bees for me');
+
+  assert.deepStrictEqual(routed, { intent: 'research_intent', entities: { topic: 'bees' } });
+  assert.deepStrictEqual(provider.calls.map(call => call.method), ['callTools']);
+  assert.ok(provider.calls[0].tools.some(tool => tool.name === 'createCalendarEvent'));
+});
+
+test('routeMessage classifies when a tool call names no registered skill', async () => {
+  provider.enqueue({ name: 'launchRocket', args: {} }, 'research_intent', { topic: 'rockets' });
+  const routed = await routeMessage('research rockets');
+
+  assert.deepStrictEqual(routed, { intent: 'research_intent', entities: { topic: 'rockets' } });
+  assert.deepStrictEqual(provider.calls.map(call => call.method), ['callTools', 'generateText', 'generateText']);
+});
+
+test('INTENT_ROUTING=classify skips tool calls', async () => {
+  process.env.INTENT_ROUTING = 'classify';
+  provider.enqueue('research_intent', { topic: 'moss' });
+  const routed = await routeMessage('research moss');
+
+  assert.deepStrictEqual(routed, { intent: 'research_intent', entities: { topic: 'moss' } });
+  assert.ok(provider.calls.every(call => call.method === 'generateText'));
+});
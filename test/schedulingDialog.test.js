@@ -0,0 +1,97 @@
+// test/schedulingDialog.test.js
+// Run with: npm test
+// Drives a scheduling dialog through chat.processInput with the mock LLM, an in-memory
+// database and the ICS calendar provider writing to a temporary directory.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const calendarDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendars-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.CALENDAR_PROVIDER = 'ics';
+process.env.ICS_CALENDAR_DIR = calendarDir;
+
+const { useMemoryModel } = require('./helpers/memoryModels');
+const models = ['Chat', 'FlowState', 'Memory', 'Message', 'Upload', 'User']
+  .map(name => useMemoryModel(require(`../models/${name}`)));
+
+const User = require('../models/User');
+const llm = require('../services/llm');
+const { createMockProvider } = require('../services/llm/mockProvider');
+const { getCalendarProvider } = require('../services/calendar/providers');
+const { processInput } = require('../services/chat');
+
+test.after(() => fs.rmSync(calendarDir, { recursive: true, force: true }));
+
+// Three days from now, so no slot is in the past
+const day = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+const compact = day.replace(/-/g, '');
+const slots = [
+  { start: `${day}T09:00:00.000Z`, end: `${day}T09:30:00.000Z`, displayText: '9:00 AM - 9:30 AM' },
+  { start: `${day}T14:00:00.000Z`, end: `${day}T14:30:00.000Z`, displayText: '2:00 PM - 2:30 PM' }
+];
+
+let provider;
+let userId;
+test.beforeEach(async () => {
+  models.forEach(model => model.reset());
+  provider = createMockProvider({
+    rules: [
+      { match: 'Parse this scheduling request', response: { date: day, time: null, duration: 30, title: 'Design review', attendees: [] } },
+      { match: 'optimal time slots', response: slots }
+    ]
+  });
+  llm.setProvider(provider);
+
+  userId = String((await User.create({ email: 'ada@example.com', name: 'Ada' }))._id);
+  fs.writeFileSync(path.join(calendarDir, `${userId}.ics`), [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//test//EN',
+    'BEGIN:VEVENT',
+    'UID:standup@test',
+    `DTSTART:${compact}T100000Z`,
+    `DTEND:${compact}T101500Z`,
+    'SUMMARY:Standup',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n'));
+});
+
+test('suggested slots are offered and the chosen one is booked', async () => {
+  provider.enqueue({ name: 'createCalendarEvent', args: { eventName: 'Design review' } });
+  const offered = await processInput(`Schedule a design review on ${day}`, 'session-1', userId);
+
+  assert.strictEqual(offered.type, 'slot_choice');
+  assert.match(offered.text, /1\. 9:00 AM - 9:30 AM\n2\. 2:00 PM - 2:30 PM/);
+  // The existing event was read from the calendar for the suggestions
+  const suggestionPrompt = provider.calls.find(call => call.prompt.includes('optimal time slots')).prompt;
+  assert.match(suggestionPrompt, /Standup/);
+
+  const booked = await processInput('2', 'session-1', userId);
+  assert.match(booked.text, /scheduled "Design review" for 2:00 PM - 2:30 PM/);
+
+  const calendar = await getCalendarProvider(userId);
+  const events = await calendar.listEvents({ timeMin: new Date(`${day}T00:00:00Z`), timeMax: new Date(`${day}T23:59:59Z`) });
+  assert.deepStrictEqual(events.map(event => event.summary), ['Standup', 'Design review']);
+  assert.strictEqual(new Date(events[1].start.dateTime).toISOString(), slots[1].start);
+
+  // The choice was consumed; another number starts over instead of booking again
+  const again = await processInput('2', 'session-1', userId);
+  assert.doesNotMatch(again.text, /scheduled/);
+});
+
+test('an invalid choice keeps nothing booked', async () => {
+  provider.enqueue({ name: 'createCalendarEvent', args: { eventName: 'Design review' } });
+  await processInput(`Schedule a design review on ${day}`, 'session-2', userId);
+
+  const reply = await processInput('7', 'session-2', userId);
+  assert.match(reply.text, /select a valid option between 1 and 2/);
+
+  const calendar = await getCalendarProvider(userId);
+  const events = await calendar.listEvents({ timeMin: new Date(`${day}T00:00:00Z`), timeMax: new Date(`${day}T23:59:59Z`) });
+  assert.deepStrictEqual(events.map(event => event.summary), ['Standup']);
+});
@@ -0,0 +1,96 @@
+// test/sessions.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const { useMemoryModel } = require('./helpers/memoryModels');
+const sessionStore = useMemoryModel(require('../models/Session'));
+const users = useMemoryModel(require('../models/User'));
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createSession, refreshSession, verifyAccessToken } = require('../services/auth/sessions');
+
+let user;
+test.beforeEach(async () => {
+  sessionStore.reset();
+  users.reset();
+  user = await User.create({ email: 'ada@example.com', name: 'Ada' });
+});
+
+// Pretend the last rotation happened some time ago
+async function ageSession(sessionId, ms) {
+  await Session.updateOne({ _id: sessionId }, { lastUsedAt: new Date(Date.now() - ms) });
+}
+
+test('refreshing rotates the refresh token and keeps the session', async () => {
+  const first = await createSession(user, { userAgent: 'Firefox' });
+  const second = await refreshSession(first.refreshToken, { ip: '203.0.113.5' });
+
+  assert.ok(second.accessToken && second.refreshToken);
+  assert.notStrictEqual(second.refreshToken, first.refreshToken);
+  assert.strictEqual(String(second.session._id), String(first.session._id));
+  assert.strictEqual(second.session.ip, '203.0.113.5');
+  assert.strictEqual(second.session.userAgent, 'Firefox');
+  assert.strictEqual(String((await verifyAccessToken(second.accessToken)).user._id), String(user._id));
+
+  const third = await refreshSession(second.refreshToken);
+  assert.ok(third.refreshToken);
+});
+
+test('two refreshes with the same token at once rotate it once', async () => {
+  const { refreshToken, session } = await createSession(user);
+  const results = await Promise.all([refreshSession(refreshToken), refreshSession(refreshToken), refreshSession(refreshToken)]);
+
+  const rotated = results.filter(result => result && result.refreshToken);
+  assert.strictEqual(rotated.length, 1);
+  assert.deepStrictEqual(results.filter(result => result && result.superseded), [{ superseded: true }, { superseded: true }]);
+
+  // The session survives and the winner's token keeps working
+  assert.strictEqual((await Session.findById(session._id)).revokedAt, null);
+  assert.ok((await refreshSession(rotated[0].refreshToken)).refreshToken);
+});
+
+test('the replaced token is superseded within the grace window', async () => {
+  const first = await createSession(user);
+  const second = await refreshSession(first.refreshToken);
+
+  assert.deepStrictEqual(await refreshSession(first.refreshToken), { superseded: true });
+  assert.strictEqual((await Session.findById(first.session._id)).revokedAt, null);
+  assert.ok((await refreshSession(second.refreshToken)).refreshToken);
+});
+
+test('reusing a replaced token after the grace window revokes the session', async () => {
+  const first = await createSession(user);
+  const second = await refreshSession(first.refreshToken);
+  await ageSession(first.session._id, 60 * 1000);
+
+  assert.strictEqual(await refreshSession(first.refreshToken), null);
+  assert.ok((await Session.findById(first.session._id)).revokedAt);
+
+  // Whoever holds the current token is signed out too
+  assert.strictEqual(await refreshSession(second.refreshToken), null);
+  await assert.rejects(verifyAccessToken(second.accessToken), /Session has ended/);
+});
+
+test('unknown and malformed tokens are refused without revoking the session', async () => {
+  const { refreshToken, session } = await createSession(user);
+
+  assert.strictEqual(await refreshSession(`${session._id}.not-the-token`), null);
+  assert.strictEqual(await refreshSession('garbage'), null);
+  assert.strictEqual(await refreshSession(''), null);
+  assert.strictEqual((await Session.findById(session._id)).revokedAt, null);
+  assert.ok((await refreshSession(refreshToken)).refreshToken);
+});
+
+test('revoked and expired sessions cannot be refreshed', async () => {
+  const revoked = await createSession(user);
+  await Session.updateOne({ _id: revoked.session._id }, { revokedAt: new Date() });
+  assert.strictEqual(await refreshSession(revoked.refreshToken), null);
+
+  const expired = await createSession(user);
+  await Session.updateOne({ _id: expired.session._id }, { expiresAt: new Date(Date.now() - 1000) });
+  assert.strictEqual(await refreshSession(expired.refreshToken), null);
+});
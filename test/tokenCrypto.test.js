@@ -0,0 +1,97 @@
+// test/tokenCrypto.test.js
+// Run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+// A new key in front of an old one that still opens existing data
+process.env.ENCRYPTION_KEYS = '2025-02:new-secret,2024-11:old-secret';
+delete process.env.ENCRYPTION_KEY;
+delete process.env.ENCRYPTION_CURRENT_KID;
+
+const { loadEncryptionKeys, encryptData, decryptData, needsReencryption, reencryptData } = require('../services/auth/tokenCrypto');
+
+const tokens = { access_token: 'ya29.token', refresh_token: '1//refresh', scope: 'email' };
+const keyFor = secret => crypto.createHash('sha256').update(secret).digest();
+
+// A v1 envelope sealed with a given key, as an older server would have written it
+function sealV1(data, kid, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(secret), iv);
+  cipher.setAAD(Buffer.from(`v1:${kid}`));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return JSON.stringify({ v: 1, kid, iv: iv.toString('hex'), data: encrypted.toString('hex'), tag: cipher.getAuthTag().toString('hex') });
+}
+
+// An envelope from before key ids: no version, no kid, no additional data
+function sealLegacy(data, secret) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(secret), iv);
+  const encryptedData = cipher.update(JSON.stringify(data), 'utf8', 'hex') + cipher.final('hex');
+  return JSON.stringify({ iv: iv.toString('hex'), encryptedData, authTag: cipher.getAuthTag().toString('hex') });
+}
+
+test('the first configured key is current', () => {
+  const { current, keys } = loadEncryptionKeys();
+  assert.strictEqual(current, '2025-02');
+  assert.deepStrictEqual([...keys.keys()], ['2025-02', '2024-11']);
+});
+
+test('v1 envelopes round trip and name the key that sealed them', () => {
+  const stored = encryptData(tokens);
+  const envelope = JSON.parse(stored);
+  assert.strictEqual(envelope.v, 1);
+  assert.strictEqual(envelope.kid, '2025-02');
+  assert.ok(!stored.includes('ya29'));
+  assert.deepStrictEqual(decryptData(stored), tokens);
+  assert.deepStrictEqual(decryptData(envelope), tokens);
+
+  // A fresh IV every time
+  assert.notStrictEqual(JSON.parse(encryptData(tokens)).iv, envelope.iv);
+  assert.deepStrictEqual(decryptData(sealV1(tokens, '2024-11', 'old-secret')), tokens);
+});
+
+test('tampered and relabelled envelopes are rejected', () => {
+  const envelope = JSON.parse(encryptData(tokens));
+
+  const flipped = envelope.data.slice(0, -1) + (envelope.data.endsWith('0') ? '1' : '0');
+  assert.throws(() => decryptData({ ...envelope, data: flipped }));
+
+  // The kid is authenticated, so naming another configured key fails even with the right key bytes
+  const oldSealed = JSON.parse(sealV1(tokens, '2024-11', 'old-secret'));
+  assert.throws(() => decryptData({ ...oldSealed, kid: '2025-02' }));
+  const sameKeyOtherLabel = JSON.parse(sealV1(tokens, '2024-11', 'new-secret'));
+  assert.throws(() => decryptData({ ...sameKeyOtherLabel, kid: '2025-02' }));
+
+  assert.throws(() => decryptData({ ...envelope, kid: 'retired' }), /"retired" is not configured/);
+  assert.throws(() => decryptData('not json'), /not a valid envelope/);
+});
+
+test('legacy envelopes open with any configured key', () => {
+  assert.deepStrictEqual(decryptData(sealLegacy(tokens, 'new-secret')), tokens);
+  assert.deepStrictEqual(decryptData(sealLegacy(tokens, 'old-secret')), tokens);
+  assert.throws(() => decryptData(sealLegacy(tokens, 'unknown-secret')), /None of the configured keys/);
+});
+
+test('plaintext is only read by the re-encryption path, and only when allowed', () => {
+  const plaintext = JSON.stringify(tokens);
+  assert.throws(() => decryptData(plaintext), /not encrypted/);
+  assert.throws(() => decryptData(plaintext, { allowPlaintext: true }), /not encrypted/);
+  assert.throws(() => reencryptData(plaintext), /not encrypted/);
+
+  const sealed = reencryptData(plaintext, { allowPlaintext: true });
+  assert.strictEqual(JSON.parse(sealed).kid, '2025-02');
+  assert.deepStrictEqual(decryptData(sealed), tokens);
+});
+
+test('needsReencryption flags everything not sealed with the current key', () => {
+  assert.strictEqual(needsReencryption(encryptData(tokens)), false);
+  assert.strictEqual(needsReencryption(sealV1(tokens, '2024-11', 'old-secret')), true);
+  assert.strictEqual(needsReencryption(sealLegacy(tokens, 'new-secret')), true);
+  assert.strictEqual(needsReencryption(JSON.stringify(tokens)), true);
+  assert.strictEqual(needsReencryption('not json'), true);
+
+  const resealed = reencryptData(sealV1(tokens, '2024-11', 'old-secret'));
+  assert.strictEqual(needsReencryption(resealed), false);
+  assert.deepStrictEqual(decryptData(resealed), tokens);
+});